@@ -0,0 +1,49 @@
+/**
+ * @fileoverview
+ * Type declarations for `accounts.jsx`.
+ */
+import type { ClientSource, HttpClient, HttpClientOptions } from './client';
+import type { TradeStationStream } from './stream';
+import type { Operations } from './models';
+
+export type Account = NonNullable<Operations['GetAccounts']['response']['Accounts']>[number];
+export type Balance = NonNullable<Operations['GetBalances']['response']['Balances']>[number];
+export type BODBalance = NonNullable<Operations['GetBalancesBOD']['response']['BODBalances']>[number];
+export type Order = NonNullable<Operations['GetOrders']['response']['Orders']>[number];
+export type HistoricalOrder = NonNullable<Operations['GetHistoricalOrders']['response']['Orders']>[number];
+export type PositionResponse = NonNullable<Operations['GetPositions']['response']['Positions']>[number];
+export type Wallet = NonNullable<Operations['GetWallets']['response']['Wallets']>[number];
+
+export type WalletStreamMessage = Operations['StreamWallets']['message'];
+export type OrderStreamMessage = Operations['StreamOrders']['message'];
+export type PositionStreamMessage = Operations['StreamPositions']['message'];
+
+export interface HistoricalOrderOptions {
+  /** Skip orders closed after this date, `YYYY-MM-DD`; defaults to today. */
+  until?: string;
+  pageSize?: number;
+}
+
+export declare class Accounts {
+  constructor(token: ClientSource, options?: HttpClientOptions);
+  basePath: string;
+  client: HttpClient;
+  getAccounts(): Promise<Account[]>;
+  getAccountBalances(accountIds: string): Promise<Balance[]>;
+  getBalancesBOD(accountIds: string): Promise<BODBalance[]>;
+  getHistoricalOrders(accounts: string, since: string, pageSize?: number, nextToken?: string | null): Promise<Operations['GetHistoricalOrders']['response']>;
+  getHistoricalOrdersByOrderID(accounts: string, orderIds: string, since: string): Promise<Operations['GetHistoricalOrdersByOrderID']['response']>;
+  getOrders(accounts: string, pageSize?: number, nextToken?: string): Promise<Order[]>;
+  getOrdersPage(accounts: string, pageSize?: number, nextToken?: string): Promise<Operations['GetOrders']['response']>;
+  iterateOrders(accounts: string, options?: { pageSize?: number }): AsyncGenerator<Order, void, undefined>;
+  getAllOrders(accounts: string, options?: { pageSize?: number }): Promise<Order[]>;
+  iterateHistoricalOrders(accounts: string, since: string, options?: HistoricalOrderOptions): AsyncGenerator<HistoricalOrder, void, undefined>;
+  getAllHistoricalOrders(accounts: string, since: string, options?: HistoricalOrderOptions): Promise<{ Orders: HistoricalOrder[]; Errors: NonNullable<Operations['GetHistoricalOrders']['response']['Errors']> }>;
+  getOrdersByOrderID(accountIds: string, orderIds: string): Promise<Order[]>;
+  getPositions(accounts: string, symbol?: string): Promise<PositionResponse[]>;
+  getWallets(accountID: string): Promise<Wallet[]>;
+  streamWallets(account: string): Promise<TradeStationStream<WalletStreamMessage>>;
+  streamOrders(accountIds: string): Promise<TradeStationStream<OrderStreamMessage>>;
+  streamOrdersByOrderId(accountIds: string, ordersIds: string): Promise<TradeStationStream<OrderStreamMessage>>;
+  streamPositions(accountIds: string, changes?: boolean): Promise<TradeStationStream<PositionStreamMessage>>;
+}
@@ -26,12 +26,72 @@
  * @server
  * - URL: https://api.tradestation.com
  */
-const axios = require('axios');
+import { resolveClient } from './client';
+import { ValidationError } from './errors';
 
-class Accounts {
-  constructor(token) {
-    this.baseUrl = 'https://api.tradestation.com/v3/brokerage';
-    this.token = token;
+/**
+ * Milliseconds in a day.
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Follows `NextToken` from the first page to the last.
+ * @param {Function} fetchPage - Called with the `nextToken` of the page to fetch (undefined for the first); resolves to the response body.
+ * @returns {AsyncGenerator<Object>} - The response bodies, each with `Orders` and `Errors`.
+ */
+async function* followPages(fetchPage) {
+  let nextToken;
+  do {
+    const page = await fetchPage(nextToken);
+    yield page;
+    nextToken = page.NextToken;
+  } while (nextToken);
+}
+
+/**
+ * How many days before today `since` may go back for historical orders.
+ * @type {number}
+ */
+const HISTORY_DAYS = 90;
+
+/**
+ * Reads the historical order pages closed since a date with one paged request, skipping orders
+ * closed after `until`.
+ * @param {Accounts} api - The Accounts instance to fetch with.
+ * @param {string} accounts - List of valid Account IDs in a comma-separated format.
+ * @param {string} since - The first date of the range.
+ * @param {Object} options - See `Accounts.iterateHistoricalOrders`.
+ * @returns {AsyncGenerator<Object>} - The pages, each with the `Orders` and the `Errors`.
+ * @throws {ValidationError} - When the API is asked for a `since` that is not a date within the last 90 days.
+ */
+async function* historicalOrderPages(api, accounts, since, { until, pageSize = 600 }) {
+  const earliest = new Date(Date.now() - HISTORY_DAYS * DAY).toISOString().slice(0, 10);
+  // Only the API limits the history; PaperAccounts reads its simulated orders through here too.
+  const limited = api instanceof Accounts;
+  if (Number.isNaN(Date.parse(since)) || (limited && Date.parse(since) < Date.parse(earliest))) {
+    throw new ValidationError(`Historical orders are only available since ${earliest}, got since '${since}'`, {
+      fields: [{ field: 'since', message: `since must be a date no more than ${HISTORY_DAYS} days before today` }],
+    });
+  }
+
+  const closedBy = until ? Date.parse(until) + DAY : Infinity;
+  for await (const page of followPages(nextToken => api.getHistoricalOrders(accounts, since, pageSize, nextToken))) {
+    yield {
+      Orders: (page.Orders || []).filter(order => Date.parse(order.ClosedDateTime || order.OpenedDateTime) < closedBy),
+      Errors: page.Errors || [],
+    };
+  }
+}
+
+export class Accounts {
+  /**
+   * @param {string|TokenManager|HttpClient} token - An access token, a TokenManager, or an HttpClient shared between the API classes.
+   * @param {Object} [options] - HttpClient options, e.g. `{ baseUrl: Environment.SIM }`.
+   */
+  constructor(token, options) {
+    this.basePath = '/v3/brokerage';
+    this.client = resolveClient(token, options);
   }
 
   /**
@@ -39,39 +99,23 @@ class Accounts {
    * @returns {Promise<Array>} - Promise resolving to the list of brokerage accounts.
    */
   getAccounts() {
-    const url = `${this.baseUrl}/accounts`;
+    const url = `${this.basePath}/accounts`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    })
-      .then(response => response.data.Accounts)
-      .catch(error => {
-        console.error('Error fetching accounts:', error);
-        throw error;
-      });
+    return this.client.get(url)
+      .then(response => response.data.Accounts);
   }
 
-/**
+  /**
    * Fetches brokerage account balances for one or more given accounts.
    * @param {string} accountIds - List of valid Account IDs for the authenticated user in comma-separated format.
    * @returns {Promise<Array>} - Promise resolving to the list of account balances.
    */
-getAccountBalances(accountIds) {
-  const url = `${this.baseUrl}/accounts/${accountIds}/balances`;
-
-  return axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-    },
-  })
-    .then(response => response.data.Balances)
-    .catch(error => {
-      console.error('Error fetching account balances:', error);
-      throw error;
-    });
-}
+  getAccountBalances(accountIds) {
+    const url = `${this.basePath}/accounts/${accountIds}/balances`;
+
+    return this.client.get(url)
+      .then(response => response.data.Balances);
+  }
 
   /**
    * Fetches the Beginning of Day Balances for the given Accounts.
@@ -79,22 +123,13 @@ getAccountBalances(accountIds) {
    * @returns {Promise<Array>} - Promise resolving to the list of Beginning of Day Balances.
    */
   getBalancesBOD(accountIds) {
-    const url = `${this.baseUrl}/accounts/${accountIds}/bodbalances`;
+    const url = `${this.basePath}/accounts/${accountIds}/bodbalances`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    })
-      .then(response => response.data.BODBalances)
-      .catch(error => {
-        console.error('Error fetching Beginning of Day Balances:', error);
-        throw error;
-      });
+    return this.client.get(url)
+      .then(response => response.data.BODBalances);
   }
 
-
- /**
+  /**
    * Fetches Historical Orders for the given Accounts except open orders, sorted in descending order of time closed.
    * @param {string} accounts - List of valid Account IDs for the authenticated user in a comma-separated format.
    * @param {string} since - Historical orders since date (format: "YYYY-MM-DD").
@@ -102,27 +137,20 @@ getAccountBalances(accountIds) {
    * @param {string} nextToken - An encrypted token with a lifetime of 1 hour for use with paginated order responses (optional).
    * @returns {Promise<Object>} - Promise resolving to the historical orders.
    */
- getHistoricalOrders(accounts, since, pageSize = 600, nextToken = null) {
-  const url = `${this.baseUrl}/accounts/${accounts}/historicalorders`;
-
-  return axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-    },
-    params: {
-      since,
-      pageSize,
-      nextToken,
-    },
-  })
-    .then(response => response.data)
-    .catch(error => {
-      console.error('Error fetching historical orders:', error);
-      throw error;
-    });
-}
+  getHistoricalOrders(accounts, since, pageSize = 600, nextToken = null) {
+    const url = `${this.basePath}/accounts/${accounts}/historicalorders`;
 
-**
+    return this.client.get(url, {
+      params: {
+        since,
+        pageSize,
+        nextToken,
+      },
+    })
+      .then(response => response.data);
+  }
+
+  /**
    * Fetches Historical Orders for the given Accounts except open orders,
    * filtered by given Order IDs prior to the current date, sorted in descending order of time closed.
    * @param {string} accounts - List of valid Account IDs for the authenticated user in a comma-separated format.
@@ -131,18 +159,14 @@ getAccountBalances(accountIds) {
    * @returns {Promise<Object>} - Promise resolving to the historical orders.
    */
   getHistoricalOrdersByOrderID(accounts, orderIds, since) {
-    const url = `${this.baseUrl}/accounts/${accounts}/historicalorders/${orderIds}?since=${since}`;
+    const url = `${this.basePath}/accounts/${accounts}/historicalorders/${orderIds}`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
+    return this.client.get(url, {
+      params: {
+        since,
       },
     })
-      .then(response => response.data)
-      .catch(error => {
-        console.error('Error fetching historical orders:', error);
-        throw error;
-      });
+      .then(response => response.data);
   }
 
   /**
@@ -153,47 +177,117 @@ getAccountBalances(accountIds) {
    * @returns {Promise<Object>} - Promise resolving to the list of orders.
    */
   getOrders(accounts, pageSize = 600, nextToken) {
-    const url = `${this.baseUrl}/accounts/${accounts}/orders`;
+    return this.getOrdersPage(accounts, pageSize, nextToken)
+      .then(page => page.Orders);
+  }
+
+  /**
+   * Fetches a page of today's orders and open orders, with the `NextToken` of the next page.
+   * @param {string} accounts - List of valid Account IDs for the authenticated user in comma-separated format; for example "61999124,68910124".
+   * @param {number} [pageSize=600] - The number of requests returned per page when paginating responses.
+   * @param {string} [nextToken] - An encrypted token with a lifetime of 1 hour for use with paginated order responses.
+   * @returns {Promise<Object>} - Promise resolving to the `Orders`, `Errors` and `NextToken` of the page.
+   */
+  getOrdersPage(accounts, pageSize = 600, nextToken) {
+    const url = `${this.basePath}/accounts/${accounts}/orders`;
 
     const params = {
       pageSize,
       nextToken,
     };
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      params,
-    })
-      .then(response => response.data.Orders)
-      .catch(error => {
-        console.error('Error fetching orders:', error);
-        throw error;
-      });
+    return this.client.get(url, { params })
+      .then(response => response.data);
+  }
+
+  /**
+   * Iterates over today's orders and open orders, fetching the pages as they are consumed.
+   * @example
+   * for await (const order of accounts.iterateOrders('61999124,68910124')) {
+   *   console.log(order.OrderID, order.Status);
+   * }
+   * @param {string} accounts - List of valid Account IDs for the authenticated user in comma-separated format.
+   * @param {Object} [options] - Iteration options.
+   * @param {number} [options.pageSize=600] - The number of orders requested per page.
+   * @returns {AsyncGenerator<Object>} - The orders.
+   */
+  async* iterateOrders(accounts, { pageSize = 600 } = {}) {
+    for await (const page of followPages(nextToken => this.getOrdersPage(accounts, pageSize, nextToken))) {
+      yield* page.Orders || [];
+    }
   }
 
- /**
+  /**
+   * Fetches every page of today's orders and open orders.
+   * @param {string} accounts - List of valid Account IDs for the authenticated user in comma-separated format.
+   * @param {Object} [options] - See `iterateOrders`.
+   * @returns {Promise<Array>} - Promise resolving to the list of orders.
+   */
+  async getAllOrders(accounts, options) {
+    const orders = [];
+    for await (const order of this.iterateOrders(accounts, options)) {
+      orders.push(order);
+    }
+    return orders;
+  }
+
+  /**
+   * Iterates over the historical orders closed since a date, most recently closed first, fetching
+   * the pages as they are consumed.
+   *
+   * The API only serves the last 90 days of history: older orders cannot be read, not even by
+   * requesting the range in shorter `since` windows, so an older `since` is rejected before any
+   * request is sent. `PaperAccounts` keeps the whole simulated history and accepts any date.
+   * @example
+   * for await (const order of accounts.iterateHistoricalOrders('61999124', '2024-05-01', { until: '2024-06-30' })) {
+   *   console.log(order.OrderID, order.ClosedDateTime);
+   * }
+   * @param {string} accounts - List of valid Account IDs for the authenticated user in a comma-separated format.
+   * @param {string} since - Historical orders since date (format: "YYYY-MM-DD"), at most 90 days before today with the API.
+   * @param {Object} [options] - Iteration options.
+   * @param {string} [options.until] - Skip orders closed after this date (format: "YYYY-MM-DD"); defaults to today.
+   * @param {number} [options.pageSize=600] - The number of orders requested per page.
+   * @returns {AsyncGenerator<Object>} - The historical orders.
+   * @throws {ValidationError} - When `since` is older than the API allows.
+   */
+  async* iterateHistoricalOrders(accounts, since, options = {}) {
+    for await (const page of historicalOrderPages(this, accounts, since, options)) {
+      yield* page.Orders;
+    }
+  }
+
+  /**
+   * Fetches every page of the historical orders closed since a date.
+   * @param {string} accounts - List of valid Account IDs for the authenticated user in a comma-separated format.
+   * @param {string} since - Historical orders since date (format: "YYYY-MM-DD"), at most 90 days before today with the API.
+   * @param {Object} [options] - See `iterateHistoricalOrders`.
+   * @returns {Promise<Object>} - Promise resolving to the historical `Orders` and the `Errors` reported for any of the accounts.
+   * @throws {ValidationError} - When `since` is older than the API allows.
+   */
+  async getAllHistoricalOrders(accounts, since, options = {}) {
+    const result = { Orders: [], Errors: [] };
+    for await (const page of historicalOrderPages(this, accounts, since, options)) {
+      result.Orders.push(...page.Orders);
+      // Every page repeats the errors of the accounts that failed.
+      result.Errors.push(...page.Errors.filter(error => !result.Errors.some(known => (
+        known.AccountID === error.AccountID && known.Error === error.Error && known.Message === error.Message
+      ))));
+    }
+    return result;
+  }
+
+  /**
    * Fetches today's orders and open orders for the given Accounts, filtered by given Order IDs.
    * @param {string} accountIds - List of valid Account IDs for the authenticated user in comma-separated format.
    * @param {string} orderIds - List of valid Order IDs for the authenticated user for given accounts in comma-separated format.
    * @returns {Promise<Array>} - Promise resolving to the list of orders.
    */
- getOrdersByOrderID(accountIds, orderIds) {
-  const url = `${this.baseUrl}/accounts/${accountIds}/orders/${orderIds}`;
-
-  return axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-    },
-  })
-    .then(response => response.data.Orders)
-    .catch(error => {
-      console.error('Error fetching orders:', error);
-      throw error;
-    });
-}
+  getOrdersByOrderID(accountIds, orderIds) {
+    const url = `${this.basePath}/accounts/${accountIds}/orders/${orderIds}`;
 
+    return this.client.get(url)
+      .then(response => response.data.Orders);
+  }
 
   /**
    * Fetches positions for the given Accounts.
@@ -202,140 +296,73 @@ getAccountBalances(accountIds) {
    * @returns {Promise<Array>} - Promise resolving to the list of positions.
    */
   getPositions(accounts, symbol) {
-    const url = `${this.baseUrl}/accounts/${accounts}/positions`;
+    const url = `${this.basePath}/accounts/${accounts}/positions`;
 
     // Optional query parameter for symbol
     const params = symbol ? { symbol } : {};
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      params,
-    })
-      .then(response => response.data.Positions)
-      .catch(error => {
-        console.error('Error fetching positions:', error);
-        throw error;
-      });
+    return this.client.get(url, { params })
+      .then(response => response.data.Positions);
   }
 
-   /**
+  /**
    * Fetches wallet information for a specific crypto account.
    * @param {string} accountID - The ID of the crypto account.
    * @returns {Promise<Array>} - Promise resolving to the list of wallets for the specified crypto account.
    */
-   getWallets(accountID) {
-    const url = `${this.baseUrl}/accounts/${accountID}/wallets`;
+  getWallets(accountID) {
+    const url = `${this.basePath}/accounts/${accountID}/wallets`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    })
-      .then(response => response.data.Wallets)
-      .catch(error => {
-        console.error('Error fetching wallets:', error);
-        throw error;
-      });
+    return this.client.get(url)
+      .then(response => response.data.Wallets);
   }
 
   /**
    * Streams wallet information for the specified crypto account.
    * @param {string} account - A valid crypto Account ID for the authenticated user.
-   * @returns {Promise<Stream>} - Promise resolving to the stream of wallet information.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `wallet` events.
    */
   streamWallets(account) {
-    const url = `${this.baseUrl}/stream/accounts/${account}/wallets`;
+    const url = `${this.basePath}/stream/accounts/${account}/wallets`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    })
-      .then(response => response.data)
-      .catch(error => {
-        console.error('Error streaming wallets:', error);
-        throw error;
-      });
+    return this.client.openStream(url, {}, { type: 'wallet' });
   }
 
-   /**
+  /**
    * Streams orders for the given accounts.
    * @param {string} accountIds - List of valid Account IDs for the authenticated user in comma-separated format.
-   * @returns {Promise<Array>} - Promise resolving to the streamed orders.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `order` events.
    */
-   streamOrders(accountIds) {
-    const url = `${this.baseUrl}/stream/accounts/${accountIds}/orders`;
+  streamOrders(accountIds) {
+    const url = `${this.basePath}/stream/accounts/${accountIds}/orders`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      responseType: 'stream', // To handle streaming response
-    })
-      .then(response => {
-        // Handle the streamed data here
-        response.data.on('data', data => {
-          console.log(data.toString());
-          // Process the streamed data as needed
-        });
-      })
-      .catch(error => {
-        console.error('Error streaming orders:', error);
-        throw error;
-      });
+    return this.client.openStream(url, {}, { type: 'order' });
   }
 
-
-   /**
+  /**
    * Streams orders for the given accounts and orders.
    * @param {string} accountIds - List of valid Account IDs for the authenticated user in comma-separated format.
    * @param {string} ordersIds - List of valid Order IDs for the account IDs in comma-separated format.
-   * @returns {Promise<Array>} - Promise resolving to the list of streamed orders.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `order` events.
    */
-   streamOrdersByOrderId(accountIds, ordersIds) {
-    const url = `${this.baseUrl}/stream/accounts/${accountIds}/orders/${ordersIds}`;
+  streamOrdersByOrderId(accountIds, ordersIds) {
+    const url = `${this.basePath}/stream/accounts/${accountIds}/orders/${ordersIds}`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    })
-      .then(response => response.data.Orders)
-      .catch(error => {
-        console.error('Error streaming orders by order ID:', error);
-        throw error;
-      });
+    return this.client.openStream(url, {}, { type: 'order' });
   }
 
-
   /**
    * Streams positions for the given accounts.
    * @param {string} accountIds - List of valid Account IDs for the authenticated user in comma separated format.
    * @param {boolean} [changes=false] - A boolean value that specifies whether or not position updates are streamed as changes.
-   * @returns {Promise<Array>} - Promise resolving to the streamed positions.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `position` events.
    */
   streamPositions(accountIds, changes = false) {
-    const url = `${this.baseUrl}/stream/accounts/${accountIds}/positions`;
+    const url = `${this.basePath}/stream/accounts/${accountIds}/positions`;
+    const params = {
+      changes,
+    };
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      params: {
-        changes,
-      },
-    })
-      .then(response => response.data)
-      .catch(error => {
-        console.error('Error streaming positions:', error);
-        throw error;
-      });
+    return this.client.openStream(url, { params }, { type: 'position' });
   }
-
-
 }
-
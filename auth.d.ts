@@ -0,0 +1,76 @@
+/**
+ * @fileoverview
+ * Type declarations for `auth.jsx`.
+ */
+import type { Logger } from './client';
+
+export declare const DEFAULT_SCOPES: string[];
+
+/**
+ * Token response of the sign-in service.
+ */
+export interface TokenResponse {
+  access_token: string;
+  refresh_token?: string;
+  id_token?: string;
+  expires_in: number;
+  scope?: string;
+  token_type?: string;
+}
+
+export interface TokenSet {
+  accessToken: string | null;
+  refreshToken: string | null;
+  expiresAt: number | null;
+}
+
+export interface TokenManagerOptions {
+  clientId: string;
+  clientSecret?: string;
+  redirectUri?: string;
+  accessToken?: string | null;
+  refreshToken?: string | null;
+  /** Expiry of `accessToken` in epoch milliseconds. */
+  expiresAt?: number | null;
+  /** Seconds before expiry at which the token is refreshed. */
+  refreshMargin?: number;
+  autoRefresh?: boolean;
+  signinUrl?: string;
+  onTokenRefresh?: (tokens: TokenSet) => void;
+  /** Receives failures of scheduled refreshes; `null` disables logging. */
+  logger?: Logger | null;
+}
+
+/**
+ * Anything the HttpClient can take an access token from.
+ */
+export interface TokenProvider {
+  getAccessToken(): Promise<string>;
+  refresh?(): Promise<unknown>;
+}
+
+export declare class TokenManager implements TokenProvider {
+  constructor(options: TokenManagerOptions);
+  clientId: string;
+  clientSecret?: string;
+  redirectUri?: string;
+  accessToken: string | null;
+  refreshToken: string | null;
+  expiresAt: number | null;
+  refreshMargin: number;
+  autoRefresh: boolean;
+  signinUrl: string;
+  onTokenRefresh?: (tokens: TokenSet) => void;
+  logger: Logger | null;
+  getAuthorizationUrl(scopes?: string[], state?: string, codeChallenge?: string): string;
+  exchangeCode(code: string, codeVerifier?: string): Promise<TokenResponse>;
+  refresh(): Promise<TokenResponse>;
+  getAccessToken(): Promise<string>;
+  isExpiring(): boolean;
+  setTokens(data: TokenResponse): void;
+  scheduleRefresh(): void;
+  stop(): void;
+  requestToken(grant: Record<string, string>): Promise<TokenResponse>;
+}
+
+export declare function resolveTokenProvider(token: string | TokenProvider): TokenProvider;
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the TokenManager class that handles OAuth2
+ * authentication against the TradeStation sign-in service, along with the helpers the
+ * API classes use to attach a live access token to every request.
+ *
+ * @description
+ * # Authentication
+ * TradeStation access tokens expire after 20 minutes. The TokenManager performs the
+ * authorization-code exchange, keeps the refresh token, refreshes the access token before
+ * it expires and can be shared by `Accounts`, `MarketData`, `Orders` and `Symbols` so they
+ * all use one live credential.
+ * For more information, please visit: [Authentication](/docs/fundamentals/authentication/auth-overview).
+ *
+ * @server
+ * - URL: https://signin.tradestation.com
+ */
+import axios from 'axios';
+
+/**
+ * Scopes requested by default during the authorization-code flow.
+ * `offline_access` is required to receive a refresh token.
+ * @type {Array<string>}
+ */
+export const DEFAULT_SCOPES = ['openid', 'profile', 'offline_access', 'MarketData', 'ReadAccount', 'Trade'];
+
+export class TokenManager {
+  /**
+   * @param {Object} options - Token manager options.
+   * @param {string} options.clientId - The API key of the application.
+   * @param {string} [options.clientSecret] - The API secret of the application.
+   * @param {string} [options.redirectUri] - The redirect URI registered for the application.
+   * @param {string} [options.accessToken] - A previously issued access token.
+   * @param {string} [options.refreshToken] - A previously issued refresh token.
+   * @param {number} [options.expiresAt] - Expiry of `accessToken` in epoch milliseconds.
+   * @param {number} [options.refreshMargin=60] - Seconds before expiry at which the token is refreshed.
+   * @param {boolean} [options.autoRefresh=true] - Whether to refresh proactively on a timer.
+   * @param {string} [options.signinUrl='https://signin.tradestation.com'] - Base URL of the sign-in service.
+   * @param {Function} [options.onTokenRefresh] - Called with the new tokens whenever they change, e.g. to persist the refresh token.
+   * @param {{error: Function}|null} [options.logger=console] - Receives failures of scheduled refreshes; `null` disables logging.
+   */
+  constructor({
+    clientId,
+    clientSecret,
+    redirectUri,
+    accessToken = null,
+    refreshToken = null,
+    expiresAt = null,
+    refreshMargin = 60,
+    autoRefresh = true,
+    signinUrl = 'https://signin.tradestation.com',
+    onTokenRefresh,
+    logger = console,
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.expiresAt = expiresAt;
+    this.refreshMargin = refreshMargin;
+    this.autoRefresh = autoRefresh;
+    this.signinUrl = signinUrl;
+    this.onTokenRefresh = onTokenRefresh;
+    this.logger = logger;
+    this.refreshTimer = null;
+    this.pendingRefresh = null;
+
+    if (this.accessToken && this.expiresAt) {
+      this.scheduleRefresh();
+    }
+  }
+
+  /**
+   * Builds the URL the user is sent to in order to authorize the application.
+   * @param {Array<string>} [scopes=DEFAULT_SCOPES] - The scopes to request.
+   * @param {string} [state] - An opaque value returned unchanged on the redirect.
+   * @param {string} [codeChallenge] - The S256 PKCE challenge, for applications that cannot keep a client secret.
+   * @returns {string} - The authorization URL.
+   */
+  getAuthorizationUrl(scopes = DEFAULT_SCOPES, state, codeChallenge) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      audience: 'https://api.tradestation.com',
+      redirect_uri: this.redirectUri,
+      scope: scopes.join(' '),
+    });
+    if (state) {
+      params.set('state', state);
+    }
+    if (codeChallenge) {
+      params.set('code_challenge', codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
+    return `${this.signinUrl}/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Exchanges an authorization code for an access token and a refresh token.
+   * @param {string} code - The authorization code received on the redirect URI.
+   * @param {string} [codeVerifier] - The PKCE verifier the `codeChallenge` was derived from.
+   * @returns {Promise<Object>} - Promise resolving to the token response.
+   */
+  exchangeCode(code, codeVerifier) {
+    const grant = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+    };
+    if (codeVerifier) {
+      grant.code_verifier = codeVerifier;
+    }
+
+    return this.requestToken(grant);
+  }
+
+  /**
+   * Obtains a new access token using the stored refresh token.
+   * Concurrent calls share a single request to the sign-in service.
+   * @returns {Promise<Object>} - Promise resolving to the token response.
+   */
+  refresh() {
+    if (!this.refreshToken) {
+      return Promise.reject(new Error('Cannot refresh access token: no refresh token available'));
+    }
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken,
+      })
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Returns a valid access token, refreshing it first when it is missing or about to expire.
+   * @returns {Promise<string>} - Promise resolving to the access token.
+   */
+  async getAccessToken() {
+    if (this.refreshToken && (!this.accessToken || this.isExpiring())) {
+      await this.refresh();
+    }
+
+    return this.accessToken;
+  }
+
+  /**
+   * Whether the access token expires within the refresh margin.
+   * @returns {boolean}
+   */
+  isExpiring() {
+    return this.expiresAt !== null && Date.now() >= this.expiresAt - this.refreshMargin * 1000;
+  }
+
+  /**
+   * Stores the tokens from a token response and schedules the next refresh.
+   * @param {Object} data - The token response from the sign-in service.
+   */
+  setTokens(data) {
+    this.accessToken = data.access_token;
+    // Refresh responses only include a refresh token when rotation is enabled.
+    if (data.refresh_token) {
+      this.refreshToken = data.refresh_token;
+    }
+    this.expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null;
+    this.scheduleRefresh();
+
+    if (this.onTokenRefresh) {
+      this.onTokenRefresh({
+        accessToken: this.accessToken,
+        refreshToken: this.refreshToken,
+        expiresAt: this.expiresAt,
+      });
+    }
+  }
+
+  /**
+   * Schedules a proactive refresh `refreshMargin` seconds before the access token expires.
+   */
+  scheduleRefresh() {
+    this.stop();
+    if (!this.autoRefresh || !this.refreshToken || this.expiresAt === null) {
+      return;
+    }
+
+    const delay = Math.max(this.expiresAt - this.refreshMargin * 1000 - Date.now(), 0);
+    this.refreshTimer = setTimeout(() => {
+      // Nothing awaits a scheduled refresh, so its failure is only reported here.
+      this.refresh().catch(error => {
+        if (this.logger) {
+          this.logger.error('Error refreshing access token:', error);
+        }
+      });
+    }, delay);
+
+    // Do not keep a Node process alive just to refresh a token.
+    if (this.refreshTimer && typeof this.refreshTimer.unref === 'function') {
+      this.refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Cancels any scheduled refresh.
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Posts a grant to the token endpoint and stores the result. Failures are left to the caller.
+   * @param {Object} grant - The grant parameters.
+   * @returns {Promise<Object>} - Promise resolving to the token response.
+   */
+  requestToken(grant) {
+    const url = `${this.signinUrl}/oauth/token`;
+    const body = new URLSearchParams({ client_id: this.clientId, ...grant });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    return axios.post(url, body.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    })
+      .then(response => {
+        this.setTokens(response.data);
+        return response.data;
+      });
+  }
+}
+
+/**
+ * Wraps a static access token so it can be used wherever a token provider is expected.
+ * @param {string|TokenManager} token - An access token or a token provider.
+ * @returns {{getAccessToken: Function, refresh?: Function}} - The token provider.
+ */
+export function resolveTokenProvider(token) {
+  if (token && typeof token.getAccessToken === 'function') {
+    return token;
+  }
+
+  return {
+    getAccessToken: () => Promise.resolve(token),
+  };
+}
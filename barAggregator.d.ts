@@ -0,0 +1,70 @@
+/**
+ * @fileoverview
+ * Type declarations for `barAggregator.jsx`.
+ */
+import { EventEmitter } from 'events';
+import type { Bar, MarketData, QuoteStreamMessage } from './marketData';
+import type { TradeStationStream } from './stream';
+
+export declare const AggregationType: {
+  readonly TIME: 'time';
+  readonly TICK: 'tick';
+  readonly VOLUME: 'volume';
+  readonly RANGE: 'range';
+  readonly RENKO: 'renko';
+};
+export type AggregationType = typeof AggregationType[keyof typeof AggregationType];
+
+export interface BarAggregatorOptions {
+  type?: AggregationType;
+  /** Units of time, trades, shares or contracts, or points, depending on `type`. */
+  size: number;
+  /** For time bars. */
+  unit?: 'second' | 'minute' | 'hour' | 'day';
+  /** For time bars: a time that periods are aligned to, in milliseconds or as an ISO 8601 string. */
+  origin?: number | string;
+  maxBars?: number;
+}
+
+export interface BarAggregatorConnectOptions {
+  source?: 'bars' | 'quotes';
+  barsback?: number;
+  from?: string;
+  sessiontemplate?: string;
+}
+
+/**
+ * A bar built by a BarAggregator, in the shape of the API bars.
+ */
+export interface AggregatedBar {
+  Open: string;
+  High: string;
+  Low: string;
+  Close: string;
+  TotalVolume: string;
+  TotalTicks: number;
+  TimeStamp: string;
+  Epoch: number;
+  IsRealtime: boolean;
+  BarStatus: 'Open' | 'Closed';
+}
+
+export declare class BarAggregator extends EventEmitter {
+  constructor(options: BarAggregatorOptions);
+  type: AggregationType;
+  size: number;
+  maxBars: number;
+  /** Closed bars, oldest first. */
+  bars: AggregatedBar[];
+  readonly current: AggregatedBar | null;
+  connect(marketData: MarketData, symbol: string, options?: BarAggregatorConnectOptions): Promise<TradeStationStream<Bar> | TradeStationStream<QuoteStreamMessage>>;
+  seed(bars: Bar[] | { Bars?: Bar[] }): this;
+  addBar(bar: Bar): this;
+  addQuote(quote: Partial<QuoteStreamMessage>): this;
+  addTrade(price: number, volume?: number, time?: number | string, ticks?: number): this;
+  flush(): this;
+  on(event: 'update' | 'bar', listener: (bar: AggregatedBar) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'update' | 'bar', listener: (bar: AggregatedBar) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
@@ -0,0 +1,531 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the BarAggregator class, which builds bars of any
+ * timeframe, tick count, volume, range or Renko brick size from the bar and quote streams.
+ *
+ * @description
+ * # Bar Aggregation
+ * A BarAggregator consumes either 1-minute bars (`addBar`, from `MarketData.getBars` and
+ * `MarketData.streamBars`) or trades (`addQuote`, from `MarketData.streamQuoteChanges`, or
+ * `addTrade`), and emits bars in the shape of the API bars:
+ * - `update` with the open bar each time it changes.
+ * - `bar` with each bar once it is closed. Closed bars are also kept in `bars`, oldest first.
+ *
+ * ```js
+ * const aggregator = new BarAggregator({ type: AggregationType.TIME, size: 3, unit: 'minute' });
+ * aggregator.on('bar', bar => console.log(bar.TimeStamp, bar.Close));
+ * const stream = await aggregator.connect(marketData, 'MSFT', { barsback: 300 });
+ * ```
+ *
+ * # Open Bars
+ * The bar stream sends the current bar again each time it changes, until it is sent with
+ * `BarStatus` `Closed`. Time bars are rebuilt from the latest version of each source bar, so the
+ * updates replace each other instead of adding up, and a time bar is closed as soon as its last
+ * source bar is closed. Tick, volume, range and Renko bars only take source bars once they are
+ * closed, or once a newer bar arrives; each is replayed as the price path open, low, high, close
+ * (open, high, low, close for down bars) with its volume and ticks spread evenly over the path.
+ *
+ * Time bars are stamped with the end of their period, like the API bars, and periods are aligned
+ * to `origin` (midnight UTC by default). Other bars are stamped with the time of their last trade.
+ */
+import { EventEmitter } from 'events';
+import { ValidationError } from './errors';
+
+/**
+ * Kinds of bars a BarAggregator builds, and what `size` measures for each.
+ * @enum {string}
+ */
+export const AggregationType = {
+  TIME: 'time', // size units of time
+  TICK: 'tick', // size trades
+  VOLUME: 'volume', // size shares or contracts
+  RANGE: 'range', // size points between high and low
+  RENKO: 'renko', // size points per brick
+};
+
+/**
+ * Milliseconds per time unit.
+ * @type {Object<string, number>}
+ */
+const UNIT_MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Tolerance for comparing prices and fractional volumes.
+ * @type {number}
+ */
+const EPSILON = 1e-9;
+
+/**
+ * @param {*} value - A number or numeric string.
+ * @returns {number|null} - The number, or null when the value is missing or not numeric.
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * @param {number} value - A price or volume.
+ * @returns {string} - The value as the API formats it, without float noise.
+ */
+function formatNumber(value) {
+  return String(Number(value.toFixed(8)));
+}
+
+/**
+ * @param {Object} bar - A bar from `getBars` or `streamBars`.
+ * @returns {boolean} - Whether the bar is known to be final.
+ */
+function isClosed(bar) {
+  return bar.BarStatus === 'Closed';
+}
+
+export class BarAggregator extends EventEmitter {
+  /**
+   * @param {Object} options - Aggregation options.
+   * @param {string} [options.type='time'] - One of `AggregationType`.
+   * @param {number} options.size - The bar size, measured as described by `AggregationType`.
+   * @param {string} [options.unit='minute'] - For time bars: `second`, `minute`, `hour` or `day`.
+   * @param {string|number} [options.origin=0] - For time bars: a time that periods are aligned to, e.g. the session open.
+   * @param {number} [options.maxBars=5000] - The most closed bars kept in `bars`.
+   * @throws {ValidationError} - When the options are invalid.
+   */
+  constructor({ type = AggregationType.TIME, size, unit = 'minute', origin = 0, maxBars = 5000 } = {}) {
+    super();
+    const problems = [];
+    if (!Object.values(AggregationType).includes(type)) {
+      problems.push({ field: 'type', message: `type '${type}' is not one of ${Object.values(AggregationType).join(', ')}` });
+    }
+    if (!(Number(size) > 0)) {
+      problems.push({ field: 'size', message: `size must be a positive number, got '${size}'` });
+    }
+    if (type === AggregationType.TIME && !UNIT_MILLISECONDS[String(unit).toLowerCase()]) {
+      problems.push({ field: 'unit', message: `unit '${unit}' is not one of ${Object.keys(UNIT_MILLISECONDS).join(', ')}` });
+    }
+    if (problems.length) {
+      throw new ValidationError(`Invalid bar aggregation: ${problems.map(problem => problem.message).join('; ')}`, { fields: problems });
+    }
+
+    this.type = type;
+    this.size = Number(size);
+    this.period = type === AggregationType.TIME ? this.size * UNIT_MILLISECONDS[String(unit).toLowerCase()] : null;
+    this.origin = typeof origin === 'number' ? origin : Date.parse(origin);
+    this.maxBars = maxBars;
+    this.bars = [];
+    this.state = null;
+    this.pending = null;
+    this.lastSourceTime = -Infinity;
+    this.lastPrice = null;
+    this.cumulativeVolume = null;
+    this.renko = { anchor: null, direction: 0, volume: 0, ticks: 0 };
+    this.silent = false;
+  }
+
+  /**
+   * @returns {Object|null} - The open bar, or null when there is none.
+   */
+  get current() {
+    return this.state ? this.toBar(this.state, false) : null;
+  }
+
+  /**
+   * Seeds the aggregator with history from `getBars`, then follows the live bar or quote stream.
+   * @param {MarketData} marketData - A MarketData instance.
+   * @param {string} symbol - The valid symbol string.
+   * @param {Object} [options] - Connection options.
+   * @param {string} [options.source='bars'] - `bars` to aggregate 1-minute bars, `quotes` to aggregate trades.
+   * @param {number} [options.barsback] - The number of 1-minute bars of history to seed.
+   * @param {string} [options.from] - Seed the 1-minute bars since this date instead, with `downloadBars`.
+   * @param {string} [options.sessiontemplate] - United States (US) stock market session templates.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the live stream; close it to stop.
+   */
+  async connect(marketData, symbol, { source = 'bars', barsback, from, sessiontemplate } = {}) {
+    if (from) {
+      this.seed(await marketData.downloadBars(symbol, { from, interval: '1', unit: 'Minute', sessiontemplate }));
+    } else if (barsback) {
+      this.seed(await marketData.getBars(symbol, '1', 'Minute', String(barsback), undefined, undefined, sessiontemplate));
+    }
+
+    if (source === 'quotes') {
+      const stream = await marketData.streamQuoteChanges(symbol);
+      stream.on('quote', quote => this.addQuote(quote));
+      return stream;
+    }
+    const stream = await marketData.streamBars(symbol, '1', 'Minute', '1', sessiontemplate);
+    stream.on('bar', bar => this.addBar(bar));
+    return stream;
+  }
+
+  /**
+   * Aggregates historical bars without emitting events; read `bars` afterwards. Bars without a
+   * `BarStatus` are taken as closed.
+   * @param {Array<Object>|{Bars: Array<Object>}} bars - Bars, oldest first, or the result of `getBars`.
+   * @returns {BarAggregator} - The aggregator, for chaining.
+   */
+  seed(bars) {
+    this.silent = true;
+    try {
+      (Array.isArray(bars) ? bars : bars.Bars || [])
+        .forEach(bar => this.addBar(bar.BarStatus ? bar : { ...bar, BarStatus: 'Closed' }));
+    } finally {
+      this.silent = false;
+    }
+    return this;
+  }
+
+  /**
+   * Adds a source bar, or a newer version of the last one.
+   * @param {Object} bar - A bar from `getBars` or `streamBars`.
+   * @returns {BarAggregator} - The aggregator, for chaining.
+   */
+  addBar(bar) {
+    const time = Date.parse(bar.TimeStamp);
+    if (Number.isNaN(time)) {
+      return this;
+    }
+
+    if (this.type === AggregationType.TIME) {
+      this.addTimeBar(bar, time);
+      return this;
+    }
+
+    if (time <= this.lastSourceTime) {
+      return this;
+    }
+    if (this.pending && time > Date.parse(this.pending.TimeStamp)) {
+      this.replay(this.pending);
+    }
+    this.pending = bar;
+    if (isClosed(bar)) {
+      this.replay(bar);
+    }
+    return this;
+  }
+
+  /**
+   * Adds a quote from `streamQuoteChanges`. A message that changes `Last`, `Volume` or
+   * `TradeTime` is a trade, whose volume is the increase of the cumulative `Volume`. The first
+   * message is the snapshot of the last trade, so it is only remembered.
+   * @param {Object} quote - A quote message.
+   * @returns {BarAggregator} - The aggregator, for chaining.
+   */
+  addQuote(quote) {
+    const last = toNumber(quote.Last);
+    const cumulativeVolume = toNumber(quote.Volume);
+    if (last === null && cumulativeVolume === null && !quote.TradeTime) {
+      return this;
+    }
+
+    const isSnapshot = this.lastPrice === null;
+    const previousVolume = this.cumulativeVolume;
+    this.lastPrice = last === null ? this.lastPrice : last;
+    this.cumulativeVolume = cumulativeVolume === null ? this.cumulativeVolume : cumulativeVolume;
+    if (isSnapshot || this.lastPrice === null) {
+      return this;
+    }
+
+    let volume = toNumber(quote.LastSize) || 0;
+    if (cumulativeVolume !== null && previousVolume !== null && cumulativeVolume >= previousVolume) {
+      volume = cumulativeVolume - previousVolume;
+    }
+    const time = quote.TradeTime ? Date.parse(quote.TradeTime) : Date.now();
+    return this.addTrade(this.lastPrice, volume, Number.isNaN(time) ? Date.now() : time);
+  }
+
+  /**
+   * Adds a trade.
+   * @param {number} price - The trade price.
+   * @param {number} [volume=0] - The traded quantity.
+   * @param {number|string} [time=Date.now()] - The trade time, in milliseconds or as an ISO 8601 string.
+   * @param {number} [ticks=1] - The number of trades this stands for.
+   * @returns {BarAggregator} - The aggregator, for chaining.
+   */
+  addTrade(price, volume = 0, time = Date.now(), ticks = 1) {
+    const milliseconds = typeof time === 'number' ? time : Date.parse(time);
+    switch (this.type) {
+      case AggregationType.TIME:
+        this.addTimeTrade(price, volume, milliseconds, ticks);
+        break;
+      case AggregationType.TICK:
+      case AggregationType.VOLUME:
+        this.addCountTrade(price, volume, milliseconds, ticks);
+        break;
+      case AggregationType.RANGE:
+        this.addRangeTrade(price, volume, milliseconds, ticks);
+        break;
+      default:
+        this.addRenkoTrade(price, volume, milliseconds, ticks);
+    }
+    return this;
+  }
+
+  /**
+   * Closes the open bar, e.g. at the end of a session, and takes a pending source bar first.
+   * Source bars of the closed bar that arrive again afterwards are ignored.
+   * @returns {BarAggregator} - The aggregator, for chaining.
+   */
+  flush() {
+    if (this.pending) {
+      this.replay(this.pending);
+    }
+    if (this.state) {
+      if (this.state.components) {
+        this.lastSourceTime = Math.max(this.lastSourceTime, ...this.state.components.keys());
+      }
+      this.close();
+    }
+    return this;
+  }
+
+  /**
+   * @param {number} time - A point in time, in milliseconds.
+   * @returns {number} - The end of the time bar period holding it.
+   */
+  periodEnd(time) {
+    return Math.floor((time - this.origin) / this.period) * this.period + this.period + this.origin;
+  }
+
+  /**
+   * Adds a source bar to a time bar, replacing an earlier version of the same source bar.
+   * @param {Object} bar - A bar from `getBars` or `streamBars`.
+   * @param {number} time - Its `TimeStamp`, the end of the source bar.
+   */
+  addTimeBar(bar, time) {
+    const end = this.periodEnd(time - 1);
+    if (this.state && end < this.state.end) {
+      return;
+    }
+    if (this.state && end > this.state.end) {
+      this.close();
+    }
+    if (this.lastSourceTime >= time && !this.state) {
+      return;
+    }
+
+    this.state = this.state || { end, time: end, components: new Map() };
+    const { state } = this;
+    state.components = state.components || new Map();
+    state.components.set(time, bar);
+    const components = [...state.components.entries()].sort((a, b) => a[0] - b[0]).map(([, component]) => component);
+    state.open = toNumber(components[0].Open);
+    state.close = toNumber(components[components.length - 1].Close);
+    state.high = Math.max(...components.map(component => toNumber(component.High)));
+    state.low = Math.min(...components.map(component => toNumber(component.Low)));
+    state.volume = components.reduce((sum, component) => sum + (toNumber(component.TotalVolume) || 0), 0);
+    state.ticks = components.reduce((sum, component) => sum + (toNumber(component.TotalTicks) || 0), 0);
+
+    if (isClosed(bar) && time >= end) {
+      this.lastSourceTime = time;
+      this.close();
+    } else {
+      this.notify('update', this.toBar(state, false));
+    }
+  }
+
+  /**
+   * Replays a closed source bar as trades along its price path.
+   * @param {Object} bar - A bar from `getBars` or `streamBars`.
+   */
+  replay(bar) {
+    this.pending = null;
+    const time = Date.parse(bar.TimeStamp);
+    this.lastSourceTime = time;
+
+    const [open, high, low, close] = ['Open', 'High', 'Low', 'Close'].map(field => toNumber(bar[field]));
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    const volume = (toNumber(bar.TotalVolume) || 0) / path.length;
+    const ticks = (toNumber(bar.TotalTicks) || path.length) / path.length;
+    path.forEach(price => this.addTrade(price, volume, time, ticks));
+  }
+
+  /**
+   * @param {number} price - The trade price.
+   * @param {number} volume - The traded quantity.
+   * @param {number} time - The trade time.
+   * @param {number} ticks - The number of trades.
+   */
+  addTimeTrade(price, volume, time, ticks) {
+    const end = this.periodEnd(time);
+    if (this.state && end < this.state.end) {
+      return;
+    }
+    if (this.state && end > this.state.end) {
+      this.close();
+    }
+    if (!this.state) {
+      this.state = this.createState(price, time);
+      this.state.end = end;
+      this.state.time = end;
+    }
+    this.extend(this.state, price, volume, ticks);
+    this.notify('update', this.toBar(this.state, false));
+  }
+
+  /**
+   * Adds a trade to tick or volume bars, splitting it across bars when it overfills one.
+   * @param {number} price - The trade price.
+   * @param {number} volume - The traded quantity.
+   * @param {number} time - The trade time.
+   * @param {number} ticks - The number of trades.
+   */
+  addCountTrade(price, volume, time, ticks) {
+    const measure = this.type === AggregationType.TICK ? 'ticks' : 'volume';
+    let volumeLeft = volume;
+    let ticksLeft = ticks;
+    let done = false;
+
+    while (!done) {
+      this.state = this.state || this.createState(price, time);
+      const left = measure === 'ticks' ? ticksLeft : volumeLeft;
+      const room = this.size - this.state[measure];
+      const share = left > room + EPSILON ? room / left : 1;
+      this.state.time = time;
+      this.extend(this.state, price, volumeLeft * share, ticksLeft * share);
+      volumeLeft -= volumeLeft * share;
+      ticksLeft -= ticksLeft * share;
+      done = share === 1;
+
+      if (this.state[measure] >= this.size - EPSILON) {
+        this.close();
+      } else {
+        this.notify('update', this.toBar(this.state, false));
+      }
+    }
+  }
+
+  /**
+   * Adds a trade to range bars, closing a bar each time the range is exceeded.
+   * @param {number} price - The trade price.
+   * @param {number} volume - The traded quantity.
+   * @param {number} time - The trade time.
+   * @param {number} ticks - The number of trades.
+   */
+  addRangeTrade(price, volume, time, ticks) {
+    this.state = this.state || this.createState(price, time);
+    while (price > this.state.low + this.size + EPSILON || price < this.state.high - this.size - EPSILON) {
+      const boundary = price > this.state.low + this.size ? this.state.low + this.size : this.state.high - this.size;
+      this.state.time = time;
+      this.extend(this.state, boundary, 0, 0);
+      this.close();
+      this.state = this.createState(boundary, time);
+    }
+    this.state.time = time;
+    this.extend(this.state, price, volume, ticks);
+    this.notify('update', this.toBar(this.state, false));
+  }
+
+  /**
+   * Adds a trade to Renko bricks. A brick in the direction of the last one needs a move of
+   * `size` from its close, a reversal a move of twice `size`. The volume and ticks since the last
+   * brick go to the next one; Renko has no open bar.
+   * @param {number} price - The trade price.
+   * @param {number} volume - The traded quantity.
+   * @param {number} time - The trade time.
+   * @param {number} ticks - The number of trades.
+   */
+  addRenkoTrade(price, volume, time, ticks) {
+    const { renko } = this;
+    renko.volume += volume;
+    renko.ticks += ticks;
+    if (renko.anchor === null) {
+      renko.anchor = price;
+      return;
+    }
+
+    for (;;) {
+      const up = renko.direction >= 0 ? renko.anchor + this.size : renko.anchor + 2 * this.size;
+      const down = renko.direction <= 0 ? renko.anchor - this.size : renko.anchor - 2 * this.size;
+      let open;
+      if (price >= up - EPSILON) {
+        open = renko.direction >= 0 ? renko.anchor : renko.anchor + this.size;
+        renko.direction = 1;
+      } else if (price <= down + EPSILON) {
+        open = renko.direction <= 0 ? renko.anchor : renko.anchor - this.size;
+        renko.direction = -1;
+      } else {
+        return;
+      }
+
+      renko.anchor = open + renko.direction * this.size;
+      this.state = this.createState(open, time);
+      this.extend(this.state, renko.anchor, renko.volume, renko.ticks);
+      renko.volume = 0;
+      renko.ticks = 0;
+      this.close();
+    }
+  }
+
+  /**
+   * @param {number} price - The opening price.
+   * @param {number} time - The time of the first trade.
+   * @returns {Object} - The state of a new bar.
+   */
+  createState(price, time) {
+    return { open: price, high: price, low: price, close: price, volume: 0, ticks: 0, time };
+  }
+
+  /**
+   * @param {Object} state - The state of the open bar.
+   * @param {number} price - The trade price.
+   * @param {number} volume - The traded quantity.
+   * @param {number} ticks - The number of trades.
+   */
+  extend(state, price, volume, ticks) {
+    state.high = Math.max(state.high, price);
+    state.low = Math.min(state.low, price);
+    state.close = price;
+    state.volume += volume;
+    state.ticks += ticks;
+  }
+
+  /**
+   * Closes the open bar: keeps it in `bars` and emits `bar`.
+   */
+  close() {
+    const bar = this.toBar(this.state, true);
+    this.state = null;
+    this.bars.push(bar);
+    if (this.bars.length > this.maxBars) {
+      this.bars.splice(0, this.bars.length - this.maxBars);
+    }
+    this.notify('bar', bar);
+  }
+
+  /**
+   * @param {string} event - `update` or `bar`.
+   * @param {Object} bar - The bar.
+   */
+  notify(event, bar) {
+    if (!this.silent) {
+      this.emit(event, bar);
+    }
+  }
+
+  /**
+   * @param {Object} state - The state of a bar.
+   * @param {boolean} closed - Whether the bar is closed.
+   * @returns {Object} - The bar in the shape of the API bars.
+   */
+  toBar(state, closed) {
+    return {
+      Open: formatNumber(state.open),
+      High: formatNumber(state.high),
+      Low: formatNumber(state.low),
+      Close: formatNumber(state.close),
+      TotalVolume: formatNumber(state.volume),
+      TotalTicks: Math.round(state.ticks),
+      TimeStamp: new Date(state.time).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+      Epoch: state.time,
+      IsRealtime: !closed,
+      BarStatus: closed ? 'Closed' : 'Open',
+    };
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview
+ * Type declarations for `barCache.jsx`.
+ */
+import type { BarCacheEntry, BarStore } from './marketData';
+
+export declare class BarCache implements BarStore {
+  constructor(directory: string);
+  directory: string;
+  pathOf(key: string): string;
+  read(key: string): Promise<BarCacheEntry | null>;
+  write(key: string, entry: BarCacheEntry): Promise<void>;
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the BarCache class, the on-disk cache used by
+ * `MarketData.downloadBars`.
+ *
+ * @description
+ * # Bar Cache
+ * Each symbol, interval, unit and session template is stored in its own JSON file in the cache
+ * directory, holding the downloaded bars and the time ranges already requested, so later
+ * downloads only request the ranges that are missing:
+ *
+ * ```js
+ * const cache = new BarCache('./bars');
+ * const bars = await marketData.downloadBars('MSFT', { from: '2020-01-01', to: '2024-12-31', unit: 'Minute', cache });
+ * ```
+ *
+ * Any object with the same `read` and `write` methods can be passed as `cache` instead, e.g. to
+ * store bars in a database or in memory.
+ */
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+export class BarCache {
+  /**
+   * @param {string} directory - The directory holding the cache files; created on the first write.
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @param {string} key - The cache key, e.g. `MSFT_1minute_Default`.
+   * @returns {string} - The path of the cache file.
+   */
+  pathOf(key) {
+    return join(this.directory, `${key.replace(/[^\w.-]+/g, '_')}.json`);
+  }
+
+  /**
+   * Reads a cache entry.
+   * @param {string} key - The cache key.
+   * @returns {Promise<{ranges: Array<[string, string]>, bars: Array<Object>}|null>} - Promise resolving to the entry, or null when there is none.
+   */
+  async read(key) {
+    try {
+      return JSON.parse(await readFile(this.pathOf(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a cache entry. The file is replaced atomically, so an interrupted download keeps the previous entry.
+   * @param {string} key - The cache key.
+   * @param {{ranges: Array<[string, string]>, bars: Array<Object>}} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async write(key, entry) {
+    const path = this.pathOf(key);
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(`${path}.tmp`, JSON.stringify(entry));
+    await rename(`${path}.tmp`, path);
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview
+ * Type declarations for `client.jsx`.
+ */
+import type { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
+import type { TokenProvider } from './auth';
+import type { RequestScheduler } from './scheduler';
+import type { TradeStationStream, TradeStationStreamOptions } from './stream';
+import type { SchemaValidator, ValidationMode } from './validation';
+
+export declare const Environment: {
+  readonly LIVE: 'https://api.tradestation.com';
+  readonly SIM: 'https://sim-api.tradestation.com';
+};
+
+export declare const STREAM_MEDIA_TYPE: 'application/vnd.tradestation.streams.v2+json';
+
+export declare const StreamTransport: {
+  readonly NODE: 'node';
+  readonly FETCH: 'fetch';
+};
+export type StreamTransport = typeof StreamTransport[keyof typeof StreamTransport];
+
+/** `node` under Node, `fetch` elsewhere. */
+export declare function detectStreamTransport(): StreamTransport;
+
+export interface Logger {
+  error(message: string, ...details: unknown[]): void;
+  warn?(message: string, ...details: unknown[]): void;
+}
+
+export interface HttpClientOptions {
+  baseUrl?: string;
+  timeout?: number;
+  headers?: Record<string, string>;
+  logger?: Logger | null;
+  scheduler?: RequestScheduler | null;
+  streamOptions?: TradeStationStreamOptions;
+  validation?: ValidationMode | SchemaValidator | null;
+  /** Detected from the environment by default. */
+  streamTransport?: StreamTransport;
+  /** Reject malformed symbols of symbol details, option quote streams and orders before sending them. */
+  checkSymbols?: boolean;
+}
+
+export interface RequestConfig extends AxiosRequestConfig {
+  /** The quota the request counts against; derived from the URL by default. */
+  resource?: string;
+  /** Whether the request may be retried; defaults to true for GET only. */
+  retry?: boolean;
+}
+
+export declare class HttpClient {
+  constructor(token: string | TokenProvider, options?: HttpClientOptions);
+  tokenProvider: TokenProvider;
+  baseUrl: string;
+  logger: Logger | null;
+  scheduler: RequestScheduler | null;
+  streamOptions: TradeStationStreamOptions;
+  streamTransport: StreamTransport;
+  checkSymbols: boolean;
+  validator: SchemaValidator | null;
+  axios: AxiosInstance;
+  interceptors: AxiosInstance['interceptors'];
+  retryUnauthorized(error: unknown): Promise<AxiosResponse>;
+  request<T = any>(config: RequestConfig): Promise<AxiosResponse<T>>;
+  get<T = any>(url: string, config?: RequestConfig): Promise<AxiosResponse<T>>;
+  post<T = any>(url: string, data: unknown, config?: RequestConfig): Promise<AxiosResponse<T>>;
+  put<T = any>(url: string, data: unknown, config?: RequestConfig): Promise<AxiosResponse<T>>;
+  delete<T = any>(url: string, config?: RequestConfig): Promise<AxiosResponse<T>>;
+  stream(url: string, config?: RequestConfig): Promise<AxiosResponse>;
+  openStream<T = any>(url: string, config?: RequestConfig, options?: TradeStationStreamOptions): Promise<TradeStationStream<T>>;
+}
+
+/**
+ * Anything the API classes accept as their first constructor argument.
+ */
+export type ClientSource = string | TokenProvider | HttpClient;
+
+export declare function resolveClient(token: ClientSource, options?: HttpClientOptions): HttpClient;
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the HttpClient class that every TradeStation API
+ * class routes its requests through.
+ *
+ * @description
+ * The client owns a single axios instance configured with the base URL, default timeout and
+ * authorization for the selected environment. Request/response interceptors can be added
+ * through `client.interceptors`, and failures are reported to an injectable logger. Requests
+ * pass through a RequestScheduler that keeps them within the per-resource quotas. With the
+ * `validation` option, request bodies, responses and stream messages are checked against the
+ * schemas from `openapi.json`. With the `checkSymbols` option, the symbols passed to
+ * `MarketData.getSymbolDetails` and `streamOptionQuotes` and those of order requests are checked
+ * with `checkSymbols` from `symbolParser.jsx` before anything is sent.
+ *
+ * Streams are read as Node streams through axios' `http` adapter under Node, and as a
+ * `ReadableStream` through its `fetch` adapter (axios 1.7 or later) in browsers, where the
+ * default XMLHttpRequest adapter cannot deliver a response before it ends. The streams, and the
+ * OptionChain, OrderBook and BarAggregator built on them, extend `EventEmitter` from the `events`
+ * module: Node provides it, and in browsers it comes from the `events` package, a dependency of
+ * this one, so bundlers do not need a polyfill.
+ *
+ * @server
+ * - URL: https://api.tradestation.com
+ * - URL: https://sim-api.tradestation.com
+ */
+import axios from 'axios';
+import { resolveTokenProvider } from './auth';
+import { toTradeStationError } from './errors';
+import { RequestScheduler, resourceFor } from './scheduler';
+import { openStream } from './stream';
+import { resolveValidator } from './validation';
+
+/**
+ * Base URLs of the TradeStation API environments.
+ * @enum {string}
+ */
+export const Environment = {
+  LIVE: 'https://api.tradestation.com',
+  SIM: 'https://sim-api.tradestation.com',
+};
+
+/**
+ * Media type of TradeStation chunked streams.
+ * @type {string}
+ */
+export const STREAM_MEDIA_TYPE = 'application/vnd.tradestation.streams.v2+json';
+
+/**
+ * How stream responses are read.
+ * @enum {string}
+ */
+export const StreamTransport = {
+  NODE: 'node', // a Node readable stream, from the http adapter
+  FETCH: 'fetch', // a ReadableStream, from the fetch adapter
+};
+
+/**
+ * @returns {string} - `StreamTransport.NODE` under Node, `StreamTransport.FETCH` elsewhere.
+ */
+export function detectStreamTransport() {
+  const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+  return isNode ? StreamTransport.NODE : StreamTransport.FETCH;
+}
+
+/**
+ * The axios adapter of each stream transport.
+ * @type {Object<string, string>}
+ */
+const STREAM_ADAPTERS = {
+  [StreamTransport.NODE]: 'http',
+  [StreamTransport.FETCH]: 'fetch',
+};
+
+export class HttpClient {
+  /**
+   * @param {string|TokenManager} token - An access token, or a TokenManager shared between the API classes.
+   * @param {Object} [options] - Client options.
+   * @param {string} [options.baseUrl=Environment.LIVE] - Base URL of the API, e.g. `Environment.SIM` or a local mock.
+   * @param {number} [options.timeout=30000] - Default request timeout in milliseconds. Streams are not subject to it.
+   * @param {Object} [options.headers] - Headers added to every request.
+   * @param {{error: Function}|null} [options.logger=console] - Receives request failures; `null` disables logging.
+   * @param {RequestScheduler|null} [options.scheduler] - Throttles and retries requests; `null` sends them directly.
+   * @param {Object} [options.streamOptions] - Default TradeStationStream options, e.g. `{ heartbeatTimeout: 15000 }`.
+   * @param {string|SchemaValidator|null} [options.validation=null] - `ValidationMode.STRICT` or `ValidationMode.WARN` to validate against `openapi.json`.
+   * @param {string} [options.streamTransport] - One of `StreamTransport`; detected from the environment by default.
+   * @param {boolean} [options.checkSymbols=false] - Whether to reject malformed symbols before sending them.
+   */
+  constructor(token, {
+    baseUrl = Environment.LIVE,
+    timeout = 30000,
+    headers = {},
+    logger = console,
+    scheduler = new RequestScheduler(),
+    streamOptions = {},
+    validation = null,
+    streamTransport = detectStreamTransport(),
+    checkSymbols = false,
+  } = {}) {
+    this.tokenProvider = resolveTokenProvider(token);
+    this.baseUrl = baseUrl;
+    this.logger = logger;
+    this.scheduler = scheduler;
+    this.streamOptions = streamOptions;
+    this.streamTransport = streamTransport;
+    this.checkSymbols = checkSymbols;
+    this.validator = resolveValidator(validation, { logger });
+    this.axios = axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers,
+    });
+    this.interceptors = this.axios.interceptors;
+
+    this.axios.interceptors.request.use(async config => {
+      config.headers.Authorization = `Bearer ${await this.tokenProvider.getAccessToken()}`;
+      return config;
+    });
+    this.axios.interceptors.response.use(null, error => this.retryUnauthorized(error));
+  }
+
+  /**
+   * Refreshes the token and retries a request once when the API answers 401.
+   * @param {Error} error - The axios error.
+   * @returns {Promise<Object>} - Promise resolving to the retried response.
+   */
+  async retryUnauthorized(error) {
+    const { config, response } = error;
+    if (!config || !response || response.status !== 401 || config.authRetried || typeof this.tokenProvider.refresh !== 'function') {
+      throw error;
+    }
+
+    await this.tokenProvider.refresh();
+    return this.axios.request({ ...config, authRetried: true });
+  }
+
+  /**
+   * Sends a request relative to the base URL.
+   * GET requests are retried on rate limits and transient failures unless `config.retry` is false.
+   * A request cancelled through `config.signal` is neither retried nor logged.
+   * @param {Object} config - The axios request config.
+   * @param {string} [config.resource] - The quota the request counts against; derived from the URL by default.
+   * @param {boolean} [config.retry] - Whether the request may be retried; defaults to true for GET only.
+   * @returns {Promise<Object>} - Promise resolving to the axios response.
+   * @throws {TradeStationError} - The failure converted by `toTradeStationError`.
+   */
+  request({ resource, retry, ...config }) {
+    if (this.validator) {
+      try {
+        this.validator.validateRequest(config);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const send = () => this.axios.request(config)
+      .catch(error => {
+        throw toTradeStationError(error);
+      })
+      .then(response => {
+        if (this.validator && config.responseType !== 'stream') {
+          this.validator.validateResponse(config, response.data);
+        }
+        return response;
+      });
+    const cancelled = error => axios.isCancel(error.cause) || Boolean(config.signal && config.signal.aborted);
+    const mayRetry = retry === undefined ? (config.method || 'get') === 'get' : retry;
+    const response = this.scheduler
+      ? this.scheduler.schedule(resource || resourceFor(config.url), send, {
+        retry: error => mayRetry && !cancelled(error),
+      })
+      : send();
+
+    return response
+      .catch(apiError => {
+        if (this.logger && !cancelled(apiError)) {
+          this.logger.error(`Error requesting ${(config.method || 'get').toUpperCase()} ${config.url}:`, apiError);
+        }
+        throw apiError;
+      });
+  }
+
+  /**
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} [config] - The axios request config.
+   * @returns {Promise<Object>} - Promise resolving to the axios response.
+   */
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  /**
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} data - The JSON request body.
+   * @param {Object} [config] - The axios request config.
+   * @returns {Promise<Object>} - Promise resolving to the axios response.
+   */
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  /**
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} data - The JSON request body.
+   * @param {Object} [config] - The axios request config.
+   * @returns {Promise<Object>} - Promise resolving to the axios response.
+   */
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  /**
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} [config] - The axios request config.
+   * @returns {Promise<Object>} - Promise resolving to the axios response.
+   */
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+
+  /**
+   * Opens a chunked stream. The default timeout is disabled because streams stay open.
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} [config] - The axios request config.
+   * @returns {Promise<Object>} - Promise resolving to the axios response whose `data` is the stream:
+   * a Node readable stream, or a `ReadableStream` with the fetch transport.
+   */
+  stream(url, config = {}) {
+    return this.get(url, {
+      timeout: 0,
+      adapter: STREAM_ADAPTERS[this.streamTransport],
+      ...config,
+      headers: {
+        Accept: STREAM_MEDIA_TYPE,
+        ...config.headers,
+      },
+      responseType: 'stream',
+    });
+  }
+
+  /**
+   * Opens a chunked stream as a TradeStationStream, which reopens the same request when it reconnects.
+   * @param {string} url - Path relative to the base URL.
+   * @param {Object} [config] - The axios request config.
+   * @param {Object} [options] - TradeStationStream options, merged over `streamOptions`.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the open stream.
+   */
+  openStream(url, config = {}, options = {}) {
+    const validate = this.validator
+      ? message => this.validator.validateMessage({ ...config, method: 'get', url }, message)
+      : undefined;
+
+    return openStream(signal => this.stream(url, { ...config, signal }), { validate, ...this.streamOptions, ...options });
+  }
+}
+
+/**
+ * Returns the given client, or creates one for a token so API classes can share a client.
+ * @param {string|TokenManager|HttpClient} token - An access token, token provider or client.
+ * @param {Object} [options] - Options passed to a newly created client.
+ * @returns {HttpClient}
+ */
+export function resolveClient(token, options) {
+  return token instanceof HttpClient ? token : new HttpClient(token, options);
+}
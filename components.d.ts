@@ -0,0 +1,74 @@
+/**
+ * @fileoverview
+ * Type declarations for `components.jsx`.
+ */
+import type { ReactElement } from 'react';
+import type { PositionStreamMessage } from './accounts';
+import type { OrderResponse } from './models';
+import type { OptionContract } from './optionChain';
+
+export interface QuoteColumn {
+  /** A field of the quote, e.g. `Last`. */
+  field: string;
+  label: string;
+}
+
+export interface QuoteBoardProps {
+  symbols: string[];
+  columns?: QuoteColumn[];
+  onSelect?: (symbol: string) => void;
+}
+
+export interface OrderTicketProps {
+  /** The selected account of the provider by default. */
+  accountId?: string;
+  symbol?: string;
+  tradeAction?: string;
+  quantity?: number | string;
+  onPlaced?: (responses: OrderResponse[]) => void;
+}
+
+export interface PositionsGridProps {
+  /** The selected account of the provider by default. */
+  accountId?: string;
+  onSelect?: (position: PositionStreamMessage) => void;
+}
+
+export interface OpenOrdersTableProps {
+  /** The selected account of the provider by default. */
+  accountId?: string;
+}
+
+export interface DepthLadderProps {
+  symbol: string;
+  /** The selected account of the provider by default. */
+  accountId?: string;
+  levels?: number;
+  aggregates?: boolean;
+  quantity?: number | string;
+  onPlaced?: (responses: OrderResponse[]) => void;
+}
+
+export interface OptionColumn {
+  /** A field of `OptionContract`, e.g. `delta`. */
+  field: keyof OptionContract;
+  label: string;
+  digits: number;
+}
+
+export interface OptionChainTableProps {
+  underlying: string;
+  expirations?: number | string[];
+  strikeProximity?: number;
+  /** The selected account of the provider by default. */
+  accountId?: string;
+  columns?: OptionColumn[];
+  onPlaced?: (responses: OrderResponse[]) => void;
+}
+
+export declare function QuoteBoard(props: QuoteBoardProps): ReactElement;
+export declare function OrderTicket(props: OrderTicketProps): ReactElement;
+export declare function PositionsGrid(props: PositionsGridProps): ReactElement;
+export declare function OpenOrdersTable(props: OpenOrdersTableProps): ReactElement;
+export declare function DepthLadder(props: DepthLadderProps): ReactElement;
+export declare function OptionChainTable(props: OptionChainTableProps): ReactElement;
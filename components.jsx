@@ -0,0 +1,760 @@
+/**
+ * @fileoverview
+ * This file contains ready-made React trading components: `QuoteBoard`, `OrderTicket`,
+ * `PositionsGrid`, `OpenOrdersTable`, `DepthLadder` and `OptionChainTable`.
+ *
+ * @description
+ * # Components
+ * The components take their API clients from `TradeStationContext`, so they are used inside a
+ * `TradeStationProvider`. Those taking an `accountId` default to the selected account of the
+ * provider. They render plain tables and forms with `ts-` class names and no styles of their own.
+ *
+ * ```jsx
+ * <TradeStationProvider clientId="YOUR_API_KEY">
+ *   <QuoteBoard symbols={['MSFT', 'AAPL']} onSelect={setSymbol} />
+ *   <OrderTicket symbol={symbol} />
+ *   <PositionsGrid />
+ *   <OpenOrdersTable />
+ * </TradeStationProvider>
+ * ```
+ *
+ * # Order Ticket
+ * The ticket validates the order with `OrderBuilder`, previews it with `Orders.confirmOrder`
+ * (estimated cost and commission) and only then enables placing it with `Orders.placeOrder`.
+ * Changing any field discards the preview.
+ *
+ * # Depth Ladder
+ * `DepthLadder` shows the market depth of a symbol with the asks above the bids. Once "Click to
+ * trade" is checked, clicking the buy or sell cell of a price places a limit order at that price.
+ *
+ * # Option Chain
+ * `OptionChainTable` shows the calls and puts of an expiration side by side with their greeks.
+ * Clicking a bid sells the contract and clicking an ask buys it; the selected legs are previewed
+ * and placed either as one multi-leg order or as a group of single orders, one per leg.
+ */
+import React, { useEffect, useState } from 'react';
+import { Enums } from './enums';
+import { ValidationError } from './errors';
+import { OrderBuilder } from './orderBuilder';
+import { CANCELABLE_STATUSES } from './orders';
+import { useOptionChain, useOrderBook, useOrders, usePositions, useQuotes, useTradeStation } from './hooks';
+
+/**
+ * Columns of the quote board by default: the quote field and its heading.
+ * @type {Array<{field: string, label: string}>}
+ */
+const QUOTE_COLUMNS = [
+  { field: 'Last', label: 'Last' },
+  { field: 'NetChange', label: 'Change' },
+  { field: 'NetChangePct', label: '%' },
+  { field: 'Bid', label: 'Bid' },
+  { field: 'Ask', label: 'Ask' },
+  { field: 'Volume', label: 'Volume' },
+];
+
+/**
+ * Order types that take a limit price and a stop price.
+ * @type {{limit: Array<string>, stop: Array<string>}}
+ */
+const PRICED_ORDER_TYPES = {
+  limit: [Enums.OrderType.LIMIT, Enums.OrderType.STOPLIMIT],
+  stop: [Enums.OrderType.STOPMARKET, Enums.OrderType.STOPLIMIT],
+};
+
+/**
+ * Columns of each side of the option chain table by default: the contract field, its heading and decimals.
+ * @type {Array<{field: string, label: string, digits: number}>}
+ */
+const OPTION_COLUMNS = [
+  { field: 'bid', label: 'Bid', digits: 2 },
+  { field: 'ask', label: 'Ask', digits: 2 },
+  { field: 'delta', label: 'Delta', digits: 3 },
+  { field: 'gamma', label: 'Gamma', digits: 3 },
+  { field: 'theta', label: 'Theta', digits: 3 },
+  { field: 'vega', label: 'Vega', digits: 3 },
+  { field: 'impliedVolatility', label: 'IV', digits: 2 },
+  { field: 'openInterest', label: 'OI', digits: 0 },
+];
+
+/**
+ * How selected option legs are sent: as one order with legs, or as a group of single orders.
+ * @enum {string}
+ */
+const LegOrderMode = {
+  MULTI_LEG: 'Multi-leg',
+  GROUP: 'Group',
+};
+
+/**
+ * @param {string|number|undefined} value - A number or numeric string from the API.
+ * @param {number} [digits=2] - The number of decimals.
+ * @returns {string} - The formatted number, or an empty string when there is none.
+ */
+function formatNumber(value, digits = 2) {
+  if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) {
+    return '';
+  }
+  return Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * @param {string|number|undefined} value - A change or profit.
+ * @returns {string} - `ts-up`, `ts-down` or an empty class name.
+ */
+function directionClass(value) {
+  const number = Number(value);
+  if (!number) {
+    return '';
+  }
+  return number > 0 ? 'ts-up' : 'ts-down';
+}
+
+/**
+ * @param {string} [accountId] - The `accountId` prop of a component.
+ * @returns {string|null} - The account ID, or the one of the account selected in the provider.
+ */
+function useAccountId(accountId) {
+  const { selectedAccount } = useTradeStation();
+  return accountId || (selectedAccount ? selectedAccount.AccountID : null);
+}
+
+/**
+ * @param {Error} error - An error of a request.
+ * @returns {string} - The message to show.
+ */
+function errorMessage(error) {
+  if (error instanceof ValidationError && error.fields.length) {
+    return error.fields.map(({ field, message }) => `${field}: ${message}`).join('; ');
+  }
+  return error.message;
+}
+
+/**
+ * @param {Array<Object>} responses - The order responses of a placed order.
+ * @returns {string} - The messages and order IDs of the responses.
+ */
+function describeResponses(responses) {
+  return responses.map(response => `${response.Message || 'Order placed'} (${response.OrderID})`).join('; ');
+}
+
+/**
+ * A watchlist of streaming quotes.
+ * @param {Object} props - The component props.
+ * @param {Array<string>} props.symbols - The symbols, in display order.
+ * @param {Array<{field: string, label: string}>} [props.columns] - The quote fields shown after the symbol.
+ * @param {Function} [props.onSelect] - Called with the symbol of a clicked row.
+ * @returns {React.ReactElement}
+ */
+export function QuoteBoard({ symbols, columns = QUOTE_COLUMNS, onSelect }) {
+  const { data: quotes, error } = useQuotes(symbols);
+  return (
+    <table className="ts-quote-board">
+      <thead>
+        <tr>
+          <th>Symbol</th>
+          {columns.map(({ field, label }) => <th key={field}>{label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {symbols.map(symbol => {
+          const quote = (quotes && quotes[symbol]) || {};
+          return (
+            <tr key={symbol} className={directionClass(quote.NetChange)} onClick={onSelect && (() => onSelect(symbol))}>
+              <td>{symbol}</td>
+              {quote.Error
+                ? <td colSpan={columns.length} className="ts-error">{quote.Error}</td>
+                : columns.map(({ field }) => (
+                  <td key={field}>{field === 'Volume' ? formatNumber(quote[field], 0) : formatNumber(quote[field])}</td>
+                ))}
+            </tr>
+          );
+        })}
+      </tbody>
+      {error && (
+        <tfoot>
+          <tr><td colSpan={columns.length + 1} className="ts-error">{error.message}</td></tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+/**
+ * An order form that previews the order before placing it.
+ * @param {Object} props - The component props.
+ * @param {string} [props.accountId] - The account to trade in; the selected account by default.
+ * @param {string} [props.symbol=''] - The symbol; the ticket switches to it when it changes.
+ * @param {string} [props.tradeAction='BUY'] - The initial trade action, one of `Enums.OrderTradeAction`.
+ * @param {number|string} [props.quantity=1] - The initial quantity.
+ * @param {Function} [props.onPlaced] - Called with the order responses once the order is placed.
+ * @returns {React.ReactElement}
+ */
+export function OrderTicket({ accountId, symbol = '', tradeAction = Enums.OrderTradeAction.BUY, quantity = 1, onPlaced }) {
+  const { orders } = useTradeStation();
+  const account = useAccountId(accountId);
+  const [fields, setFields] = useState({
+    Symbol: symbol,
+    TradeAction: tradeAction,
+    Quantity: String(quantity),
+    OrderType: Enums.OrderType.MARKET,
+    LimitPrice: '',
+    StopPrice: '',
+    Duration: Enums.OrderDuration.DAY,
+  });
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setFields(current => ({ ...current, Symbol: symbol }));
+    setPreview(null);
+  }, [symbol]);
+
+  const change = field => event => {
+    setFields({ ...fields, [field]: event.target.value });
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const buildOrder = () => {
+    const builder = new OrderBuilder()
+      .account(account)
+      .symbol(fields.Symbol.trim().toUpperCase())
+      .quantity(fields.Quantity)
+      .action(fields.TradeAction)
+      .duration(fields.Duration);
+    switch (fields.OrderType) {
+      case Enums.OrderType.LIMIT:
+        builder.limit(fields.LimitPrice);
+        break;
+      case Enums.OrderType.STOPMARKET:
+        builder.stopMarket(fields.StopPrice);
+        break;
+      case Enums.OrderType.STOPLIMIT:
+        builder.stopLimit(fields.StopPrice, fields.LimitPrice);
+        break;
+      default:
+        builder.market();
+    }
+    return builder.build();
+  };
+
+  const run = request => {
+    setBusy(true);
+    setError(null);
+    return Promise.resolve()
+      .then(request)
+      .catch(setError)
+      .finally(() => setBusy(false));
+  };
+
+  const confirm = event => {
+    event.preventDefault();
+    run(() => {
+      const order = buildOrder();
+      return orders.confirmOrder(order).then(confirmations => setPreview({ order, confirmation: confirmations[0] || {} }));
+    });
+  };
+
+  const place = () => run(() => orders.placeOrder(preview.order).then(responses => {
+    setPreview(null);
+    setResult(responses);
+    if (onPlaced) {
+      onPlaced(responses);
+    }
+  }));
+
+  const select = (field, values) => (
+    <select value={fields[field]} onChange={change(field)} disabled={busy}>
+      {values.map(value => <option key={value} value={value}>{value}</option>)}
+    </select>
+  );
+
+  return (
+    <form className="ts-order-ticket" onSubmit={confirm}>
+      <input placeholder="Symbol" value={fields.Symbol} onChange={change('Symbol')} disabled={busy} />
+      {select('TradeAction', Object.values(Enums.OrderTradeAction))}
+      <input type="number" min="1" placeholder="Quantity" value={fields.Quantity} onChange={change('Quantity')} disabled={busy} />
+      {select('OrderType', Object.values(Enums.OrderType))}
+      {PRICED_ORDER_TYPES.limit.includes(fields.OrderType)
+        && <input type="number" step="any" placeholder="Limit" value={fields.LimitPrice} onChange={change('LimitPrice')} disabled={busy} />}
+      {PRICED_ORDER_TYPES.stop.includes(fields.OrderType)
+        && <input type="number" step="any" placeholder="Stop" value={fields.StopPrice} onChange={change('StopPrice')} disabled={busy} />}
+      {select('Duration', [Enums.OrderDuration.DAY, Enums.OrderDuration.GOODTILLCANCEL, Enums.OrderDuration.IMMEDIATEORCANCEL])}
+      <button type="submit" disabled={busy || !account}>Preview</button>
+      {preview && (
+        <div className="ts-order-preview">
+          <div>{preview.confirmation.SummaryMessage}</div>
+          <div>Estimated cost: {formatNumber(preview.confirmation.EstimatedCost)}</div>
+          <div>Estimated commission: {formatNumber(preview.confirmation.EstimatedCommission)}</div>
+          <button type="button" onClick={place} disabled={busy}>Place Order</button>
+        </div>
+      )}
+      {result && <div className="ts-order-result">{describeResponses(result)}</div>}
+      {error && <div className="ts-error">{errorMessage(error)}</div>}
+    </form>
+  );
+}
+
+/**
+ * The open positions of an account, with the profit and loss updated by the stream.
+ * @param {Object} props - The component props.
+ * @param {string} [props.accountId] - The account; the selected account by default.
+ * @param {Function} [props.onSelect] - Called with the position of a clicked row.
+ * @returns {React.ReactElement}
+ */
+export function PositionsGrid({ accountId, onSelect }) {
+  const { data: positions, error } = usePositions(useAccountId(accountId));
+  const rows = positions || [];
+  const total = field => rows.reduce((sum, position) => sum + (Number(position[field]) || 0), 0);
+  return (
+    <table className="ts-positions-grid">
+      <thead>
+        <tr>
+          <th>Symbol</th>
+          <th>Side</th>
+          <th>Quantity</th>
+          <th>Average Price</th>
+          <th>Last</th>
+          <th>Market Value</th>
+          <th>Unrealized P/L</th>
+          <th>%</th>
+          <th>Today's P/L</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(position => (
+          <tr key={position.PositionID} onClick={onSelect && (() => onSelect(position))}>
+            <td>{position.Symbol}</td>
+            <td>{position.LongShort}</td>
+            <td>{position.Quantity}</td>
+            <td>{formatNumber(position.AveragePrice)}</td>
+            <td>{formatNumber(position.Last)}</td>
+            <td>{formatNumber(position.MarketValue)}</td>
+            <td className={directionClass(position.UnrealizedProfitLoss)}>{formatNumber(position.UnrealizedProfitLoss)}</td>
+            <td className={directionClass(position.UnrealizedProfitLossPercent)}>{formatNumber(position.UnrealizedProfitLossPercent)}</td>
+            <td className={directionClass(position.TodaysProfitLoss)}>{formatNumber(position.TodaysProfitLoss)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td colSpan={5}>Total</td>
+          <td>{formatNumber(total('MarketValue'))}</td>
+          <td className={directionClass(total('UnrealizedProfitLoss'))}>{formatNumber(total('UnrealizedProfitLoss'))}</td>
+          <td />
+          <td className={directionClass(total('TodaysProfitLoss'))}>{formatNumber(total('TodaysProfitLoss'))}</td>
+        </tr>
+        {error && <tr><td colSpan={9} className="ts-error">{error.message}</td></tr>}
+      </tfoot>
+    </table>
+  );
+}
+
+/**
+ * A row of `OpenOrdersTable`, with its cancel and replace actions.
+ * @param {Object} props - The component props.
+ * @param {Object} props.order - The order, from `streamOrders`.
+ * @returns {React.ReactElement}
+ */
+function OpenOrderRow({ order }) {
+  const { orders } = useTradeStation();
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const leg = (order.Legs || [])[0] || {};
+  const hasLimit = PRICED_ORDER_TYPES.limit.includes(order.OrderType);
+  const hasStop = PRICED_ORDER_TYPES.stop.includes(order.OrderType);
+
+  const run = request => {
+    setBusy(true);
+    setError(null);
+    return request()
+      .then(() => setEditing(null), setError)
+      .finally(() => setBusy(false));
+  };
+
+  const cancel = () => run(() => orders.cancelOrder(order.OrderID));
+
+  const replace = () => {
+    const replacement = {};
+    if (editing.Quantity !== String(leg.QuantityOrdered)) {
+      replacement.Quantity = editing.Quantity;
+    }
+    if (hasLimit && editing.LimitPrice !== order.LimitPrice) {
+      replacement.LimitPrice = editing.LimitPrice;
+    }
+    if (hasStop && editing.StopPrice !== order.StopPrice) {
+      replacement.StopPrice = editing.StopPrice;
+    }
+    if (!Object.keys(replacement).length) {
+      setEditing(null);
+      return;
+    }
+    run(() => orders.replaceOrder(order.OrderID, replacement));
+  };
+
+  const edit = field => (
+    <input
+      type="number"
+      step="any"
+      value={editing[field]}
+      onChange={event => setEditing({ ...editing, [field]: event.target.value })}
+      disabled={busy}
+    />
+  );
+
+  return (
+    <tr className="ts-open-order">
+      <td>{order.OrderID}</td>
+      <td>{leg.Symbol}</td>
+      <td>{leg.BuyOrSell}</td>
+      <td>{order.OrderType}</td>
+      <td>{editing ? edit('Quantity') : leg.QuantityOrdered}</td>
+      <td>{leg.ExecQuantity}</td>
+      <td>{editing && hasLimit ? edit('LimitPrice') : formatNumber(order.LimitPrice)}</td>
+      <td>{editing && hasStop ? edit('StopPrice') : formatNumber(order.StopPrice)}</td>
+      <td>{order.StatusDescription || order.Status}</td>
+      <td>
+        {editing ? (
+          <>
+            <button type="button" onClick={replace} disabled={busy}>Save</button>
+            <button type="button" onClick={() => setEditing(null)} disabled={busy}>Discard</button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => setEditing({ Quantity: String(leg.QuantityOrdered || ''), LimitPrice: order.LimitPrice || '', StopPrice: order.StopPrice || '' })}
+              disabled={busy}
+            >
+              Replace
+            </button>
+            <button type="button" onClick={cancel} disabled={busy}>Cancel</button>
+          </>
+        )}
+        {error && <div className="ts-error">{errorMessage(error)}</div>}
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * The open orders of an account, each with a cancel action and a replace form for its quantity
+ * and prices.
+ * @param {Object} props - The component props.
+ * @param {string} [props.accountId] - The account; the selected account by default.
+ * @returns {React.ReactElement}
+ */
+export function OpenOrdersTable({ accountId }) {
+  const { data: orders, error } = useOrders(useAccountId(accountId));
+  const openOrders = (orders || []).filter(order => CANCELABLE_STATUSES.includes(order.Status));
+  return (
+    <table className="ts-open-orders">
+      <thead>
+        <tr>
+          <th>Order</th>
+          <th>Symbol</th>
+          <th>Side</th>
+          <th>Type</th>
+          <th>Quantity</th>
+          <th>Filled</th>
+          <th>Limit</th>
+          <th>Stop</th>
+          <th>Status</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {openOrders.map(order => <OpenOrderRow key={order.OrderID} order={order} />)}
+      </tbody>
+      {error && (
+        <tfoot>
+          <tr><td colSpan={10} className="ts-error">{error.message}</td></tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+/**
+ * A price ladder of the market depth of a symbol, with click-to-trade.
+ * @param {Object} props - The component props.
+ * @param {string} props.symbol - The symbol.
+ * @param {string} [props.accountId] - The account to trade in; the selected account by default.
+ * @param {number} [props.levels=10] - The number of price levels per side.
+ * @param {boolean} [props.aggregates=false] - Whether to stream aggregated levels instead of participant quotes.
+ * @param {number|string} [props.quantity=1] - The initial order quantity.
+ * @param {Function} [props.onPlaced] - Called with the order responses of each order placed.
+ * @returns {React.ReactElement}
+ */
+export function DepthLadder({ symbol, accountId, levels = 10, aggregates = false, quantity = 1, onPlaced }) {
+  const { orders } = useTradeStation();
+  const account = useAccountId(accountId);
+  const { data: book, error } = useOrderBook(symbol, { maxLevels: levels, aggregates });
+  const [orderQuantity, setOrderQuantity] = useState(String(quantity));
+  const [armed, setArmed] = useState(false);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const trade = (tradeAction, price) => {
+    if (!armed || busy) {
+      return;
+    }
+    setBusy(true);
+    setResult(null);
+    Promise.resolve()
+      .then(() => orders.placeOrder(new OrderBuilder()
+        .account(account)
+        .symbol(symbol)
+        .quantity(orderQuantity)
+        .action(tradeAction)
+        .limit(price)
+        .build()))
+      .then(responses => {
+        setResult({ message: describeResponses(responses) });
+        if (onPlaced) {
+          onPlaced(responses);
+        }
+      }, failure => setResult({ error: failure }))
+      .finally(() => setBusy(false));
+  };
+
+  const asks = book ? book.asks.slice(0, levels).reverse() : [];
+  const bids = book ? book.bids.slice(0, levels) : [];
+  const row = (level, side) => (
+    <tr key={`${side}:${level.price}`} className={`ts-ladder-${side.toLowerCase()}`}>
+      <td className="ts-ladder-buy" onClick={() => trade(Enums.OrderTradeAction.BUY, level.price)}>
+        {side === 'Bid' ? formatNumber(level.size, 0) : ''}
+      </td>
+      <td className="ts-ladder-price">{formatNumber(level.price)}</td>
+      <td className="ts-ladder-sell" onClick={() => trade(Enums.OrderTradeAction.SELL, level.price)}>
+        {side === 'Ask' ? formatNumber(level.size, 0) : ''}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="ts-depth-ladder">
+      <div>
+        <input type="number" min="1" value={orderQuantity} onChange={event => setOrderQuantity(event.target.value)} />
+        <label>
+          <input type="checkbox" checked={armed} onChange={event => setArmed(event.target.checked)} disabled={!account} />
+          Click to trade
+        </label>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Buy</th>
+            <th>{symbol}</th>
+            <th>Sell</th>
+          </tr>
+        </thead>
+        <tbody>
+          {asks.map(level => row(level, 'Ask'))}
+          {bids.map(level => row(level, 'Bid'))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan={3}>
+              Spread {book ? formatNumber(book.spread) : ''}, imbalance {book ? formatNumber(book.imbalance(levels)) : ''}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+      {result && result.message && <div className="ts-order-result">{result.message}</div>}
+      {result && result.error && <div className="ts-error">{errorMessage(result.error)}</div>}
+      {error && <div className="ts-error">{error.message}</div>}
+    </div>
+  );
+}
+
+/**
+ * An option chain with greeks per strike and legs selected by clicking bids and asks.
+ * @param {Object} props - The component props.
+ * @param {string} props.underlying - The underlying symbol.
+ * @param {number|Array<string>} [props.expirations=1] - The number of nearest expirations, or the expiration dates.
+ * @param {number} [props.strikeProximity=10] - The number of strikes on each side of the price.
+ * @param {string} [props.accountId] - The account to trade in; the selected account by default.
+ * @param {Array<{field: string, label: string, digits: number}>} [props.columns] - The contract fields shown on each side.
+ * @param {Function} [props.onPlaced] - Called with the order responses once the legs are placed.
+ * @returns {React.ReactElement}
+ */
+export function OptionChainTable({ underlying, expirations = 1, strikeProximity, accountId, columns = OPTION_COLUMNS, onPlaced }) {
+  const { orders } = useTradeStation();
+  const account = useAccountId(accountId);
+  const { data: chain, error: chainError } = useOptionChain(underlying, { expirations, strikeProximity });
+  const [selectedExpiration, setSelectedExpiration] = useState(null);
+  const [legs, setLegs] = useState([]);
+  const [ticket, setTicket] = useState({ quantity: '1', limitPrice: '', mode: LegOrderMode.MULTI_LEG });
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const dates = chain ? [...chain.streams.keys()].sort() : [];
+  const expiration = dates.includes(selectedExpiration) ? selectedExpiration : dates[0];
+  const netPrice = chain && legs.length ? chain.netPrice(legs) : null;
+
+  const reset = () => {
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const toggleLeg = (contract, ratio, price) => {
+    const others = legs.filter(leg => leg.symbol !== contract.symbol);
+    const selected = legs.find(leg => leg.symbol === contract.symbol);
+    setLegs(selected && selected.ratio === ratio
+      ? others
+      : [...others, { expiration: contract.expiration, strike: contract.strike, side: contract.side, ratio, price, symbol: contract.symbol }]);
+    reset();
+  };
+
+  const buildOrder = () => {
+    const quantity = Number(ticket.quantity);
+    if (ticket.mode === LegOrderMode.GROUP) {
+      return OrderBuilder.group(Enums.OSOType.NORMAL, legs.map(leg => {
+        const [{ Symbol, Quantity, TradeAction }] = chain.strategy([leg], { quantity }).order.Legs;
+        const builder = new OrderBuilder().account(account).symbol(Symbol).quantity(Quantity).action(TradeAction);
+        return leg.price === null ? builder.market() : builder.limit(leg.price);
+      }));
+    }
+    return chain
+      .strategy(legs, { quantity, limitPrice: ticket.limitPrice === '' ? undefined : ticket.limitPrice })
+      .account(account)
+      .build();
+  };
+
+  const run = request => {
+    setBusy(true);
+    setError(null);
+    return Promise.resolve()
+      .then(request)
+      .catch(setError)
+      .finally(() => setBusy(false));
+  };
+
+  const confirm = () => run(() => {
+    const order = buildOrder();
+    const confirmation = ticket.mode === LegOrderMode.GROUP ? orders.confirmGroupOrder(order) : orders.confirmOrder(order);
+    return confirmation.then(confirmations => setPreview({ order, mode: ticket.mode, confirmations }));
+  });
+
+  const place = () => run(() => {
+    const placement = preview.mode === LegOrderMode.GROUP ? orders.placeGroupOrder(preview.order) : orders.placeOrder(preview.order);
+    return placement.then(responses => {
+      setPreview(null);
+      setLegs([]);
+      setResult(responses);
+      if (onPlaced) {
+        onPlaced(responses);
+      }
+    });
+  });
+
+  const legOf = contract => legs.find(leg => leg.symbol === contract.symbol);
+  const cells = contract => columns.map(({ field, digits }) => {
+    if (!contract) {
+      return <td key={field} />;
+    }
+    const leg = legOf(contract);
+    if (field === 'bid' || field === 'ask') {
+      const ratio = field === 'bid' ? -1 : 1;
+      return (
+        <td
+          key={field}
+          className={leg && leg.ratio === ratio ? 'ts-selected' : ''}
+          onClick={() => toggleLeg(contract, ratio, contract[field])}
+        >
+          {formatNumber(contract[field], digits)}
+        </td>
+      );
+    }
+    return <td key={field}>{formatNumber(contract[field], digits)}</td>;
+  });
+
+  const mirrored = [...columns].reverse();
+  return (
+    <div className="ts-option-chain">
+      <select value={expiration || ''} onChange={event => setSelectedExpiration(event.target.value)}>
+        {dates.map(date => <option key={date} value={date}>{date}</option>)}
+      </select>
+      <table>
+        <thead>
+          <tr>
+            <th colSpan={columns.length}>Calls</th>
+            <th>{underlying} {chain && chain.underlyingPrice !== null ? formatNumber(chain.underlyingPrice) : ''}</th>
+            <th colSpan={columns.length}>Puts</th>
+          </tr>
+          <tr>
+            {mirrored.map(({ field, label }) => <th key={field}>{label}</th>)}
+            <th>Strike</th>
+            {columns.map(({ field, label }) => <th key={field}>{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {(chain && expiration ? chain.strikes(expiration) : []).map(strike => {
+            const call = chain.get(expiration, strike, 'Call');
+            const put = chain.get(expiration, strike, 'Put');
+            return (
+              <tr key={strike} className={call ? `ts-${(chain.moneyness(call) || '').toLowerCase()}` : ''}>
+                {cells(call).reverse()}
+                <td className="ts-strike">{formatNumber(strike)}</td>
+                {cells(put)}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {legs.length > 0 && (
+        <div className="ts-option-legs">
+          {legs.map(leg => (
+            <div key={leg.symbol}>
+              {leg.ratio > 0 ? 'Buy' : 'Sell'} {leg.symbol} @ {formatNumber(leg.price)}
+              <button type="button" onClick={() => toggleLeg(leg, leg.ratio, leg.price)} disabled={busy}>Remove</button>
+            </div>
+          ))}
+          <div>Net {netPrice === null ? '' : `${formatNumber(Math.abs(netPrice))} ${netPrice < 0 ? 'credit' : 'debit'}`}</div>
+          <input
+            type="number"
+            min="1"
+            value={ticket.quantity}
+            onChange={event => { setTicket({ ...ticket, quantity: event.target.value }); reset(); }}
+            disabled={busy}
+          />
+          <select value={ticket.mode} onChange={event => { setTicket({ ...ticket, mode: event.target.value }); reset(); }} disabled={busy}>
+            {Object.values(LegOrderMode).map(mode => <option key={mode} value={mode}>{mode}</option>)}
+          </select>
+          {ticket.mode === LegOrderMode.MULTI_LEG && (
+            <input
+              type="number"
+              step="any"
+              placeholder="Net limit"
+              value={ticket.limitPrice}
+              onChange={event => { setTicket({ ...ticket, limitPrice: event.target.value }); reset(); }}
+              disabled={busy}
+            />
+          )}
+          <button type="button" onClick={confirm} disabled={busy || !account}>Preview</button>
+        </div>
+      )}
+      {preview && (
+        <div className="ts-order-preview">
+          {preview.confirmations.map((confirmation, index) => (
+            <div key={index}>
+              {confirmation.SummaryMessage}; estimated cost {formatNumber(confirmation.EstimatedCost)},
+              commission {formatNumber(confirmation.EstimatedCommission)}
+            </div>
+          ))}
+          <button type="button" onClick={place} disabled={busy}>Place Order</button>
+        </div>
+      )}
+      {result && <div className="ts-order-result">{describeResponses(result)}</div>}
+      {(error || chainError) && <div className="ts-error">{errorMessage(error || chainError)}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview
+ * Type declarations for `enums.jsx`.
+ */
+
+export declare class Enums {
+  static readonly BarUnits: {
+    readonly MINUTE: 'minute';
+    readonly DAILY: 'daily';
+    readonly WEEKLY: 'weekly';
+    readonly MONTHLY: 'monthly';
+    readonly SECOND: 'second';
+  };
+  static readonly CrytpoBarIntervals: {
+    readonly ONE: '1';
+    readonly FIVE: '5';
+    readonly FIFTEEN: '15';
+    readonly THIRTY: '30';
+    readonly SIXTY: '60';
+    readonly TWOHUNDREDFORTY: '240';
+    readonly FOURHUNDREDEIGHTY: '480';
+  };
+  static readonly SessionTemplate: {
+    readonly QPRE: 'USEQPre';
+    readonly QPOST: 'USEQPost';
+    readonly QPREANDPOST: 'USEQPreAndPost';
+    readonly Q24HOUR: 'USEQ24Hour';
+    readonly DEFAULT: 'default';
+  };
+  static readonly SymbolCategory: {
+    readonly STOCK: 'stock';
+    readonly INDEX: 'index';
+    readonly MUTUAL_FUND: 'mutual fund';
+  };
+  static readonly SymbolCountry: {
+    readonly US: 'US';
+    readonly DE: 'DE';
+    readonly CA: 'CA';
+  };
+  static readonly SymbolCurrency: {
+    readonly USD: 'USD';
+    readonly AUD: 'AUD';
+    readonly CAD: 'CAD';
+    readonly CHF: 'CHF';
+    readonly DKK: 'DKK';
+    readonly EUR: 'EUR';
+    readonly GBP: 'GBP';
+    readonly HKD: 'HKD';
+    readonly JPY: 'JPY';
+    readonly NOK: 'NOK';
+    readonly NZD: 'NZD';
+    readonly SEK: 'SEK';
+    readonly SGD: 'SGD';
+  };
+  static readonly RuleType: {
+    readonly PRICE: 'Price';
+  };
+  static readonly MarketActivationRulePredicate: {
+    readonly LT: 'Lt';
+    readonly LTE: 'Lte';
+    readonly GT: 'Gt';
+    readonly GTE: 'Gte';
+  };
+  static readonly ActivationTriggerKey: {
+    readonly SingleTrade: 'STT';
+    readonly SingleTradeNBBO: 'STTN';
+    readonly SingleBidAsk: 'SBA';
+    readonly SingleAskBid: 'SAB';
+    readonly DoubleTrade: 'DTT';
+    readonly DoubleTradeNBBO: 'DTTN';
+    readonly DoubleBidAsk: 'DBA';
+    readonly DoubleAskBid: 'DAB';
+    readonly TwiceTrade: 'TTT';
+    readonly TwiceTradeNBBO: 'TTTN';
+    readonly TwiceBidAsk: 'TBA';
+    readonly TwiceAskBid: 'TAB';
+  };
+  static readonly LogicOperator: {
+    readonly AND: 'And';
+    readonly OR: 'Or';
+  };
+  static readonly OrderAssetType: {
+    readonly EQUITY: 'EQ';
+    readonly FUTURE: 'FU';
+    readonly OPTION: 'OP';
+  };
+  static readonly OrderDuration: {
+    readonly DAY: 'DAY';
+    readonly DAYPLUS: 'DYP';
+    readonly GOODTILLCANCEL: 'GTC';
+    readonly GOODTILLCANCELPLUS: 'GCP';
+    readonly GOODTHROUGHDATE: 'GTD';
+    readonly GOODTHROUGHDATEPLUS: 'GDP';
+    readonly GOODATOPENING: 'OPG';
+    readonly GOODATCLOSE: 'CLO';
+    readonly IMMEDIATEORCANCEL: 'IOC';
+    readonly FILLORKILL: 'FOK';
+    readonly EXPIRES1MIN: '1 MIN';
+    readonly EXPIRES3MIN: '3 MIN';
+    readonly EXPIRES5MIN: '5 MIN';
+  };
+  static readonly OrderType: {
+    readonly LIMIT: 'Limit';
+    readonly MARKET: 'Market';
+    readonly STOPLIMIT: 'StopLimit';
+    readonly STOPMARKET: 'StopMarket';
+  };
+  static readonly OrderTradeAction: {
+    readonly BUY: 'BUY';
+    readonly SELL: 'SELL';
+    readonly BUYTOCOVER: 'BUYTOCOVER';
+    readonly SELLSHORT: 'SELLSHORT';
+    readonly BUYTOOPEN: 'BUYTOOPEN';
+    readonly BUYTOCLOSE: 'BUYTOCLOSE';
+    readonly SELLTOOPEN: 'SELLTOOPEN';
+    readonly SELLTOCLOSE: 'SELLTOCLOSE';
+  };
+  static readonly OSOType: {
+    readonly NORMAL: 'NORMAL';
+    readonly BRK: 'BRK';
+    readonly OCO: 'OCO';
+  };
+  static readonly AssetType: {
+    readonly UNKNOWN: 'UNKNOWN';
+    readonly STOCK: 'STOCK';
+    readonly STOCKOPTION: 'STOCKOPTION';
+    readonly FUTURE: 'FUTURE';
+    readonly FUTUREOPTION: 'FUTUREOPTION';
+    readonly FOREX: 'FOREX';
+    readonly CURRENCYOPTION: 'CURRENCYOPTION';
+    readonly INDEX: 'INDEX';
+    readonly INDEXOPTION: 'INDEXOPTION';
+    readonly MUTUALFUND: 'MUTUALFUND';
+    readonly MONEYMARKETFUND: 'MONEYMARKETFUND';
+    readonly BOND: 'BOND';
+    readonly CRYPTO: 'CRYPTO';
+  };
+  static readonly OrderAssetCategory: {
+    readonly EQUITY: 'EQUITY';
+    readonly STOCKOPTION: 'STOCKOPTION';
+    readonly FUTURE: 'FUTURE';
+    readonly CRYPTO: 'CRYPTO';
+  };
+  static readonly PositionDirection: {
+    readonly LONG: 'Long';
+    readonly SHORT: 'Short';
+  };
+  static readonly PriceFormat: {
+    readonly DECIMAL: 'Decimal';
+    readonly FRACTION: 'Fraction';
+    readonly SUBFRACTION: 'SubFraction';
+  };
+  static readonly IncrementStyle: {
+    readonly SIMPLE: 'Simple';
+    readonly SCHEDULE: 'Schedule';
+  };
+  static readonly AccountType: {
+    readonly CASH: 'CASH';
+    readonly MARGIN: 'MARGIN';
+    readonly FUTURES: 'FUTURES';
+    readonly CRYPTO: 'CRYPTO';
+    readonly DVP: 'DVP';
+  };
+  static readonly Status: {
+    readonly RECEIVED: 'ACK';
+    readonly OPTIONASSIGNMENT: 'ASS';
+    readonly BRACKETCANCELED: 'BRC';
+    readonly BRACKETFILLED: 'BRF';
+    readonly BROKEN: 'BRO';
+    readonly CHANGE: 'CHG';
+    readonly CONDITIONMET: 'CND';
+    readonly FILLCORRECTED: 'COR';
+    readonly CANCELSENT: 'UCN';
+    readonly DISPATCHED: 'DIS';
+    readonly DEAD: 'DOA';
+    readonly QUEUED: 'DON';
+    readonly EXPIRATIONCANCELREQUEST: 'ECN';
+    readonly OPTIONEXERCISE: 'EXE';
+    readonly PARTIALFILLALIVE: 'FPR';
+    readonly TOOLATETOCANCEL: 'LAT';
+    readonly SENT: 'OPN';
+    readonly OSOORDER: 'OSO';
+    readonly NOTMAPPED: 'OTHER';
+    readonly SENDING: 'PLA';
+    readonly BIGBROTHERRECALLREQUEST: 'REC';
+    readonly CANCELREQUESTREJECTED: 'RJC';
+    readonly REPLACEPENDING: 'RPD';
+    readonly REPLACESENT: 'RSN';
+    readonly STOPHIT: 'STP';
+    readonly ORDERSTATUSMESSAGE: 'STT';
+    readonly SUSPENDED: 'SUS';
+    readonly CANCELED: 'CAN';
+    readonly EXPIRED: 'EXP';
+    readonly UROUT: 'OUT';
+    readonly CHANGEREQUESTREJECTED: 'RJR';
+    readonly BIGBROTHERRECALL: 'SCN';
+    readonly TRADESERVERCANCELED: 'TSC';
+    readonly REPLACED: 'UCH';
+    readonly REJECTED: 'REJ';
+    readonly FILLED: 'FLL';
+    readonly PARTIALFILL: 'FLP';
+  };
+}
+
+/**
+ * The values of one of the `Enums`, e.g. `EnumValue<typeof Enums.OrderType>`.
+ */
+export type EnumValue<T> = T[keyof T];
+
@@ -2,7 +2,7 @@
 /**
  * Enums class containing symbol-related enumerations.
  */
-class Enums {
+export class Enums {
   /**
    * Bar Units for time interval
    * @enum {string}
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview
+ * Type declarations for `errors.jsx`.
+ */
+
+export interface FailedRequest {
+  method: string;
+  url?: string;
+  params?: unknown;
+  data?: unknown;
+}
+
+export interface FieldProblem {
+  field: string;
+  message: string;
+}
+
+export interface TradeStationErrorDetails {
+  status?: number | null;
+  code?: string | null;
+  requestId?: string | null;
+  request?: FailedRequest | null;
+  response?: unknown;
+  cause?: unknown;
+}
+
+export declare class TradeStationError extends Error {
+  constructor(message: string, details?: TradeStationErrorDetails);
+  status: number | null;
+  code: string | null;
+  requestId: string | null;
+  request: FailedRequest | null;
+  response: unknown;
+  cause: unknown;
+}
+
+export declare class AuthenticationError extends TradeStationError {}
+
+export declare class ValidationError extends TradeStationError {
+  constructor(message: string, details?: TradeStationErrorDetails & { fields?: FieldProblem[] });
+  fields: FieldProblem[];
+}
+
+export declare class NotFoundError extends TradeStationError {}
+
+export declare class RateLimitError extends TradeStationError {
+  constructor(message: string, details?: TradeStationErrorDetails & { retryAfter?: number | null });
+  /** Seconds to wait before retrying, from the `Retry-After` header. */
+  retryAfter: number | null;
+}
+
+export declare class ServerError extends TradeStationError {}
+
+export declare class NetworkError extends TradeStationError {}
+
+export declare class OrderRejectedError extends TradeStationError {
+  constructor(message: string, details?: TradeStationErrorDetails & { errors?: Array<{ OrderID?: string; Error?: string; Message?: string }> });
+  errors: Array<{ OrderID?: string; Error?: string; Message?: string }>;
+}
+
+export declare class ResponseValidationError extends TradeStationError {
+  constructor(message: string, details?: TradeStationErrorDetails & { fields?: FieldProblem[] });
+  fields: FieldProblem[];
+}
+
+export declare class StreamError extends TradeStationError {}
+
+export declare function toTradeStationError(error: unknown): TradeStationError;
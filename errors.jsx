@@ -0,0 +1,202 @@
+/**
+ * @fileoverview
+ * This file contains the error classes thrown by the TradeStation API wrapper.
+ *
+ * @description
+ * Every failed request is converted into a `TradeStationError` subclass that keeps the HTTP
+ * status, the TradeStation `Error` code and `Message` from the response body, the request id
+ * and the original request, so callers can tell a rejected order from an expired token.
+ */
+
+export class TradeStationError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details] - Details of the failed request.
+   * @param {number} [details.status] - The HTTP status code.
+   * @param {string} [details.code] - The TradeStation `Error` code, e.g. `BadRequest` or `FAILED`.
+   * @param {string} [details.requestId] - The request id reported by the API.
+   * @param {Object} [details.request] - The original request: `method`, `url`, `params` and `data`.
+   * @param {Object} [details.response] - The response body.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(message, { status = null, code = null, requestId = null, request = null, response = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.request = request;
+    this.response = response;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The access token is missing, expired or lacks the required scope (401/403).
+ */
+export class AuthenticationError extends TradeStationError {}
+
+/**
+ * The request was malformed or failed validation (400), either on the server or before it was sent.
+ */
+export class ValidationError extends TradeStationError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details] - See `TradeStationError`.
+   * @param {Array<{field: string, message: string}>} [details.fields] - The offending fields, when validated client-side.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields || [];
+  }
+}
+
+/**
+ * The requested account, order or symbol does not exist (404).
+ */
+export class NotFoundError extends TradeStationError {}
+
+/**
+ * The request quota for the resource was exceeded (429).
+ */
+export class RateLimitError extends TradeStationError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details] - See `TradeStationError`.
+   * @param {number} [details.retryAfter] - Seconds to wait before retrying, from the `Retry-After` header.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter === undefined ? null : details.retryAfter;
+  }
+}
+
+/**
+ * The API failed or was unavailable (5xx).
+ */
+export class ServerError extends TradeStationError {}
+
+/**
+ * No response was received, e.g. on a timeout or a dropped connection.
+ */
+export class NetworkError extends TradeStationError {}
+
+/**
+ * One or more orders were rejected when confirming, placing or replacing them.
+ */
+export class OrderRejectedError extends TradeStationError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details] - See `TradeStationError`.
+   * @param {Array<Object>} [details.errors] - The rejected orders, each with `OrderID`, `Error` and `Message`.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * A response or stream message did not match the schema in `openapi.json`, e.g. after an API change.
+ */
+export class ResponseValidationError extends TradeStationError {
+  /**
+   * @param {string} message - The error message.
+   * @param {Object} [details] - See `TradeStationError`.
+   * @param {Array<{field: string, message: string}>} [details.fields] - The offending fields.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields || [];
+  }
+}
+
+/**
+ * The server reported an `Error` message inside an open stream.
+ */
+export class StreamError extends TradeStationError {}
+
+/**
+ * Picks the error class for an HTTP status code.
+ * @param {number} status - The HTTP status code.
+ * @returns {Function} - The error class.
+ */
+function errorClassForStatus(status) {
+  if (status === 401 || status === 403) {
+    return AuthenticationError;
+  }
+  if (status === 400) {
+    return ValidationError;
+  }
+  if (status === 404) {
+    return NotFoundError;
+  }
+  if (status === 429) {
+    return RateLimitError;
+  }
+  if (status >= 500) {
+    return ServerError;
+  }
+  return TradeStationError;
+}
+
+/**
+ * Parses a `Retry-After` header given either in seconds or as an HTTP date.
+ * @param {string} [value] - The header value.
+ * @returns {number|null} - Seconds to wait, or null when absent.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+}
+
+/**
+ * Converts an axios error into the matching `TradeStationError` subclass.
+ * Errors that already are `TradeStationError`s are returned unchanged.
+ * @param {Error} error - The axios error.
+ * @returns {TradeStationError}
+ */
+export function toTradeStationError(error) {
+  if (error instanceof TradeStationError) {
+    return error;
+  }
+
+  const config = error.config || {};
+  const request = {
+    method: (config.method || 'get').toUpperCase(),
+    url: config.url,
+    params: config.params,
+    data: config.data,
+  };
+
+  if (!error.response) {
+    return new NetworkError(error.message, { request, cause: error });
+  }
+
+  const { status, headers = {}, data } = error.response;
+  const body = data && typeof data === 'object' ? data : {};
+  const code = body.Error || null;
+  const message = body.Message
+    ? `${code ? `${code}: ` : ''}${body.Message}`
+    : error.message;
+  const ErrorClass = errorClassForStatus(status);
+
+  return new ErrorClass(message, {
+    status,
+    code,
+    requestId: headers['x-request-id'] || body.TraceId || null,
+    request,
+    response: data,
+    cause: error,
+    retryAfter: parseRetryAfter(headers['retry-after']),
+  });
+}
@@ -53,6 +53,19 @@ accounts.getOrders('61999124,68910124')
   })
   .catch(error => console.error('Error fetching orders:', error));
 
+// Iterate over every page of today's orders and open orders
+(async () => {
+  for await (const order of accounts.iterateOrders('61999124,68910124', { pageSize: 100 })) {
+    console.log('Order:', order.OrderID, order.Status);
+  }
+})().catch(error => console.error('Error iterating orders:', error));
+
+// Collect the historical orders of the last 90 days, the furthest back the API goes
+const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+accounts.getAllHistoricalOrders('61999124,68910124', since)
+  .then(({ Orders, Errors }) => console.log(`${Orders.length} historical orders`, Errors))
+  .catch(error => console.error('Error fetching historical orders:', error));
+
 
 
 
@@ -87,9 +100,9 @@ accounts.getWallets('61999124C')
 const cryptoAccount = '61999124C';
 accounts.streamWallets(cryptoAccount)
   .then(stream => {
-    // Handle the stream data
-    stream.on('data', data => {
-      console.log(data.toString());
+    // Handle the parsed wallet messages
+    stream.on('wallet', wallet => {
+      console.log('Wallet:', wallet);
     });
   })
   .catch(error => console.error('Error streaming wallets:', error));
@@ -99,14 +112,18 @@ accounts.streamWallets(cryptoAccount)
 // Stream orders
 const accountIds = '61999124,68910124'; // Replace with your account IDs
 accounts.streamOrders(accountIds)
+  .then(stream => {
+    stream.on('order', order => console.log('Order:', order.OrderID, order.Status));
+    stream.on('error', error => console.error('Order stream error:', error.code, error.message));
+  })
   .catch(error => console.error('Error streaming orders:', error));
 
 
 
 // Stream orders by account and order IDs
 accounts.streamOrdersByOrderId('61999124,68910124', '812767578,812941051')
-.then(orders => {
-  console.log('Streamed Orders:', orders);
+.then(stream => {
+  stream.on('order', order => console.log('Streamed Order:', order));
 })
 .catch(error => console.error('Error streaming orders by order ID:', error));
 
@@ -114,7 +131,7 @@ accounts.streamOrdersByOrderId('61999124,68910124', '812767578,812941051')
 // Example usage of streaming positions
 const accountIds = '61999124,68910124';
 accounts.streamPositions(accountIds, true)
-  .then(positions => {
-    console.log('Streamed Positions:', positions);
+  .then(stream => {
+    stream.on('position', position => console.log('Streamed Position:', position));
   })
   .catch(error => console.error('Error streaming positions:', error));
@@ -0,0 +1,41 @@
+import {TokenManager} from '../auth';
+import {Accounts} from '../accounts';
+import {MarketData} from '../marketData';
+import {Orders} from '../orders';
+
+// Example usage:
+const tokenManager = new TokenManager({
+  clientId: 'YOUR_API_KEY',
+  clientSecret: 'YOUR_API_SECRET',
+  redirectUri: 'http://localhost:3000',
+  onTokenRefresh: tokens => console.log('New refresh token to persist:', tokens.refreshToken),
+});
+
+// Send the user here to log in and authorize the application
+console.log('Authorize at:', tokenManager.getAuthorizationUrl());
+
+// Exchange the code received on the redirect URI, then share the live credential
+tokenManager.exchangeCode('AUTHORIZATION_CODE')
+  .then(() => {
+    const accounts = new Accounts(tokenManager);
+    const marketData = new MarketData(tokenManager);
+    const orders = new Orders(tokenManager);
+
+    accounts.getAccounts()
+      .then(accountList => console.log('Brokerage Accounts:', accountList))
+      .catch(error => console.error('Error fetching accounts:', error));
+  })
+  .catch(error => console.error('Error exchanging authorization code:', error));
+
+
+
+// Resume from a stored refresh token; the access token is fetched on first use
+const resumed = new TokenManager({
+  clientId: 'YOUR_API_KEY',
+  clientSecret: 'YOUR_API_SECRET',
+  refreshToken: 'YOUR_REFRESH_TOKEN',
+});
+
+new MarketData(resumed).getQuoteSnapshots('MSFT')
+  .then(response => console.log('Quote Snapshots:', response.data))
+  .catch(error => console.error('Error getting quote snapshots:', error));
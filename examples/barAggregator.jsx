@@ -0,0 +1,39 @@
+import {MarketData} from '../marketData';
+import {AggregationType, BarAggregator} from '../barAggregator';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// 3-minute bars built from the 1-minute bar stream, seeded with the last 300 minutes
+const threeMinute = new BarAggregator({ type: AggregationType.TIME, size: 3, unit: 'minute' });
+threeMinute.on('update', bar => console.log('Open 3-minute bar:', bar.Close));
+threeMinute.on('bar', bar => console.log('3-minute bar:', bar));
+threeMinute.connect(marketData, 'MSFT', { barsback: 300 })
+  .then(() => console.log('Seeded 3-minute bars:', threeMinute.bars.length))
+  .catch(error => console.error('Error aggregating bars:', error));
+
+// 2-hour bars aligned to the 9:30 ET session open
+const twoHour = new BarAggregator({ type: AggregationType.TIME, size: 2, unit: 'hour', origin: '2024-01-02T14:30:00Z' });
+twoHour.on('bar', bar => console.log('2-hour bar:', bar));
+twoHour.connect(marketData, 'MSFT', { barsback: 2000 })
+  .catch(error => console.error('Error aggregating bars:', error));
+
+// 1,000-share volume bars built from trades in the quote stream
+const volumeBars = new BarAggregator({ type: AggregationType.VOLUME, size: 1000 });
+volumeBars.on('bar', bar => console.log('Volume bar:', bar));
+volumeBars.connect(marketData, 'MSFT', { source: 'quotes' })
+  .catch(error => console.error('Error aggregating trades:', error));
+
+// $1 Renko bricks from the bar stream
+const renko = new BarAggregator({ type: AggregationType.RENKO, size: 1 });
+renko.on('bar', brick => console.log(Number(brick.Close) > Number(brick.Open) ? 'Up brick:' : 'Down brick:', brick.Close));
+renko.connect(marketData, 'MSFT', { barsback: 1000 })
+  .catch(error => console.error('Error aggregating bricks:', error));
+
+// 50-cent range bars from bars you already have
+marketData.getBars('MSFT', '1', 'Minute', '500')
+  .then(bars => {
+    const rangeBars = new BarAggregator({ type: AggregationType.RANGE, size: 0.5 }).seed(bars);
+    console.log('Range bars:', rangeBars.bars);
+  })
+  .catch(error => console.error('Error fetching bars:', error));
@@ -0,0 +1,80 @@
+import {HttpClient, Environment, StreamTransport} from '../client';
+import {RequestScheduler} from '../scheduler';
+import {SchemaValidator, ValidationMode} from '../validation';
+import {ResponseValidationError, ValidationError} from '../errors';
+import {Accounts} from '../accounts';
+import {Orders} from '../orders';
+import {MarketData} from '../marketData';
+
+// Example usage:
+// One client targeting the SIM environment, shared by every API class
+const client = new HttpClient('YOUR_ACCESS_TOKEN', {
+  baseUrl: Environment.SIM,
+  timeout: 10000,
+  logger: { error: (message, error) => console.warn('[tradestation]', message, error.message) },
+});
+
+const accounts = new Accounts(client);
+const orders = new Orders(client);
+
+// Log every outgoing request
+client.interceptors.request.use(config => {
+  console.log('Request:', config.method.toUpperCase(), config.url);
+  return config;
+});
+
+accounts.getAccounts()
+  .then(accountList => console.log('Brokerage Accounts:', accountList))
+  .catch(error => console.error('Error fetching accounts:', error));
+
+orders.getRoutes()
+  .then(routes => console.log('Routes:', routes))
+  .catch(error => console.error('Error getting routes:', error));
+
+
+
+// Target a local mock server without creating a client by hand
+const mockAccounts = new Accounts('TEST_TOKEN', { baseUrl: 'http://localhost:8080', logger: null });
+
+
+
+// Custom quotas and retry policy shared by every class using the client
+const throttledClient = new HttpClient('YOUR_ACCESS_TOKEN', {
+  scheduler: new RequestScheduler({
+    quotas: { quotes: { limit: 10, interval: 60 * 1000 } },
+    maxRetries: 5,
+  }),
+});
+
+console.log('Queued requests per resource:', throttledClient.scheduler.pending());
+
+
+
+// Validate order payloads, responses and stream messages against openapi.json during development
+const strictClient = new HttpClient('YOUR_ACCESS_TOKEN', {
+  baseUrl: Environment.SIM,
+  validation: ValidationMode.STRICT,
+});
+
+new Orders(strictClient).confirmOrder({ AccountID: '123456782', Symbol: 'MSFT', Quantity: 10 })
+  .catch(error => {
+    if (error instanceof ValidationError) {
+      // e.g. Quantity: expected string, got integer
+      error.fields.forEach(({field, message}) => console.error(`${field}: ${message}`));
+    } else if (error instanceof ResponseValidationError) {
+      console.error('The API response no longer matches openapi.json:', error.fields);
+    }
+  });
+
+// Only log mismatches, and report response fields missing from the spec
+const driftClient = new HttpClient('YOUR_ACCESS_TOKEN', {
+  validation: new SchemaValidator({ mode: ValidationMode.WARN, allowUnknown: false }),
+});
+
+
+
+// Streams use fetch in browsers and Node streams under Node; force fetch, e.g. in an edge runtime
+const fetchClient = new HttpClient('YOUR_ACCESS_TOKEN', { streamTransport: StreamTransport.FETCH });
+new MarketData(fetchClient).streamQuoteChanges('MSFT')
+  .then(stream => stream.on('quote', quote => console.log('Quote:', quote.Symbol, quote.Last)))
+  .catch(error => console.error('Error streaming quotes:', error));
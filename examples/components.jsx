@@ -0,0 +1,33 @@
+import React, {useState} from 'react';
+import {createRoot} from 'react-dom/client';
+import {DepthLadder, OpenOrdersTable, OptionChainTable, OrderTicket, PositionsGrid, QuoteBoard} from '../components';
+import {useTradeStation} from '../hooks';
+import {AuthStatus, TradeStationProvider} from '../provider';
+
+// Example usage:
+function TradingScreen() {
+  const { status, login } = useTradeStation();
+  const [symbol, setSymbol] = useState('MSFT');
+  if (status !== AuthStatus.SIGNED_IN) {
+    return <button onClick={() => login()}>Sign in with TradeStation</button>;
+  }
+  return (
+    <div>
+      {/* Clicking a row loads its symbol into the ticket */}
+      <QuoteBoard symbols={['MSFT', 'AAPL', 'SPY']} onSelect={setSymbol} />
+      <OrderTicket symbol={symbol} onPlaced={responses => console.log('Placed:', responses)} />
+      <PositionsGrid onSelect={position => setSymbol(position.Symbol)} />
+      <OpenOrdersTable />
+      {/* Check "Click to trade", then click a price to place a limit order there */}
+      <DepthLadder symbol={symbol} levels={10} aggregates />
+      {/* Click asks to buy and bids to sell, then preview the selected legs */}
+      <OptionChainTable underlying={symbol} expirations={2} strikeProximity={5} />
+    </div>
+  );
+}
+
+createRoot(document.getElementById('root')).render(
+  <TradeStationProvider clientId="YOUR_API_KEY" redirectUri="http://localhost:3000/">
+    <TradingScreen />
+  </TradeStationProvider>
+);
@@ -0,0 +1,45 @@
+import React from 'react';
+import {createRoot} from 'react-dom/client';
+import {Accounts} from '../accounts';
+import {MarketData} from '../marketData';
+import {TradeStationContext, useBalances, useBars, usePositions, useQuote} from '../hooks';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+const accounts = new Accounts('YOUR_ACCESS_TOKEN');
+
+function Quote({ symbol }) {
+  const { data: quote, error, status } = useQuote(symbol);
+  if (error) {
+    return <div>{symbol}: {error.message}</div>;
+  }
+  return <div className={status}>{symbol}: {quote ? `${quote.Bid} x ${quote.Ask}, last ${quote.Last}` : 'Loading...'}</div>;
+}
+
+function Chart({ symbol }) {
+  const { data: bars } = useBars(symbol, { interval: '5', unit: 'Minute', barsback: '50' });
+  return <div>{symbol}: {bars.length} bars, last close {bars.length ? bars[bars.length - 1].Close : '-'}</div>;
+}
+
+function Account({ accountId }) {
+  const { data: positions } = usePositions(accountId);
+  const { data: balances } = useBalances(accountId, { interval: 10000 });
+  return (
+    <div>
+      <div>Cash: {balances ? balances[0].CashBalance : '-'}</div>
+      {positions.map(position => (
+        <div key={position.PositionID}>{position.Symbol} {position.Quantity} {position.UnrealizedProfitLoss}</div>
+      ))}
+    </div>
+  );
+}
+
+createRoot(document.getElementById('root')).render(
+  <TradeStationContext.Provider value={{ marketData, accounts }}>
+    {/* Both quote components share one stream */}
+    <Quote symbol="MSFT" />
+    <Quote symbol="MSFT" />
+    <Chart symbol="MSFT" />
+    <Account accountId="123456782" />
+  </TradeStationContext.Provider>
+);
@@ -0,0 +1,31 @@
+import {MarketData} from '../marketData';
+import {ATR, RSI, VWAP, bollingerBands, ema, macd, sma} from '../indicators';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// Batch: indicators over daily bars
+marketData.getBars('MSFT', '1', 'Daily', '200')
+  .then(bars => {
+    console.log('SMA(50):', sma(bars, 50).pop());
+    console.log('EMA(20):', ema(bars, 20).pop());
+    console.log('MACD(12, 26, 9):', macd(bars).pop());
+    console.log('Bollinger Bands(20, 2):', bollingerBands(bars, 20).pop());
+  })
+  .catch(error => console.error('Error fetching bars:', error));
+
+// Incremental: seed with history, then update as streamed minute bars arrive
+const rsi = new RSI(14);
+const atr = new ATR(14);
+const vwap = new VWAP();
+marketData.getBars('MSFT', '1', 'Minute', '390')
+  .then(({Bars}) => {
+    Bars.forEach(bar => [rsi, atr, vwap].forEach(indicator => indicator.update(bar)));
+    return marketData.streamBars('MSFT', '1', 'Minute', '1');
+  })
+  .then(stream => {
+    stream.on('bar', bar => {
+      console.log('RSI:', rsi.update(bar), 'ATR:', atr.update(bar), 'VWAP:', vwap.update(bar));
+    });
+  })
+  .catch(error => console.error('Error streaming bars:', error));
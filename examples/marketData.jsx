@@ -1,5 +1,6 @@
 
 import {MarketData} from '../marketData';
+import {BarCache} from '../barCache';
 
 // Example usage:
 const marketData = new MarketData('YOUR_ACCESS_TOKEN');
@@ -9,10 +10,21 @@ marketData.getBars('MSFT', '1', 'Daily', '5')
   .then(response => console.log('Bars:', response))
   .catch(error => console.error('Error fetching bars:', error));
 
+// Download three years of minute bars; later runs only fetch the bars added since
+marketData.downloadBars('MSFT', {
+  from: '2022-01-01',
+  interval: '1',
+  unit: 'Minute',
+  sessiontemplate: 'USEQPreAndPost',
+  cache: new BarCache('./bars'),
+})
+  .then(bars => console.log(`Downloaded ${bars.length} bars from ${bars[0].TimeStamp}`))
+  .catch(error => console.error('Error downloading bars:', error));
+
 // Stream Bars
 marketData.streamBars('MSFT', '1', 'Daily', '5')
-  .then(response => {
-    response.data.on('data', chunk => console.log('Streamed Bar:', chunk.toString()));
+  .then(stream => {
+    stream.on('bar', bar => console.log('Streamed Bar:', bar));
   })
   .catch(error => console.error('Error streaming bars:', error));
 
@@ -64,15 +76,15 @@ marketData.getOptionStrikes('AAPL', 'Butterfly', 2, '12-17-2021', '12-18-2021')
 
 // Stream Option Chain
 marketData.streamOptionChain('AAPL', '2021-12-17')
-.then(response => {
-  response.data.on('data', chunk => console.log('Streamed Option Chain:', chunk.toString()));
+.then(stream => {
+  stream.on('spread', spread => console.log('Streamed Option Chain:', spread));
 })
 .catch(error => console.error('Error streaming option chain:', error));
 
 // Stream Option Quotes
 marketData.streamOptionQuotes('MSFT 220916C305')
-.then(response => {
-  response.data.on('data', chunk => console.log('Streamed Option Quotes:', chunk.toString()));
+.then(stream => {
+  stream.on('spread', spread => console.log('Streamed Option Quotes:', spread));
 })
 .catch(error => console.error('Error streaming option quotes:', error));
 
@@ -85,8 +97,8 @@ marketData.getQuoteSnapshots('MSFT,BTCUSD')
 
 // Stream Quote Changes
 marketData.streamQuoteChanges('MSFT,BTCUSD')
-  .then(response => {
-    response.data.on('data', chunk => console.log('Streamed Quote Changes:', chunk.toString()));
+  .then(stream => {
+    stream.on('quote', quote => console.log('Streamed Quote Changes:', quote));
   })
   .catch(error => console.error('Error streaming quote changes:', error));
 
@@ -94,14 +106,47 @@ marketData.streamQuoteChanges('MSFT,BTCUSD')
 
 // Stream Market Depth Quotes
 marketData.streamMarketDepthQuotes('AAPL')
-.then(response => {
-  response.data.on('data', chunk => console.log('Streamed Market Depth Quotes:', chunk.toString()));
+.then(stream => {
+  stream.on('depth', depth => console.log('Streamed Market Depth Quotes:', depth));
 })
 .catch(error => console.error('Error streaming market depth quotes:', error));
 
 // Stream Market Depth Aggregates
 marketData.streamMarketDepthAggregates('AAPL')
-.then(response => {
-  response.data.on('data', chunk => console.log('Streamed Market Depth Aggregates:', chunk.toString()));
+.then(stream => {
+  stream.on('depth', depth => console.log('Streamed Market Depth Aggregates:', depth));
 })
 .catch(error => console.error('Error streaming market depth aggregates:', error));
+
+
+
+// Consume a stream with an async iterator; leaving the loop closes the stream
+async function printQuotes() {
+  const stream = await marketData.streamQuoteChanges('MSFT');
+  stream.on('snapshotComplete', () => console.log('Initial snapshot delivered'));
+
+  for await (const quote of stream) {
+    console.log('Quote:', quote.Symbol, quote.Last);
+    if (Number(quote.Last) > 400) {
+      break;
+    }
+  }
+}
+
+
+
+// Long-lived stream: reconnects on GoAway, dropped connections and missed heartbeats
+marketData.streamQuoteChanges('MSFT,AAPL')
+  .then(stream => {
+    stream.on('quote', quote => console.log('Quote:', quote.Symbol, quote.Last));
+    stream.on('reconnecting', ({ attempt, delay, reason }) => {
+      console.warn(`Reconnecting (attempt ${attempt}) in ${Math.round(delay)} ms`, reason && reason.message);
+    });
+    stream.on('connected', () => console.log('Quote stream connected'));
+    stream.on('error', error => console.error('Quote stream error:', error));
+    stream.on('closed', () => console.log('Quote stream closed'));
+
+    // Stop streaming after an hour
+    setTimeout(() => stream.close(), 60 * 60 * 1000);
+  })
+  .catch(error => console.error('Error streaming quote changes:', error));
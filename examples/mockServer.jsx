@@ -0,0 +1,52 @@
+import {MockServer} from '../mockServer';
+import {Accounts} from '../accounts';
+import {MarketData} from '../marketData';
+import {Orders} from '../orders';
+import {HttpClient} from '../client';
+import {ValidationMode} from '../validation';
+import {RateLimitError} from '../errors';
+
+// Example usage:
+// Serve the openapi.json examples and recorded fixtures on a free local port
+const server = new MockServer({ heartbeatInterval: 1000 });
+
+server.start().then(async baseUrl => {
+  const client = new HttpClient('TEST_TOKEN', { baseUrl, validation: ValidationMode.STRICT });
+  const accounts = new Accounts(client);
+  const orders = new Orders(client);
+  const marketData = new MarketData(client);
+
+  console.log('Balances:', await accounts.getAccountBalances('123456789'));
+
+  // Inspect what the wrapper sent
+  await orders.placeOrder({
+    AccountID: '123456782',
+    Symbol: 'MSFT',
+    Quantity: '10',
+    OrderType: 'Market',
+    TradeAction: 'BUY',
+    TimeInForce: { Duration: 'DAY' },
+    Route: 'Intelligent',
+  });
+  const placed = server.requests.find(request => request.operationId === 'PlaceOrder');
+  console.log('Order sent:', placed.body);
+
+  // Replace a fixture and inject a rate limit
+  server.setFixture('GetPositions', { Positions: [] });
+  server.fail('GetAccounts', 429, { headers: { 'Retry-After': '1' }, times: 5 });
+  accounts.getAccounts()
+    .catch(error => console.log('Rate limited:', error instanceof RateLimitError));
+
+  // Streams send the fixture messages, then heartbeats; push more or force a reconnection
+  const stream = await marketData.streamQuoteChanges('MSFT');
+  stream.on('quote', quote => console.log('Quote:', quote.Symbol, quote.Last));
+  stream.on('reconnecting', ({attempt}) => console.log('Reconnecting, attempt', attempt));
+
+  server.push('GetQuoteChangeStream', { Symbol: 'MSFT', Last: '213.10' });
+  server.goAway('GetQuoteChangeStream');
+
+  setTimeout(() => {
+    stream.close();
+    server.stop();
+  }, 5000);
+});
@@ -0,0 +1,38 @@
+import {MarketData} from '../marketData';
+import {
+  analyzeRiskReward,
+  blackScholes,
+  crossCheckRiskReward,
+  impliedVolatility,
+  payoffAtExpiry,
+  positionGreeks,
+  priceRange,
+  profitLossCurve,
+  yearsUntil,
+} from '../optionAnalytics';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// Theoretical price and greeks of a call, and the volatility implied by its market price
+const time = yearsUntil('2024-12-20', '2024-06-03');
+console.log('Call:', blackScholes({ type: 'Call', spot: 415, strike: 420, time, volatility: 0.22, rate: 0.05, dividendYield: 0.007 }));
+console.log('Implied volatility:', impliedVolatility({ type: 'Call', spot: 415, strike: 420, time, rate: 0.05, price: 27.4 }));
+
+// A bull call spread: payoff at expiry, P/L curves for a what-if slider, and position greeks
+const legs = [
+  { type: 'Call', strike: 400, expiration: '2024-12-20', quantity: 1, price: 31.2, symbol: 'MSFT 241220C400' },
+  { type: 'Call', strike: 430, expiration: '2024-12-20', quantity: -1, price: 17.6, symbol: 'MSFT 241220C430' },
+];
+const prices = priceRange(415, { width: 0.15, steps: 60 });
+console.log('At expiry:', payoffAtExpiry(legs, prices));
+['2024-06-03', '2024-09-03', '2024-12-02'].forEach(date => {
+  console.log(`P/L on ${date}:`, profitLossCurve(legs, prices, { date, volatility: 0.22, rate: 0.05 }));
+});
+console.log('Greeks:', positionGreeks(legs, 415, { date: '2024-06-03', volatility: 0.22, rate: 0.05 }));
+console.log('Risk/reward:', analyzeRiskReward(legs));
+
+// Cross-check the local risk/reward with the API
+crossCheckRiskReward(marketData, legs)
+  .then(({matches, differences}) => console.log(matches ? 'Risk/reward matches the API' : 'Differences:', differences))
+  .catch(error => console.error('Error analyzing risk/reward:', error));
@@ -0,0 +1,45 @@
+import {MarketData} from '../marketData';
+import {Orders} from '../orders';
+import {OptionChain} from '../optionChain';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+const orders = new Orders('YOUR_ACCESS_TOKEN');
+
+// Live chain of the two nearest expirations, 10 strikes above and below the last price
+const chain = new OptionChain(marketData, 'MSFT', { strikeProximity: 10 });
+chain.on('error', error => console.error('Option chain stream error:', error.message));
+chain.connect({ expirations: 2 })
+  .then(() => {
+    chain.on('update', contract => console.log(contract.symbol, contract.bid, contract.ask, contract.delta));
+
+    // Liquid out-of-the-money puts with a delta between 0.15 and 0.30
+    const [expiration] = chain.expirationDates;
+    const puts = chain.filter({ expiration, side: 'Put', moneyness: 'OTM', minDelta: 0.15, maxDelta: 0.3, minOpenInterest: 500 });
+    console.log('Puts:', puts.map(put => `${put.strike} (${put.delta})`));
+
+    // Bull call spread at the net mid price
+    const [lower, upper] = chain.strikes(expiration).filter(strike => strike >= chain.underlyingPrice);
+    const legs = [
+      { expiration, strike: lower, side: 'Call', ratio: 1 },
+      { expiration, strike: upper, side: 'Call', ratio: -1 },
+    ];
+    const limitPrice = Number(chain.netPrice(legs).toFixed(2));
+    return chain.vertical({ expiration, side: 'Call', buyStrike: lower, sellStrike: upper, limitPrice })
+      .account('123456789')
+      .confirm(orders);
+  })
+  .then(confirmations => console.log('Vertical confirmation:', confirmations))
+  .catch(error => console.error('Error building the option chain:', error));
+
+// Short iron condor and long straddle order requests
+chain.connect()
+  .then(() => {
+    const [expiration] = chain.expirationDates;
+    const condor = chain.ironCondor({ expiration, strikes: [380, 390, 420, 430], quantity: 2, limitPrice: 2.15 });
+    const straddle = chain.straddle({ expiration, strike: 405 });
+    console.log('Iron condor:', condor.account('123456789').build());
+    console.log('Straddle:', straddle.account('123456789').build());
+    chain.unsubscribe();
+  })
+  .catch(error => console.error('Error building option strategies:', error));
@@ -0,0 +1,26 @@
+import {MarketData} from '../marketData';
+import {OrderBook} from '../orderBook';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// Per-participant book from the market depth quotes stream
+const book = new OrderBook({ maxLevels: 10 });
+book.on('top', ({bid, ask}) => console.log('Best Bid/Ask:', bid && bid.price, ask && ask.price, 'Spread:', book.spread));
+book.on('change', ({changes}) => changes.forEach(({side, price, size}) => console.log(`${side} ${price}: ${size}`)));
+book.connect(marketData, 'MSFT')
+  .then(stream => {
+    setInterval(() => {
+      console.log('Imbalance (5 levels):', book.imbalance(5));
+      console.log('Cumulative bid depth:', book.cumulativeDepth('Bid'));
+      console.log('NSDQ quotes:', book.participant('NSDQ'));
+    }, 5000);
+    stream.on('closed', () => book.clear());
+  })
+  .catch(error => console.error('Error streaming market depth:', error));
+
+// Aggregated book from the market depth aggregates stream
+const aggregateBook = new OrderBook({ maxLevels: 20 });
+aggregateBook.connect(marketData, 'ESZ24', { aggregates: true })
+  .then(() => aggregateBook.on('change', () => console.log('Bids:', aggregateBook.bids, 'Asks:', aggregateBook.asks)))
+  .catch(error => console.error('Error streaming market depth aggregates:', error));
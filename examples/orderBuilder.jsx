@@ -0,0 +1,93 @@
+import {Orders} from '../orders';
+import {OrderBuilder} from '../orderBuilder';
+import {Enums} from '../enums';
+import {ValidationError} from '../errors';
+
+// Example usage:
+const orders = new Orders('YOUR_ACCESS_TOKEN');
+
+// Limit buy, validated before it is confirmed
+new OrderBuilder()
+  .account('123456782')
+  .symbol('MSFT')
+  .quantity(10)
+  .buy()
+  .limit(300.5)
+  .confirm(orders)
+  .then(confirmation => console.log('Order Confirmation:', confirmation))
+  .catch(error => console.error('Error confirming order:', error));
+
+// Good-through-date stop limit order
+const gtdOrder = new OrderBuilder()
+  .account('123456782')
+  .symbol('MSFT')
+  .quantity(10)
+  .sell()
+  .stopLimit(290, 289.5)
+  .duration(Enums.OrderDuration.GOODTHROUGHDATE, new Date('2026-12-31'))
+  .build();
+
+orders.placeOrder(gtdOrder)
+  .then(response => console.log('Order Response:', response))
+  .catch(error => console.error('Error placing order:', error));
+
+// Entry order that sends a bracket (profit target and stop loss) once filled
+const exit = () => new OrderBuilder().account('123456782').symbol('MSFT').quantity(10).sell();
+new OrderBuilder()
+  .account('123456782')
+  .symbol('MSFT')
+  .quantity(10)
+  .buy()
+  .limit(300)
+  .oso(Enums.OSOType.BRK, exit().limit(320), exit().stopMarket(290))
+  .place(orders)
+  .then(response => console.log('Order Response:', response))
+  .catch(error => console.error('Error placing order:', error));
+
+// Trailing stop 5% below the highest price since it was placed
+new OrderBuilder()
+  .account('123456782')
+  .symbol('MSFT')
+  .quantity(10)
+  .sell()
+  .stopMarket()
+  .advanced({ TrailingStop: { Percent: 5 } })
+  .duration(Enums.OrderDuration.GOODTILLCANCEL)
+  .place(orders)
+  .then(response => console.log('Order Response:', response))
+  .catch(error => console.error('Error placing order:', error));
+
+// One-cancels-other group order
+const ocoOrder = OrderBuilder.oco(
+  new OrderBuilder().account('123456782').symbol('MSFT').quantity(10).buy().limit(295),
+  new OrderBuilder().account('123456782').symbol('MSFT').quantity(10).buy().stopMarket(310),
+);
+
+orders.placeGroupOrder(ocoOrder)
+  .then(response => console.log('Group Order Response:', response))
+  .catch(error => console.error('Error placing group order:', error));
+
+// Limit order activated once MSFT trades above 305
+new OrderBuilder()
+  .account('123456782')
+  .symbol('MSFT')
+  .quantity(10)
+  .buy()
+  .limit(306)
+  .activationRule({
+    triggerKey: Enums.ActivationTriggerKey.SingleTrade,
+    predicate: Enums.MarketActivationRulePredicate.GT,
+    price: 305,
+  })
+  .confirm(orders)
+  .then(confirmation => console.log('Order Confirmation:', confirmation))
+  .catch(error => console.error('Error confirming order:', error));
+
+// Problems are reported per field
+try {
+  new OrderBuilder().account('123456782').symbol('MSFT').quantity(10).action('Buy').duration('GTD').build();
+} catch (error) {
+  if (error instanceof ValidationError) {
+    error.fields.forEach(({field, message}) => console.error(`${field}: ${message}`));
+  }
+}
@@ -1,4 +1,5 @@
 import {Orders} from '../orders';
+import {AuthenticationError, OrderRejectedError, RateLimitError} from '../errors';
 
 // Example usage:
 const orders = new Orders('YOUR_ACCESS_TOKEN');
@@ -159,3 +160,44 @@ orders.getRoutes()
     console.log('Routes:', routes);
   })
   .catch(error => console.error('Error getting routes:', error));
+
+
+
+// React differently to a rejected order and an expired token
+orders.placeOrder(orderToPlace)
+  .then(orderResponses => console.log('Order Responses:', orderResponses))
+  .catch(error => {
+    if (error instanceof OrderRejectedError) {
+      console.warn('Order rejected:', error.code, error.errors.map(rejected => rejected.Message));
+    } else if (error instanceof AuthenticationError) {
+      console.warn('Please log in again:', error.message);
+    } else if (error instanceof RateLimitError) {
+      console.warn(`Rate limited, retry in ${error.retryAfter} seconds`);
+    } else {
+      console.error('Error placing order:', error.status, error.requestId, error);
+    }
+  });
+
+
+
+// Cancel an order
+orders.cancelOrder('123456789')
+  .then(orderResponse => console.log('Cancel Response:', orderResponse))
+  .catch(error => console.error('Error canceling order:', error));
+
+// Cancel all open MSFT orders of an account
+orders.cancelAllOrders('123456782', { symbol: 'MSFT' })
+  .then(results => {
+    results.forEach(result => console.log(result.OrderID, result.success ? 'canceled' : result.error.message));
+  })
+  .catch(error => console.error('Error canceling orders:', error));
+
+// Panic: cancel every open order and close every position of an account
+orders.flatten('123456782')
+  .then(({ cancellations, closings }) => {
+    console.log('Canceled orders:', cancellations.filter(result => result.success).length);
+    closings
+      .filter(result => !result.success)
+      .forEach(result => console.error('Could not close', result.Symbol, result.error.message));
+  })
+  .catch(error => console.error('Error flattening account:', error));
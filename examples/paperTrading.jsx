@@ -0,0 +1,56 @@
+import {MarketData} from '../marketData';
+import {OrderBuilder} from '../orderBuilder';
+import {PaperBroker} from '../paperTrading';
+import {Enums} from '../enums';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// Backtest: replay daily bars and buy every close below the 5-day low, with a bracket exit
+async function backtest() {
+  const broker = new PaperBroker({ cash: 10000, commission: 1 });
+  const bars = (await marketData.getBars('MSFT', '1', 'Daily', '250')).Bars;
+  const exit = () => new OrderBuilder().account(broker.accountId).symbol('MSFT').quantity(10).sell()
+    .duration(Enums.OrderDuration.GOODTILLCANCEL);
+
+  broker.on('fill', fill => console.log(`${fill.Timestamp} ${fill.TradeAction} ${fill.Quantity} ${fill.Symbol} @ ${fill.Price}`));
+
+  for (let index = 5; index < bars.length; index++) {
+    broker.replayBar('MSFT', bars[index]);
+    const close = Number(bars[index].Close);
+    const low = Math.min(...bars.slice(index - 5, index).map(bar => Number(bar.Low)));
+    const positions = await broker.accounts.getPositions(broker.accountId);
+    if (close < low && !positions.length) {
+      // Fills at the open of the next bar
+      await new OrderBuilder()
+        .account(broker.accountId)
+        .symbol('MSFT')
+        .quantity(10)
+        .buy()
+        .market()
+        .oso(Enums.OSOType.BRK, exit().limit(close * 1.05), exit().stopMarket(close * 0.97))
+        .place(broker.orders);
+    }
+  }
+
+  const [balance] = await broker.accounts.getAccountBalances(broker.accountId);
+  console.log('Equity:', balance.Equity, 'Realized P/L:', balance.BalanceDetail.RealizedProfitLoss);
+}
+
+// Forward test: fill orders against streamed quotes
+async function forwardTest() {
+  const broker = new PaperBroker({ cash: 100000 });
+  const stream = await broker.connect(marketData, 'MSFT');
+
+  broker.on('order', order => console.log('Order update:', order.OrderID, order.StatusDescription));
+  await new OrderBuilder().account(broker.accountId).symbol('MSFT').quantity(10).buy().limit(300).place(broker.orders);
+
+  setTimeout(async () => {
+    console.log('Positions:', await broker.accounts.getPositions(broker.accountId));
+    await broker.orders.flatten(broker.accountId);
+    stream.close();
+  }, 60000);
+}
+
+backtest().catch(error => console.error('Error running backtest:', error));
+forwardTest().catch(error => console.error('Error running forward test:', error));
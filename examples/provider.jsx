@@ -0,0 +1,52 @@
+import React from 'react';
+import {createRoot} from 'react-dom/client';
+import {Environment} from '../client';
+import {useOrders, usePositions, useTradeStation} from '../hooks';
+import {AuthStatus, TradeStationProvider} from '../provider';
+
+// Example usage:
+function Account() {
+  const { accountList, selectedAccount, selectAccount, logout } = useTradeStation();
+  const accountId = selectedAccount && selectedAccount.AccountID;
+  const { data: positions } = usePositions(accountId);
+  const { data: orders } = useOrders(accountId);
+  if (!accountList) {
+    return <div>Loading accounts...</div>;
+  }
+  return (
+    <div>
+      <select value={accountId} onChange={event => selectAccount(event.target.value)}>
+        {accountList.map(account => <option key={account.AccountID} value={account.AccountID}>{account.AccountID} ({account.AccountType})</option>)}
+      </select>
+      <button onClick={logout}>Sign out</button>
+      <div>{positions.length} positions, {orders.length} orders</div>
+    </div>
+  );
+}
+
+function App() {
+  const { status, error, login } = useTradeStation();
+  if (status === AuthStatus.LOADING) {
+    return <div>Signing in...</div>;
+  }
+  if (status !== AuthStatus.SIGNED_IN) {
+    return (
+      <div>
+        {error && <div>{error.message}</div>}
+        <button onClick={() => login().catch(loginError => console.error('Error starting sign-in:', loginError))}>Sign in with TradeStation</button>
+      </div>
+    );
+  }
+  return <Account />;
+}
+
+createRoot(document.getElementById('root')).render(
+  <TradeStationProvider
+    clientId="YOUR_API_KEY"
+    redirectUri="http://localhost:3000/"
+    clientOptions={{ baseUrl: Environment.SIM }}
+    onError={error => console.error('TradeStation error:', error)}
+  >
+    <App />
+  </TradeStationProvider>
+);
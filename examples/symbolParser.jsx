@@ -0,0 +1,44 @@
+import {MarketData} from '../marketData';
+import {OrderBuilder} from '../orderBuilder';
+import {
+  checkSymbols,
+  formatFutureSymbol,
+  formatOptionSymbol,
+  parseSymbol,
+  validateSymbol,
+} from '../symbolParser';
+
+// Example usage:
+const marketData = new MarketData('YOUR_ACCESS_TOKEN');
+
+// Parse symbols from positions, orders or quotes
+['MSFT 240119C400', 'SPXW  240119P04700000', 'ESZ24', '@ES', 'BTCUSD', '$SPX.X', 'AAPL']
+  .forEach(symbol => console.log(symbol, parseSymbol(symbol)));
+
+// Format symbols
+const put = formatOptionSymbol({ underlying: 'MSFT', expiration: '2024-01-19', right: 'Put', strike: 380 });
+const occ = formatOptionSymbol({ underlying: 'MSFT', expiration: '2024-01-19', right: 'Put', strike: 380 }, { occ: true });
+const future = formatFutureSymbol({ root: 'ES', month: 12, year: 2024 });
+console.log('Option:', put, 'OCC:', occ, 'Future:', future);
+
+// Validate before sending
+try {
+  marketData.getSymbolDetails(checkSymbols([put, future, 'BTCUSD']).join(','))
+    .then(details => console.log('Symbol Details:', details))
+    .catch(error => console.error('Error fetching symbol details:', error));
+} catch (error) {
+  console.error('Invalid symbols:', error.fields);
+}
+
+marketData.streamOptionQuotes(checkSymbols(put, { type: 'option' })[0])
+  .then(stream => stream.on('spread', quote => console.log('Option quote:', quote)))
+  .catch(error => console.error('Error streaming option quotes:', error));
+
+const order = new OrderBuilder().account('123456789').leg(put, 1, 'BUYTOOPEN').limit(2.5);
+const problems = order.toJSON().Legs.flatMap((leg, index) => validateSymbol(leg.Symbol, { type: 'option', path: `Legs[${index}].Symbol` }));
+console.log(problems.length ? problems : 'Order symbols are valid');
+
+// Or let the client check the symbols of symbol details, option quote streams and orders
+const checkedMarketData = new MarketData('YOUR_ACCESS_TOKEN', { checkSymbols: true });
+checkedMarketData.getSymbolDetails('MSFT,ES Z24')
+  .catch(error => console.error('Rejected before sending:', error.fields));
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview
+ * Type declarations for `hooks.jsx`.
+ */
+import type { Context } from 'react';
+import type { Accounts, Balance, OrderStreamMessage, PositionStreamMessage } from './accounts';
+import type { Bar, MarketData, QuoteStreamMessage } from './marketData';
+import type { OptionChain, OptionChainOptions } from './optionChain';
+import type { OrderBook } from './orderBook';
+import type { Orders } from './orders';
+
+export declare const StreamStatus: {
+  readonly IDLE: 'idle';
+  readonly CONNECTING: 'connecting';
+  readonly OPEN: 'open';
+  readonly RECONNECTING: 'reconnecting';
+  readonly ERROR: 'error';
+  readonly CLOSED: 'closed';
+};
+export type StreamStatus = typeof StreamStatus[keyof typeof StreamStatus];
+
+export interface TradeStationContextValue {
+  marketData: MarketData;
+  accounts: Accounts;
+  orders?: Orders;
+}
+
+export interface HookResult<T> {
+  data: T;
+  error: Error | null;
+  status: StreamStatus;
+}
+
+export interface UseBarsOptions {
+  interval?: string;
+  unit?: 'Minute' | 'Daily' | 'Weekly' | 'Monthly';
+  barsback?: string | number;
+  sessiontemplate?: string;
+  maxBars?: number;
+}
+
+export interface UseOrderBookOptions {
+  maxLevels?: number;
+  aggregates?: boolean;
+}
+
+export interface UseOptionChainOptions extends OptionChainOptions {
+  /** The number of nearest expirations, or the expiration dates. */
+  expirations?: number | string[];
+}
+
+export interface UseBalancesOptions {
+  /** Milliseconds between requests. */
+  interval?: number;
+}
+
+export declare const TradeStationContext: Context<TradeStationContextValue | null>;
+
+/** Pass `TradeStationProviderValue` as `T` under a `TradeStationProvider`. */
+export declare function useTradeStation<T extends TradeStationContextValue = TradeStationContextValue>(): T;
+
+export declare function useQuotes(symbols: string | string[] | null | undefined): HookResult<Record<string, QuoteStreamMessage> | null>;
+export declare function useQuote(symbol: string | null | undefined): HookResult<QuoteStreamMessage | null>;
+export declare function useBars(symbol: string | null | undefined, options?: UseBarsOptions): HookResult<Bar[] | null>;
+export declare function useOrderBook(symbol: string | null | undefined, options?: UseOrderBookOptions): HookResult<OrderBook | null>;
+export declare function useOptionChain(underlying: string | null | undefined, options?: UseOptionChainOptions): HookResult<OptionChain | null>;
+export declare function usePositions(accountIds: string | string[] | null | undefined): HookResult<PositionStreamMessage[] | null>;
+export declare function useOrders(accountIds: string | string[] | null | undefined): HookResult<OrderStreamMessage[] | null>;
+export declare function useBalances(accountIds: string | string[] | null | undefined, options?: UseBalancesOptions): HookResult<Balance[] | null>;
@@ -0,0 +1,419 @@
+/**
+ * @fileoverview
+ * This file contains the React hooks built on MarketData and Accounts: `useQuote`, `useQuotes`,
+ * `useBars`, `useOrderBook`, `useOptionChain`, `usePositions`, `useOrders` and `useBalances`.
+ *
+ * @description
+ * # Hooks
+ * The hooks take the API instances from `TradeStationContext` and return `{ data, error, status }`,
+ * where `status` is one of `StreamStatus`:
+ *
+ * ```jsx
+ * <TradeStationContext.Provider value={{ marketData, accounts }}>
+ *   <Watchlist />
+ * </TradeStationContext.Provider>
+ *
+ * function Price({ symbol }) {
+ *   const { data: quote, status } = useQuote(symbol);
+ *   return <span className={status}>{quote ? quote.Last : '-'}</span>;
+ * }
+ * ```
+ *
+ * # Shared Subscriptions
+ * Components asking for the same data share one stream (or, for balances, one polling loop),
+ * opened when the first of them mounts and closed shortly after the last one unmounts, so a
+ * remount does not reconnect. Passing `null` instead of a symbol or account ID keeps a hook idle.
+ */
+import { createContext, useCallback, useContext, useMemo, useSyncExternalStore } from 'react';
+import { OptionChain } from './optionChain';
+import { OrderBook } from './orderBook';
+
+/**
+ * Statuses of the data behind a hook.
+ * @enum {string}
+ */
+export const StreamStatus = {
+  IDLE: 'idle', // nothing requested
+  CONNECTING: 'connecting', // waiting for the stream or the first response
+  OPEN: 'open', // receiving data
+  RECONNECTING: 'reconnecting', // the stream dropped and is reopening
+  ERROR: 'error', // the request or the stream failed; see `error`
+  CLOSED: 'closed', // the server ended the stream
+};
+
+/**
+ * Milliseconds a subscription stays open after its last component unmounts.
+ * @type {number}
+ */
+const LINGER_MILLISECONDS = 1000;
+
+/**
+ * The result of a hook without a subscription.
+ * @type {{data: null, error: null, status: string}}
+ */
+const IDLE_RESULT = Object.freeze({ data: null, error: null, status: StreamStatus.IDLE });
+
+/**
+ * Provides `{ marketData, accounts }`, and `orders` for components placing orders, to the hooks.
+ * `TradeStationProvider` fills it with signed-in clients.
+ * @type {React.Context}
+ */
+export const TradeStationContext = createContext(null);
+
+/**
+ * @returns {Object} - The value of the nearest `TradeStationContext` provider.
+ * @throws {Error} - When there is no provider.
+ */
+export function useTradeStation() {
+  const value = useContext(TradeStationContext);
+  if (!value) {
+    throw new Error('TradeStation hooks must be used inside a TradeStationContext provider');
+  }
+  return value;
+}
+
+/**
+ * Subscriptions by API instance, then by key.
+ * @type {WeakMap<Object, Map<string, Subscription>>}
+ */
+const registry = new WeakMap();
+
+/**
+ * Data shared by the components subscribed to it: started with the first listener, stopped a
+ * little after the last one leaves. It is registered when created, so components rendered
+ * together find it before any of them subscribes.
+ */
+class Subscription {
+  /**
+   * @param {Map<string, Subscription>} subscriptions - The registry of the API instance.
+   * @param {string} key - The key of the subscription in the registry.
+   * @param {Function} source - Starts the data source with an `update` function; returns a function stopping it.
+   * @param {*} initialData - The data before the first message.
+   */
+  constructor(subscriptions, key, source, initialData) {
+    this.subscriptions = subscriptions;
+    this.key = key;
+    this.source = source;
+    this.initialData = initialData;
+    this.listeners = new Set();
+    this.snapshot = IDLE_RESULT;
+    this.stop = null;
+    this.lingerTimer = null;
+    subscriptions.set(key, this);
+  }
+
+  /**
+   * @param {Function} listener - Called after each change of `snapshot`.
+   * @returns {Function} - Unsubscribes the listener.
+   */
+  subscribe(listener) {
+    clearTimeout(this.lingerTimer);
+    this.listeners.add(listener);
+    if (!this.stop) {
+      this.start();
+    }
+    return () => {
+      this.listeners.delete(listener);
+      if (!this.listeners.size) {
+        this.lingerTimer = setTimeout(() => this.close(), LINGER_MILLISECONDS);
+      }
+    };
+  }
+
+  start() {
+    this.subscriptions.set(this.key, this);
+    this.snapshot = { data: this.initialData, error: null, status: StreamStatus.CONNECTING };
+    this.stop = this.source(update => {
+      if (!this.stop) {
+        return;
+      }
+      this.snapshot = { ...this.snapshot, ...(typeof update === 'function' ? update(this.snapshot) : update) };
+      this.listeners.forEach(listener => listener());
+    });
+  }
+
+  close() {
+    if (this.listeners.size || !this.stop) {
+      return;
+    }
+    const { stop } = this;
+    this.stop = null;
+    stop();
+    if (this.subscriptions.get(this.key) === this) {
+      this.subscriptions.delete(this.key);
+    }
+  }
+}
+
+/**
+ * A data source following a stream.
+ * @param {Function} openStream - Opens the stream; returns a promise of a TradeStationStream.
+ * @param {string} event - The stream event carrying the data, e.g. `quote`.
+ * @param {Function} reduce - Returns the next data from the current data and a message.
+ * @returns {Function} - The source, for `Subscription`.
+ */
+function streamSource(openStream, event, reduce) {
+  return update => {
+    let stream = null;
+    let stopped = false;
+    openStream().then(opened => {
+      if (stopped) {
+        opened.close();
+        return;
+      }
+      stream = opened;
+      update({ status: StreamStatus.OPEN });
+      stream.on('connected', () => update({ status: StreamStatus.OPEN, error: null }));
+      stream.on('reconnecting', () => update({ status: StreamStatus.RECONNECTING }));
+      stream.on('end', () => update({ status: StreamStatus.CLOSED }));
+      stream.on('error', error => update({ error, status: StreamStatus.ERROR }));
+      stream.on(event, message => update(({ data }) => ({ data: reduce(data, message), status: StreamStatus.OPEN })));
+    }, error => update({ error, status: StreamStatus.ERROR }));
+
+    return () => {
+      stopped = true;
+      if (stream) {
+        stream.close();
+      }
+    };
+  };
+}
+
+/**
+ * A data source polling a request.
+ * @param {Function} request - Returns a promise of the data.
+ * @param {number} interval - Milliseconds between the end of a request and the next one.
+ * @returns {Function} - The source, for `Subscription`.
+ */
+function pollingSource(request, interval) {
+  return update => {
+    let stopped = false;
+    let timer = null;
+    const poll = () => request()
+      .then(data => update({ data, error: null, status: StreamStatus.OPEN }), error => update({ error, status: StreamStatus.ERROR }))
+      .then(() => {
+        if (!stopped) {
+          timer = setTimeout(poll, interval);
+        }
+      });
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+}
+
+/**
+ * Subscribes a component to shared data.
+ * @param {Object} api - The API instance the data comes from.
+ * @param {string|null} key - Identifies the data; null for none.
+ * @param {Function} createSource - Returns the source of the data, when it is not shared yet.
+ * @param {*} initialData - The data before the first message.
+ * @returns {{data: *, error: Error|null, status: string}}
+ */
+function useSharedSubscription(api, key, createSource, initialData) {
+  const subscription = useMemo(() => {
+    if (key === null) {
+      return null;
+    }
+    if (!registry.has(api)) {
+      registry.set(api, new Map());
+    }
+    const subscriptions = registry.get(api);
+    return subscriptions.get(key) || new Subscription(subscriptions, key, createSource(), initialData);
+  }, [api, key]);
+
+  const subscribe = useCallback(listener => (subscription ? subscription.subscribe(listener) : () => {}), [subscription]);
+  const getSnapshot = useCallback(() => (subscription ? subscription.snapshot : IDLE_RESULT), [subscription]);
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
+
+/**
+ * @param {string|Array<string>|null} list - Comma-separated values or an array.
+ * @returns {string|null} - The values sorted and comma-separated, or null when there are none.
+ */
+function listKey(list) {
+  const values = (Array.isArray(list) ? list : String(list || '').split(','))
+    .map(value => String(value).trim())
+    .filter(Boolean);
+  return values.length ? [...new Set(values)].sort().join(',') : null;
+}
+
+/**
+ * @param {Array<Object>} items - The items.
+ * @param {Object} item - A new or updated item.
+ * @param {string} idField - The field identifying items.
+ * @returns {Array<Object>} - The items with the item replaced or appended.
+ */
+function upsert(items, item, idField) {
+  const index = items.findIndex(existing => existing[idField] === item[idField]);
+  if (index === -1) {
+    return [...items, item];
+  }
+  return [...items.slice(0, index), item, ...items.slice(index + 1)];
+}
+
+/**
+ * @param {Array<Object>} bars - Bars, oldest first.
+ * @param {Object} bar - A new or updated bar.
+ * @returns {Array<Object>} - The bars with the bar of the same `TimeStamp` replaced, or the bar inserted in time order.
+ */
+function insertBar(bars, bar) {
+  const time = Date.parse(bar.TimeStamp);
+  let index = bars.length;
+  while (index > 0 && Date.parse(bars[index - 1].TimeStamp) > time) {
+    index -= 1;
+  }
+  const replaced = index > 0 && Date.parse(bars[index - 1].TimeStamp) === time;
+  return [...bars.slice(0, replaced ? index - 1 : index), bar, ...bars.slice(index)];
+}
+
+/**
+ * Streams quotes with `streamQuoteChanges`, merging the changed fields of each message.
+ * @param {string|Array<string>|null} symbols - Symbols, comma-separated or as an array.
+ * @returns {{data: Object<string, Object>|null, error: Error|null, status: string}} - Quotes by symbol.
+ */
+export function useQuotes(symbols) {
+  const { marketData } = useTradeStation();
+  const key = listKey(symbols);
+  return useSharedSubscription(marketData, key && `quotes:${key}`, () => streamSource(
+    () => marketData.streamQuoteChanges(key),
+    'quote',
+    (quotes, quote) => ({ ...quotes, [quote.Symbol]: { ...quotes[quote.Symbol], ...quote } }),
+  ), {});
+}
+
+/**
+ * Streams the quote of one symbol.
+ * @param {string|null} symbol - The symbol.
+ * @returns {{data: Object|null, error: Error|null, status: string}} - The quote, null until it arrives.
+ */
+export function useQuote(symbol) {
+  const result = useQuotes(symbol ? [symbol] : null);
+  const quote = result.data ? result.data[symbol] || null : null;
+  return useMemo(() => ({ ...result, data: quote }), [result, quote]);
+}
+
+/**
+ * Streams bars with `streamBars`. A bar replaces the one with the same `TimeStamp`, so the open bar
+ * is updated until it closes and the bars sent again after a reconnect are not duplicated.
+ * @param {string|null} symbol - The symbol.
+ * @param {Object} [options] - Bar options.
+ * @param {string} [options.interval='1'] - The bar interval.
+ * @param {string} [options.unit='Daily'] - `Minute`, `Daily`, `Weekly` or `Monthly`.
+ * @param {string} [options.barsback='100'] - The number of bars of history.
+ * @param {string} [options.sessiontemplate] - United States (US) stock market session templates.
+ * @param {number} [options.maxBars=5000] - The most bars kept.
+ * @returns {{data: Array<Object>, error: Error|null, status: string}} - The bars, oldest first.
+ */
+export function useBars(symbol, {
+  interval = '1', unit = 'Daily', barsback = '100', sessiontemplate, maxBars = 5000,
+} = {}) {
+  const { marketData } = useTradeStation();
+  const key = symbol ? `bars:${symbol}:${interval}:${unit}:${barsback}:${sessiontemplate || ''}:${maxBars}` : null;
+  return useSharedSubscription(marketData, key, () => streamSource(
+    () => marketData.streamBars(symbol, interval, unit, String(barsback), sessiontemplate),
+    'bar',
+    (bars, bar) => {
+      const next = insertBar(bars, bar);
+      return next.length > maxBars ? next.slice(next.length - maxBars) : next;
+    },
+  ), []);
+}
+
+/**
+ * Maintains an `OrderBook` from the market depth streams.
+ * @param {string|null} symbol - The symbol.
+ * @param {Object} [options] - Book options.
+ * @param {number} [options.maxLevels=20] - The number of price levels per side.
+ * @param {boolean} [options.aggregates=false] - Whether to stream aggregated levels instead of participant quotes.
+ * @returns {{data: OrderBook|null, error: Error|null, status: string}} - The live book, null until the first update.
+ */
+export function useOrderBook(symbol, { maxLevels = 20, aggregates = false } = {}) {
+  const { marketData } = useTradeStation();
+  const key = symbol ? `book:${symbol}:${maxLevels}:${aggregates}` : null;
+  return useSharedSubscription(marketData, key, () => {
+    const book = new OrderBook({ maxLevels });
+    return streamSource(() => book.clear().connect(marketData, symbol, { aggregates }), 'depth', () => book);
+  }, null);
+}
+
+/**
+ * Streams an `OptionChain` for the nearest expirations, or the given ones.
+ * @param {string|null} underlying - The underlying symbol.
+ * @param {Object} [options] - `OptionChain` options, e.g. `strikeProximity`, and `expirations`.
+ * @param {number|Array<string>} [options.expirations=1] - The number of nearest expirations, or the expiration dates.
+ * @returns {{data: OptionChain|null, error: Error|null, status: string}} - The live chain, null until the first update.
+ */
+export function useOptionChain(underlying, { expirations = 1, ...chainOptions } = {}) {
+  const { marketData } = useTradeStation();
+  const key = underlying ? `chain:${underlying}:${JSON.stringify([expirations, chainOptions])}` : null;
+  return useSharedSubscription(marketData, key, () => update => {
+    let stopped = false;
+    const chain = new OptionChain(marketData, underlying, chainOptions);
+    chain.on('update', () => update({ data: chain, status: StreamStatus.OPEN }));
+    chain.on('error', error => update({ error, status: StreamStatus.ERROR }));
+    chain.connect({ expirations })
+      .then(() => update({ data: chain, status: StreamStatus.OPEN }), error => update({ error, status: StreamStatus.ERROR }))
+      .then(() => {
+        if (stopped) {
+          chain.unsubscribe();
+        }
+      });
+
+    return () => {
+      stopped = true;
+      chain.unsubscribe();
+    };
+  }, null);
+}
+
+/**
+ * Streams positions with `streamPositions`; closed positions are removed.
+ * @param {string|Array<string>|null} accountIds - Account IDs, comma-separated or as an array.
+ * @returns {{data: Array<Object>, error: Error|null, status: string}} - The open positions.
+ */
+export function usePositions(accountIds) {
+  const { accounts } = useTradeStation();
+  const key = listKey(accountIds);
+  return useSharedSubscription(accounts, key && `positions:${key}`, () => streamSource(
+    () => accounts.streamPositions(key),
+    'position',
+    (positions, position) => (position.Deleted
+      ? positions.filter(existing => existing.PositionID !== position.PositionID)
+      : upsert(positions, position, 'PositionID')),
+  ), []);
+}
+
+/**
+ * Streams the orders of today and open orders with `streamOrders`.
+ * @param {string|Array<string>|null} accountIds - Account IDs, comma-separated or as an array.
+ * @returns {{data: Array<Object>, error: Error|null, status: string}} - The orders, in the order first received.
+ */
+export function useOrders(accountIds) {
+  const { accounts } = useTradeStation();
+  const key = listKey(accountIds);
+  return useSharedSubscription(accounts, key && `orders:${key}`, () => streamSource(
+    () => accounts.streamOrders(key),
+    'order',
+    (orders, order) => upsert(orders, order, 'OrderID'),
+  ), []);
+}
+
+/**
+ * Polls balances with `getAccountBalances`, which has no stream.
+ * @param {string|Array<string>|null} accountIds - Account IDs, comma-separated or as an array.
+ * @param {Object} [options] - Polling options.
+ * @param {number} [options.interval=5000] - Milliseconds between requests.
+ * @returns {{data: Array<Object>|null, error: Error|null, status: string}} - The balances, null until the first response.
+ */
+export function useBalances(accountIds, { interval = 5000 } = {}) {
+  const { accounts } = useTradeStation();
+  const key = listKey(accountIds);
+  return useSharedSubscription(accounts, key && `balances:${key}:${interval}`, () => pollingSource(
+    () => accounts.getAccountBalances(key),
+    interval,
+  ), null);
+}
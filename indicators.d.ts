@@ -0,0 +1,93 @@
+/**
+ * @fileoverview
+ * Type declarations for `indicators.jsx`.
+ */
+import type { Bar } from './marketData';
+
+/** A bar with at least the fields an indicator reads, e.g. from `getBars`, `streamBars` or a BarAggregator. */
+export type IndicatorBar = Partial<Record<'Open' | 'High' | 'Low' | 'Close' | 'TotalVolume', string | number>> & { TimeStamp?: string };
+export type IndicatorInput = IndicatorBar | number;
+export type BarSeries<T = IndicatorBar> = T[] | { Bars?: Bar[] };
+
+export interface FieldOptions {
+  field?: 'Open' | 'High' | 'Low' | 'Close';
+}
+
+export interface MACDOptions extends FieldOptions {
+  fast?: number;
+  slow?: number;
+  signal?: number;
+}
+
+export interface MACDValue {
+  macd: number;
+  signal: number | null;
+  histogram: number | null;
+}
+
+export interface VWAPOptions {
+  anchor?: 'day' | 'none';
+  timeZone?: string;
+}
+
+export interface BollingerOptions extends FieldOptions {
+  multiplier?: number;
+}
+
+export interface BollingerValue {
+  upper: number;
+  middle: number;
+  lower: number;
+}
+
+export declare abstract class Indicator<V, I = IndicatorInput> {
+  value: V | null;
+  reset(): this;
+  update(input: I): V | null;
+  compute(bars: BarSeries<I>): Array<V | null>;
+}
+
+export declare class SMA extends Indicator<number> {
+  constructor(period: number, options?: FieldOptions);
+  period: number;
+}
+
+export declare class EMA extends Indicator<number> {
+  constructor(period: number, options?: FieldOptions);
+  period: number;
+}
+
+export declare class RSI extends Indicator<number> {
+  constructor(period?: number, options?: FieldOptions);
+  period: number;
+}
+
+export declare class MACD extends Indicator<MACDValue> {
+  constructor(options?: MACDOptions);
+  fast: number;
+  slow: number;
+  signal: number;
+}
+
+export declare class VWAP extends Indicator<number, IndicatorBar> {
+  constructor(options?: VWAPOptions);
+}
+
+export declare class ATR extends Indicator<number, IndicatorBar> {
+  constructor(period?: number);
+  period: number;
+}
+
+export declare class BollingerBands extends Indicator<BollingerValue> {
+  constructor(period?: number, options?: BollingerOptions);
+  period: number;
+  multiplier: number;
+}
+
+export declare function sma(bars: BarSeries<IndicatorInput>, period: number, options?: FieldOptions): Array<number | null>;
+export declare function ema(bars: BarSeries<IndicatorInput>, period: number, options?: FieldOptions): Array<number | null>;
+export declare function rsi(bars: BarSeries<IndicatorInput>, period?: number, options?: FieldOptions): Array<number | null>;
+export declare function macd(bars: BarSeries<IndicatorInput>, options?: MACDOptions): Array<MACDValue | null>;
+export declare function vwap(bars: BarSeries, options?: VWAPOptions): Array<number | null>;
+export declare function atr(bars: BarSeries, period?: number): Array<number | null>;
+export declare function bollingerBands(bars: BarSeries<IndicatorInput>, period?: number, options?: BollingerOptions): Array<BollingerValue | null>;
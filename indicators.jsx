@@ -0,0 +1,455 @@
+/**
+ * @fileoverview
+ * This file contains technical indicators computed from the bars of `MarketData.getBars` and
+ * `MarketData.streamBars`: SMA, EMA, RSI, MACD, VWAP, ATR and Bollinger Bands.
+ *
+ * @description
+ * # Batch
+ * Each indicator has a function taking bars, oldest first, or the result of `getBars`, and
+ * returning one value per bar, `null` until enough bars have been seen:
+ *
+ * ```js
+ * const { Bars } = await marketData.getBars('MSFT', '1', 'Daily', '200');
+ * const closes = sma(Bars, 50);
+ * const { signal, histogram } = macd(Bars).pop();
+ * ```
+ *
+ * # Incremental
+ * Each indicator is also a class whose `update` takes one bar at a time and returns the latest
+ * value. `streamBars` sends the open bar again each time it changes; a bar with the same
+ * `TimeStamp` as the previous one replaces it instead of being counted again:
+ *
+ * ```js
+ * const rsi = new RSI(14);
+ * Bars.forEach(bar => rsi.update(bar));
+ * stream.on('bar', bar => console.log('RSI:', rsi.update(bar)));
+ * ```
+ *
+ * Prices are read from the string fields of the bars (`Close` by default, see `field`), so the
+ * bars of a BarAggregator work as well. SMA, EMA, RSI, MACD and Bollinger Bands also take plain
+ * numbers. EMA and MACD are seeded with the SMA of their first values; RSI and ATR use Wilder's
+ * smoothing, seeded with the mean of their first values; Bollinger Bands use the population
+ * standard deviation.
+ */
+import { ValidationError } from './errors';
+
+/**
+ * @param {Object|number} input - A bar, or a price.
+ * @param {string} field - The bar field holding the price.
+ * @returns {number} - The price.
+ */
+function priceOf(input, field) {
+  return typeof input === 'number' ? input : Number(input[field]);
+}
+
+/**
+ * @param {Array<Object>|{Bars: Array<Object>}} bars - Bars, or the result of `getBars`.
+ * @returns {Array<Object>} - The bars.
+ */
+function barsOf(bars) {
+  return Array.isArray(bars) ? bars : bars.Bars || [];
+}
+
+/**
+ * @param {Object<string, number>} periods - Periods by option name.
+ * @throws {ValidationError} - When a period is not a positive integer.
+ */
+function checkPeriods(periods) {
+  const problems = Object.entries(periods)
+    .filter(([, period]) => !Number.isInteger(period) || period < 1)
+    .map(([field, period]) => ({ field, message: `${field} must be a positive integer, got '${period}'` }));
+  if (problems.length) {
+    throw new ValidationError(`Invalid indicator: ${problems.map(problem => problem.message).join('; ')}`, { fields: problems });
+  }
+}
+
+/**
+ * Steps a simple moving average.
+ * @param {{window: Array<number>, value: number|null}} state - The previous state.
+ * @param {number} price - The next price.
+ * @param {number} period - The number of prices averaged.
+ * @returns {{window: Array<number>, value: number|null}} - The next state.
+ */
+function smaStep(state, price, period) {
+  const window = [...state.window, price].slice(-period);
+  return {
+    window,
+    value: window.length === period ? window.reduce((sum, value) => sum + value, 0) / period : null,
+  };
+}
+
+/**
+ * Steps an exponential moving average, seeded with the SMA of the first `period` prices.
+ * @param {{count: number, sum: number, value: number|null}} state - The previous state.
+ * @param {number} price - The next price.
+ * @param {number} period - The EMA period; the smoothing factor is `2 / (period + 1)`.
+ * @returns {{count: number, sum: number, value: number|null}} - The next state.
+ */
+function emaStep(state, price, period) {
+  if (state.value !== null) {
+    return { ...state, value: state.value + (price - state.value) * (2 / (period + 1)) };
+  }
+  const count = state.count + 1;
+  const sum = state.sum + price;
+  return { count, sum, value: count === period ? sum / period : null };
+}
+
+/**
+ * @type {{count: number, sum: number, value: null}}
+ */
+const EMA_START = { count: 0, sum: 0, value: null };
+
+/**
+ * Base class of the indicators: keeps the state before the last bar, so an update of the open
+ * bar is computed from it again.
+ */
+export class Indicator {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forgets every bar seen.
+   * @returns {Indicator} - The indicator, for chaining.
+   */
+  reset() {
+    this.state = this.initialState();
+    this.previousState = this.state;
+    this.time = undefined;
+    this.value = null;
+    return this;
+  }
+
+  /**
+   * Adds the next bar, or replaces the last one when it has the same `TimeStamp`.
+   * @param {Object|number} input - A bar, or a price.
+   * @returns {*} - The latest value, or null while there are not enough bars.
+   */
+  update(input) {
+    const time = typeof input === 'object' ? input.TimeStamp : undefined;
+    if (time === undefined || time !== this.time) {
+      this.previousState = this.state;
+    }
+    this.state = this.step(this.previousState, input);
+    this.time = time;
+    this.value = this.state.value;
+    return this.value;
+  }
+
+  /**
+   * Computes the indicator over bars from the start, without changing this indicator's state.
+   * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+   * @returns {Array<*>} - One value per bar.
+   */
+  compute(bars) {
+    const indicator = Object.create(this).reset();
+    return barsOf(bars).map(bar => indicator.update(bar));
+  }
+
+  /**
+   * @returns {Object} - The state before the first bar.
+   */
+  initialState() {
+    return { value: null };
+  }
+
+  /**
+   * @param {Object} state - The state before the bar.
+   * @param {Object|number} input - A bar, or a price.
+   * @returns {Object} - The state after the bar, with the indicator value in `value`.
+   */
+  step(state) {
+    return state;
+  }
+}
+
+export class SMA extends Indicator {
+  /**
+   * @param {number} period - The number of bars averaged.
+   * @param {Object} [options] - Indicator options.
+   * @param {string} [options.field='Close'] - The bar field averaged.
+   */
+  constructor(period, { field = 'Close' } = {}) {
+    checkPeriods({ period });
+    super();
+    this.period = period;
+    this.field = field;
+  }
+
+  initialState() {
+    return { window: [], value: null };
+  }
+
+  step(state, input) {
+    return smaStep(state, priceOf(input, this.field), this.period);
+  }
+}
+
+export class EMA extends Indicator {
+  /**
+   * @param {number} period - The EMA period.
+   * @param {Object} [options] - Indicator options.
+   * @param {string} [options.field='Close'] - The bar field averaged.
+   */
+  constructor(period, { field = 'Close' } = {}) {
+    checkPeriods({ period });
+    super();
+    this.period = period;
+    this.field = field;
+  }
+
+  initialState() {
+    return EMA_START;
+  }
+
+  step(state, input) {
+    return emaStep(state, priceOf(input, this.field), this.period);
+  }
+}
+
+export class RSI extends Indicator {
+  /**
+   * @param {number} [period=14] - The RSI period.
+   * @param {Object} [options] - Indicator options.
+   * @param {string} [options.field='Close'] - The bar field used.
+   */
+  constructor(period = 14, { field = 'Close' } = {}) {
+    checkPeriods({ period });
+    super();
+    this.period = period;
+    this.field = field;
+  }
+
+  initialState() {
+    return { price: null, count: 0, gain: 0, loss: 0, value: null };
+  }
+
+  step(state, input) {
+    const price = priceOf(input, this.field);
+    if (state.price === null) {
+      return { ...state, price };
+    }
+
+    const change = price - state.price;
+    const count = Math.min(state.count + 1, this.period);
+    const weight = state.count < this.period ? state.count : this.period - 1;
+    const gain = (state.gain * weight + Math.max(change, 0)) / (weight + 1);
+    const loss = (state.loss * weight + Math.max(-change, 0)) / (weight + 1);
+    let value = null;
+    if (count === this.period) {
+      value = loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+    }
+    return { price, count, gain, loss, value };
+  }
+}
+
+export class MACD extends Indicator {
+  /**
+   * @param {Object} [options] - Indicator options.
+   * @param {number} [options.fast=12] - The period of the fast EMA.
+   * @param {number} [options.slow=26] - The period of the slow EMA.
+   * @param {number} [options.signal=9] - The period of the signal line, an EMA of the MACD line.
+   * @param {string} [options.field='Close'] - The bar field used.
+   */
+  constructor({ fast = 12, slow = 26, signal = 9, field = 'Close' } = {}) {
+    checkPeriods({ fast, slow, signal });
+    super();
+    this.fast = fast;
+    this.slow = slow;
+    this.signal = signal;
+    this.field = field;
+  }
+
+  initialState() {
+    return { fast: EMA_START, slow: EMA_START, signal: EMA_START, value: null };
+  }
+
+  /**
+   * @returns {{macd: number, signal: number|null, histogram: number|null}|null}
+   */
+  step(state, input) {
+    const price = priceOf(input, this.field);
+    const fast = emaStep(state.fast, price, this.fast);
+    const slow = emaStep(state.slow, price, this.slow);
+    if (fast.value === null || slow.value === null) {
+      return { ...state, fast, slow };
+    }
+
+    const line = fast.value - slow.value;
+    const signal = emaStep(state.signal, line, this.signal);
+    return {
+      fast,
+      slow,
+      signal,
+      value: {
+        macd: line,
+        signal: signal.value,
+        histogram: signal.value === null ? null : line - signal.value,
+      },
+    };
+  }
+}
+
+export class VWAP extends Indicator {
+  /**
+   * @param {Object} [options] - Indicator options.
+   * @param {string} [options.anchor='day'] - `day` to start over on each trading day, `none` to accumulate every bar.
+   * @param {string} [options.timeZone='America/New_York'] - The time zone whose dates are trading days.
+   */
+  constructor({ anchor = 'day', timeZone = 'America/New_York' } = {}) {
+    super();
+    this.anchor = anchor;
+    this.dates = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+
+  initialState() {
+    return { session: null, volume: 0, total: 0, value: null };
+  }
+
+  step(state, bar) {
+    const session = this.anchor === 'day' ? this.dates.format(new Date(bar.TimeStamp)) : null;
+    const start = session === state.session ? state : this.initialState();
+    const typical = (Number(bar.High) + Number(bar.Low) + Number(bar.Close)) / 3;
+    const volume = start.volume + Number(bar.TotalVolume || 0);
+    const total = start.total + typical * Number(bar.TotalVolume || 0);
+    return { session, volume, total, value: volume > 0 ? total / volume : null };
+  }
+}
+
+export class ATR extends Indicator {
+  /**
+   * @param {number} [period=14] - The ATR period. The first true range is the range of the first bar.
+   */
+  constructor(period = 14) {
+    checkPeriods({ period });
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { close: null, count: 0, value: null, average: 0 };
+  }
+
+  step(state, bar) {
+    const high = Number(bar.High);
+    const low = Number(bar.Low);
+    const range = state.close === null
+      ? high - low
+      : Math.max(high - low, Math.abs(high - state.close), Math.abs(low - state.close));
+
+    const count = Math.min(state.count + 1, this.period);
+    const weight = state.count < this.period ? state.count : this.period - 1;
+    const average = (state.average * weight + range) / (weight + 1);
+    return { close: Number(bar.Close), count, average, value: count === this.period ? average : null };
+  }
+}
+
+export class BollingerBands extends Indicator {
+  /**
+   * @param {number} [period=20] - The number of bars of the middle band, an SMA.
+   * @param {Object} [options] - Indicator options.
+   * @param {number} [options.multiplier=2] - The number of standard deviations between the middle and outer bands.
+   * @param {string} [options.field='Close'] - The bar field used.
+   */
+  constructor(period = 20, { multiplier = 2, field = 'Close' } = {}) {
+    checkPeriods({ period });
+    super();
+    this.period = period;
+    this.multiplier = multiplier;
+    this.field = field;
+  }
+
+  initialState() {
+    return { window: [], value: null };
+  }
+
+  /**
+   * @returns {{upper: number, middle: number, lower: number}|null}
+   */
+  step(state, input) {
+    const { window, value: middle } = smaStep(state, priceOf(input, this.field), this.period);
+    if (middle === null) {
+      return { window, value: null };
+    }
+
+    const deviation = Math.sqrt(window.reduce((sum, price) => sum + (price - middle) ** 2, 0) / this.period);
+    return {
+      window,
+      value: { upper: middle + this.multiplier * deviation, middle, lower: middle - this.multiplier * deviation },
+    };
+  }
+}
+
+/**
+ * Simple moving average.
+ * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+ * @param {number} period - The number of bars averaged.
+ * @param {Object} [options] - See `SMA`.
+ * @returns {Array<number|null>} - One value per bar.
+ */
+export function sma(bars, period, options) {
+  return new SMA(period, options).compute(bars);
+}
+
+/**
+ * Exponential moving average.
+ * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+ * @param {number} period - The EMA period.
+ * @param {Object} [options] - See `EMA`.
+ * @returns {Array<number|null>} - One value per bar.
+ */
+export function ema(bars, period, options) {
+  return new EMA(period, options).compute(bars);
+}
+
+/**
+ * Relative strength index.
+ * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+ * @param {number} [period=14] - The RSI period.
+ * @param {Object} [options] - See `RSI`.
+ * @returns {Array<number|null>} - One value per bar.
+ */
+export function rsi(bars, period, options) {
+  return new RSI(period, options).compute(bars);
+}
+
+/**
+ * Moving average convergence divergence.
+ * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+ * @param {Object} [options] - See `MACD`.
+ * @returns {Array<{macd: number, signal: number|null, histogram: number|null}|null>} - One value per bar.
+ */
+export function macd(bars, options) {
+  return new MACD(options).compute(bars);
+}
+
+/**
+ * Volume weighted average price of the typical price `(High + Low + Close) / 3`.
+ * @param {Array<Object>|{Bars: Array<Object>}} bars - Bars, oldest first, or the result of `getBars`.
+ * @param {Object} [options] - See `VWAP`.
+ * @returns {Array<number|null>} - One value per bar.
+ */
+export function vwap(bars, options) {
+  return new VWAP(options).compute(bars);
+}
+
+/**
+ * Average true range.
+ * @param {Array<Object>|{Bars: Array<Object>}} bars - Bars, oldest first, or the result of `getBars`.
+ * @param {number} [period=14] - The ATR period.
+ * @returns {Array<number|null>} - One value per bar.
+ */
+export function atr(bars, period) {
+  return new ATR(period).compute(bars);
+}
+
+/**
+ * Bollinger Bands.
+ * @param {Array<Object|number>|{Bars: Array<Object>}} bars - Bars or prices, oldest first, or the result of `getBars`.
+ * @param {number} [period=20] - The number of bars of the middle band.
+ * @param {Object} [options] - See `BollingerBands`.
+ * @returns {Array<{upper: number, middle: number, lower: number}|null>} - One value per bar.
+ */
+export function bollingerBands(bars, period, options) {
+  return new BollingerBands(period, options).compute(bars);
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview
+ * Type declarations for `marketData.jsx`.
+ */
+import type { AxiosResponse } from 'axios';
+import type { ClientSource, HttpClient, HttpClientOptions } from './client';
+import type { TradeStationStream } from './stream';
+import type { Operations } from './models';
+
+export type Bar = Operations['StreamBars']['message'];
+export type QuoteStreamMessage = Operations['GetQuoteChangeStream']['message'];
+export type SpreadStreamMessage = Operations['GetOptionChain']['message'];
+export type MarketDepthQuoteMessage = Operations['StreamMarketDepthQuotes']['message'];
+export type MarketDepthAggregateMessage = Operations['StreamMarketDepthAggregates']['message'];
+export type TickBarMessage = Operations['streamTickBars']['message'];
+export type OptionExpiration = NonNullable<Operations['GetOptionExpirations']['response']['Expirations']>[number];
+export type OptionSpreadType = NonNullable<Operations['GetOptionSpreadTypes']['response']['SpreadTypes']>[number];
+export type RiskRewardAnalysisInput = Operations['GetOptionRiskReward']['request'];
+export type RiskRewardAnalysisResult = Operations['GetOptionRiskReward']['response'];
+
+export interface BarCacheEntry {
+  /** Inclusive time ranges already downloaded, as `2020-04-20T18:00:00Z` strings. */
+  ranges: Array<[string, string]>;
+  bars: Bar[];
+}
+
+/**
+ * Storage for `downloadBars`, implemented by `BarCache`.
+ */
+export interface BarStore {
+  read(key: string): Promise<BarCacheEntry | null>;
+  write(key: string, entry: BarCacheEntry & { symbol: string; interval: string; unit: string; sessiontemplate?: string }): Promise<void>;
+}
+
+export interface DownloadBarsOptions {
+  from: string | Date;
+  to?: string | Date;
+  interval?: string;
+  unit?: string;
+  sessiontemplate?: string;
+  cache?: BarStore;
+  maxBars?: number;
+}
+
+export declare class MarketData {
+  constructor(token: ClientSource, options?: HttpClientOptions);
+  basePath: string;
+  client: HttpClient;
+  getBars(symbol: string, interval?: string, unit?: string, barsback?: string, firstdate?: string, lastdate?: string, sessiontemplate?: string): Promise<Operations['GetBars']['response']>;
+  downloadBars(symbol: string, options: DownloadBarsOptions): Promise<Bar[]>;
+  streamBars(symbol: string, interval?: string, unit?: string, barsback?: string, sessiontemplate?: string): Promise<TradeStationStream<Bar>>;
+  getCryptoSymbolNames(): Promise<string[]>;
+  getSymbolDetails(symbols: string): Promise<Operations['GetSymbolDetails']['response']>;
+  getOptionExpirations(underlying: string, strikePrice?: number | null): Promise<OptionExpiration[]>;
+  getOptionRiskReward(riskRewardInput: RiskRewardAnalysisInput): Promise<RiskRewardAnalysisResult>;
+  getOptionSpreadTypes(): Promise<OptionSpreadType[]>;
+  getOptionStrikes(underlying: string, spreadType?: string, strikeInterval?: number, expiration?: string, expiration2?: string): Promise<Operations['GetOptionStrikes']['response']>;
+  streamOptionChain(
+    underlying: string,
+    expiration?: string,
+    expiration2?: string,
+    strikeProximity?: number,
+    spreadType?: string,
+    riskFreeRate?: number,
+    priceCenter?: number,
+    strikeInterval?: number,
+    enableGreeks?: boolean,
+    strikeRange?: 'All' | 'ITM' | 'OTM',
+    optionType?: 'All' | 'Call' | 'Put',
+  ): Promise<TradeStationStream<SpreadStreamMessage>>;
+  streamOptionQuotes(legs_0_Symbol: string, legs_0_Ratio?: number, riskFreeRate?: number, enableGreeks?: boolean): Promise<TradeStationStream<SpreadStreamMessage>>;
+  getQuoteSnapshots(symbols: string): Promise<AxiosResponse<Operations['GetQuoteSnapshots']['response']>>;
+  streamQuoteChanges(symbols: string): Promise<TradeStationStream<QuoteStreamMessage>>;
+  streamMarketDepthQuotes(symbol: string, maxLevels?: number): Promise<TradeStationStream<MarketDepthQuoteMessage>>;
+  streamMarketDepthAggregates(symbol: string, maxLevels?: number): Promise<TradeStationStream<MarketDepthAggregateMessage>>;
+  streamTickBars(symbol: string, interval: number, barsBack: number): Promise<TradeStationStream<TickBarMessage>>;
+}
@@ -26,12 +26,112 @@
  * @server
  * - URL: https://api.tradestation.com
  */
-import axios from 'axios';
+import { resolveClient } from './client';
+import { ValidationError } from './errors';
+import { checkSymbols } from './symbolParser';
+
+/**
+ * The most intraday bars one `getBars` request may return.
+ * @type {number}
+ */
+const MAX_BARS_PER_REQUEST = 57600;
+
+/**
+ * Milliseconds per intraday bar unit. Daily, weekly and monthly bars are not limited per request.
+ * @type {Object<string, number>}
+ */
+const UNIT_MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+};
+
+/**
+ * Ranges ending less than this long before they were requested may lack bars that were still
+ * open, so they only count as downloaded up to their last closed bar.
+ * @type {number}
+ */
+const SETTLE_MILLISECONDS = 60 * 60 * 1000;
+
+/**
+ * @param {string|Date} date - A date, or a date and time.
+ * @param {boolean} [endOfDay=false] - Whether a date without a time means the last second of that day.
+ * @returns {number} - Milliseconds since the epoch; NaN when invalid.
+ */
+function toTime(date, endOfDay = false) {
+  if (date instanceof Date) {
+    return date.getTime();
+  }
+  const time = Date.parse(date);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(date) ? time + 24 * 60 * 60 * 1000 - 1000 : time;
+}
+
+/**
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} - The time as `firstdate` and `lastdate` accept it, e.g. `2020-04-20T18:00:00Z`.
+ */
+function formatTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Sorts time ranges and merges those that overlap or touch.
+ * @param {Array<[number, number]>} ranges - Inclusive ranges, in milliseconds.
+ * @returns {Array<[number, number]>}
+ */
+function mergeRanges(ranges) {
+  return [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1] + 1000) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * @param {number} start - The first time of the range.
+ * @param {number} end - The last time of the range.
+ * @param {Array<[number, number]>} covered - Merged ranges already downloaded.
+ * @returns {Array<[number, number]>} - The parts of the range not covered.
+ */
+function missingRanges(start, end, covered) {
+  const missing = [];
+  let from = start;
+  covered.filter(([coveredStart, coveredEnd]) => coveredEnd >= start && coveredStart <= end).forEach(([coveredStart, coveredEnd]) => {
+    if (coveredStart > from) {
+      missing.push([from, coveredStart - 1000]);
+    }
+    from = Math.max(from, coveredEnd + 1000);
+  });
+  if (from <= end) {
+    missing.push([from, end]);
+  }
+  return missing;
+}
+
+/**
+ * Merges lists of bars, keeping the last bar of each `TimeStamp`.
+ * @param {...Array<Object>} lists - Lists of bars.
+ * @returns {Array<Object>} - The bars, oldest first.
+ */
+function mergeBars(...lists) {
+  const bars = new Map();
+  lists.forEach(list => list.forEach(bar => bars.set(Date.parse(bar.TimeStamp), bar)));
+  return [...bars.entries()].sort((a, b) => a[0] - b[0]).map(([, bar]) => bar);
+}
 
 export class MarketData {
-  constructor(token) {
-    this.baseUrl = 'https://api.tradestation.com/v3/marketdata';
-    this.token = token;
+  /**
+   * @param {string|TokenManager|HttpClient} token - An access token, a TokenManager, or an HttpClient shared between the API classes.
+   * @param {Object} [options] - HttpClient options, e.g. `{ baseUrl: Environment.SIM }`.
+   */
+  constructor(token, options) {
+    this.basePath = '/v3/marketdata';
+    this.client = resolveClient(token, options);
   }
 
   /**
@@ -47,21 +147,85 @@ export class MarketData {
    */
   async getBars(symbol, interval = '1', unit = 'Daily', barsback = '1', firstdate, lastdate, sessiontemplate) {
     var lastdate = typeof lastdate === 'undefined' ? new Date().toISOString() : lastdate;
-    const url = `${this.baseUrl}/barcharts/${symbol}`;
+    const url = `${this.basePath}/barcharts/${symbol}`;
     const params = { interval, unit, barsback, firstdate, lastdate, sessiontemplate };
 
-    try {
-      const response = await axios.get(url, {
-        params,
-        headers: {
-          Authorization: `Bearer ${this.token}`,
-        },
+    const response = await this.client.get(url, { params });
+    return response.data;
+  }
+
+  /**
+   * Downloads the bars of a date range of any length. Intraday ranges are split into requests of
+   * at most 57,600 bars, counting every minute or second of the day so that any session template
+   * fits. With a cache, only the ranges not downloaded before are requested, and the cache is
+   * written after each request, so an interrupted download resumes where it stopped. Bars still
+   * open are returned but not cached.
+   * @param {string} symbol - The valid symbol string.
+   * @param {Object} options - Download options.
+   * @param {string|Date} options.from - The first date, formatted as 'YYYY-MM-DD' or '2020-04-20T18:00:00Z'.
+   * @param {string|Date} [options.to] - The last date, included in full when given without a time; defaults to now.
+   * @param {string} [options.interval='1'] - Interval that each bar will consist of.
+   * @param {string} [options.unit='Daily'] - Unit of time for each bar interval.
+   * @param {string} [options.sessiontemplate] - United States (US) stock market session templates.
+   * @param {BarCache} [options.cache] - The cache, or any object with the same `read` and `write` methods.
+   * @param {number} [options.maxBars=57600] - The most bars requested at once.
+   * @returns {Promise<Array<Object>>} - Promise resolving to the bars of the range, oldest first.
+   * @throws {ValidationError} - When the range is invalid.
+   */
+  async downloadBars(symbol, { from, to, interval = '1', unit = 'Daily', sessiontemplate, cache, maxBars = MAX_BARS_PER_REQUEST } = {}) {
+    const start = toTime(from);
+    const end = to === undefined ? Date.now() : toTime(to, true);
+    if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+      throw new ValidationError(`Invalid bar range from '${from}' to '${to}'`, {
+        fields: [{ field: 'from', message: 'from must be a valid date before to' }],
       });
+    }
 
-      return response.data;
-    } catch (error) {
-      throw new Error(`Error fetching bars: ${error.message}`);
+    const key = [symbol, `${interval}${unit.toLowerCase()}`, sessiontemplate || 'Default'].join('_');
+    const entry = (cache && await cache.read(key)) || { ranges: [], bars: [] };
+    let ranges = entry.ranges.map(([rangeStart, rangeEnd]) => [Date.parse(rangeStart), Date.parse(rangeEnd)]);
+    let { bars } = entry;
+    let openBars = [];
+
+    const unitMilliseconds = UNIT_MILLISECONDS[unit.toLowerCase()];
+    const requestMilliseconds = unitMilliseconds ? maxBars * Number(interval) * unitMilliseconds : Infinity;
+    for (const [missingStart, missingEnd] of missingRanges(start, end, ranges)) {
+      let requestStart = missingStart;
+      while (requestStart <= missingEnd) {
+        const requestEnd = Math.min(missingEnd, requestStart + requestMilliseconds - 1000);
+        const requestedAt = Date.now();
+        const response = await this.client.get(`${this.basePath}/barcharts/${symbol}`, {
+          params: { interval, unit, firstdate: formatTime(requestStart), lastdate: formatTime(requestEnd), sessiontemplate },
+        });
+
+        const received = response.data.Bars || [];
+        const closed = received.filter(bar => bar.BarStatus !== 'Open');
+        openBars = mergeBars(openBars, received.filter(bar => bar.BarStatus === 'Open'));
+        bars = mergeBars(bars, closed);
+
+        const lastClosed = closed.length ? Date.parse(closed[closed.length - 1].TimeStamp) : requestStart - 1000;
+        const coveredEnd = requestEnd < requestedAt - SETTLE_MILLISECONDS ? requestEnd : Math.min(requestEnd, lastClosed);
+        if (coveredEnd >= requestStart) {
+          ranges = mergeRanges([...ranges, [requestStart, coveredEnd]]);
+        }
+        if (cache) {
+          await cache.write(key, {
+            symbol,
+            interval,
+            unit,
+            sessiontemplate,
+            ranges: ranges.map(([rangeStart, rangeEnd]) => [formatTime(rangeStart), formatTime(rangeEnd)]),
+            bars,
+          });
+        }
+        requestStart = requestEnd + 1000;
+      }
     }
+
+    return mergeBars(bars, openBars).filter(bar => {
+      const time = Date.parse(bar.TimeStamp);
+      return time >= start && time <= end;
+    });
   }
 
   /**
@@ -71,166 +235,103 @@ export class MarketData {
    * @param {string} [unit='Daily'] - Unit of time for each bar interval.
    * @param {string} [barsback='1'] - The bars back.
    * @param {string} [sessiontemplate] - United States (US) stock market session templates.
-   * @returns {Promise<Stream>} - Promise resolving to the streamed marketdata bars.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `bar` events.
    */
   streamBars(symbol, interval = '1', unit = 'Daily', barsback = '1', sessiontemplate) {
-    const url = `${this.baseUrl}/stream/barcharts/${symbol}`;
+    const url = `${this.basePath}/stream/barcharts/${symbol}`;
     const params = { interval, unit, barsback, sessiontemplate };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    return this.client.openStream(url, { params }, { type: 'bar' });
   }
 
   /**
- * Fetches all crypto Symbol Names information.
- * @returns {Promise<Array<string>>} - Promise resolving to an array of crypto symbol names.
- */
-async getCryptoSymbolNames() {
-  const url = `${this.baseUrl}/symbollists/cryptopairs/symbolnames`;
-
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+   * Fetches all crypto Symbol Names information.
+   * @returns {Promise<Array<string>>} - Promise resolving to an array of crypto symbol names.
+   */
+  async getCryptoSymbolNames() {
+    const url = `${this.basePath}/symbollists/cryptopairs/symbolnames`;
 
+    const response = await this.client.get(url);
     return response.data.SymbolNames;
-  } catch (error) {
-    throw new Error(`Error fetching crypto symbol names: ${error.message}`);
   }
-}
 
-/**
- * Fetches symbol details and formatting information for one or more symbols.
- * @param {string} symbols - List of valid symbols in comma-separated format (e.g., "MSFT,BTCUSD").
- * @returns {Promise<object>} - Promise resolving to the symbol details response.
- */
-async getSymbolDetails(symbols) {
-  const url = `${this.baseUrl}/symbols/${symbols}`;
-
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+  /**
+   * Fetches symbol details and formatting information for one or more symbols.
+   * @param {string} symbols - List of valid symbols in comma-separated format (e.g., "MSFT,BTCUSD").
+   * @returns {Promise<object>} - Promise resolving to the symbol details response.
+   * @throws {ValidationError} - When a symbol is malformed and the client's `checkSymbols` option is set.
+   */
+  async getSymbolDetails(symbols) {
+    if (this.client.checkSymbols) {
+      checkSymbols(symbols);
+    }
+    const url = `${this.basePath}/symbols/${symbols}`;
 
+    const response = await this.client.get(url);
     return response.data;
-  } catch (error) {
-    throw new Error(`Error fetching symbol details: ${error.message}`);
   }
-}
 
-/**
- * Get the available option contract expiration dates for the underlying symbol.
- * @param {string} underlying - The symbol for the underlying security.
- * @param {number} [strikePrice] - Strike price (optional).
- * @returns {Promise<Array<object>>} - Promise resolving to an array of option expirations.
- */
-async getOptionExpirations(underlying, strikePrice = null) {
-  const url = `${this.baseUrl}/options/expirations/${underlying}`;
-  const params = strikePrice ? { strikePrice } : {};
-
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      params,
-    });
+  /**
+   * Get the available option contract expiration dates for the underlying symbol.
+   * @param {string} underlying - The symbol for the underlying security.
+   * @param {number} [strikePrice] - Strike price (optional).
+   * @returns {Promise<Array<object>>} - Promise resolving to an array of option expirations.
+   */
+  async getOptionExpirations(underlying, strikePrice = null) {
+    const url = `${this.basePath}/options/expirations/${underlying}`;
+    const params = strikePrice ? { strikePrice } : {};
 
+    const response = await this.client.get(url, { params });
     return response.data.Expirations;
-  } catch (error) {
-    throw new Error(`Error fetching option expirations: ${error.message}`);
   }
-}
 
-/**
- * Analyze the risk vs. reward of a potential option trade.
- * @param {object} riskRewardInput - Risk vs. reward analysis input.
- * @returns {Promise<object>} - Promise resolving to the risk vs. reward analysis result.
- */
-async getOptionRiskReward(riskRewardInput) {
-  const url = `${this.baseUrl}/options/riskreward`;
-
-  try {
-    const response = await axios.post(url, riskRewardInput, {
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+  /**
+   * Analyze the risk vs. reward of a potential option trade.
+   * @param {object} riskRewardInput - Risk vs. reward analysis input.
+   * @returns {Promise<object>} - Promise resolving to the risk vs. reward analysis result.
+   */
+  async getOptionRiskReward(riskRewardInput) {
+    const url = `${this.basePath}/options/riskreward`;
 
+    const response = await this.client.post(url, riskRewardInput);
     return response.data;
-  } catch (error) {
-    throw new Error(`Error analyzing option risk vs. reward: ${error.message}`);
   }
-}
-
 
-/**
- * Get the available spread types for option chains.
- * @returns {Promise<Array<object>>} - Promise resolving to an array of option spread types.
- */
-async getOptionSpreadTypes() {
-  const url = `${this.baseUrl}/options/spreadtypes`;
-
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+  /**
+   * Get the available spread types for option chains.
+   * @returns {Promise<Array<object>>} - Promise resolving to an array of option spread types.
+   */
+  async getOptionSpreadTypes() {
+    const url = `${this.basePath}/options/spreadtypes`;
 
+    const response = await this.client.get(url);
     return response.data.SpreadTypes;
-  } catch (error) {
-    throw new Error(`Error fetching option spread types: ${error.message}`);
   }
-}
 
-/**
- * Get the available strike prices for a spread type and expiration date.
- * @param {string} underlying - The symbol for the underlying security.
- * @param {string} [spreadType = "Single"] - The name of the spread type (optional, default is "Single").
- * @param {number} [strikeInterval = 1] - Specifies the desired interval between the strike prices (optional, default is 1).
- * @param {string} [expiration] - Date on which the option contract expires; must be a valid expiration date (optional).
- * @param {string} [expiration2] - Second contract expiration date required for Calendar and Diagonal spreads (optional).
- * @returns {Promise<object>} - Promise resolving to the option strikes for the specified parameters.
- */
-async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, expiration, expiration2) {
-  const url = `${this.baseUrl}/options/strikes/${underlying}`;
-  const params = {
-    spreadType,
-    strikeInterval,
-    expiration,
-    expiration2,
-  };
-
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-      params,
-    });
+  /**
+   * Get the available strike prices for a spread type and expiration date.
+   * @param {string} underlying - The symbol for the underlying security.
+   * @param {string} [spreadType = "Single"] - The name of the spread type (optional, default is "Single").
+   * @param {number} [strikeInterval = 1] - Specifies the desired interval between the strike prices (optional, default is 1).
+   * @param {string} [expiration] - Date on which the option contract expires; must be a valid expiration date (optional).
+   * @param {string} [expiration2] - Second contract expiration date required for Calendar and Diagonal spreads (optional).
+   * @returns {Promise<object>} - Promise resolving to the option strikes for the specified parameters.
+   */
+  async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, expiration, expiration2) {
+    const url = `${this.basePath}/options/strikes/${underlying}`;
+    const params = {
+      spreadType,
+      strikeInterval,
+      expiration,
+      expiration2,
+    };
 
+    const response = await this.client.get(url, { params });
     return {
       SpreadType: response.data.SpreadType,
       Strikes: response.data.Strikes,
     };
-  } catch (error) {
-    throw new Error(`Error fetching option strikes: ${error.message}`);
   }
-}
-
-
 
   /**
    * Streams a chain of option spreads for a given underlying symbol, spread type, and expiration.
@@ -245,10 +346,10 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
    * @param {boolean} [enableGreeks=true] - Specifies whether or not greeks properties are returned.
    * @param {string} [strikeRange='All'] - If the filter is `ITM` (in-the-money), the chain includes only spreads that have an intrinsic value greater than zero. If the filter is `OTM` (out-of-the-money), the chain includes only spreads that have an intrinsic value equal to zero.
    * @param {string} [optionType='All'] - Filters the spreads by a specific option type. Valid values are `All`, `Call`, and `Put`.
-   * @returns {Promise<Stream>} - Promise resolving to the streamed option chain.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `spread` events.
    */
   streamOptionChain(underlying, expiration, expiration2, strikeProximity = 5, spreadType = 'Single', riskFreeRate, priceCenter, strikeInterval = 1, enableGreeks = true, strikeRange = 'All', optionType = 'All') {
-    const url = `${this.baseUrl}/stream/options/chains/${underlying}`;
+    const url = `${this.basePath}/stream/options/chains/${underlying}`;
     const params = {
       expiration,
       expiration2,
@@ -262,14 +363,7 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
       optionType
     };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    return this.client.openStream(url, { params }, { type: 'spread' });
   }
 
   /**
@@ -278,10 +372,14 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
    * @param {number} [legs_0_Ratio=1] - The number of option contracts or underlying shares for this leg, relative to the other legs. Use a positive number to represent a buy trade and a negative number to represent a sell trade.
    * @param {number} [riskFreeRate] - The theoretical rate of return of an investment with zero risk. Defaults to the current quote for $IRX.X. The percentage rate should be specified as a decimal value.
    * @param {boolean} [enableGreeks=true] - Specifies whether or not greeks properties are returned.
-   * @returns {Promise<Stream>} - Promise resolving to the streamed option quotes.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `spread` events.
+   * @throws {ValidationError} - When the symbol is malformed and the client's `checkSymbols` option is set.
    */
-  streamOptionQuotes(legs_0_Symbol, legs_0_Ratio = 1, riskFreeRate, enableGreeks = true) {
-    const url = `${this.baseUrl}/stream/options/quotes`;
+  async streamOptionQuotes(legs_0_Symbol, legs_0_Ratio = 1, riskFreeRate, enableGreeks = true) {
+    if (this.client.checkSymbols) {
+      checkSymbols(legs_0_Symbol);
+    }
+    const url = `${this.basePath}/stream/options/quotes`;
     const params = {
       'legs[0].Symbol': legs_0_Symbol,
       'legs[0].Ratio': legs_0_Ratio,
@@ -289,14 +387,7 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
       enableGreeks
     };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    return this.client.openStream(url, { params }, { type: 'spread' });
   }
 
 
@@ -306,52 +397,34 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
    * @returns {Promise<Quotes>} - Promise resolving to the snapshot of the latest Quote.
    */
   getQuoteSnapshots(symbols) {
-    const url = `${this.baseUrl}/quotes/${symbols}`;
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+    const url = `${this.basePath}/quotes/${symbols}`;
+    return this.client.get(url);
   }
 
   /**
    * Streams Quote changes for one or more symbols.
    * @param {string} symbols - List of valid symbols in a comma-separated format.
-   * @returns {Promise<QuoteStream>} - Promise resolving to the streamed Quote changes.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `quote` events.
    */
   streamQuoteChanges(symbols) {
-    const url = `${this.baseUrl}/stream/quotes/${symbols}`;
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    const url = `${this.basePath}/stream/quotes/${symbols}`;
+    return this.client.openStream(url, {}, { type: 'quote' });
   }
 
-
   /**
    * Streams market depth quotes for equities, futures, and stock options.
    * A separate quote is returned for each price, side, and participant.
    * @param {string} symbol - A valid symbol for the security.
    * @param {number} [maxLevels=20] - The maximum number of market depth levels to return. Must be a positive integer. Defaults to 20 if omitted.
-   * @returns {Promise<MarketDepthQuoteStream>} - Promise resolving to the streamed market depth quotes.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `depth` events.
    */
   streamMarketDepthQuotes(symbol, maxLevels = 20) {
-    const url = `${this.baseUrl}/stream/marketdepth/quotes/${symbol}`;
+    const url = `${this.basePath}/stream/marketdepth/quotes/${symbol}`;
     const params = {
       maxlevels: maxLevels,
     };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    return this.client.openStream(url, { params }, { type: 'depth' });
   }
 
   /**
@@ -359,22 +432,15 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
    * A separate quote is returned for each price and side, using aggregated data from the participants.
    * @param {string} symbol - A valid symbol for the security.
    * @param {number} [maxLevels=20] - The maximum number of market depth levels to return. Must be a positive integer. Defaults to 20 if omitted.
-   * @returns {Promise<MarketDepthAggregateStream>} - Promise resolving to the streamed aggregate market depth quotes.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `depth` events.
    */
   streamMarketDepthAggregates(symbol, maxLevels = 20) {
-    const url = `${this.baseUrl}/stream/marketdepth/aggregates/${symbol}`;
+    const url = `${this.basePath}/stream/marketdepth/aggregates/${symbol}`;
     const params = {
       maxlevels: maxLevels,
     };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        Accept: 'application/vnd.tradestation.streams.v2+json',
-      },
-      responseType: 'stream',
-    });
+    return this.client.openStream(url, { params }, { type: 'depth' });
   }
 
   /**
@@ -383,22 +449,15 @@ async getOptionStrikes(underlying, spreadType = 'Single', strikeInterval = 1, ex
    * @param {string} symbol - A Symbol Name.
    * @param {number} interval - Interval for each bar returned (in ticks).
    * @param {number} barsBack - The number of bars to stream, going back from the current time.
-   * @returns {Promise<Object>} - Promise resolving to the tick bar response.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream, emitting `bar` events.
    */
   streamTickBars(symbol, interval, barsBack) {
-    const url = `https://api.tradestation.com/v2/stream/tickbars/${symbol}/${interval}/${barsBack}`;
-
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    })
-      .then(response => response.data)
-      .catch(error => {
-        console.error('Error streaming tick bars:', error);
-        throw error;
-      });
-  }
+    const url = `/v2/stream/tickbars/${symbol}/${interval}/${barsBack}`;
+    const headers = {
+      Accept: 'application/vnd.tradestation.streams+json',
+    };
 
+    return this.client.openStream(url, { headers }, { type: 'bar' });
+  }
 }
 
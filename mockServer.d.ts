@@ -0,0 +1,54 @@
+/**
+ * @fileoverview
+ * Type declarations for `mockServer.jsx`.
+ */
+import type { Server } from 'http';
+
+export declare const DEFAULT_FIXTURE_DIRECTORIES: string[];
+
+export declare function loadFixtures(directories?: string[]): Record<string, unknown>;
+
+/**
+ * A request received by the MockServer.
+ */
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  headers: Record<string, string | string[] | undefined>;
+  body: unknown;
+  operationId: string | null;
+}
+
+export interface MockServerOptions {
+  port?: number;
+  host?: string;
+  fixtures?: Record<string, unknown>;
+  fixtureDirectories?: string[];
+  requireAuth?: boolean;
+  validateRequests?: boolean;
+  messageInterval?: number;
+  heartbeatInterval?: number;
+}
+
+export interface MockFailure {
+  body?: unknown;
+  headers?: Record<string, string>;
+  times?: number;
+}
+
+export declare class MockServer {
+  constructor(options?: MockServerOptions);
+  server: Server;
+  fixtures: Record<string, unknown>;
+  requests: RecordedRequest[];
+  readonly baseUrl: string | null;
+  start(): Promise<string>;
+  stop(): Promise<void>;
+  setFixture(operationId: string, body: unknown | ((request: RecordedRequest) => unknown)): this;
+  fail(operationId: string, status: number, options?: MockFailure): this;
+  push(operationId: string, message: object): number;
+  goAway(operationId?: string): void;
+  dropStreams(operationId?: string): void;
+  reset(): void;
+}
@@ -0,0 +1,410 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the MockServer class, a local stand-in for the
+ * TradeStation API used to exercise the wrapper offline.
+ *
+ * @description
+ * # Mock Server
+ * The server routes requests with the operation table generated from `openapi.json` and answers
+ * with fixtures: `fixtures/openapi/<operationId>.json` holds the examples from the spec, and
+ * `fixtures/recorded/<operationId>.json` holds recorded responses that take precedence. Request
+ * bodies are validated against the spec and rejected with a 400 like the real API.
+ *
+ * Streams are sent chunked with the TradeStation stream media type: the fixture messages, each
+ * split across two chunks, followed by a heartbeat every `heartbeatInterval`. Tests can push
+ * further messages, send `GoAway`, drop connections and inject failures.
+ *
+ * ```js
+ * const server = new MockServer();
+ * const baseUrl = await server.start();
+ * const accounts = new Accounts('TEST_TOKEN', { baseUrl });
+ * ```
+ *
+ * The suites in `test/` run every public method of `Accounts`, `MarketData`, `Orders` and
+ * `Symbols` against it; run them with `npm test`.
+ */
+import http from 'http';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errors';
+import { SchemaValidator, ValidationMode, findOperation } from './validation';
+
+/**
+ * Fixture directories in order of precedence, lowest first.
+ * @type {Array<string>}
+ */
+export const DEFAULT_FIXTURE_DIRECTORIES = [
+  fileURLToPath(new URL('./fixtures/openapi/', import.meta.url)),
+  fileURLToPath(new URL('./fixtures/recorded/', import.meta.url)),
+];
+
+/**
+ * Error codes sent in the `Error` field of error responses, by status.
+ * @type {Object<number, string>}
+ */
+const ERROR_CODES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  429: 'TooManyRequests',
+  500: 'InternalServerError',
+  503: 'ServiceUnavailable',
+};
+
+/**
+ * Reads `<operationId>.json` fixtures; files in later directories replace those in earlier ones.
+ * @param {Array<string>} [directories=DEFAULT_FIXTURE_DIRECTORIES] - The fixture directories.
+ * @returns {Object<string, *>} - Fixtures by operationId.
+ */
+export function loadFixtures(directories = DEFAULT_FIXTURE_DIRECTORIES) {
+  const fixtures = {};
+  directories.filter(directory => existsSync(directory)).forEach(directory => {
+    readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        fixtures[file.slice(0, -'.json'.length)] = JSON.parse(readFileSync(`${directory.replace(/\/?$/, '/')}${file}`, 'utf8'));
+      });
+  });
+  return fixtures;
+}
+
+/**
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<string>} - Promise resolving to the request body.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export class MockServer {
+  /**
+   * @param {Object} [options] - Server options.
+   * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on.
+   * @param {Object<string, *>} [options.fixtures] - Fixtures by operationId, merged over those loaded from `fixtureDirectories`.
+   * @param {Array<string>} [options.fixtureDirectories=DEFAULT_FIXTURE_DIRECTORIES] - Directories to load fixtures from.
+   * @param {boolean} [options.requireAuth=true] - Whether requests without a bearer token are answered with 401.
+   * @param {boolean} [options.validateRequests=true] - Whether request bodies are validated against `openapi.json`.
+   * @param {number} [options.messageInterval=10] - Milliseconds between the fixture messages of a stream.
+   * @param {number} [options.heartbeatInterval=5000] - Milliseconds between heartbeats once the fixture messages are sent.
+   */
+  constructor({
+    port = 0,
+    host = '127.0.0.1',
+    fixtures = {},
+    fixtureDirectories = DEFAULT_FIXTURE_DIRECTORIES,
+    requireAuth = true,
+    validateRequests = true,
+    messageInterval = 10,
+    heartbeatInterval = 5000,
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.fixtures = { ...loadFixtures(fixtureDirectories), ...fixtures };
+    this.requireAuth = requireAuth;
+    this.validator = validateRequests ? new SchemaValidator({ mode: ValidationMode.STRICT, logger: null }) : null;
+    this.messageInterval = messageInterval;
+    this.heartbeatInterval = heartbeatInterval;
+    this.overrides = {};
+    this.failures = {};
+    this.requests = [];
+    this.streams = new Set();
+    this.requestCount = 0;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => this.respond(res, 500, { Error: ERROR_CODES[500], Message: error.message }));
+    });
+  }
+
+  /**
+   * Starts listening.
+   * @returns {Promise<string>} - Promise resolving to the base URL, e.g. `http://127.0.0.1:53124`.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Ends open streams and stops listening.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.dropStreams();
+    return new Promise((resolve, reject) => {
+      if (!this.server.listening) {
+        resolve();
+        return;
+      }
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * @returns {string} - The base URL to pass as `baseUrl`, once started.
+   */
+  get baseUrl() {
+    const address = this.server.address();
+    return address ? `http://${this.host}:${address.port}` : null;
+  }
+
+  /**
+   * Replaces the response of an operation until `reset()`.
+   * @param {string} operationId - The operation, e.g. `GetBalances`.
+   * @param {*|Function} body - The response body, the stream messages, or a function of the recorded request returning them.
+   * @returns {MockServer}
+   */
+  setFixture(operationId, body) {
+    this.overrides[operationId] = body;
+    return this;
+  }
+
+  /**
+   * Makes the next requests of an operation fail.
+   * @param {string} operationId - The operation, e.g. `PlaceOrder`.
+   * @param {number} status - The HTTP status.
+   * @param {Object} [options] - Failure options.
+   * @param {Object} [options.body] - The error body; defaults to `{ Error, Message }` for the status.
+   * @param {Object} [options.headers] - Response headers, e.g. `{ 'Retry-After': '1' }`.
+   * @param {number} [options.times=1] - Number of requests that fail; `Infinity` until `reset()`.
+   * @returns {MockServer}
+   */
+  fail(operationId, status, { body, headers = {}, times = 1 } = {}) {
+    this.failures[operationId] = {
+      status,
+      headers,
+      times,
+      body: body || { Error: ERROR_CODES[status] || 'Error', Message: `Mock failure of ${operationId}` },
+    };
+    return this;
+  }
+
+  /**
+   * Sends a message on the open streams of an operation.
+   * @param {string} operationId - The stream operation, e.g. `GetQuoteChangeStream`.
+   * @param {Object} message - The message.
+   * @returns {number} - The number of streams the message was sent on.
+   */
+  push(operationId, message) {
+    const streams = this.streamsOf(operationId);
+    streams.forEach(stream => this.write(stream, message));
+    return streams.length;
+  }
+
+  /**
+   * Sends `GoAway` on the open streams of an operation, or of all operations, and ends them.
+   * @param {string} [operationId] - The stream operation.
+   */
+  goAway(operationId) {
+    this.streamsOf(operationId).forEach(stream => {
+      this.write(stream, { StreamStatus: 'GoAway' });
+      this.end(stream);
+    });
+  }
+
+  /**
+   * Destroys the open streams of an operation, or of all operations, without ending them.
+   * @param {string} [operationId] - The stream operation.
+   */
+  dropStreams(operationId) {
+    this.streamsOf(operationId).forEach(stream => {
+      clearTimeout(stream.timer);
+      this.streams.delete(stream);
+      stream.res.destroy();
+    });
+  }
+
+  /**
+   * Clears recorded requests, fixture overrides and pending failures.
+   */
+  reset() {
+    this.requests = [];
+    this.overrides = {};
+    this.failures = {};
+  }
+
+  /**
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    if (req.method === 'OPTIONS') {
+      this.respond(res, 204);
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const text = await readBody(req);
+    const operation = findOperation(req.method, url.pathname);
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: undefined,
+      operationId: operation ? operation.operationId : null,
+    };
+    this.requests.push(request);
+
+    try {
+      request.body = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      this.respond(res, 400, { Error: ERROR_CODES[400], Message: `Malformed JSON body: ${error.message}` });
+      return;
+    }
+
+    if (!operation) {
+      this.respond(res, 404, { Error: ERROR_CODES[404], Message: `No mock for ${req.method} ${url.pathname}` });
+      return;
+    }
+    if (this.requireAuth && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+      this.respond(res, 401, { Error: ERROR_CODES[401], Message: 'Missing or invalid access token' });
+      return;
+    }
+
+    const failure = this.failures[operation.operationId];
+    if (failure && failure.times > 0) {
+      failure.times -= 1;
+      this.respond(res, failure.status, failure.body, failure.headers);
+      return;
+    }
+
+    if (this.validator && request.body !== undefined) {
+      try {
+        this.validator.validateRequest({ method: req.method, url: url.pathname, data: request.body });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        this.respond(res, 400, { Error: ERROR_CODES[400], Message: error.message });
+        return;
+      }
+    }
+
+    const fixture = this.fixtureFor(operation.operationId, request);
+    if (fixture === undefined) {
+      this.respond(res, 404, { Error: ERROR_CODES[404], Message: `No fixture for ${operation.operationId}` });
+    } else if (operation.stream) {
+      this.openStream(res, operation, fixture);
+    } else {
+      this.respond(res, 200, fixture);
+    }
+  }
+
+  /**
+   * @param {string} operationId - The operation.
+   * @param {Object} request - The recorded request.
+   * @returns {*} - The response body or stream messages.
+   */
+  fixtureFor(operationId, request) {
+    const fixture = operationId in this.overrides ? this.overrides[operationId] : this.fixtures[operationId];
+    return typeof fixture === 'function' ? fixture(request) : fixture;
+  }
+
+  /**
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status.
+   * @param {*} [body] - The JSON body.
+   * @param {Object} [headers] - Additional headers.
+   */
+  respond(res, status, body, headers = {}) {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    this.requestCount += 1;
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'x-request-id': `mock-${this.requestCount}`,
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+      ...headers,
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  /**
+   * Sends the fixture messages of a stream, then heartbeats until the client disconnects.
+   * @param {http.ServerResponse} res - The response.
+   * @param {Object} operation - The stream operation.
+   * @param {Array<Object>} messages - The messages to send first.
+   */
+  openStream(res, operation, messages) {
+    this.requestCount += 1;
+    res.writeHead(200, {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': operation.path.startsWith('/v2/')
+        ? 'application/vnd.tradestation.streams+json'
+        : 'application/vnd.tradestation.streams.v2+json',
+      'x-request-id': `mock-${this.requestCount}`,
+    });
+
+    const stream = { operationId: operation.operationId, res, timer: null, heartbeats: 0 };
+    const queue = [...(Array.isArray(messages) ? messages : [messages])];
+    const next = () => {
+      if (queue.length) {
+        this.write(stream, queue.shift());
+        stream.timer = setTimeout(next, this.messageInterval);
+      } else if (this.heartbeatInterval > 0) {
+        stream.timer = setTimeout(() => {
+          stream.heartbeats += 1;
+          this.write(stream, { Heartbeat: stream.heartbeats, Timestamp: new Date().toISOString() });
+          next();
+        }, this.heartbeatInterval);
+      }
+    };
+
+    this.streams.add(stream);
+    res.on('close', () => this.end(stream));
+    next();
+  }
+
+  /**
+   * Writes a message split across two chunks, as the parser must handle on the real API.
+   * @param {Object} stream - The open stream.
+   * @param {Object} message - The message.
+   */
+  write(stream, message) {
+    if (stream.res.writableEnded || stream.res.destroyed) {
+      return;
+    }
+
+    const text = JSON.stringify(message);
+    const middle = Math.floor(text.length / 2);
+    stream.res.write(text.slice(0, middle));
+    stream.res.write(`${text.slice(middle)}\n`);
+  }
+
+  /**
+   * Stops sending on a stream and ends the response.
+   * @param {Object} stream - The open stream.
+   */
+  end(stream) {
+    clearTimeout(stream.timer);
+    this.streams.delete(stream);
+    if (!stream.res.writableEnded) {
+      stream.res.end();
+    }
+  }
+
+  /**
+   * @param {string} [operationId] - The operation; all streams when omitted.
+   * @returns {Array<Object>} - The open streams.
+   */
+  streamsOf(operationId) {
+    return [...this.streams].filter(stream => !operationId || stream.operationId === operationId);
+  }
+}
@@ -0,0 +1,4035 @@
+/**
+ * @fileoverview
+ * Types of the TradeStation API, generated from `openapi.json` by `scripts/generateTypes.mjs`.
+ * Do not edit by hand.
+ */
+
+export type SymbolSuggestDefinition = Array<{
+  /**
+   * The type of financial instrument that the symbol represents, such as a stock, index, or mutual fund.
+   */
+  Category?: string;
+  /**
+   * The country of the exchange where the symbol is listed.
+   */
+  Country?: "US" | "DE" | "CA";
+  /**
+   * Displays the type of base currency for the selected symbol.
+   */
+  Currency?: "USD" | "AUD" | "CAD" | "CHF" | "DKK" | "EUR" | "DBP" | "HKD" | "JPY" | "NOK" | "NZD" | "SEK" | "SGD";
+  /**
+   * Displays the full name of the symbol.
+   */
+  Description?: string;
+  /**
+   * Symbol's price display type based on the following list:
+   */
+  DisplayType?: number;
+  /**
+   * Element that references error.
+   */
+  Error?: string;
+  /**
+   * Name of exchange where this symbol is traded in.
+   */
+  Exchange?: string;
+  /**
+   * A unique numerical identifier for the Exchange.
+   */
+  ExchangeID?: number;
+  /**
+   * Displays the expiration date for a futures or options contract in UTC formatted time.
+   */
+  ExpirationDate?: string;
+  /**
+   * For options only. It indicates whether the option is a monthly, weekly, quarterly or end of month expiration.
+   * * W - Weekly
+   * * M - Monthly
+   * * Q - Quartely
+   * * E - End of the month
+   * * "" - The term not be identified
+   */
+  ExpirationType?: string;
+  /**
+   * Displays the type of future contract the symbol represents.
+   */
+  FutureType?: string;
+  /**
+   * Multiplying factor using the display type to determine the minimum price increment the asset trades in. For options the MinMove may vary. If the MinMove is negative, then the MinMove is dependent on the price. The whole number portion of the min move is the threshold. The leftmost two digits to the right of the decimal (X.XXXX) indicate the min move beneath the threshold, and the rightmost two digits (X.XXXX) indicate the min move above the threshold.
+   */
+  MinMove?: number;
+  /**
+   * A unique series of letters assigned to a security for trading purposes.
+   */
+  Name?: string;
+  /**
+   * Displays the type of options contract the symbol represents. Valid options include: Puts, Calls.
+   */
+  OptionType?: string;
+  /**
+   * Symbol`s point value.
+   */
+  PointValue?: number;
+  /**
+   * The Symbol root.
+   */
+  Root?: string;
+  /**
+   * Displays strike price of an options contract; For Options symbols only.
+   */
+  StrikePrice?: number;
+}>;
+
+export interface Error {
+  TraceId?: string;
+  StatusCode?: number;
+  Message?: string;
+}
+
+export type SymbolSearchDefinition = Array<{
+  /**
+   * The type of financial instrument that the symbol represents, such as a stock, index, or mutual fund.
+   */
+  Category?: string;
+  /**
+   * The country of the exchange where the symbol is listed.
+   */
+  Country?: "US" | "DE" | "CA";
+  /**
+   * Displays the type of base currency for the selected symbol.
+   */
+  Currency?: "USD" | "AUD" | "CAD" | "CHF" | "DKK" | "EUR" | "DBP" | "HKD" | "JPY" | "NOK" | "NZD" | "SEK" | "SGD";
+  /**
+   * Displays the full name of the symbol.
+   */
+  Description?: string;
+  /**
+   * Symbol's price display type based on the following list:
+   */
+  DisplayType?: number;
+  /**
+   * Element that references error.
+   */
+  Error?: string;
+  /**
+   * Name of exchange where this symbol is traded in.
+   */
+  Exchange?: string;
+  /**
+   * A unique numerical identifier for the Exchange.
+   */
+  ExchangeID?: number;
+  /**
+   * Displays the expiration date for a futures or options contract in UTC formatted time.
+   */
+  ExpirationDate?: string;
+  /**
+   * For options only. It indicates whether the option is a monthly, weekly, quarterly or end of month expiration.
+   * * W - Weekly
+   * * M - Monthly
+   * * Q - Quartely
+   * * E - End of the month
+   * * "" - The term not be identified
+   */
+  ExpirationType?: string;
+  /**
+   * Displays the type of future contract the symbol represents.
+   */
+  FutureType?: string;
+  /**
+   * Multiplying factor using the display type to determine the minimum price increment the asset trades in. For options the MinMove may vary. If the MinMove is negative, then the MinMove is dependent on the price. The whole number portion of the min move is the threshold. The leftmost two digits to the right of the decimal (X.XXXX) indicate the min move beneath the threshold, and the rightmost two digits (X.XXXX) indicate the min move above the threshold.
+   */
+  MinMove?: number;
+  /**
+   * A unique series of letters assigned to a security for trading purposes.
+   */
+  Name?: string;
+  /**
+   * Displays the type of options contract the symbol represents. Valid options include: Puts, Calls.
+   */
+  OptionType?: string;
+  /**
+   * Symbol`s point value.
+   */
+  PointValue?: number;
+  /**
+   * The Symbol root.
+   */
+  Root?: string;
+  /**
+   * Displays strike price of an options contract; For Options symbols only.
+   */
+  StrikePrice?: number;
+  /**
+   * The financial instrument on which an option contract is based or derived.
+   */
+  Underlying?: string;
+}>;
+
+/**
+ * Standard tickbar data object for streaming tick bars with stream/tickbars/...
+ */
+export interface TickbarDefinition {
+  /**
+   * Close price of current bar.
+   */
+  Close?: number;
+  Status?: StatusDefinition;
+  /**
+   * Epoch timestamp.
+   */
+  TimeStamp?: string;
+  /**
+   * The total volume of shares or contracts.
+   */
+  TotalVolume?: number;
+}
+
+/**
+ * Status value for Barcharts and Tickbars. Integer value represeting values through bit mappings
+ */
+export type StatusDefinition = number;
+
+/**
+ * Trailing Stop offset; amount or percent
+ */
+export interface TrailingStopDefinition {
+  /**
+   * Currency Offset from current price.
+   * Note: Mutually exclusive with Percent.
+   */
+  Amount?: number;
+  /**
+   * Percentage offset from current price.
+   * Note: Mutually exclusive with Amount.
+   */
+  Percent?: number;
+}
+
+/**
+ * Market Activation Rules that must be met before the order is sent to the exchange.
+ */
+export interface MarketActivationRuleDefinition {
+  /**
+   * Type of the activation rule. Currently only support "Price"
+   */
+  RuleType?: "Price";
+  /**
+   * Symbol that the rule is based on
+   */
+  Symbol?: string;
+  /**
+   * The predicate comparison for the market rule type. E.g. Lt (less than).
+   */
+  Predicate?: "Lt" | "Lte" | "Gt" | "Gte";
+  /**
+   * The ticks behavior for the activation rule.
+   */
+  TriggerKey?: "STT" | "STTN" | "SBA" | "SAB" | "DTT" | "DTTN" | "DBA" | "DAB" | "TTT" | "TTTN" | "TBA" | "TAB";
+  /**
+   * Valid only for Type="Price", the price at which the rule will trigger when the price hits ticks as specified by TriggerType
+   */
+  Price?: string;
+  /**
+   * Relation with the previous activation rule when given a list of MarketActivationRules. Ignored for the first MarketActivationRule.
+   */
+  LogicOperator?: "And" | "Or";
+}
+
+/**
+ * Time Activation Rules that must be met before the order is sent to the exchange.
+ */
+export interface TimeActivationRuleDefinition {
+  /**
+   * Order is activated once current UTC time is greater thans or equal to TimeUtc. hh:mm:ss
+   */
+  TimeUtc?: string;
+}
+
+/**
+ * Advanced Options for an order
+ */
+export interface AdvancedOptionsDefinition {
+  TrailingStop?: TrailingStopDefinition;
+  /**
+   * Set of market-based activation rules that must be met before order is sent to the exchange. Max 4 rules.
+   */
+  MarketActivationRules?: MarketActivationRuleDefinition[];
+  /**
+   * Set of time-based activation rules that must be met before order is sent to the exchange. Max 1 rule.
+   */
+  TimeActivationRules?: TimeActivationRuleDefinition[];
+  /**
+   * Number of shares to submit to market at a time for this order. Valid for futures and equities orders. For equities, must be multiple of 100.
+   */
+  ShowOnlyQuantity?: number;
+}
+
+export interface OrderConfirmRequestDefinition {
+  /**
+   * Must be a valid Account Key for that user and Asset Type
+   */
+  AccountKey: string;
+  AdvancedOptions?: AdvancedOptionsDefinition;
+  AssetType: "EQ" | "FU" | "OP";
+  /**
+   * Allowed durations vary by Asset Type
+   * * DAY - Day, valid until the end of the regular trading session.
+   * * DYP - Day Plus; valid until the end of the extended trading session
+   * * GTC - Good till canceled
+   * * GCP - Good till canceled plus
+   * * GTD - Good through date
+   * * GDP - Good through date plus
+   * * OPG - At the opening; only valid for listed stocks at the opening session Price
+   * * CLO - On Close; orders that target the closing session of an exchange.
+   * * IOC - Immediate or Cancel; filled immediately or canceled, partial fills are accepted
+   * * FOK - Fill or Kill; orders are filled entirely or canceled, partial fills are not accepted
+   * * 1 or 1 MIN - 1 minute; expires after the 1 minute
+   * * 3 or 3 MIN - 3 minutes; expires after the 3 minutes
+   * * 5 or 5 MIN - 5 minutes; expires after the 5 minutes
+   */
+  Duration: "DAY" | "DYP" | "GTC" | "GCP" | "GTD" | "GDP" | "OPG" | "CLO" | "IOC" | "FOK" | 1 | "1 MIN" | 3 | "3 MIN" | 5 | "5 MIN";
+  /**
+   * Date that Order is valid through. Input Format: MM/DD/YYYY
+   * Required for orders with Duration = GTD.
+   */
+  GTDDate?: string;
+  LimitPrice?: string;
+  StopPrice?: string;
+  OrderType: "Limit" | "Market" | "StopLimit" | "StopMarket";
+  Quantity: string;
+  /**
+   * The route of the order. For Stocks and Options, Route value will default to `Intelligent` if no value is set.
+   * Must be UPPERCASE. Routes can be obtained from [Retrieve Available Exchanges](#operation/getExchanges).
+   */
+  Route?: string;
+  /**
+   * Must be UPPERCASE
+   */
+  Symbol: string;
+  /**
+   * Conveys the intent of the trade
+   * * BUY - `equities` and `futures`
+   * * SELL - `equities` and `futures`
+   * * BUYTOCOVER - `equities`
+   * * SELLSHORT - `equities`
+   * * BUYTOOPEN - `options`
+   * * BUYTOCLOSE - `options`
+   * * SELLTOOPEN - `options`
+   * * SELLTOCLOSE - `options`
+   */
+  TradeAction: "BUY" | "SELL" | "BUYTOCOVER" | "SELLSHORT" | "BUYTOOPEN" | "BUYTOCLOSE" | "SELLTOOPEN" | "SELLTOCLOSE";
+  OSOs?: Array<{
+    Type: "NORMAL" | "BRK" | "OCO";
+    Orders?: OrderConfirmRequestDefinition[];
+  }>;
+  Legs?: Array<{
+    /**
+     * Must be UPPERCASE
+     */
+    Symbol?: string;
+    Quantity?: string;
+    /**
+     * Conveys the intent of the trade
+     * * BUY - equity and futures trades
+     * * SELL - equity and futures trades
+     * * BUYTOCOVER - equity trade to close a short position
+     * * SELLSHORT - equity trade to open a short position
+     * * BUYTOOPEN - option trades
+     * * BUYTOCLOSE - option trades
+     * * SELLTOOPEN - option trades
+     * * SELLTOCLOSE - option trades
+     */
+    TradeAction?: "BUY" | "SELL" | "BUYTOCOVER" | "SELLSHORT" | "BUYTOOPEN" | "BUYTOCLOSE" | "SELLTOOPEN" | "SELLTOCLOSE";
+  }>;
+}
+
+export interface OrderRequestDefinition {
+  /**
+   * Must be a valid Account Key for that user and Asset Type
+   */
+  AccountKey: string;
+  AdvancedOptions?: AdvancedOptionsDefinition;
+  AssetType: "EQ" | "FU" | "OP";
+  /**
+   * Allowed durations vary by Asset Type
+   * * DAY - Day, valid until the end of the regular trading session.
+   * * DYP - Day Plus; valid until the end of the extended trading session
+   * * GTC - Good till canceled
+   * * GCP - Good till canceled plus
+   * * GTD - Good through date
+   * * GDP - Good through date plus
+   * * OPG - At the opening; only valid for listed stocks at the opening session Price
+   * * CLO - On Close; orders that target the closing session of an exchange.
+   * * IOC - Immediate or Cancel; filled immediately or canceled, partial fills are accepted
+   * * FOK - Fill or Kill; orders are filled entirely or canceled, partial fills are not accepted
+   * * 1 or 1 MIN - 1 minute; expires after the 1 minute
+   * * 3 or 3 MIN - 3 minutes; expires after the 3 minutes
+   * * 5 or 5 MIN - 5 minutes; expires after the 5 minutes
+   */
+  Duration: "DAY" | "DYP" | "GTC" | "GCP" | "GTD" | "GDP" | "OPG" | "CLO" | "IOC" | "FOK" | 1 | "1 MIN" | 3 | "3 MIN" | 5 | "5 MIN";
+  /**
+   * Date that Order is valid through. Input Format: MM/DD/YYYY
+   * Required for orders with Duration = GTD.
+   */
+  GTDDate?: string;
+  LimitPrice?: string;
+  StopPrice?: string;
+  /**
+   * A unique identifier regarding an order used to prevent duplicates.
+   */
+  OrderConfirmId?: string;
+  OrderType: "Limit" | "Market" | "StopLimit" | "StopMarket";
+  Quantity: string;
+  /**
+   * The route of the order. For Stocks and Options, Route value will default to `Intelligent` if no value is set.
+   * Must be UPPERCASE. Routes can be obtained from [Retrieve Available Exchanges](#operation/getExchanges).
+   */
+  Route?: string;
+  /**
+   * Must be UPPERCASE
+   */
+  Symbol: string;
+  /**
+   * Conveys the intent of the trade
+   * * BUY - `equities` and `futures`
+   * * SELL - `equities` and `futures`
+   * * BUYTOCOVER - `equities`
+   * * SELLSHORT - `equities`
+   * * BUYTOOPEN - `options`
+   * * BUYTOCLOSE - `options`
+   * * SELLTOOPEN - `options`
+   * * SELLTOCLOSE - `options`
+   */
+  TradeAction: "BUY" | "SELL" | "BUYTOCOVER" | "SELLSHORT" | "BUYTOOPEN" | "BUYTOCLOSE" | "SELLTOOPEN" | "SELLTOCLOSE";
+  OSOs?: Array<{
+    Type: "NORMAL" | "BRK" | "OCO";
+    Orders?: OrderRequestDefinition[];
+  }>;
+  Legs?: Array<{
+    /**
+     * Must be UPPERCASE
+     */
+    Symbol?: string;
+    Quantity?: string;
+    /**
+     * Conveys the intent of the trade
+     * * BUY - equity and futures trades
+     * * SELL - equity and futures trades
+     * * BUYTOCOVER - equity trade to close a short position
+     * * SELLSHORT - equity trade to open a short position
+     * * BUYTOOPEN - option trades
+     * * BUYTOCLOSE - option trades
+     * * SELLTOOPEN - option trades
+     * * SELLTOCLOSE - option trades
+     */
+    TradeAction?: "BUY" | "SELL" | "BUYTOCOVER" | "SELLSHORT" | "BUYTOOPEN" | "BUYTOCLOSE" | "SELLTOOPEN" | "SELLTOCLOSE";
+  }>;
+}
+
+/**
+ * Contains brokerage account information for individual brokerage accounts.
+ */
+export interface Account {
+  AccountDetail?: AccountDetail;
+  AccountID?: AccountID;
+  /**
+   * The type of the TradeStation Account. Valid values are: `Cash`, `Margin`, `Futures`, `DVP`, and `Crypto`.
+   */
+  AccountType?: string;
+  /**
+   * A user specified name that identifies a TradeStation account. Omits if not set.
+   */
+  Alias?: string;
+  /**
+   * TradeStation account ID for accounts based in Japan. Omits if not set.
+   */
+  AltID?: string;
+  /**
+   * Currency associated with this account.
+   */
+  Currency?: string;
+  /**
+   * Status of a specific account:
+   * - Active
+   * - Closed
+   * - Closing Transaction Only
+   * - Margin Call - Closing Transactions Only
+   * - Inactive
+   * - Liquidating Transactions Only
+   * - Restricted
+   * - 90 Day Restriction-Closing Transaction Only
+   */
+  Status?: string;
+}
+
+/**
+ * (Equities) Contains detailed information about specific accounts depending on account type.
+ */
+export interface AccountDetail {
+  /**
+   * Identifies whether equity account is enabled for crypto trading.
+   */
+  CryptoEnabled?: boolean;
+  /**
+   * Indicates if the account is qualified to day trade as per compliance suitability in TradeStation. An account that is not Day Trading Qualified is subject to restrictions that will not allow it to become a pattern day trader.
+   */
+  DayTradingQualified?: boolean;
+  /**
+   * For internal use only.  Identifies whether accounts is enrolled in Reg T program.
+   */
+  EnrolledInRegTProgram?: boolean;
+  /**
+   * True if this account is stock locate eligible; otherwise, false.
+   */
+  IsStockLocateEligible?: boolean;
+  /**
+   * Valid values are: `0`, `1`, `2`, `3`, `4`, and `5`.
+   * (Equities) The option approval level will determine what options strategies you will be able to employ in the account. In general terms, the levels are defined as follows:
+   * Level 0 - No options trading allowed
+   * Level 1 - Writing of Covered Calls, Buying Protective Puts
+   * Level 2 - Level 1 + Buying Calls, Buying Puts, Writing Covered Puts
+   * Level 3 - level 2+ Stock Option Spreads, Index Option Spreads, Butterfly Spreads, Condor Spreads, Iron Butterfly Spreads, Iron Condor Spreads
+   * Level 4 - Level 3 + Writing of Naked Puts (Stock Options)
+   * Level 5 - Level 4 + Writing of Naked Puts (Index Options), Writing of Naked Calls (Stock Options), Writing of Naked Calls (Index Options)
+   */
+  OptionApprovalLevel?: number;
+  /**
+   * (Equities) Indicates whether you are considered a pattern day trader. As per FINRA rules, you will be considered a pattern day trader if you trade 4 or more times in 5 business days and your day-trading activities are greater than 6 percent of your total trading activity for that same five-day period. A pattern day trader must maintain a minimum equity of $25,000 on any day that the customer day trades. If the account falls below the $25,000 requirement, the pattern day trader will not be permitted to day trade until the account is restored to the $25,000 minimum equity level.
+   */
+  PatternDayTrader?: boolean;
+  /**
+   * For internal use only. Identifies whether account is enrolled in the margin buying power warning program to receive alerts prior to placing an order which would exceed their buying power.
+   */
+  RequiresBuyingPowerWarning?: boolean;
+}
+
+/**
+ * TradeStation Account ID.
+ */
+export type AccountID = string;
+
+/**
+ * Contains brokerage account information for the identified user.
+ */
+export interface Accounts {
+  Accounts?: Account[];
+}
+
+/**
+ * The trigger type allows you to specify the type of tick, number, and pattern of ticks that will trigger a specific row of an activation rule.
+ */
+export interface ActivationTrigger {
+  /**
+   * Value used in the `TriggerKey` property of `MarketActivationRules` in the `AdvancedOptions` for an order. Valid Values are: `STT`, `STTN`, `SBA`, `SAB`, `DTT`, `DTTN`, `DBA`, `DAB`, `TTT`, `TTTN`, `TBA`, and `TAB`.
+   */
+  Key?: string;
+  Name?: string;
+  Description?: string;
+}
+
+/**
+ * The trigger type allows you to specify the type of tick, number, and pattern of ticks that will trigger a specific row of an activation rule.
+ */
+export interface ActivationTriggers {
+  ActivationTriggers?: ActivationTrigger[];
+}
+
+export interface AdvancedOptionsReplace {
+  /**
+   * Hides the true number of shares intended to be bought or sold. Valid for `Limit` and `StopLimit` order types. Not valid for all exchanges. For Equities and Futures.
+   */
+  ShowOnlyQuantity?: string;
+  TrailingStop?: TrailingStop;
+  /**
+   * Does not apply to Crypto orders.
+   */
+  MarketActivationRules?: MarketActivationRulesReplace;
+  /**
+   * Does not apply to Crypto orders.
+   */
+  TimeActivationRules?: TimeActivationRulesReplace;
+}
+
+export interface AdvancedOptions {
+  /**
+   * This option allows you to place orders that will only add liquidity on the route you selected. To place an Add Liquidity order, the user must also select Book Only order type. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  AddLiquidity?: boolean;
+  /**
+   * Use this advanced order feature when you do not want a partial fill. Your order will be filled in its entirety or not at all. Valid values `true` and `false`.  Valid for Equities and Options.
+   */
+  AllOrNone?: boolean;
+  /**
+   * This option restricts the destination you choose in the direct routing from re-routing your order to another destination. This type of order is useful in controlling your execution costs by avoiding fees the Exchanges can charge for rerouting your order to another market center. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  BookOnly?: boolean;
+  /**
+   * You can use this option to reflect a Bid/Ask at a lower/higher price than you are willing to pay using a specified price increment. Valid for `Limit` and `Stop Limit` orders only. Valid for Equities only.
+   */
+  DiscretionaryPrice?: string;
+  /**
+   * Does not apply to Crypto orders.
+   */
+  MarketActivationRules?: MarketActivationRules[];
+  /**
+   * When you send a non-display order, it will not be reflected in either the Market Depth display or ECN books. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  NonDisplay?: boolean;
+  /**
+   * This order type is useful to achieve a fair price in a fast or volatile market. Valid values `BEST` and `MID`. Valid for Equities only.
+   */
+  PegValue?: string;
+  /**
+   * Hides the true number of shares intended to be bought or sold. Valid for `Limit` and `StopLimit` order types. Not valid for all exchanges. For Equities and Futures.
+   */
+  ShowOnlyQuantity?: string;
+  /**
+   * Does not apply to Crypto orders.
+   */
+  TimeActivationRules?: TimeActivationRules[];
+  TrailingStop?: TrailingStop;
+}
+
+/**
+ * The type of the advanced order.
+ */
+export type AdvancedOrderType = "NORMAL" | "BRK" | "OCO";
+
+/**
+ * The type of financial instrument that a symbol represents.
+ */
+export type AssetType = "UNKNOWN" | "STOCK" | "STOCKOPTION" | "FUTURE" | "FUTUREOPTION" | "FOREX" | "CURRENCYOPTION" | "INDEX" | "INDEXOPTION" | "MUTUALFUND" | "MONEYMARKETFUND" | "BOND" | "CRYPTO";
+
+/**
+ * Contains beginning of day balance information for a single account.
+ */
+export interface BODBalance {
+  AccountID?: AccountID;
+  /**
+   * The account type of this account.
+   */
+  AccountType?: string;
+  BalanceDetail?: BODBalanceDetail;
+  /**
+   * Only applies to futures. Contains beginning of day currency detail information which varies according to account type.
+   */
+  CurrencyDetails?: BODCurrencyDetail[];
+}
+
+/**
+ * Contains detailed beginning of day balance information which varies according to account type.
+ */
+export interface BODBalanceDetail {
+  /**
+   * Only applies to equities. The amount of cash in the account at the beginning of the day.
+   */
+  AccountBalance?: string;
+  /**
+   * Beginning of day value for cash available to withdraw.
+   */
+  CashAvailableToWithdraw?: string;
+  /**
+   * Only applies to equities. The number of day trades placed in the account within the previous 4 trading days. A day trade refers to buying then selling or selling short then buying to cover the same security on the same trading day.
+   */
+  DayTrades?: string;
+  /**
+   * Only applies to equities. The Intraday Buying Power with which the account started the trading day.
+   */
+  DayTradingMarginableBuyingPower?: string;
+  /**
+   * The total amount of equity with which you started the current trading day.
+   */
+  Equity?: string;
+  /**
+   * The amount of cash in the account at the beginning of the day.
+   */
+  NetCash?: string;
+  /**
+   * Only applies to futures. Unrealized profit and loss at the beginning of the day.
+   */
+  OpenTradeEquity?: string;
+  /**
+   * Only applies to equities. Option buying power at the start of the trading day.
+   */
+  OptionBuyingPower?: string;
+  /**
+   * Only applies to equities. Intraday liquidation value of option positions.
+   */
+  OptionValue?: string;
+  /**
+   * Only applies to equities. Real-time Overnight Marginable Equities Buying Power.
+   */
+  OvernightBuyingPower?: string;
+  /**
+   * (Futures) The value of special securities that are deposited by the customer with the clearing firm for the sole purpose of increasing purchasing power in their trading account.
+   */
+  SecurityOnDeposit?: string;
+}
+
+/**
+ * Contains beginning of day currency detail information which varies according to account type.
+ */
+export interface BODCurrencyDetail {
+  /**
+   * The dollar amount of Beginning Day Margin for the given forex account.
+   */
+  AccountMarginRequirement?: string;
+  /**
+   * The dollar amount of Beginning Day Trade Equity for the given account.
+   */
+  AccountOpenTradeEquity?: string;
+  /**
+   * The value of special securities that are deposited by the customer with the clearing firm for the sole purpose of increasing purchasing power in their trading account. This number will be reset daily by the account balances clearing file. The entire value of this field will increase purchasing power.
+   */
+  AccountSecurities?: string;
+  /**
+   * The dollar amount of the Beginning Day Cash Balance for the given account.
+   */
+  CashBalance?: string;
+  /**
+   * The currency of the entity.
+   */
+  Currency?: string;
+  /**
+   * The dollar amount of Beginning Day Margin for the given forex account.
+   */
+  MarginRequirement?: string;
+  /**
+   * The dollar amount of Beginning Day Trade Equity for the given account.
+   */
+  OpenTradeEquity?: string;
+  /**
+   * Indicates the dollar amount of Beginning Day Securities
+   */
+  Securities?: string;
+}
+
+/**
+ * Contains realtime balance information for a single account.
+ */
+export interface Balance {
+  AccountID?: AccountID;
+  /**
+   * The type of the account. Valid values are: `Cash`, `Margin`, `Futures` and `DVP`.
+   */
+  AccountType?: string;
+  BalanceDetail?: BalanceDetail;
+  /**
+   * Buying Power available in the account.
+   */
+  BuyingPower?: string;
+  /**
+   * Indicates the value of real-time cash balance.
+   */
+  CashBalance?: string;
+  /**
+   * The brokerage commission cost and routing fees (if applicable) for a trade based on the number of shares or contracts.
+   */
+  Commission?: string;
+  /**
+   * Only applies to futures. Collection of properties that describe balance characteristics in different currencies.
+   */
+  CurrencyDetails?: CurrencyDetail[];
+  /**
+   * The real-time equity of the account.
+   */
+  Equity?: string;
+  /**
+   * Market value of open positions.
+   */
+  MarketValue?: string;
+  /**
+   * Unrealized profit and loss, for the current trading day, of all open positions.
+   */
+  TodaysProfitLoss?: string;
+  /**
+   * The total of uncleared checks received by Tradestation for deposit.
+   */
+  UnclearedDeposit?: string;
+}
+
+/**
+ * Contains real-time balance information that varies according to account type.
+ */
+export interface BalanceDetail {
+  /**
+   * (Equities) The cost used to calculate today's P/L.
+   */
+  CostOfPositions?: string;
+  /**
+   * (Equities): (Buying Power Available - Buying Power Used) / Buying Power Multiplier. (Futures): (Cash + UnrealizedGains) - Buying Power Used.
+   */
+  DayTradeExcess?: string;
+  /**
+   * (Futures) Money field representing the current total amount of futures day trade margin.
+   */
+  DayTradeMargin?: string;
+  /**
+   * (Futures) Money field representing the current amount of money reserved for open orders.
+   */
+  DayTradeOpenOrderMargin?: string;
+  /**
+   * (Equities) The number of day trades placed in the account within the previous 4 trading days. A day trade refers to buying then selling or selling short then buying to cover the same security on the same trading day.
+   */
+  DayTrades?: string;
+  /**
+   * (Futures) Sum (Initial Margins of all positions in the given account).
+   */
+  InitialMargin?: string;
+  /**
+   * (Futures) Indicates the value of real-time maintenance margin.
+   */
+  MaintenanceMargin?: string;
+  /**
+   * Maintenance Margin Rate.
+   */
+  MaintenanceRate?: string;
+  /**
+   * (Futures) Indicates the value of real-time account margin requirement.
+   */
+  MarginRequirement?: string;
+  /**
+   * (Futures) The dollar amount of Open Order Margin for the given futures account.
+   */
+  OpenOrderMargin?: string;
+  /**
+   * (Equities) The intraday buying power for options.
+   */
+  OptionBuyingPower?: string;
+  /**
+   * (Equities) Market value of open positions.
+   */
+  OptionsMarketValue?: string;
+  /**
+   * (Equities) Overnight Buying Power (Regulation T) at the start of the trading day.
+   */
+  OvernightBuyingPower?: string;
+  /**
+   * Indicates the value of real-time account realized profit or loss.
+   */
+  RealizedProfitLoss?: string;
+  /**
+   * (Equities) Total required margin for all held positions.
+   */
+  RequiredMargin?: string;
+  /**
+   * (Futures) The value of special securities that are deposited by the customer with the clearing firm for the sole purpose of increasing purchasing power in their trading account. This number will be reset daily by the account balances clearing file. The entire value of this field will increase purchasing power.
+   */
+  SecurityOnDeposit?: string;
+  /**
+   * (Futures) The unrealized P/L for today. Unrealized P/L - BODOpenTradeEquity.
+   */
+  TodayRealTimeTradeEquity?: string;
+  /**
+   * (Futures) The dollar amount of unrealized profit and loss for the given futures account. Same value as RealTimeUnrealizedGains.
+   */
+  TradeEquity?: string;
+  /**
+   * Indicates the value of real-time account unrealized profit or loss.
+   */
+  UnrealizedProfitLoss?: string;
+  /**
+   * Unsettled Funds are funds that have been closed but not settled.
+   */
+  UnsettledFunds?: string;
+}
+
+/**
+ * Contains a collection of realtime balance information.
+ */
+export interface Balances {
+  Balances?: Balance[];
+  Errors?: BalanceError[];
+}
+
+/**
+ * Contains a colleciton of beginning of day balance information.
+ */
+export interface BalancesBOD {
+  BODBalances?: BODBalance[];
+  Errors?: BalanceError[];
+}
+
+/**
+ * Barchart data, starting from a starting date. Each bar filling quantity of unit.
+ */
+export interface Bar {
+  /**
+   * The close price of the current bar.
+   */
+  Close?: string;
+  /**
+   * A trade made at a price less than the previous trade price or at a price equal to the previous trade price. Does not apply to bars for crypto symbols.
+   */
+  DownTicks?: number;
+  /**
+   * Volume traded on downticks. A tick is considered a downtick if  the previous tick was a downtick or the price is lower than the previous tick. Does not apply to bars for crypto symbols.
+   */
+  DownVolume?: number;
+  /**
+   * The Epoch time.
+   */
+  Epoch?: number;
+  /**
+   * The high price of the current bar.
+   */
+  High?: string;
+  /**
+   * Conveys that all historical bars in the request have been delivered. Does not apply to bars for crypto symbols.
+   */
+  IsEndOfHistory?: boolean;
+  /**
+   * Set when there is data in the bar and the data is being built in "real time" from a trade. Does not apply to bars for crypto symbols.
+   */
+  IsRealtime?: boolean;
+  /**
+   * The low price of the current bar.
+   */
+  Low?: string;
+  /**
+   * The open price of the current bar.
+   */
+  Open?: string;
+  /**
+   * For Options or Futures only. Number of open contracts. Does not apply to bars for crypto symbols.
+   */
+  OpenInterest?: string;
+  TimeStamp?: TimeStamp;
+  /**
+   * Total number of ticks (upticks and downticks together). Does not apply to bars for crypto symbols.
+   */
+  TotalTicks?: number;
+  /**
+   * The sum of up volume and down volume.
+   */
+  TotalVolume?: string;
+  /**
+   * The number of securities with a current price that is the same as the previous day's close. Does not apply to bars for crypto symbols.
+   */
+  UnchangedTicks?: number;
+  /**
+   * The volume of securities with a current price that is the same as the previous day's close. Does not apply to bars for crypto symbols.
+   */
+  UnchangedVolume?: number;
+  /**
+   * A trade made at a price greater than the previous trade price, or at a price equal to the previous trade price. Does not apply to bars for crypto symbols.
+   */
+  UpTicks?: number;
+  /**
+   * Volume traded on upticks. A tick is considered an uptick if the  previous tick was an uptick or the price is higher than the previous tick. Does not apply to bars for crypto symbols.
+   */
+  UpVolume?: number;
+  /**
+   * Indicates if bar is Open or Closed. Does not apply to bars for crypto symbols.
+   */
+  BarStatus?: string;
+}
+
+/**
+ * Contains a list of barchart data.
+ */
+export interface Bars {
+  Bars?: Bar[];
+}
+
+/**
+ * Defines whether an option is a call or a put. Valid values are `CALL` and `PUT`.
+ */
+export type CallPut = string;
+
+/**
+ * Contains currency detail information which varies according to account type.
+ */
+export interface CurrencyDetail {
+  /**
+   * Indicates the rate used to convert from the currency of the symbol to the currency of the account.
+   */
+  AccountConversionRate?: string;
+  /**
+   * Indicates the value of real-time account margin requirement.
+   */
+  AccountMarginRequirement?: string;
+  /**
+   * Indicates the value of real-time cash balance.
+   */
+  CashBalance?: string;
+  /**
+   * (Futures) The brokerage commission cost and routing fees (if applicable) for a trade based on the number of shares or contracts.
+   */
+  Commission?: string;
+  /**
+   * Currency is the currency this account is traded in.
+   */
+  Currency?: string;
+  /**
+   * Indicates the value of real-time initial margin.
+   */
+  InitialMargin?: string;
+  /**
+   * Indicates the value of real-time maintance margin.
+   */
+  MaintenanceMargin?: string;
+  /**
+   * Indicates the value of real-time realized profit or loss.
+   */
+  RealizedProfitLoss?: string;
+  /**
+   * Indicates the value of real-time unrealized profit or loss.
+   */
+  UnrealizedProfitLoss?: string;
+}
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * E.g. `2023-01-01T23:30:30Z`.
+ */
+export type TimeStamp = string;
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * For time activated orders, the date portion is required but not relevant. E.g. `2023-01-01T23:30:30Z`.
+ */
+export type TimeUtc = string;
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * Only applicable to GTD and GDP orders. The full timestamp is required, but only the date portion is relevant. E.g. `2023-01-01T23:30:30Z`.
+ */
+export type Expiration = string;
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * Only applicable to GTD and GDP orders. The full timestamp is returned, but only the date portion is relevant. E.g. `2023-01-01T23:30:30Z`.
+ */
+export type ExpirationResponse = string;
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * E.g. `2023-01-01T23:30:30Z`.
+ */
+export type ExpirationDate = string;
+
+/**
+ * The length of time for which an order will remain valid in the market. Available values are: DAY, DYP, GTC, GCP, GTD, GDP, OPG, CLO, IOC, FOK, 1, 3, and 5. Different asset classes and routes may have restrictions on the durations they accept.
+ * * DAY - Day, valid until the end of the regular trading session.
+ * * DYP - Day Plus; valid until the end of the extended trading session.
+ * * GTC - Good till canceled. Maximum lifespan is 90 calendar days.
+ * * GCP - Good till canceled plus. Maximum lifespan is 90 calendar days.
+ * * GTD - Good through date. Maximum lifespan is 90 calendar days.
+ * * GDP - Good through date plus. Maximum lifespan is 90 calendar days.
+ * * OPG - At the opening; only valid for listed stocks at the opening session Price.
+ * * CLO - On Close; orders that target the closing session of an exchange.
+ * * IOC - Immediate or Cancel; filled immediately or canceled, partial fills are accepted.
+ * * FOK - Fill or Kill; orders are filled entirely or canceled, partial fills are not accepted.
+ * * 1 - 1 minute; expires after the 1 minute. Only valid for equity orders.
+ * * 3 - 3 minutes; expires after the 3 minutes. Only valid for equity orders.
+ * * 5 - 5 minutes; expires after the 5 minutes. Only valid for equity orders.
+ */
+export type Duration = string;
+
+/**
+ * Contains error details.
+ */
+export interface ErrorResponse {
+  /**
+   * Error Title, can be any of `BadRequest`, `Unauthorized`, `Forbidden`, `TooManyRequests`, `InternalServerError`, `NotImplemented`, `ServiceUnavailable`, or `GatewayTimeout`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+}
+
+/**
+ * The request for placing a group trade.
+ */
+export interface GroupOrderRequest {
+  Orders: OrderRequest[];
+  /**
+   * The group order type.  Valid values are: `BRK`, `OCO`, and `NORMAL`.
+   */
+  Type: string;
+}
+
+/**
+ * IncrementScheduleRow describes a threshold where prices above or equal to the StartsAt threshold will increment at the
+ * Increment value defined. A series of rows are provided to build a table to the IncrementSchedule() scheme option.
+ */
+export interface IncrementScheduleRow {
+  /**
+   * The incremental value.
+   */
+  Increment?: string;
+  /**
+   * The initial value to start incrementing from.
+   */
+  StartsAt?: string;
+}
+
+/**
+ * Any existing Market Activation Rules will be replaced by the values sent in `Rules`.
+ */
+export interface MarketActivationRulesReplace {
+  /**
+   * If 'True', removes all activation rules when replacing the order and ignores any rules sent in `Rules`.
+   */
+  ClearAll?: boolean;
+  Rules?: MarketActivationRules[];
+}
+
+export interface MarketActivationRules {
+  /**
+   * Type of the activation rule. Currently only supports `Price`.
+   */
+  RuleType?: string;
+  /**
+   * Symbol that the rule is based on.
+   */
+  Symbol?: string;
+  /**
+   * The predicate comparison for the market rule type. E.g. `Lt` (less than).
+   * - `Lt` - Less Than
+   * - `Lte` - Less Than or Equal
+   * - `Gt` - Greater Than
+   * - `Gte` - Greater Than or Equal
+   */
+  Predicate?: string;
+  /**
+   * The ticks behavior for the activation rule. Rule descriptions can be obtained from [Get Activation Triggers](#operation/GetActivationTriggers).
+   */
+  TriggerKey?: "STT" | "STTN" | "SBA" | "SAB" | "DTT" | "DTTN" | "DBA" | "DAB" | "TTT" | "TTTN" | "TBA" | "TAB";
+  /**
+   * Valid only for RuleType="Price", the price at which the rule will trigger when the price hits ticks as specified by TriggerKey.
+   */
+  Price?: string;
+  /**
+   * Relation with the previous activation rule when given a list of MarketActivationRules. Ignored for the first MarketActivationRule.
+   */
+  LogicOperator?: "And" | "Or";
+}
+
+/**
+ * A brokerage order.
+ */
+export interface OrderBase {
+  AccountID?: AccountID;
+  /**
+   * Will display a value when the order has advanced order rules associated with it or
+   * is part of a bracket order. Valid Values are: `CND`, `AON`, `TRL`, `SHWQTY`, `DSCPR`, `NON`, `PEGVAL`, `BKO`, `PSO`
+   * * `AON` - All or None
+   * * `BKO` - Book Only
+   * * `CND` - Activation Rule
+   * * `DSCPR=<Price>` - Discretionary price
+   * * `NON` - Non-Display
+   * * `PEGVAL=<Value>` - Peg Value
+   * * `PSO` - Add Liquidity
+   * * `SHWQTY=<quantity>` - Show Only
+   * * `TRL` - Trailing Stop
+   */
+  AdvancedOptions?: string;
+  /**
+   * The Closed Date Time of this order.
+   */
+  ClosedDateTime?: string;
+  /**
+   * The actual brokerage commission cost and routing fees (if applicable) for a trade based on the number of shares or contracts.
+   */
+  CommissionFee?: string;
+  /**
+   * Describes the relationship between linked orders in a group and this order.
+   */
+  ConditionalOrders?: OrderRelationship[];
+  /**
+   * Indicates the rate used to convert from the currency of the symbol to the currency of the account.
+   */
+  ConversionRate?: string;
+  /**
+   * Currency used to complete the Order.
+   */
+  Currency?: string;
+  /**
+   * The amount of time for which an order is valid.
+   */
+  Duration?: string;
+  /**
+   * At the top level, this is the average fill price. For expanded levels, this is the actual execution price.
+   */
+  FilledPrice?: string;
+  /**
+   * For GTC, GTC+, GTD and GTD+ order durations. The date the order will expire on in UTC format. The time portion, if "T00:00:00Z", should be ignored.
+   */
+  GoodTillDate?: string;
+  /**
+   * It can be used to identify orders that are part of the same bracket.
+   */
+  GroupName?: string;
+  /**
+   * An array of legs associated with this order.
+   */
+  Legs?: OrderLeg[];
+  /**
+   * Does not apply to Crypto orders.
+   */
+  MarketActivationRules?: MarketActivationRules[];
+  /**
+   * Does not apply to Crypto orders.
+   */
+  TimeActivationRules?: TimeActivationRules[];
+  /**
+   * The limit price for Limit and Stop Limit orders.
+   */
+  LimitPrice?: string;
+  /**
+   * Time the order was placed.
+   */
+  OpenedDateTime?: string;
+  /**
+   * The order ID of this order.
+   */
+  OrderID?: string;
+  OrderType?: OrderType;
+  /**
+   * Price used for the buying power calculation of the order.
+   */
+  PriceUsedForBuyingPower?: string;
+  /**
+   * If an order has been rejected, this will display the rejection. reason
+   */
+  RejectReason?: string;
+  /**
+   * Identifies the routing selection made by the customer when placing the order.
+   */
+  Routing?: string;
+  /**
+   * Hides the true number of shares intended to be bought or sold. Valid for `Limit` and `StopLimit` order types. Not valid for all exchanges.
+   */
+  ShowOnlyQuantity?: string;
+  /**
+   * The spread type for an option order.
+   */
+  Spread?: string;
+}
+
+export type Order = OrderBase & {
+  Status?: Status;
+  /**
+   * Description of the status.
+   */
+  StatusDescription?: string;
+  /**
+   * The stop price for StopLimit and StopMarket orders.
+   */
+  StopPrice?: string;
+  TrailingStop?: TrailingStop;
+  /**
+   * Only applies to equities.  Will contain a value if the order has received a routing fee.
+   */
+  UnbundledRouteFee?: string;
+};
+
+export type HistoricalOrder = OrderBase & {
+  Status?: HistoricalStatus;
+  /**
+   * Description of the status.
+   */
+  StatusDescription?: string;
+  /**
+   * The stop price for StopLimit and StopMarket orders.
+   */
+  StopPrice?: string;
+  TrailingStop?: TrailingStop;
+  /**
+   * Only applies to equities.  Will contain a value if the order has received a routing fee.
+   */
+  UnbundledRouteFee?: string;
+};
+
+/**
+ * The response will also contain asset-specific fields.
+ */
+export interface OrderConfirmResponse {
+  /**
+   * The currency the account is traded in.
+   */
+  AccountCurrency?: string;
+  AccountID?: AccountID;
+  /**
+   * This option allows you to place orders that will only add liquidity on the route you selected. To place an Add Liquidity order, the user must also select Book Only order type. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  AddLiquidity?: boolean;
+  /**
+   * Use this advanced order feature when you do not want a partial fill. Your order will be filled in its entirety or not at all. Valid values `true` and `false`.  Valid for Equities and Options.
+   */
+  AllOrNone?: boolean;
+  /**
+   * The base currency.
+   */
+  BaseCurrency?: string;
+  /**
+   * This option restricts the destination you choose in the direct routing from re-routing your order to another destination. This type of order is useful in controlling your execution costs by avoiding fees the Exchanges can charge for rerouting your order to another market center. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  BookOnly?: boolean;
+  /**
+   * The counter currency.
+   */
+  CounterCurrency?: string;
+  /**
+   * The currency used in this transaction.
+   */
+  Currency?: string;
+  /**
+   * The actual cost for Market orders and orders with conditions, such as Trailing Stop or Activation Rule orders. Takes into account wheather or not the transaction will result in a debit or credit to the user.
+   */
+  DebitCreditEstimatedCost?: string;
+  /**
+   * You can use this option to reflect a Bid/Ask at a lower/higher price than you are willing to pay using a specified price increment. Valid for `Limit` and `Stop Limit` orders only. Valid for Equities only.
+   */
+  DiscretionaryPrice?: string;
+  /**
+   * An estimated value that is calculated using the published TradeStation commission schedule. Equity and Futures Orders.
+   */
+  EstimatedCommission?: string;
+  /**
+   * The actual cost for Market orders and orders with conditions, such as Trailing Stop or Activation Rule orders.
+   */
+  EstimatedCost?: string;
+  /**
+   * An estimated value that is calculated using current market information. The actual cost for Market orders and orders with conditions, such as Trailing Stop or Activation Rule orders, may differ significantly from this estimate.
+   */
+  EstimatedPrice?: string;
+  /**
+   * Initial margin displayed for this transaction.
+   */
+  InitialMarginDisplay?: string;
+  Legs?: OrderConfirmResponseLeg[];
+  /**
+   * The limit price for Limit orders.
+   */
+  LimitPrice?: string;
+  /**
+   * When you send a non-display order, it will not be reflected in either the Market Depth display or ECN books. Valid values `true` and `false`.  Valid for Equities only.
+   */
+  NonDisplay?: boolean;
+  /**
+   * Indicates the category of the order.
+   */
+  OrderAssetCategory?: "EQUITY" | "STOCKOPTION" | "FUTURE" | "CRYPTO";
+  /**
+   * Non-crypto orders only.  A unique identifier regarding an order used to prevent duplicates. Must be unique per API key, per order, per user.
+   */
+  OrderConfirmID?: string;
+  /**
+   * This order type is useful to achieve a fair price in a fast or volatile market. Valid values `BEST` and `MID`. Valid for Equities only.
+   */
+  PegValue?: string;
+  /**
+   * The currency of the product.
+   */
+  ProductCurrency?: string;
+  /**
+   * The route of this transaction.
+   */
+  Route?: string;
+  /**
+   * Hides the true number of shares intended to be bought or sold. Valid for `Limit` and `StopLimit` order types. Not valid for all exchanges.
+   */
+  ShowOnlyQuantity?: number;
+  /**
+   * The option spread.
+   */
+  Spread?: string;
+  /**
+   * The stop price for open orders.
+   */
+  StopPrice?: string;
+  /**
+   * A summary message.
+   */
+  SummaryMessage?: string;
+  /**
+   * TimeInForce defines the duration and duration timestamp.
+   */
+  TimeInForce?: {
+    Duration?: Duration;
+    Expiration?: ExpirationResponse;
+  };
+  TrailingStop?: TrailingStop;
+  /**
+   * Underlying symbol name.
+   */
+  Underlying?: string;
+}
+
+/**
+ * An object that is returned from order confirm in WebAPI.
+ */
+export interface OrderConfirmResponseLeg {
+  ExpirationDate?: ExpirationDate;
+  OptionType?: CallPut;
+  /**
+   * The quantity.
+   */
+  Quantity?: string;
+  /**
+   * The strike price for this option.
+   */
+  StrikePrice?: string;
+  /**
+   * The symbol name associated with this option.
+   */
+  Symbol?: string;
+  TradeAction?: TradeAction;
+}
+
+/**
+ * A collection of OrderConfirmResponse objects.
+ */
+export interface OrderConfirmResponses {
+  Confirmations?: OrderConfirmResponse[];
+}
+
+/**
+ * OrderLeg is an object returned from WebAPI.
+ */
+export interface OrderLeg {
+  /**
+   * Indicates the asset type of the order.
+   */
+  AssetType?: "UNKNOWN" | "STOCK" | "STOCKOPTION" | "FUTURE" | "FUTUREOPTION" | "FOREX" | "CURRENCYOPTION" | "INDEX" | "INDEXOPTION" | "CRYPTO";
+  /**
+   * Identifies whether the order is a buy or sell. Valid values are `Buy`, `Sell`, `SellShort`, or `BuyToCover`.
+   */
+  BuyOrSell?: string;
+  /**
+   * Number of shares that have been executed.
+   */
+  ExecQuantity?: string;
+  /**
+   * The price at which order execution occurred.
+   */
+  ExecutionPrice?: string;
+  /**
+   * The expiration date of the future or option symbol.
+   */
+  ExpirationDate?: string;
+  /**
+   * What kind of order leg - Opening or Closing.
+   */
+  OpenOrClose?: string;
+  /**
+   * Present for options. Valid values are "CALL" and "PUT".
+   */
+  OptionType?: string;
+  /**
+   * Number of shares or contracts being purchased or sold.
+   */
+  QuantityOrdered?: string;
+  /**
+   * In a partially filled order, this is the number of shares or contracts that were unfilled.
+   */
+  QuantityRemaining?: string;
+  /**
+   * Present for options. The price at which the holder of an options contract can buy or sell the underlying asset.
+   */
+  StrikePrice?: string;
+  /**
+   * Symbol for the leg order.
+   */
+  Symbol?: string;
+  /**
+   * Underlying Symbol associated. Only applies to Futures and Options.
+   */
+  Underlying?: string;
+}
+
+/**
+ * Describes the relationship between linked orders in a group and this order.
+ */
+export interface OrderRelationship {
+  /**
+   * The order ID of the linked order.
+   */
+  OrderID?: string;
+  /**
+   * Describes the relationship of a linked order within a group order to the current returned order. Valid Values are: `BRK`, `OSP` (linked parent), `OSO` (linked child), and `OCO`.
+   */
+  Relationship?: string;
+}
+
+/**
+ * Describes the order properties which are being updated. Requires at least one updated property.
+ */
+export interface OrderReplaceRequest {
+  /**
+   * The limit price for this order.
+   */
+  LimitPrice?: string;
+  /**
+   * The stop price for this order. If a TrailingStop amount or percent is passed in with the request (in the AdvancedOptions), and a StopPrice value is also passed in, the StopPrice value is ignored.
+   */
+  StopPrice?: string;
+  /**
+   * The order type of this order. Order type can only be updated to `Market`.
+   */
+  OrderType?: string;
+  /**
+   * The quantity of this order.
+   */
+  Quantity?: string;
+  AdvancedOptions?: AdvancedOptionsReplace;
+}
+
+/**
+ * Submits 1 or more orders. Crypto order requests require an Account type of `Crypto`.
+ */
+export interface OrderRequest {
+  AccountID: AccountID;
+  AdvancedOptions?: AdvancedOptions;
+  /**
+   * For internal use only. For TradeStation Margin accounts enrolled in the Reg-T program, clients should send
+   * confirmation that the customer has been shown appropriate buying power warnings in advance of placing an order
+   * that could potentially violate the account's buying power. Valid values are: `Enforce`, `Preconfirmed`, and
+   * `Confirmed`.
+   */
+  BuyingPowerWarning?: string;
+  Legs?: OrderRequestLegs[];
+  /**
+   * The limit price for this order.
+   */
+  LimitPrice?: string;
+  OSOs?: OrderRequestOSO[];
+  /**
+   * Non-Crypto orders only.  A unique identifier regarding an order used to prevent duplicates. Must be unique per API key, per order, per user.
+   */
+  OrderConfirmID?: string;
+  OrderType: OrderType;
+  /**
+   * The quantity of the order.
+   */
+  Quantity: string;
+  /**
+   * The route of the order. For USDCUSD Crypto orders, route must be specified as `USDC`. For all other Crypto currencies, Route will default to `TSSR` if not specified. For Stocks and Options, Route value will default to `Intelligent` if no value is set. Routes can be obtained from [Get Routes](#operation/Routes).
+   */
+  Route?: string;
+  /**
+   * The stop price for this order. If a TrailingStop amount or percent is passed in with the request (in the AdvancedOptions), and a StopPrice value is also passed in, the StopPrice value is ignored.
+   */
+  StopPrice?: string;
+  /**
+   * The symbol used for this order.
+   */
+  Symbol: string;
+  TimeInForce: TimeInForceRequest;
+  TradeAction: TradeAction;
+}
+
+/**
+ * The legs of an order being submitted.
+ */
+export interface OrderRequestLegs {
+  /**
+   * The quantity of the order.
+   */
+  Quantity: string;
+  /**
+   * The symbol used for this leg of the order.
+   */
+  Symbol: string;
+  TradeAction: TradeAction;
+}
+
+/**
+ * OrderRequestOSO defines OSOs for placing a trade on WebAPI.
+ */
+export interface OrderRequestOSO {
+  Orders: OrderRequest[];
+  Type: AdvancedOrderType;
+}
+
+/**
+ * OrderResponse is the response from placing a trade (OrderRequest).
+ */
+export interface OrderResponse {
+  Error?: string;
+  Message?: string;
+  OrderID?: string;
+}
+
+/**
+ * OrderResponses is an array of OrderResponse objects.
+ */
+export interface OrderResponses {
+  Errors?: OrderResponse[];
+  Orders?: OrderResponse[];
+}
+
+/**
+ * The order type of the order.
+ */
+export type OrderType = "Limit" | "StopMarket" | "Market" | "StopLimit";
+
+/**
+ * Orders contains a collection of recent or historical orders for the requested account.
+ */
+export interface Orders {
+  Orders?: Order[];
+  Errors?: OrderError[];
+  /**
+   * A token returned with paginated orders which can be used in a subsequent request to retrieve the next page.
+   */
+  NextToken?: string;
+}
+
+/**
+ * Orders contains a collection of recent or historical orders for the requested account.
+ */
+export interface HistoricalOrders {
+  Orders?: HistoricalOrder[];
+  Errors?: OrderError[];
+  /**
+   * A token returned with paginated orders which can be used in a subsequent request to retrieve the next page.
+   */
+  NextToken?: string;
+}
+
+/**
+ * Orders contains a collection of recent or historical orders for the requested account.
+ */
+export interface OrdersById {
+  Orders?: Order[];
+  Errors?: OrderByIDError[];
+}
+
+/**
+ * Orders contains a collection of recent or historical orders for the requested account.
+ */
+export interface HistoricalOrdersById {
+  Orders?: HistoricalOrder[];
+  Errors?: OrderByIDError[];
+}
+
+/**
+ * Position represents a position that is returned for an Account.
+ */
+export interface PositionResponse {
+  AccountID?: AccountID;
+  /**
+   * Indicates the asset type of the position.
+   */
+  AssetType?: "STOCK" | "STOCKOPTION" | "FUTURE" | "INDEXOPTION";
+  /**
+   * The average price of the position currently held.
+   */
+  AveragePrice?: string;
+  /**
+   * The highest price a prospective buyer is prepared to pay at a particular time for a trading unit of a given symbol.
+   */
+  Bid?: string;
+  /**
+   * The price at which a security, futures contract, or other financial instrument is offered for sale.
+   */
+  Ask?: string;
+  /**
+   * The currency conversion rate that is used in order to convert from the currency of the symbol to the currency of the account.
+   */
+  ConversionRate?: string;
+  /**
+   * (Futures) DayTradeMargin used on open positions. Currently only calculated for futures positions. Other asset classes will have a 0 for this value.
+   */
+  DayTradeRequirement?: string;
+  /**
+   * The UTC formatted expiration date of the future or option symbol, in the country the contract is traded in. The time portion of the value should be ignored.
+   */
+  ExpirationDate?: string;
+  /**
+   * Only applies to future and option positions. The margin account balance denominated in the symbol currency required for entering a position on margin.
+   */
+  InitialRequirement?: string;
+  /**
+   * The last price at which the symbol traded.
+   */
+  Last?: string;
+  LongShort?: PositionDirection;
+  /**
+   * Only applies to equity and option positions. The MarkToMarketPrice value is the weighted average of the previous close price for the position quantity held overnight and the purchase price of the position quantity opened during the current market session. This value is used to calculate TodaysProfitLoss.
+   */
+  MarkToMarketPrice?: string;
+  /**
+   * The actual market value denominated in the symbol currency of the open position. This value is updated in real-time.
+   */
+  MarketValue?: string;
+  /**
+   * A unique identifier for the position.
+   */
+  PositionID?: string;
+  /**
+   * The number of shares or contracts for a particular position. This value is negative for short positions.
+   */
+  Quantity?: string;
+  /**
+   * Symbol of the position.
+   */
+  Symbol?: string;
+  /**
+   * Time the position was entered.
+   */
+  Timestamp?: string;
+  /**
+   * Only applies to equity and option positions. This value will be included in the payload to convey the unrealized profit or loss denominated in the account currency on the position held, calculated using the MarkToMarketPrice.
+   */
+  TodaysProfitLoss?: string;
+  /**
+   * The total cost denominated in the account currency of the open position.
+   */
+  TotalCost?: string;
+  /**
+   * The unrealized profit or loss denominated in the symbol currency on the position held, calculated based on the average price of the position.
+   */
+  UnrealizedProfitLoss?: string;
+  /**
+   * The unrealized profit or loss on the position expressed as a percentage of the initial value of the position.
+   */
+  UnrealizedProfitLossPercent?: string;
+  /**
+   * The unrealized profit or loss denominated in the account currency divided by the number of shares, contracts or units held.
+   */
+  UnrealizedProfitLossQty?: string;
+}
+
+/**
+ * Specifies if the position is Long or Short.
+ */
+export type PositionDirection = "Long" | "Short";
+
+/**
+ * The positions for the given account(s).
+ */
+export interface Positions {
+  Positions?: PositionResponse[];
+  Errors?: PositionError[];
+}
+
+/**
+ * Conveys number formatting information for symbol price fields.
+ */
+export interface PriceFormat {
+  /**
+   * The format of the price.
+   */
+  Format?: "Decimal" | "Fraction" | "SubFraction";
+  /**
+   * The number of decimals precision, applies to the `Decimal` format only.
+   */
+  Decimals?: string;
+  /**
+   * The denominator of the single fraction, i.e. `1/Fraction`, applies to the `Fraction` format only.
+   */
+  Fraction?: string;
+  /**
+   * The additional fraction of a fraction denominator, applies to the `SubFraction` format only.
+   */
+  SubFraction?: string;
+  /**
+   * The style of increment for price movements.
+   */
+  IncrementStyle?: "Simple" | "Schedule";
+  /**
+   * The decimal increment for all price movements, applies to the `Simple` Increment Style only.
+   */
+  Increment?: string;
+  IncrementSchedule?: IncrementScheduleRow[];
+  /**
+   * The symbol's point value.
+   */
+  PointValue?: string;
+}
+
+/**
+ * Conveys number formatting information for symbol quantity fields.
+ */
+export interface QuantityFormat {
+  /**
+   * The format of the quantity.
+   */
+  Format?: "Decimal";
+  /**
+   * The number of decimals precision, applies to the `Decimal` format only.
+   */
+  Decimals?: string;
+  /**
+   * The incremental style. Valid values are: `Simple` and `Schedule`.
+   */
+  IncrementStyle?: string;
+  /**
+   * The decimal increment for all quantity movements, applies to the `Simple` Increment Style only.
+   */
+  Increment?: string;
+  IncrementSchedule?: IncrementScheduleRow[];
+  /**
+   * The minimum quantity of an asset that can be traded.
+   */
+  MinimumTradeQuantity?: string;
+  /**
+   * The maximum quantity of an asset that can be traded, `Crypto` assets only.
+   */
+  MaximumTradeQuantity?: string;
+}
+
+/**
+ * The status of an order. Status filters can be used according to the order category:
+ * - Open:
+ * - ACK - Received
+ * - ASS - Option Assignment
+ * - BRC - Bracket Canceled
+ * - BRF - Bracket Filled
+ * - BRO - Broken
+ * - CHG - Change
+ * - CND – Condition Met
+ * - COR - Fill Corrected
+ * - CSN - Cancel Sent
+ * - DIS - Dispatched
+ * - DOA - Dead
+ * - DON – Queued
+ * - ECN - Expiration Cancel Request
+ * - EXE - Option Exercise
+ * - FPR - Partial Fill (Alive)
+ * - LAT - Too Late to Cancel
+ * - OPN - Sent
+ * - OSO - OSO Order
+ * - OTHER - OrderStatus not mapped
+ * - PLA - Sending
+ * - REC - Big Brother Recall Request
+ * - RJC – Cancel Request Rejected
+ * - RPD - Replace Pending
+ * - RSN – Replace Sent
+ * - STP - Stop Hit
+ * - STT - OrderStatus Message
+ * - SUS - Suspended
+ * - UCN - Cancel Sent
+ * - Canceled:
+ * - CAN - Canceled
+ * - EXP - Expired
+ * - OUT - UROut
+ * - RJR - Change Request Rejected
+ * - SCN - Big Brother Recall
+ * - TSC – Trade Server Canceled
+ * - UCH - Replaced
+ * - Rejected:
+ * - REJ - Rejected
+ * - Filled:
+ * - FLL - Filled
+ * - FLP - Partial Fill (UROut)
+ */
+export type Status = "ACK" | "ASS" | "BRC" | "BRF" | "BRO" | "CHG" | "CND" | "COR" | "CSN" | "DIS" | "DOA" | "DON" | "ECN" | "EXE" | "FPR" | "LAT" | "OPN" | "OSO" | "OTHER" | "PLA" | "REC" | "RJC" | "RPD" | "RSN" | "STP" | "STT" | "SUS" | "UCN" | "CAN" | "EXP" | "OUT" | "RJR" | "SCN" | "TSC" | "UCH" | "REJ" | "FLL" | "FLP";
+
+/**
+ * The status of an order. Status filters can be used according to the order category:
+ * - Open:
+ * - ACK - Received
+ * - ASS - Option Assignment
+ * - BRC - Bracket Canceled
+ * - BRF - Bracket Filled
+ * - BRO - Broken
+ * - CHG - Change
+ * - CND – Condition Met
+ * - COR - Fill Corrected
+ * - CSN - Cancel Sent
+ * - DIS - Dispatched
+ * - DOA - Dead
+ * - DON – Queued
+ * - ECN - Expiration Cancel Request
+ * - EXE - Option Exercise
+ * - FPR - Partial Fill (Alive)
+ * - LAT - Too Late to Cancel
+ * - OPN - Sent
+ * - OSO - OSO Order
+ * - OTHER - OrderStatus not mapped
+ * - PLA - Sending
+ * - REC - Big Brother Recall Request
+ * - RJC – Cancel Request Rejected
+ * - RPD - Replace Pending
+ * - RSN – Replace Sent
+ * - STP - Stop Hit
+ * - STT - OrderStatus Message
+ * - SUS - Suspended
+ * - UCN - Cancel Sent
+ * - Canceled:
+ * - CAN - Canceled
+ * - EXP - Expired
+ * - OUT - UROut
+ * - RJR - Change Request Rejected
+ * - SCN - Big Brother Recall
+ * - TSC – Trade Server Canceled
+ * - UCH - Replaced
+ * - Rejected:
+ * - REJ - Rejected
+ * - Filled:
+ * - FLL - Filled
+ * - FLP - Partial Fill (UROut)
+ */
+export type HistoricalStatus = "ACK" | "ASS" | "BRC" | "BRF" | "BRO" | "CHG" | "CND" | "COR" | "CSN" | "DIS" | "DOA" | "DON" | "ECN" | "EXE" | "FPR" | "LAT" | "OPN" | "OSO" | "OTHER" | "PLA" | "REC" | "RJC" | "RPD" | "RSN" | "STP" | "STT" | "SUS" | "UCN" | "CAN" | "EXP" | "OUT" | "RJR" | "SCN" | "TSC" | "UCH" | "REJ" | "FLL" | "FLP";
+
+export interface SymbolDetail {
+  AssetType?: AssetType;
+  /**
+   * The country of the exchange where the symbol is listed.
+   */
+  Country?: string;
+  /**
+   * Displays the type of base currency for the selected symbol.
+   */
+  Currency?: string;
+  /**
+   * Displays the full name of the symbol, special characters may be formatted in unicode.
+   */
+  Description?: string;
+  /**
+   * Name of exchange where this symbol is traded.
+   */
+  Exchange?: string;
+  /**
+   * The UTC formatted expiration date of a future or option symbol, in the country the contract is traded in. The time portion of the value should be ignored.
+   */
+  ExpirationDate?: string;
+  /**
+   * Displays the type of future contract the symbol represents, futures only.
+   */
+  FutureType?: string;
+  OptionType?: CallPut;
+  PriceFormat?: PriceFormat;
+  QuantityFormat?: QuantityFormat;
+  /**
+   * Displays the symbol root, e.g. `ES` for Futures symbol `@ESH21`, `OEX` for IndexOption `OEX 210129C1750`, and `AAPL` for StockOption `AAPL 210129C137`.
+   */
+  Root?: string;
+  /**
+   * For an Option symbol, the Strike Price for the Put or Call.
+   */
+  StrikePrice?: string;
+  /**
+   * The Symbol name or abbreviation.
+   */
+  Symbol?: string;
+  /**
+   * The financial instrument on which an Options contract is based or derived. Can also apply to some Futures symbols, like continuous Futures contracts, e.g. `ESH21` for `@ES`.
+   */
+  Underlying?: string;
+}
+
+export interface SymbolDetailsResponse {
+  Errors?: SymbolDetailsErrorResponse[];
+  Symbols?: SymbolDetail[];
+}
+
+/**
+ * A collection of Symbol names.
+ */
+export interface SymbolNames {
+  SymbolNames?: string[];
+}
+
+/**
+ * Advanced option for an order. The date portion is not used for a Time Activation rule and is returned as "0001-01-01".
+ */
+export interface TimeActivationRulesReplace {
+  /**
+   * If 'True', removes all activation rules when replacing the order and ignores any rules sent in `Rules`.
+   */
+  ClearAll?: boolean;
+  Rules?: TimeActivationRules[];
+}
+
+/**
+ * Advanced option for an order. The date portion is not used for a Time Activation rule and is returned as "0001-01-01".
+ */
+export interface TimeActivationRules {
+  TimeUtc?: TimeUtc;
+}
+
+/**
+ * TimeInForce defines the duration and expiration timestamp. For `USDCUSD` Crypto orders, `IOC` is required.
+ */
+export interface TimeInForceRequest {
+  Duration: Duration;
+  Expiration?: Expiration;
+}
+
+/**
+ * TradeAction represents the different trade actions that can be sent to or received from WebAPI. Conveys the intent of the trade:
+ * - `BUY` - crypto, equities and futures
+ * - `SELL` - crypto, equities and futures
+ * - `BUYTOCOVER` - equities
+ * - `SELLSHORT` - equities
+ * - `BUYTOOPEN` - options
+ * - `BUYTOCLOSE` - options
+ * - `SELLTOOPEN` - options
+ * - `SELLTOCLOSE` - options
+ */
+export type TradeAction = string;
+
+/**
+ * TrailingStop offset; amount or percent.
+ */
+export interface TrailingStop {
+  /**
+   * Currency Offset from current price. Note: Mutually exclusive with Percent.
+   */
+  Amount?: string;
+  /**
+   * Percentage offset from current price. Note: Mutually exclusive with Amount.
+   */
+  Percent?: string;
+}
+
+/**
+ * Wallets is an array of currency holdings.
+ */
+export interface Wallets {
+  Wallets?: Wallet[];
+  Errors?: WalletError[];
+}
+
+/**
+ * Returns the details of a currency holding.
+ */
+export interface WalletsStream {
+  AccountID?: AccountID;
+  AccountTotals?: AccountTotals;
+  /**
+   * Average price of all positions for the current symbol.
+   */
+  AveragePrice?: string;
+  /**
+   * The balance of the specific currency in the wallet.
+   */
+  Balance?: string;
+  /**
+   * The balance of the specific currency in the wallet (specified in the user’s account currency).
+   */
+  BalanceAccountCurrency?: string;
+  /**
+   * The balance of the specific currency in the wallet that can be used to make trades.
+   */
+  BalanceAvailableForTrading?: string;
+  /**
+   * The balance of the specific currency in the wallet that can be used to make trades (specified in the user’s account currency).
+   */
+  BalanceAvailableForTradingAccountCurrency?: string;
+  /**
+   * The balance of the specific currency in the wallet that can be withdrawn.
+   */
+  BalanceAvailableForWithdrawal?: string;
+  /**
+   * The balance of the specific currency in the wallet that can be withdrawn (specified in the user’s account currency).
+   */
+  BalanceAvailableForWithdrawalAccountCurrency?: string;
+  /**
+   * The currency of the wallet.
+   */
+  Currency?: string;
+  Interest?: Interest;
+  /**
+   * The currency's interest rate.
+   */
+  InterestRate?: string;
+  /**
+   * The status of this wallet - Active, Suspended.
+   */
+  Status?: string;
+  /**
+   * The unrealized profit or loss for the specific currency in the wallet (specified in the user’s account currency).
+   */
+  UnrealizedProfitLossAccountCurrency?: string;
+}
+
+/**
+ * Accrued and paid interest for the current wallet.
+ */
+export interface Interest {
+  /**
+   * Unpaid monthly interest accrued for the wallet (specified in the wallet's currency).
+   */
+  Accrued?: string;
+  /**
+   * Unpaid monthly interest accrued for the wallet (specified in the user's account currency).
+   */
+  AccruedAccountCurrency?: string;
+  /**
+   * Total interest paid for the wallet (specified in the wallet's currency).
+   */
+  TotalPaid?: string;
+  /**
+   * Total interest paid for the wallet (specified in the user's account currency).
+   */
+  TotalPaidAccountCurrency?: string;
+  /**
+   * Year-to-date interest paid for the wallet (specified in the wallet's currency).
+   */
+  YTDPaid?: string;
+  /**
+   * Year-to-date interest paid for the wallet (specified in the user's account currency).
+   */
+  YTDPaidAccountCurrency?: string;
+}
+
+/**
+ * Total amount of balance, accrued, and paid interest across all wallets in the user's account currency.
+ */
+export interface AccountTotals {
+  /**
+   * Total unpaid monthly interest accrued for all wallets in the account (specified in the user's account currency).
+   */
+  AccruedInterestAccountCurrency?: string;
+  /**
+   * Total balance for all wallets in the account (specified in the user’s account currency).
+   */
+  BalanceAccountCurrency?: string;
+  /**
+   * Total balance for all wallets in the account that can be used to make trades (specified in the user’s account currency).
+   */
+  BalanceAvailableForTradingAccountCurrency?: string;
+  /**
+   * Total balance for all wallets in the account that can be withdrawn (specified in the user’s account currency).
+   */
+  BalanceAvailableForWithdrawalAccountCurrency?: string;
+  /**
+   * Total interest paid for all wallets in the account (specified in the user's account currency).
+   */
+  TotalPaidInterestAccountCurrency?: string;
+  /**
+   * Total year-to-date interest paid for all wallets in the account (specified the user's account currency).
+   */
+  YTDPaidInterestAccountCurrency?: string;
+}
+
+export interface Heartbeat {
+  /**
+   * The heartbeat, sent to indicate that the stream is alive, although data is not actively being sent. A heartbeat will be sent after 5 seconds on an idle stream.
+   */
+  Heartbeat?: number;
+  /**
+   * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+   * E.g. `2023-01-01T23:30:30Z`.
+   */
+  Timestamp?: string;
+}
+
+/**
+ * balanceError is an object supplied when a partial success response is returned with some errors.
+ */
+export interface BalanceError {
+  /**
+   * The AccountID of the error, may contain multiple Account IDs in comma separated format.
+   */
+  AccountID?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+}
+
+/**
+ * orderError is an object supplied when a partial success response is returned with some errors.
+ */
+export interface OrderError {
+  /**
+   * The AccountID of the error, may contain multiple Account IDs in comma separated format.
+   */
+  AccountID?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+}
+
+/**
+ * orderError is an object supplied when a partial success response is returned with some errors.
+ */
+export interface OrderByIDError {
+  /**
+   * The AccountID of the error, may contain multiple Account IDs in comma separated format.
+   */
+  AccountID?: string;
+  /**
+   * The OrderID of the error.
+   */
+  OrderID?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+}
+
+/**
+ * Returned when a partial success response includes some errors.
+ */
+export interface PositionError {
+  /**
+   * The AccountID of the error, may contain multiple Account IDs in comma separated format.
+   */
+  AccountID?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+}
+
+/**
+ * Contains error details.
+ */
+export interface StreamErrorResponse {
+  /**
+   * Error Title, can be any of `BadRequest`, `DualLogon`, `GoAway` or `InternalServerError`. When the server is about to shut down, "GoAway" is returned to indicate that the stream will close because of server shutdown, and that a new stream will need to be started by the client.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+}
+
+/**
+ * Returned when a partial success response includes some errors.
+ */
+export interface SymbolDetailsErrorResponse {
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+  /**
+   * The requested symbol.
+   */
+  Symbol?: string;
+}
+
+/**
+ * Returns the details of a currency holding.
+ */
+export interface Wallet {
+  AccountID?: AccountID;
+  /**
+   * The balance of the specific currency in the account.
+   */
+  Balance?: string;
+  /**
+   * The amount of cash in the account that can be used to make trades.
+   */
+  BalanceAvailableForTrading?: string;
+  /**
+   * The amount of cash in the account that can be withdrawn.
+   */
+  BalanceAvailableForWithdrawal?: string;
+  /**
+   * The currency of the wallet.
+   */
+  Currency?: string;
+  /**
+   * The status of this wallet - Active, Suspended.
+   */
+  Status?: string;
+  /**
+   * The unrealized profit or loss for the account wallet.
+   */
+  UnrealizedProfitLossAccountCurrency?: string;
+}
+
+/**
+ * Returned when a partial success response includes some errors.
+ */
+export interface WalletError {
+  /**
+   * The AccountID of the error, may contain multiple Account IDs in comma separated format.
+   */
+  AccountID?: string;
+  /**
+   * The Curreny of the error, if specific to currency.
+   */
+  Currency?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+  /**
+   * The error message.
+   */
+  Message?: string;
+}
+
+export interface Routes {
+  /**
+   * The ID that must be sent in the optional Route property of a POST order request, when specifying a route for an order.
+   */
+  Id?: string;
+  /**
+   * The name of the route.
+   */
+  Name?: string;
+  /**
+   * The asset type of the route. Valid Values are: `STOCK`, `FUTURE`, `STOCKOPTION`, `INDEXOPTION`, and `CRYPTO`.
+   */
+  AssetTypes?: string[];
+}
+
+/**
+ * Provides information about an option contract expiration.
+ */
+export interface Expiration1 {
+  /**
+   * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard. E.g. `2021-12-17T00:00:00Z`.
+   */
+  Date?: string;
+  /**
+   * Expiration Type, e.g. `Weekly`, `Monthly`, `Quarterly`, `EOM`, or `Other`.
+   */
+  Type?: string;
+}
+
+/**
+ * Provides the available contract expiration dates for an underlying security.
+ */
+export interface Expirations {
+  Expirations?: Expiration1[];
+}
+
+/**
+ * Provides the required information to analyze the risk vs. reward of a potential option spread trade.
+ */
+export interface RiskRewardAnalysisInput {
+  /**
+   * The quoted price for the option spread trade.
+   */
+  SpreadPrice?: number;
+  /**
+   * The legs of the option spread trade. If more than one leg is specified, the expiration dates must all be the same. In addition, leg symbols must be of type stock, stock option, or index option.
+   */
+  Legs?: RiskRewardAnalysisInputLeg[];
+}
+
+/**
+ * Provides information about one leg of a potential option spread trade.
+ */
+export interface RiskRewardAnalysisInputLeg {
+  /**
+   * Option contract symbol or underlying symbol to be traded for this leg.
+   */
+  Symbol: string;
+  /**
+   * The number of option contracts to buy or sell for this leg. The value cannot be zero.
+   */
+  Quantity: number;
+  /**
+   * The kind of trade to place for this leg. Value values are `BUY` and `SELL`.
+   */
+  TradeAction: "BUY" | "SELL";
+}
+
+export interface RiskRewardAnalysisResult {
+  /**
+   * Indicates whether the maximum gain can be infinite.
+   */
+  MaxGainIsInfinite?: boolean;
+  /**
+   * The adjusted maximum gain (if it is not infinite).
+   */
+  AdjustedMaxGain?: string;
+  /**
+   * Indicates whether the maximum loss can be infinite.
+   */
+  MaxLossIsInfinite?: boolean;
+  /**
+   * The adjusted maximum loss (if it is not infinite).
+   */
+  AdjustedMaxLoss?: string;
+  /**
+   * Market price that the underlying security must reach for the trade to avoid a loss.
+   */
+  BreakevenPoints?: string[];
+}
+
+export interface Spread {
+  /**
+   * The expected change in an option position’s value resulting from a one point increase in the price of the underlying security.
+   */
+  Delta?: string;
+  /**
+   * The expected decline in an option position’s value resulting from the passage of one day’s time, holding all other variables (price of the underlying, volatility, etc.) constant.
+   */
+  Theta?: string;
+  /**
+   * The expected change in an option position’s delta resulting from a one point increase in the price of the underlying security.
+   */
+  Gamma?: string;
+  /**
+   * The expected change in an option position’s value resulting from an increase of one percentage point in the risk-free interest rate (e.g. an increase from 3% to 4%).
+   */
+  Rho?: string;
+  /**
+   * The expected change in an option position’s value resulting from an increase of one percentage point in the volatility of the underlying security (e.g. an increase from 26% to 27%).
+   */
+  Vega?: string;
+  /**
+   * The volatility of the underlying implied by an option position’s current price.
+   */
+  ImpliedVolatility?: string;
+  /**
+   * The value of an option position exclusive of the position’s time value.  The value of the option position if it were to expire immediately.
+   */
+  IntrinsicValue?: string;
+  /**
+   * The time value of an option position.  The market value of an option position minus the position’s intrinsic value.
+   */
+  ExtrinsicValue?: string;
+  /**
+   * The value of an option position based on a theoretical model of option prices (e.g., the Bjerksund-Stensland model).  Calculated using volatility of the underlying.
+   */
+  TheoreticalValue?: string;
+  /**
+   * The calculated probability that an option position will have intrinsic value at expiration.  Calculated using volatility of the underlying.
+   */
+  ProbabilityITM?: string;
+  /**
+   * The calculated probability that an option position will not have intrinsic value at expiration.  Calculated using volatility of the underlying.
+   */
+  ProbabilityOTM?: string;
+  /**
+   * The calculated probability that an option position will have a value at expiration that is equal to or greater than the position’s current cost.  Calculated using volatility of the underlying.
+   */
+  ProbabilityBE?: string;
+  /**
+   * The calculated probability that an option position will have intrinsic value at expiration.  Calculated using implied volatility.
+   */
+  ProbabilityITM_IV?: string;
+  /**
+   * The calculated probability that an option position will not have intrinsic value at expiration.  Calculated using implied volatility.
+   */
+  ProbabilityOTM_IV?: string;
+  /**
+   * The calculated probability that an option position will have a value at expiration that is equal to or greater than the position’s current cost.  Calculated using implied volatility.
+   */
+  ProbabilityBE_IV?: string;
+  /**
+   * The value of an option position based on a theoretical model of option prices (e.g., the Bjerksund-Stensland model).  Calculated using implied volatility.
+   */
+  TheoreticalValue_IV?: string;
+  /**
+   * Total number of open contracts for the option spread.  This value is updated daily.
+   */
+  DailyOpenInterest?: number;
+  /**
+   * Ask price. The price a seller is willing to accept for the option spread.
+   */
+  Ask?: string;
+  /**
+   * Bid price. The price a buyer is willing to pay for the option spread.
+   */
+  Bid?: string;
+  /**
+   * Mathematical average between `Ask` and `Bid`.
+   */
+  Mid?: string;
+  /**
+   * Amount of security for the given `Ask` price.
+   */
+  AskSize?: number;
+  /**
+   * Amount of security for the given `Bid` price.
+   */
+  BidSize?: number;
+  /**
+   * The last traded price for the option spread.  This value only updates during the official market session.
+   */
+  Close?: string;
+  /**
+   * Today's highest price for the option spread.
+   */
+  High?: string;
+  /**
+   * The last traded price for the option spread.
+   */
+  Last?: string;
+  /**
+   * Today's lowest traded price for the option spread.
+   */
+  Low?: string;
+  /**
+   * Difference between prior `Close` price and current `Close` price for the option spread.
+   */
+  NetChange?: string;
+  /**
+   * Percentage changed between prior `Close` price and current `Close` price for the option spread.
+   */
+  NetChangePct?: string;
+  /**
+   * The initial price for the option spread during the official market session.
+   */
+  Open?: string;
+  /**
+   * Prior day's Closing price.
+   */
+  PreviousClose?: string;
+  /**
+   * The number of contracts traded today.
+   */
+  Volume?: number;
+  /**
+   * Option Chain Side. It can be `Call`, `Put`, or `Both`.
+   */
+  Side?: string;
+  /**
+   * The strike prices for the option contracts in the legs of this spread.
+   */
+  Strikes?: string[];
+  /**
+   * The legs of the option spread.
+   */
+  Legs?: SpreadLeg[];
+}
+
+/**
+ * Provides information about one leg of the option spread.
+ */
+export interface SpreadLeg {
+  /**
+   * Option contract symbol or underlying symbol to be traded for this leg.
+   */
+  Symbol?: string;
+  /**
+   * The number of option contracts or underlying shares for this leg, relative to the other legs.
+   * A positive number represents a buy trade and a negative number represents a sell trade.
+   * For example, a Butterfly spread can be represented using ratios of 1, -2, and 1:
+   * buy 1 contract of the first leg, sell 2 contracts of the second leg, and buy 1 contract of the third leg.
+   */
+  Ratio?: number;
+  /**
+   * The strike price of the option contract for this leg.
+   */
+  StrikePrice?: string;
+  /**
+   * Date on which the contract expires, e.g. `2021-12-17T00:00:00Z`.
+   */
+  Expiration?: string;
+  /**
+   * The option type. It can be `Call` or `Put`.
+   */
+  OptionType?: string;
+  /**
+   * The asset category for this leg.
+   */
+  AssetType?: string;
+}
+
+/**
+ * Provides information about a specific spread type.
+ */
+export interface SpreadType {
+  /**
+   * Name of the spread type.
+   */
+  Name?: string;
+  /**
+   * A true value indicates the spread type is comprised of multiple strike prices. If this is the case, the `strikeInterval` parameter can be used with the [Get Option Chain](#operation/GetOptionChain) and [Get Option Strikes](#operation/GetOptionStrikes) endpoints to specify the interval between the strikes of a spread.
+   */
+  StrikeInterval?: boolean;
+  /**
+   * Indicates whether this spread type uses multiple expirations.
+   */
+  ExpirationInterval?: boolean;
+}
+
+/**
+ * Provides a list of the available spread types.
+ */
+export interface SpreadTypes {
+  SpreadTypes?: SpreadType[];
+}
+
+/**
+ * Provides a list of the available strikes for a specific spread type.
+ */
+export interface Strikes {
+  /**
+   * Name of the spread type for these strikes.
+   */
+  SpreadType?: string;
+  /**
+   * Array of the strike prices for this spread type. Each element in the Strikes array is an array of strike prices for a single spread.
+   */
+  Strikes?: Array<string[]>;
+}
+
+/**
+ * Quote returns current price data for a symbol.
+ */
+export interface Quote {
+  /**
+   * The price at which a security, futures contract, or other financial instrument is offered for sale.
+   */
+  Ask?: string;
+  /**
+   * The number of trading units that prospective sellers are prepared to sell.
+   */
+  AskSize?: string;
+  /**
+   * The highest price a prospective buyer is prepared to pay at a particular time for a trading unit of a given symbol.
+   */
+  Bid?: string;
+  /**
+   * The number of trading units that prospective buyers are prepared to purchase for a symbol.
+   */
+  BidSize?: string;
+  /**
+   * The closing price of the day.
+   */
+  Close?: string;
+  /**
+   * The total number of open or outstanding (not closed or delivered) options and/or futures contracts that exist on a given day, delivered on a particular day.
+   */
+  DailyOpenInterest?: string;
+  /**
+   * The highest price of the day.
+   */
+  High?: string;
+  /**
+   * The lowest price of the day.
+   */
+  Low?: string;
+  /**
+   * The highest price of the past 52 weeks.
+   */
+  High52Week?: string;
+  /**
+   * Date of the highest price in the past 52 week.
+   */
+  High52WeekTimestamp?: string;
+  /**
+   * The last price at which the symbol traded.
+   */
+  Last?: string;
+  /**
+   * The minimum price a commodity futures contract may be traded for the current session.
+   */
+  MinPrice?: string;
+  /**
+   * The maximum price a commodity futures contract may be traded for the current session.
+   */
+  MaxPrice?: string;
+  /**
+   * The day after which an investor who has purchased a futures contract may be required to take physical delivery of the contracts underlying commodity.
+   */
+  FirstNoticeDate?: string;
+  /**
+   * The final day that a futures contract may trade or be closed out before the delivery of the underlying asset or cash settlement must occur.
+   */
+  LastTradingDate?: string;
+  /**
+   * The lowest price of the past 52 weeks.
+   */
+  Low52Week?: string;
+  /**
+   * Date of the lowest price of the past 52 weeks.
+   */
+  Low52WeekTimestamp?: string;
+  MarketFlags?: MarketFlags;
+  /**
+   * The difference between the last displayed price and the previous day's close.
+   */
+  NetChange?: string;
+  /**
+   * The percentage difference between the current price and previous day's close, expressed as a percentage. For example, a price change from 100 to 103.5 would be expressed as `"3.5"`.
+   */
+  NetChangePct?: string;
+  /**
+   * The opening price of the day.
+   */
+  Open?: string;
+  /**
+   * The closing price of the previous day.
+   */
+  PreviousClose?: string;
+  /**
+   * Daily volume of the previous day.
+   */
+  PreviousVolume?: string;
+  /**
+   * Restriction if any returns array.
+   */
+  Restrictions?: string[];
+  /**
+   * The name identifying the financial instrument for which the data is displayed.
+   */
+  Symbol?: string;
+  /**
+   * Trading increment based on a level group.
+   */
+  TickSizeTier?: string;
+  /**
+   * Time of the last trade.
+   */
+  TradeTime?: string;
+  /**
+   * Daily volume in shares/contracts.
+   */
+  Volume?: string;
+  /**
+   * Number of contracts/shares last traded.
+   */
+  LastSize?: string;
+  /**
+   * Exchange name of last trade.
+   */
+  LastVenue?: string;
+  /**
+   * VWAP (Volume Weighted Average Price) is a measure of the price at which the majority of a given day's trading in a given security took place. It is calculated by adding the dollars traded for the average price of the bar throughout the day ("avgprice" x "number of shares traded" per bar) and dividing by the total shares traded for the day. The VWAP is calculated throughout the day by the TradeStation data-network.
+   */
+  VWAP?: string;
+}
+
+/**
+ * The full snapshot of the latest quote
+ */
+export interface QuoteSnapshot {
+  Quotes?: Quote[];
+  Errors?: QuoteError[];
+}
+
+/**
+ * Quote returns current price data for a symbol.
+ */
+export interface QuoteStream {
+  /**
+   * The price at which a security, futures contract, or other financial instrument is offered for sale.
+   */
+  Ask?: string;
+  /**
+   * The number of trading units that prospective sellers are prepared to sell.
+   */
+  AskSize?: string;
+  /**
+   * The highest price a prospective buyer is prepared to pay at a particular time for a trading unit of a given symbol.
+   */
+  Bid?: string;
+  /**
+   * The number of trading units that prospective buyers are prepared to purchase for a symbol.
+   */
+  BidSize?: string;
+  /**
+   * The closing price of the day.
+   */
+  Close?: string;
+  /**
+   * The total number of open or outstanding (not closed or delivered) options and/or futures contracts that exist on a given day, delivered on a particular day.
+   */
+  DailyOpenInterest?: string;
+  /**
+   * Message if there's an error.
+   */
+  Error?: string;
+  /**
+   * The highest price of the day.
+   */
+  High?: string;
+  /**
+   * The lowest price of the day.
+   */
+  Low?: string;
+  /**
+   * The highest price of the past 52 weeks.
+   */
+  High52Week?: string;
+  /**
+   * Date of the highest price in the past 52 week.
+   */
+  High52WeekTimestamp?: string;
+  /**
+   * The last price at which the symbol traded.
+   */
+  Last?: string;
+  /**
+   * The minimum price a commodity futures contract may be traded for the current session.
+   */
+  MinPrice?: string;
+  /**
+   * The maximum price a commodity futures contract may be traded for the current session.
+   */
+  MaxPrice?: string;
+  /**
+   * The day after which an investor who has purchased a futures contract may be required to take physical delivery of the contracts underlying commodity.
+   */
+  FirstNoticeDate?: string;
+  /**
+   * The final day that a futures contract may trade or be closed out before the delivery of the underlying asset or cash settlement must occur.
+   */
+  LastTradingDate?: string;
+  /**
+   * The lowest price of the past 52 weeks.
+   */
+  Low52Week?: string;
+  /**
+   * Date of the lowest price of the past 52 weeks.
+   */
+  Low52WeekTimestamp?: string;
+  MarketFlags?: MarketFlags;
+  /**
+   * The difference between the last displayed price and the previous day's close.
+   */
+  NetChange?: string;
+  /**
+   * The percentage difference between the current price and previous day's close,expressed as a decimal. For example, a price change from 100 to 103.5 would be expressed as `"0.035"`.
+   */
+  NetChangePct?: string;
+  /**
+   * The opening price of the day.
+   */
+  Open?: string;
+  /**
+   * The closing price of the previous day.
+   */
+  PreviousClose?: string;
+  /**
+   * Daily volume of the previous day.
+   */
+  PreviousVolume?: string;
+  /**
+   * Restriction if any returns array.
+   */
+  Restrictions?: string[];
+  /**
+   * The name identifying the financial instrument for which the data is displayed.
+   */
+  Symbol?: string;
+  /**
+   * Trading increment based on a level group.
+   */
+  TickSizeTier?: string;
+  /**
+   * Time of the last trade.
+   */
+  TradeTime?: string;
+  /**
+   * Daily volume in shares/contracts.
+   */
+  Volume?: string;
+  /**
+   * Number of contracts/shares last traded.
+   */
+  LastSize?: string;
+  /**
+   * Exchange name of last trade.
+   */
+  LastVenue?: string;
+  /**
+   * VWAP (Volume Weighted Average Price) is a measure of the price at which the majority of a given day's trading in a given security took place. It is calculated by adding the dollars traded for the average price of the bar throughout the day ("avgprice" x "number of shares traded" per bar) and dividing by the total shares traded for the day. The VWAP is calculated throughout the day by the TradeStation data-network.
+   */
+  VWAP?: string;
+}
+
+/**
+ * Returned when a partial success response includes some errors.
+ */
+export interface QuoteError {
+  /**
+   * The requested symbol.
+   */
+  Symbol?: string;
+  /**
+   * The Error.
+   */
+  Error?: string;
+}
+
+export interface Heartbeat1 {
+  /**
+   * The heartbeat, sent to indicate that the stream is alive, although data is not actively being sent. A heartbeat will be sent after 5 seconds on an idle stream.
+   */
+  Heartbeat?: number;
+  /**
+   * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+   * E.g. `2023-01-01T23:30:30Z`.
+   */
+  Timestamp?: string;
+}
+
+/**
+ * Market specific information for a symbol.
+ */
+export interface MarketFlags {
+  /**
+   * Is Bats.
+   */
+  IsBats?: boolean;
+  /**
+   * Is delayed.
+   */
+  IsDelayed?: boolean;
+  /**
+   * Is halted.
+   */
+  IsHalted?: boolean;
+  /**
+   * Is hard to borrow.
+   */
+  IsHardToBorrow?: boolean;
+}
+
+export interface BidQuote {
+  /**
+   * Timestamp of the quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:56Z`.
+   */
+  TimeStamp?: string;
+  /**
+   * The `Bid` side of the quote.
+   */
+  Side?: string;
+  /**
+   * The price of the quote.
+   */
+  Price?: string;
+  /**
+   * The total number of shares requested by this participant for the Bid.
+   */
+  Size?: string;
+  /**
+   * The number of orders aggregated together for this quote by the participant (market maker or ECN). For options the OrderCount will always be 0 because this information is not reported by the exchange.
+   */
+  OrderCount?: number;
+  /**
+   * The name of the participant associated with this quote.
+   */
+  Name?: string;
+}
+
+export interface AskQuote {
+  /**
+   * Timestamp of the quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:56Z`.
+   */
+  TimeStamp?: string;
+  /**
+   * The `Ask` side of the quote.
+   */
+  Side?: string;
+  /**
+   * The price of the quote.
+   */
+  Price?: string;
+  /**
+   * The total number of shares offered by this participant for the Ask.
+   */
+  Size?: string;
+  /**
+   * The number of orders aggregated together for this quote by the participant (market maker or ECN). For options the OrderCount will always be 0 because this information is not reported by the exchange.
+   */
+  OrderCount?: number;
+  /**
+   * The name of the participant associated with this quote.
+   */
+  Name?: string;
+}
+
+export interface AggregatedBid {
+  /**
+   * The earliest participant timestamp for this quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:01Z`.
+   */
+  EarliestTime?: string;
+  /**
+   * The latest participant timestamp for this quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:56Z`.
+   */
+  LatestTime?: string;
+  /**
+   * The `Bid` side of the quote.
+   */
+  Side?: string;
+  /**
+   * The price of the quote.
+   */
+  Price?: string;
+  /**
+   * The total number of shares requested by all participants for the Bid.
+   */
+  TotalSize?: string;
+  /**
+   * The largest number of shares requested by any participant for the Bid.
+   */
+  BiggestSize?: string;
+  /**
+   * The smallest number of shares requested by any participant for the Bid.
+   */
+  SmallestSize?: string;
+  /**
+   * The number of participants requesting this Bid price.
+   */
+  NumParticipants?: number;
+  /**
+   * The sum of the order counts for all participants requesting this Bid price. For options the TotalOrderCount will always be 0 because this information is not reported by the exchange.
+   */
+  TotalOrderCount?: number;
+}
+
+export interface AggregatedAsk {
+  /**
+   * The earliest participant timestamp for this quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:01Z`.
+   */
+  EarliestTime?: string;
+  /**
+   * The latest participant timestamp for this quote, represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.  E.g. `2022-06-28T12:34:56Z`.
+   */
+  LatestTime?: string;
+  /**
+   * The `Ask` side of the quote.
+   */
+  Side?: string;
+  /**
+   * The price of the quote.
+   */
+  Price?: string;
+  /**
+   * The total number of shares offered by all participants for the Ask.
+   */
+  TotalSize?: string;
+  /**
+   * The largest number of shares offered by any participant for the Ask.
+   */
+  BiggestSize?: string;
+  /**
+   * The smallest number of shares offered by any participant for the Ask.
+   */
+  SmallestSize?: string;
+  /**
+   * The number of participants offering this Ask price.
+   */
+  NumParticipants?: number;
+  /**
+   * The sum of the order counts for all participants offering this Ask price. For options the TotalOrderCount will always be 0 because this information is not reported by the exchange.
+   */
+  TotalOrderCount?: number;
+}
+
+/**
+ * Contains a single market depth quote for a price, side, and participant.
+ */
+export interface MarketDepthQuote {
+  /**
+   * Contains bid quotes, ordered from high to low price
+   */
+  Bids?: BidQuote[];
+  /**
+   * Contains ask quotes, ordered from low to high price
+   */
+  Asks?: AskQuote[];
+}
+
+/**
+ * Contains an aggregated market depth quote. Each aggregated quote summarizes the participants for that price and side.
+ */
+export interface MarketDepthAggregate {
+  /**
+   * Contains aggregated bid quotes, ordered from high to low price
+   */
+  Bids?: AggregatedBid[];
+  /**
+   * Contains aggregated ask quotes, ordered from low to high price
+   */
+  Asks?: AggregatedAsk[];
+}
+
+export interface Heartbeat2 {
+  /**
+   * The heartbeat, sent to indicate that the stream is alive, although data is not actively being sent. A heartbeat will be sent after 5 seconds on an idle stream.
+   */
+  Heartbeat?: number;
+  /**
+   * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+   * E.g. `2023-01-01T23:30:30Z`.
+   */
+  Timestamp?: string;
+}
+
+/**
+ * TradeStation Account ID.
+ */
+export type AccountID1 = string;
+
+/**
+ * Contains error details.
+ */
+export interface ErrorResponse1 {
+  /**
+   * Error Title, can be any of `BadRequest`, `Unauthorized`, `NotFound`, `Forbidden`, `TooManyRequests`, `InternalServerError`, `NotImplemented`, `ServiceUnavailable`, or `GatewayTimeout`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+}
+
+/**
+ * Contains error details.
+ */
+export interface StreamOrderErrorResponse {
+  /**
+   * Error Title, can be any of `Forbidden`, `InternalServerError`, `ServiceUnavailable`, `GatewayTimeout`, or `Failed`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+  /**
+   * The requested Account ID. Returned with the `Forbidden` error type.
+   */
+  AccountID?: string;
+}
+
+/**
+ * Contains error details.
+ */
+export interface StreamOrderByOrderIdErrorResponse {
+  /**
+   * Error Title, can be any of `Forbidden`, `InternalServerError`, `ServiceUnavailable`, `GatewayTimeout`, `Failed`, or `NotFound`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+  /**
+   * The requested Account ID. Returned with the `Forbidden` error type.
+   */
+  AccountID?: string;
+  /**
+   * The order ID of this order.
+   */
+  OrderID?: string;
+}
+
+/**
+ * Contains error details.
+ */
+export interface StreamPositionsErrorResponse {
+  /**
+   * Error Title, can be any of `Forbidden`, `InternalServerError`, `ServiceUnavailable`, `GatewayTimeout`, or `Failed`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+  /**
+   * The requested Account ID. Returned with the `Forbidden` error type.
+   */
+  AccountID?: string;
+}
+
+export interface MarketActivationRules1 {
+  /**
+   * Type of the activation rule. Currently only supports `Price`.
+   */
+  RuleType?: string;
+  /**
+   * Symbol that the rule is based on.
+   */
+  Symbol?: string;
+  /**
+   * The predicate comparison for the market rule type. E.g. `Lt` (less than).
+   * - `Lt` - Less Than
+   * - `Lte` - Less Than or Equal
+   * - `Gt` - Greater Than
+   * - `Gte` - Greater Than or Equal
+   */
+  Predicate?: string;
+  /**
+   * The ticks behavior for the activation rule. Rule descriptions can be obtained from [Get Activation Triggers](#operation/GetActivationTriggers).
+   */
+  TriggerKey?: "STT" | "STTN" | "SBA" | "SAB" | "DTT" | "DTTN" | "DBA" | "DAB" | "TTT" | "TTTN" | "TBA" | "TAB";
+  /**
+   * Valid only for RuleType="Price", the price at which the rule will trigger when the price hits ticks as specified by TriggerKey.
+   */
+  Price?: string;
+  /**
+   * Relation with the previous activation rule when given a list of MarketActivationRules. Ignored for the first MarketActivationRule.
+   */
+  LogicOperator?: "And" | "Or";
+}
+
+/**
+ * A brokerage order.
+ */
+export interface Order1 {
+  AccountID?: AccountID1;
+  /**
+   * Will display a value when the order has advanced order rules associated with it or
+   * is part of a bracket order. Valid Values are: `CND`, `AON`, `TRL`, `SHWQTY`, `DSCPR`, `NON`, `PEGVAL`, `BKO`, `PSO`
+   * * `AON` - All or None
+   * * `BKO` - Book Only
+   * * `CND` - Activation Rule
+   * * `DSCPR=<Price>` - Discretionary price
+   * * `NON` - Non-Display
+   * * `PEGVAL=<Value>` - Peg Value
+   * * `PSO` - Add Liquidity
+   * * `SHWQTY=<quantity>` - Show Only
+   * * `TRL` - Trailing Stop
+   */
+  AdvancedOptions?: string;
+  /**
+   * The Closed Date Time of this order.
+   */
+  ClosedDateTime?: string;
+  /**
+   * The actual brokerage commission cost and routing fees (if applicable) for a trade based on the number of shares or contracts.
+   */
+  CommissionFee?: string;
+  /**
+   * Describes the relationship between linked orders in a group and this order.
+   */
+  ConditionalOrders?: OrderRelationship1[];
+  /**
+   * Indicates the rate used to convert from the currency of the symbol to the currency of the account.
+   */
+  ConversionRate?: string;
+  /**
+   * Currency used to complete the Order.
+   */
+  Currency?: string;
+  /**
+   * The amount of time for which an order is valid.
+   */
+  Duration?: string;
+  /**
+   * At the top level, this is the average fill price. For expanded levels, this is the actual execution price.
+   */
+  FilledPrice?: string;
+  /**
+   * For GTC, GTC+, GTD and GTD+ order durations. The date the order will expire on in UTC format. The time portion, if "T00:00:00Z", should be ignored.
+   */
+  GoodTillDate?: string;
+  /**
+   * It can be used to identify orders that are part of the same bracket.
+   */
+  GroupName?: string;
+  /**
+   * An array of legs associated with this order.
+   */
+  Legs?: OrderLeg1[];
+  /**
+   * Does not apply to Crypto orders.
+   */
+  MarketActivationRules?: MarketActivationRules1[];
+  /**
+   * Does not apply to Crypto orders.
+   */
+  TimeActivationRules?: TimeActivationRules1[];
+  /**
+   * The limit price for Limit and Stop Limit orders.
+   */
+  LimitPrice?: string;
+  /**
+   * Time the order was placed.
+   */
+  OpenedDateTime?: string;
+  /**
+   * The order ID of this order.
+   */
+  OrderID?: string;
+  OrderType?: OrderType1;
+  /**
+   * Price used for the buying power calculation of the order.
+   */
+  PriceUsedForBuyingPower?: string;
+  /**
+   * If an order has been rejected, this will display the rejection. reason
+   */
+  RejectReason?: string;
+  /**
+   * Identifies the routing selection made by the customer when placing the order.
+   */
+  Routing?: string;
+  /**
+   * Hides the true number of shares intended to be bought or sold. Valid for `Limit`, and `StopLimit` order types. Not valid for all exchanges.
+   */
+  ShowOnlyQuantity?: string;
+  /**
+   * The spread type for an option order.
+   */
+  Spread?: string;
+  Status?: Status1;
+  /**
+   * Description of the status.
+   */
+  StatusDescription?: string;
+  /**
+   * The stop price for StopLimit and StopMarket orders.
+   */
+  StopPrice?: string;
+  TrailingStop?: TrailingStop1;
+  /**
+   * Only applies to equities.  Will contain a value if the order has received a routing fee.
+   */
+  UnbundledRouteFee?: string;
+}
+
+/**
+ * OrderLeg is an object returned from WebAPI.
+ */
+export interface OrderLeg1 {
+  /**
+   * Indicates the asset type of the order.
+   */
+  AssetType?: "UNKNOWN" | "STOCK" | "STOCKOPTION" | "FUTURE" | "FUTUREOPTION" | "FOREX" | "CURRENCYOPTION" | "INDEX" | "INDEXOPTION" | "CRYPTO";
+  /**
+   * Identifies whether the order is a buy or sell. Valid values are `Buy`, `Sell`, `SellShort`, or `BuyToCover`.
+   */
+  BuyOrSell?: string;
+  /**
+   * Number of shares that have been executed.
+   */
+  ExecQuantity?: string;
+  /**
+   * The price at which order execution occurred.
+   */
+  ExecutionPrice?: string;
+  /**
+   * The expiration date of the future or option symbol.
+   */
+  ExpirationDate?: string;
+  /**
+   * What kind of order leg - Opening or Closing.
+   */
+  OpenOrClose?: string;
+  /**
+   * Present for options. Valid values are "CALL" and "PUT".
+   */
+  OptionType?: string;
+  /**
+   * Number of shares or contracts being purchased or sold.
+   */
+  QuantityOrdered?: string;
+  /**
+   * In a partially filled order, this is the number of shares or contracts that were unfilled.
+   */
+  QuantityRemaining?: string;
+  /**
+   * Present for options. The price at which the holder of an options contract can buy or sell the underlying asset.
+   */
+  StrikePrice?: string;
+  /**
+   * Symbol for the leg order.
+   */
+  Symbol?: string;
+  /**
+   * Underlying Symbol associated. Only applies to Futures and Options.
+   */
+  Underlying?: string;
+}
+
+/**
+ * Describes the relationship between linked orders in a group and this order.
+ */
+export interface OrderRelationship1 {
+  /**
+   * The order ID of the linked order.
+   */
+  OrderID?: string;
+  /**
+   * Describes the relationship of a linked order within a group order to the current returned order. Valid Values are: `BRK`, `OSP` (linked parent), `OSO` (linked child), and `OCO`.
+   */
+  Relationship?: string;
+}
+
+/**
+ * The order type of the order.
+ */
+export type OrderType1 = "Limit" | "StopMarket" | "Market" | "StopLimit";
+
+/**
+ * Status defines an Status type
+ * - ACK - Received
+ * - BRO - Broken
+ * - CAN - Canceled
+ * - EXP - Expired
+ * - FLL - Filled
+ * - FLP - Partial Fill (UROut)
+ * - FPR - Partial Fill (Alive)
+ * - LAT - Too Late to Cancel
+ * - OPN - Sent
+ * - OUT - UROut
+ * - REJ - Rejected
+ * - UCH - Replaced
+ * - UCN - Cancel Sent
+ * - TSC – Trade Server Canceled
+ * - RJC – Cancel Request Rejected
+ * - DON – Queued
+ * - RSN - Replace Sent
+ * - CND – Condition Met
+ * - OSO - OSO Order
+ * - SUS - Suspended
+ */
+export type Status1 = "ACK" | "BRO" | "CAN" | "EXP" | "FLL" | "FLP" | "FPR" | "LAT" | "OPN" | "OUT" | "REJ" | "UCH" | "UCN" | "TSC" | "RJC" | "DON" | "RSN" | "CND" | "OSO" | "SUS";
+
+/**
+ * Advanced option for an order. The date portion is not used for a Time Activation rule and is returned as "0001-01-01".
+ */
+export interface TimeActivationRules1 {
+  TimeUtc?: TimeUtc1;
+}
+
+/**
+ * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+ * For time activated orders, the date portion is required but not relevant. E.g. `0001-01-01T23:30:30Z`.
+ */
+export type TimeUtc1 = string;
+
+/**
+ * TrailingStop offset; amount or percent.
+ */
+export interface TrailingStop1 {
+  /**
+   * Currency Offset from current price. Note: Mutually exclusive with Percent.
+   */
+  Amount?: string;
+  /**
+   * Percentage offset from current price. Note: Mutually exclusive with Amount.
+   */
+  Percent?: string;
+}
+
+export interface Heartbeat3 {
+  /**
+   * The heartbeat, sent to indicate that the stream is alive, although data is not actively being sent. A heartbeat will be sent after 5 seconds on an idle stream.
+   */
+  Heartbeat?: number;
+  /**
+   * Timestamp represented as an RFC3339 formatted date, a profile of the ISO 8601 date standard.
+   * E.g. `2023-01-01T23:30:30Z`.
+   */
+  Timestamp?: string;
+}
+
+export interface StreamStatus {
+  /**
+   * Provides information about the stream status. When the initial snapshot is complete, "EndSnapshot" is returned. When the server is about to shut down, "GoAway" is returned to indicate that the stream will close because of server shutdown, and that a new stream will need to be started by the client.
+   */
+  StreamStatus?: string;
+}
+
+/**
+ * Specifies if the position is Long or Short.
+ */
+export type PositionDirection1 = "Long" | "Short";
+
+export interface Position {
+  AccountID?: AccountID1;
+  /**
+   * Indicates the asset type of the position.
+   */
+  AssetType?: "STOCK" | "STOCKOPTION" | "FUTURE" | "INDEXOPTION";
+  /**
+   * The average price of the position currently held.
+   */
+  AveragePrice?: string;
+  /**
+   * The highest price a prospective buyer is prepared to pay at a particular time for a trading unit of a given symbol.
+   */
+  Bid?: string;
+  /**
+   * The price at which a security futures contract or other financial instrument is offered for sale.
+   */
+  Ask?: string;
+  /**
+   * The currency conversion rate that is used in order to convert from the currency of the symbol to the currency of the account.
+   */
+  ConversionRate?: string;
+  /**
+   * Indicates that a position has been deleted (i.e., closed) since the last stream update. This property is returned only when the value is true, and only alongside a valid `PositionID` (other properties are omitted).
+   */
+  Deleted?: boolean;
+  /**
+   * (Futures) DayTradeMargin used on open positions. Currently only calculated for futures positions. Other asset classes will have a 0 for this value.
+   */
+  DayTradeRequirement?: string;
+  /**
+   * The UTC formatted expiration date of the future or option symbol in the country the contract is traded in. The time portion of the value should be ignored.
+   */
+  ExpirationDate?: string;
+  /**
+   * Only applies to future and option positions. The margin account balance denominated in the symbol currency required for entering a position on margin.
+   */
+  InitialRequirement?: string;
+  /**
+   * The last price at which the symbol traded.
+   */
+  Last?: string;
+  LongShort?: PositionDirection1;
+  /**
+   * Only applies to equity and option positions. The MarkToMarketPrice value is the weighted average of the previous close price for the position quantity held overnight and the purchase price of the position quantity opened during the current market session. This value is used to calculate TodaysProfitLoss.
+   */
+  MarkToMarketPrice?: string;
+  /**
+   * The actual market value denominated in the symbol currency of the open position. This value is updated in real-time.
+   */
+  MarketValue?: string;
+  /**
+   * A unique identifier for the position.
+   */
+  PositionID?: string;
+  /**
+   * The number of shares or contracts for a particular position. This value is negative for short positions.
+   */
+  Quantity?: string;
+  /**
+   * Symbol of the position.
+   */
+  Symbol?: string;
+  /**
+   * Time the position was entered.
+   */
+  Timestamp?: string;
+  /**
+   * Only applies to equity and option positions. This value will be included in the payload to convey the unrealized profit or loss denominated in the account currency on the position held calculated using the MarkToMarketPrice.
+   */
+  TodaysProfitLoss?: string;
+  /**
+   * The total cost denominated in the account currency of the open position.
+   */
+  TotalCost?: string;
+  /**
+   * The unrealized profit or loss denominated in the symbol currency on the position held calculated based on the average price of the position.
+   */
+  UnrealizedProfitLoss?: string;
+  /**
+   * The unrealized profit or loss on the position expressed as a percentage of the initial value of the position.
+   */
+  UnrealizedProfitLossPercent?: string;
+  /**
+   * The unrealized profit or loss denominated in the account currency divided by the number of shares contracts or units held.
+   */
+  UnrealizedProfitLossQty?: string;
+}
+
+/**
+ * Contains error details.
+ */
+export interface StreamBalancesErrorResponse {
+  /**
+   * Error Title, can be any of `Forbidden`, `InternalServerError`, `ServiceUnavailable`, `GatewayTimeout`, or `Failed`.
+   */
+  Error?: string;
+  /**
+   * The description of the error.
+   */
+  Message?: string;
+  /**
+   * The requested Account ID. Returned with the `Forbidden` error type.
+   */
+  AccountID?: string;
+}
+
+/**
+ * Contains realtime balance information for a single account.
+ */
+export interface Balance1 {
+  AccountID?: AccountID1;
+  /**
+   * The type of the account.
+   */
+  AccountType?: "CASH" | "MARGIN" | "FUTURES" | "CRYPTO" | "DVP";
+  BalanceDetail?: BalanceDetail1;
+  /**
+   * Buying Power available in the account.
+   */
+  BuyingPower?: string;
+  /**
+   * Indicates the value of real-time cash balance.
+   */
+  CashBalance?: string;
+  /**
+   * The brokerage commission cost and routing fees (if applicable) for a trade based on the number of shares or contracts.
+   */
+  Commission?: string;
+  /**
+   * Only applies to futures. Collection of properties that describe balance characteristics in different currencies.
+   */
+  CurrencyDetails?: CurrencyDetail[];
+  /**
+   * The real-time equity of the account.
+   */
+  Equity?: string;
+  /**
+   * Market value of open positions.
+   */
+  MarketValue?: string;
+  /**
+   * Unrealized profit and loss, for the current trading day, of all open positions.
+   */
+  TodaysProfitLoss?: string;
+  /**
+   * The total of uncleared checks received by Tradestation for deposit.
+   */
+  UnclearedDeposit?: string;
+}
+
+/**
+ * Contains real-time balance information that varies according to account type.
+ */
+export interface BalanceDetail1 {
+  /**
+   * (Equities) The cost used to calculate today's P/L.
+   */
+  CostOfPositions?: string;
+  /**
+   * (Equities): (Buying Power Available - Buying Power Used) / Buying Power Multiplier. (Futures): (Cash + UnrealizedGains) - Buying Power Used.
+   */
+  DayTradeExcess?: string;
+  /**
+   * (Futures) Money field representing the current total amount of futures day trade margin.
+   */
+  DayTradeMargin?: string;
+  /**
+   * (Futures) Money field representing the current amount of money reserved for open orders.
+   */
+  DayTradeOpenOrderMargin?: string;
+  /**
+   * (Equities) The number of day trades placed in the account within the previous 4 trading days. A day trade refers to buying then selling or selling short then buying to cover the same security on the same trading day.
+   */
+  DayTrades?: string;
+  /**
+   * (Futures) Sum (Initial Margins of all positions in the given account).
+   */
+  InitialMargin?: string;
+  /**
+   * (Futures) Indicates the value of real-time maintenance margin.
+   */
+  MaintenanceMargin?: unknown;
+  /**
+   * Maintenance Margin Rate.
+   */
+  MaintenanceRate?: string;
+  /**
+   * (Futures) Indicates the value of real-time account margin requirement.
+   */
+  MarginRequirement?: string;
+  /**
+   * (Futures) The dollar amount of Open Order Margin for the given futures account.
+   */
+  OpenOrderMargin?: string;
+  /**
+   * (Equities) The intraday buying power for options.
+   */
+  OptionBuyingPower?: string;
+  /**
+   * (Equities) Market value of open positions.
+   */
+  OptionsMarketValue?: string;
+  /**
+   * (Equities) Overnight Buying Power (Regulation T) at the start of the trading day.
+   */
+  OvernightBuyingPower?: string;
+  /**
+   * Indicates the value of real-time account realized profit or loss.
+   */
+  RealizedProfitLoss?: string;
+  /**
+   * (Equities) Total required margin for all held positions.
+   */
+  RequiredMargin?: string;
+  /**
+   * (Futures) The value of special securities that are deposited by the customer with the clearing firm for the sole purpose of increasing purchasing power in their trading account. This number will be reset daily by the account balances clearing file. The entire value of this field will increase purchasing power.
+   */
+  SecurityOnDeposit?: string;
+  /**
+   * (Futures) The unrealized P/L for today. Unrealized P/L - BODOpenTradeEquity.
+   */
+  TodayRealTimeTradeEquity?: string;
+  /**
+   * (Futures) The dollar amount of unrealized profit and loss for the given futures account. Same value as RealTimeUnrealizedGains.
+   */
+  TradeEquity?: string;
+  /**
+   * Indicates the value of real-time account unrealized profit or loss.
+   */
+  UnrealizedProfitLoss?: string;
+  /**
+   * Unsettled Funds are funds that have been closed but not settled.
+   */
+  UnsettledFunds?: string;
+}
+
+/**
+ * Every operation by `operationId`. `message` is the data message type of streams.
+ */
+export interface Operations {
+  /**
+   * Suggest Symbols
+   */
+  suggestsymbols: {
+    method: "GET";
+    path: "/v2/data/symbols/suggest/{text}";
+    request: never;
+    response: SymbolSuggestDefinition;
+  };
+  /**
+   * Search for Symbols
+   */
+  searchSymbols: {
+    method: "GET";
+    path: "/v2/data/symbols/search/{criteria}";
+    request: never;
+    response: SymbolSearchDefinition;
+  };
+  /**
+   * Stream Tick Bars
+   */
+  streamTickBars: {
+    method: "GET";
+    path: "/v2/stream/tickbars/{symbol}/{interval}/{barsBack}";
+    request: never;
+    response: TickbarDefinition;
+    message: TickbarDefinition;
+  };
+  /**
+   * Get Accounts
+   */
+  GetAccounts: {
+    method: "GET";
+    path: "/v3/brokerage/accounts";
+    request: never;
+    response: Accounts;
+  };
+  /**
+   * Get Balances
+   */
+  GetBalances: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/balances";
+    request: never;
+    response: Balances;
+  };
+  /**
+   * Get Balances BOD
+   */
+  GetBalancesBOD: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/bodbalances";
+    request: never;
+    response: BalancesBOD;
+  };
+  /**
+   * Get Historical Orders
+   */
+  GetHistoricalOrders: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/historicalorders";
+    request: never;
+    response: HistoricalOrders;
+  };
+  /**
+   * Get Historical Orders By Order ID
+   */
+  GetHistoricalOrdersByOrderID: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/historicalorders/{orderIds}";
+    request: never;
+    response: HistoricalOrdersById;
+  };
+  /**
+   * Get Orders
+   */
+  GetOrders: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/orders";
+    request: never;
+    response: Orders;
+  };
+  /**
+   * Get Orders By Order ID
+   */
+  GetOrdersByOrderID: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/orders/{orderIds}";
+    request: never;
+    response: OrdersById;
+  };
+  /**
+   * Get Positions
+   */
+  GetPositions: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{accounts}/positions";
+    request: never;
+    response: Positions;
+  };
+  /**
+   * Get Wallets
+   */
+  GetWallets: {
+    method: "GET";
+    path: "/v3/brokerage/accounts/{account}/wallets";
+    request: never;
+    response: Wallets;
+  };
+  /**
+   * Stream Wallets
+   */
+  StreamWallets: {
+    method: "GET";
+    path: "/v3/brokerage/stream/accounts/{account}/wallets";
+    request: never;
+    response: WalletsStream | Heartbeat | StreamErrorResponse;
+    message: WalletsStream;
+  };
+  /**
+   * Confirm Order
+   */
+  ConfirmOrder: {
+    method: "POST";
+    path: "/v3/orderexecution/orderconfirm";
+    request: OrderRequest;
+    response: OrderConfirmResponses;
+  };
+  /**
+   * Confirm Group Order
+   */
+  ConfirmGroupOrder: {
+    method: "POST";
+    path: "/v3/orderexecution/ordergroupconfirm";
+    request: GroupOrderRequest;
+    response: OrderConfirmResponses;
+  };
+  /**
+   * Place Group Order
+   */
+  PlaceGroupOrder: {
+    method: "POST";
+    path: "/v3/orderexecution/ordergroups";
+    request: GroupOrderRequest;
+    response: OrderResponses;
+  };
+  /**
+   * Place Order
+   */
+  PlaceOrder: {
+    method: "POST";
+    path: "/v3/orderexecution/orders";
+    request: OrderRequest;
+    response: OrderResponses;
+  };
+  /**
+   * Replace Order
+   */
+  ReplaceOrder: {
+    method: "PUT";
+    path: "/v3/orderexecution/orders/{orderID}";
+    request: OrderReplaceRequest;
+    response: OrderResponse;
+  };
+  /**
+   * Cancel Order
+   */
+  CancelOrder: {
+    method: "DELETE";
+    path: "/v3/orderexecution/orders/{orderID}";
+    request: never;
+    response: OrderResponse;
+  };
+  /**
+   * Get Bars
+   */
+  GetBars: {
+    method: "GET";
+    path: "/v3/marketdata/barcharts/{symbol}";
+    request: never;
+    response: Bars;
+  };
+  /**
+   * Stream Bars
+   */
+  StreamBars: {
+    method: "GET";
+    path: "/v3/marketdata/stream/barcharts/{symbol}";
+    request: never;
+    response: Bar | Heartbeat | StreamErrorResponse;
+    message: Bar;
+  };
+  /**
+   * Get Crypto Symbol Names
+   */
+  GetCryptoSymbolNames: {
+    method: "GET";
+    path: "/v3/marketdata/symbollists/cryptopairs/symbolnames";
+    request: never;
+    response: SymbolNames;
+  };
+  /**
+   * Get Symbol Details
+   */
+  GetSymbolDetails: {
+    method: "GET";
+    path: "/v3/marketdata/symbols/{symbols}";
+    request: never;
+    response: SymbolDetailsResponse;
+  };
+  /**
+   * Get Activation Triggers
+   */
+  GetActivationTriggers: {
+    method: "GET";
+    path: "/v3/orderexecution/activationtriggers";
+    request: never;
+    response: ActivationTriggers;
+  };
+  /**
+   * Get Routes
+   */
+  Routes: {
+    method: "GET";
+    path: "/v3/orderexecution/routes";
+    request: never;
+    response: Routes;
+  };
+  /**
+   * Get Option Expirations
+   */
+  GetOptionExpirations: {
+    method: "GET";
+    path: "/v3/marketdata/options/expirations/{underlying}";
+    request: never;
+    response: Expirations;
+  };
+  /**
+   * Get Option Risk Reward
+   */
+  GetOptionRiskReward: {
+    method: "POST";
+    path: "/v3/marketdata/options/riskreward";
+    request: RiskRewardAnalysisInput;
+    response: RiskRewardAnalysisResult;
+  };
+  /**
+   * Get Option Spread Types
+   */
+  GetOptionSpreadTypes: {
+    method: "GET";
+    path: "/v3/marketdata/options/spreadtypes";
+    request: never;
+    response: SpreadTypes;
+  };
+  /**
+   * Get Option Strikes
+   */
+  GetOptionStrikes: {
+    method: "GET";
+    path: "/v3/marketdata/options/strikes/{underlying}";
+    request: never;
+    response: Strikes;
+  };
+  /**
+   * Stream Option Chain
+   */
+  GetOptionChain: {
+    method: "GET";
+    path: "/v3/marketdata/stream/options/chains/{underlying}";
+    request: never;
+    response: Spread;
+    message: Spread;
+  };
+  /**
+   * Stream Option Quotes
+   */
+  GetOptionQuotes: {
+    method: "GET";
+    path: "/v3/marketdata/stream/options/quotes";
+    request: never;
+    response: Spread;
+    message: Spread;
+  };
+  /**
+   * Get Quote Snapshots
+   */
+  GetQuoteSnapshots: {
+    method: "GET";
+    path: "/v3/marketdata/quotes/{symbols}";
+    request: never;
+    response: QuoteSnapshot;
+  };
+  /**
+   * Stream Quotes
+   */
+  GetQuoteChangeStream: {
+    method: "GET";
+    path: "/v3/marketdata/stream/quotes/{symbols}";
+    request: never;
+    response: QuoteStream | Heartbeat1 | StreamErrorResponse;
+    message: QuoteStream;
+  };
+  /**
+   * Stream Market Depth Quotes
+   */
+  StreamMarketDepthQuotes: {
+    method: "GET";
+    path: "/v3/marketdata/stream/marketdepth/quotes/{symbol}";
+    request: never;
+    response: MarketDepthQuote | Heartbeat2 | StreamErrorResponse;
+    message: MarketDepthQuote;
+  };
+  /**
+   * Stream Market Depth Aggregates
+   */
+  StreamMarketDepthAggregates: {
+    method: "GET";
+    path: "/v3/marketdata/stream/marketdepth/aggregates/{symbol}";
+    request: never;
+    response: MarketDepthAggregate | Heartbeat2 | StreamErrorResponse;
+    message: MarketDepthAggregate;
+  };
+  /**
+   * Stream Orders
+   */
+  StreamOrders: {
+    method: "GET";
+    path: "/v3/brokerage/stream/accounts/{accountIds}/orders";
+    request: never;
+    response: Order1 | StreamStatus | Heartbeat3 | StreamOrderErrorResponse;
+    message: Order1;
+  };
+  /**
+   * Stream Orders by Order Id
+   */
+  StreamOrdersByOrderId: {
+    method: "GET";
+    path: "/v3/brokerage/stream/accounts/{accountIds}/orders/{ordersIds}";
+    request: never;
+    response: Order1 | StreamStatus | Heartbeat3 | StreamOrderByOrderIdErrorResponse;
+    message: Order1;
+  };
+  /**
+   * Stream Positions
+   */
+  StreamPositions: {
+    method: "GET";
+    path: "/v3/brokerage/stream/accounts/{accountIds}/positions";
+    request: never;
+    response: Position | StreamStatus | Heartbeat3 | StreamPositionsErrorResponse;
+    message: Position;
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview
+ * Type declarations for `optionAnalytics.jsx`.
+ */
+import type { MarketData, RiskRewardAnalysisInput, RiskRewardAnalysisResult } from './marketData';
+
+export type DateInput = string | Date | number;
+
+export interface BlackScholesInputs {
+  type: 'Call' | 'Put';
+  spot: number;
+  strike: number;
+  /** Years until expiration, see `yearsUntil`. */
+  time: number;
+  volatility: number;
+  rate?: number;
+  dividendYield?: number;
+}
+
+export interface Greeks {
+  delta: number;
+  gamma: number;
+  /** Per calendar day. */
+  theta: number;
+  /** Per percentage point of volatility. */
+  vega: number;
+  /** Per percentage point of the rate. */
+  rho: number;
+}
+
+export interface PositionLeg {
+  type: 'Call' | 'Put' | 'Stock';
+  /** Required for options. */
+  strike?: number;
+  /** Required for options. */
+  expiration?: DateInput;
+  /** Positive for long, negative for short. */
+  quantity: number;
+  /** Entry price per share. */
+  price: number;
+  /** Overrides the market volatility for this leg. */
+  volatility?: number;
+  /** Shares per unit of quantity; 100 for options, 1 for stock. */
+  multiplier?: number;
+  /** Required by `toRiskRewardInput` and `crossCheckRiskReward`. */
+  symbol?: string;
+}
+
+export interface MarketInputs {
+  date?: DateInput;
+  volatility?: number;
+  rate?: number;
+  dividendYield?: number;
+}
+
+export interface ProfitLossPoint {
+  price: number;
+  profitLoss: number;
+}
+
+export interface RiskReward {
+  maxGain: number | null;
+  maxGainIsInfinite: boolean;
+  /** A positive amount. */
+  maxLoss: number | null;
+  maxLossIsInfinite: boolean;
+  breakevens: number[];
+}
+
+export interface RiskRewardCheck {
+  local: RiskReward;
+  remote: RiskRewardAnalysisResult;
+  matches: boolean;
+  differences: Array<{ field: string; local: unknown; remote: unknown }>;
+}
+
+export declare function yearsUntil(expiration: DateInput, date?: DateInput): number;
+export declare function blackScholes(inputs: BlackScholesInputs): Greeks & { price: number };
+export declare function impliedVolatility(
+  inputs: Omit<BlackScholesInputs, 'volatility'> & { price: number },
+  options?: { tolerance?: number; maxIterations?: number },
+): number | null;
+export declare function priceRange(center: number, options?: { width?: number; steps?: number }): number[];
+export declare function payoffAtExpiry(legs: PositionLeg[], prices: number[]): ProfitLossPoint[];
+export declare function positionGreeks(legs: PositionLeg[], spot: number, market?: MarketInputs): Greeks & { value: number };
+export declare function profitLossCurve(legs: PositionLeg[], prices: number[], market?: MarketInputs): ProfitLossPoint[];
+export declare function analyzeRiskReward(legs: PositionLeg[]): RiskReward;
+export declare function toRiskRewardInput(legs: PositionLeg[], spreadPrice?: number): RiskRewardAnalysisInput;
+export declare function crossCheckRiskReward(
+  marketData: MarketData,
+  legs: PositionLeg[],
+  options?: { spreadPrice?: number; tolerance?: number },
+): Promise<RiskRewardCheck>;
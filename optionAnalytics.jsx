@@ -0,0 +1,387 @@
+/**
+ * @fileoverview
+ * This file contains local option analytics: Black-Scholes prices and greeks, implied volatility,
+ * and the payoff and profit/loss of multi-leg positions, with a cross-check against
+ * `MarketData.getOptionRiskReward`.
+ *
+ * @description
+ * # Pricing
+ * `blackScholes` prices European options with a continuous dividend yield. Theta is per calendar
+ * day, vega and rho per percentage point, so they compare with the greeks of the option chain
+ * stream. `impliedVolatility` inverts it for a price.
+ *
+ * # Positions
+ * A position is a list of legs `{ type, strike, expiration, quantity, price }`: `type` is `Call`,
+ * `Put` or `Stock`, `quantity` is positive for long and negative for short, and `price` is the
+ * entry price per share. Option legs count 100 shares unless `multiplier` says otherwise. Profits
+ * and losses are in dollars for the whole position:
+ *
+ * ```js
+ * const legs = [
+ *   { type: 'Call', strike: 400, expiration: '2024-01-19', quantity: 1, price: 6.1, symbol: 'MSFT 240119C400' },
+ *   { type: 'Call', strike: 410, expiration: '2024-01-19', quantity: -1, price: 2.4, symbol: 'MSFT 240119C410' },
+ * ];
+ * const prices = priceRange(405, { width: 0.1 });
+ * const atExpiry = payoffAtExpiry(legs, prices);
+ * const today = profitLossCurve(legs, prices, { date: new Date(), volatility: 0.25, rate: 0.05 });
+ * const { local, remote, matches } = await crossCheckRiskReward(marketData, legs);
+ * ```
+ *
+ * Date-only expirations are taken to expire at 16:00 New York time.
+ */
+import { ValidationError } from './errors';
+
+/**
+ * Milliseconds per year of 365 days.
+ * @type {number}
+ */
+const YEAR_MILLISECONDS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Shares per option contract, unless a leg says otherwise.
+ * @type {number}
+ */
+const OPTION_MULTIPLIER = 100;
+
+/**
+ * @param {number} x - A value.
+ * @returns {number} - The standard normal density at x.
+ */
+function normalPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal distribution, to 7.5e-8 (Abramowitz and Stegun 26.2.17).
+ * @param {number} x - A value.
+ * @returns {number} - The probability of a standard normal variable being at most x.
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const series = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normalPdf(x) * series;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * @param {Object<string, number>} values - Values by option name.
+ * @param {Array<string>} positive - The names of the values that must be positive.
+ * @throws {ValidationError} - When a value is not a finite number, or not positive as required.
+ */
+function checkInputs(values, positive) {
+  const problems = Object.entries(values)
+    .filter(([field, value]) => !Number.isFinite(value) || (positive.includes(field) && value <= 0))
+    .map(([field, value]) => ({
+      field,
+      message: `${field} must be a ${positive.includes(field) ? 'positive' : 'finite'} number, got '${value}'`,
+    }));
+  if (problems.length) {
+    throw new ValidationError(`Invalid option inputs: ${problems.map(problem => problem.message).join('; ')}`, { fields: problems });
+  }
+}
+
+/**
+ * @param {string} date - A `YYYY-MM-DD` date.
+ * @returns {number} - 16:00 New York time on that date, in milliseconds.
+ */
+function marketCloseOf(date) {
+  const utcClose = new Date(`${date}T16:00:00Z`);
+  const newYorkHour = Number(new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', hour: 'numeric', hourCycle: 'h23' }).format(utcClose));
+  return utcClose.getTime() + (16 - newYorkHour) * 60 * 60 * 1000;
+}
+
+/**
+ * @param {string|Date|number} expiration - An expiration date or time.
+ * @param {string|Date|number} [date=Date.now()] - The valuation date or time.
+ * @returns {number} - The years from the date to the expiration, at least 0.
+ */
+export function yearsUntil(expiration, date = Date.now()) {
+  const expiry = typeof expiration === 'string' && /^\d{4}-\d{2}-\d{2}(T00:00:00Z?)?$/.test(expiration)
+    ? marketCloseOf(expiration.slice(0, 10))
+    : new Date(expiration).getTime();
+  return Math.max(0, (expiry - new Date(date).getTime()) / YEAR_MILLISECONDS);
+}
+
+/**
+ * Prices a European option with the Black-Scholes-Merton model.
+ * @param {Object} inputs - The option and market.
+ * @param {string} inputs.type - `Call` or `Put`.
+ * @param {number} inputs.spot - The underlying price.
+ * @param {number} inputs.strike - The strike price.
+ * @param {number} inputs.time - The years until expiration.
+ * @param {number} inputs.volatility - The annual volatility as a decimal, e.g. 0.25.
+ * @param {number} [inputs.rate=0] - The annual risk free rate as a decimal.
+ * @param {number} [inputs.dividendYield=0] - The annual dividend yield as a decimal.
+ * @returns {{price: number, delta: number, gamma: number, theta: number, vega: number, rho: number}} - The price and greeks per share.
+ * @throws {ValidationError} - When an input is invalid.
+ */
+export function blackScholes({ type, spot, strike, time, volatility, rate = 0, dividendYield = 0 }) {
+  checkInputs({ spot, strike, time, volatility, rate, dividendYield }, ['spot', 'strike']);
+  const isCall = type === 'Call';
+  const sign = isCall ? 1 : -1;
+
+  if (time <= 0 || volatility <= 0) {
+    const forward = spot * Math.exp((rate - dividendYield) * Math.max(time, 0));
+    const inTheMoney = sign * (forward - strike) > 0;
+    const discount = Math.exp(-rate * Math.max(time, 0));
+    return {
+      price: Math.max(sign * (forward - strike), 0) * discount,
+      delta: inTheMoney ? sign * Math.exp(-dividendYield * Math.max(time, 0)) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0,
+    };
+  }
+
+  const root = Math.sqrt(time);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + volatility * volatility / 2) * time) / (volatility * root);
+  const d2 = d1 - volatility * root;
+  const dividendDiscount = Math.exp(-dividendYield * time);
+  const discount = Math.exp(-rate * time);
+  const density = normalPdf(d1);
+
+  return {
+    price: sign * (spot * dividendDiscount * normalCdf(sign * d1) - strike * discount * normalCdf(sign * d2)),
+    delta: sign * dividendDiscount * normalCdf(sign * d1),
+    gamma: dividendDiscount * density / (spot * volatility * root),
+    theta: (-spot * dividendDiscount * density * volatility / (2 * root)
+      - sign * rate * strike * discount * normalCdf(sign * d2)
+      + sign * dividendYield * spot * dividendDiscount * normalCdf(sign * d1)) / 365,
+    vega: spot * dividendDiscount * density * root / 100,
+    rho: sign * strike * time * discount * normalCdf(sign * d2) / 100,
+  };
+}
+
+/**
+ * Finds the volatility at which `blackScholes` gives a price, by Newton's method with a
+ * bisection fallback.
+ * @param {Object} inputs - The option and market, as for `blackScholes`, without `volatility`.
+ * @param {number} inputs.price - The option price per share.
+ * @param {Object} [options] - Solver options.
+ * @param {number} [options.tolerance=1e-6] - The largest price error accepted.
+ * @param {number} [options.maxIterations=100] - The most iterations tried.
+ * @returns {number|null} - The annual volatility as a decimal, or null when no volatility gives the price.
+ */
+export function impliedVolatility({ price, ...inputs }, { tolerance = 1e-6, maxIterations = 100 } = {}) {
+  const priceAt = volatility => blackScholes({ ...inputs, volatility }).price;
+  let low = 1e-6;
+  let high = 5;
+  if (!(price >= priceAt(low) - tolerance && price <= priceAt(high) + tolerance)) {
+    return null;
+  }
+
+  let volatility = 0.3;
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    const { price: estimate, vega } = blackScholes({ ...inputs, volatility });
+    const error = estimate - price;
+    if (Math.abs(error) < tolerance) {
+      return volatility;
+    }
+    if (error > 0) {
+      high = volatility;
+    } else {
+      low = volatility;
+    }
+    const step = vega > 1e-8 ? volatility - error / (vega * 100) : NaN;
+    volatility = step > low && step < high ? step : (low + high) / 2;
+  }
+  return volatility;
+}
+
+/**
+ * @param {Object} leg - A position leg.
+ * @returns {number} - Shares per unit of quantity.
+ */
+function multiplierOf(leg) {
+  if (leg.multiplier !== undefined) {
+    return leg.multiplier;
+  }
+  return leg.type === 'Stock' ? 1 : OPTION_MULTIPLIER;
+}
+
+/**
+ * @param {Object} leg - A position leg.
+ * @param {number} spot - The underlying price.
+ * @returns {number} - The value per share of the leg at its expiration.
+ */
+function intrinsicValue(leg, spot) {
+  if (leg.type === 'Stock') {
+    return spot;
+  }
+  return Math.max(leg.type === 'Call' ? spot - leg.strike : leg.strike - spot, 0);
+}
+
+/**
+ * Lists evenly spaced underlying prices, e.g. for the x axis of a payoff chart.
+ * @param {number} center - The price in the middle, usually the underlying price.
+ * @param {Object} [options] - Range options.
+ * @param {number} [options.width=0.2] - How far the range reaches either side, as a fraction of the center.
+ * @param {number} [options.steps=100] - The number of intervals.
+ * @returns {Array<number>} - `steps + 1` prices, lowest first.
+ */
+export function priceRange(center, { width = 0.2, steps = 100 } = {}) {
+  const low = Math.max(center * (1 - width), 0);
+  const high = center * (1 + width);
+  return Array.from({ length: steps + 1 }, (_, index) => low + (high - low) * index / steps);
+}
+
+/**
+ * The profit or loss of a position at expiration.
+ * @param {Array<Object>} legs - The position legs.
+ * @param {Array<number>} prices - Underlying prices at expiration.
+ * @returns {Array<{price: number, profitLoss: number}>} - The profit or loss at each price.
+ */
+export function payoffAtExpiry(legs, prices) {
+  return prices.map(price => ({
+    price,
+    profitLoss: legs.reduce((sum, leg) => sum + leg.quantity * multiplierOf(leg) * (intrinsicValue(leg, price) - leg.price), 0),
+  }));
+}
+
+/**
+ * The theoretical value of a position before expiration: each option leg is priced with
+ * `blackScholes`, and legs expired by the date are worth their intrinsic value.
+ * @param {Array<Object>} legs - The position legs; a leg's own `volatility` overrides the option.
+ * @param {number} spot - The underlying price.
+ * @param {Object} [market] - Market options.
+ * @param {string|Date|number} [market.date=Date.now()] - The valuation date.
+ * @param {number} [market.volatility] - The volatility of legs without their own.
+ * @param {number} [market.rate=0] - The annual risk free rate as a decimal.
+ * @param {number} [market.dividendYield=0] - The annual dividend yield as a decimal.
+ * @returns {{value: number, delta: number, gamma: number, theta: number, vega: number, rho: number}} - The value and greeks of the whole position.
+ */
+export function positionGreeks(legs, spot, { date = Date.now(), volatility, rate = 0, dividendYield = 0 } = {}) {
+  return legs.reduce((totals, leg) => {
+    const shares = leg.quantity * multiplierOf(leg);
+    const time = leg.type === 'Stock' ? 0 : yearsUntil(leg.expiration, date);
+    const legVolatility = leg.volatility === undefined ? volatility : leg.volatility;
+    const result = leg.type === 'Stock'
+      ? { price: spot, delta: 1, gamma: 0, theta: 0, vega: 0, rho: 0 }
+      : blackScholes({
+        type: leg.type,
+        spot,
+        strike: leg.strike,
+        time,
+        // An expired leg is worth its intrinsic value, so it needs no volatility.
+        volatility: time > 0 ? legVolatility : 0,
+        rate,
+        dividendYield,
+      });
+    return {
+      value: totals.value + shares * result.price,
+      delta: totals.delta + shares * result.delta,
+      gamma: totals.gamma + shares * result.gamma,
+      theta: totals.theta + shares * result.theta,
+      vega: totals.vega + shares * result.vega,
+      rho: totals.rho + shares * result.rho,
+    };
+  }, { value: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+}
+
+/**
+ * The theoretical profit or loss of a position on a date before expiration.
+ * @param {Array<Object>} legs - The position legs.
+ * @param {Array<number>} prices - Underlying prices on the date.
+ * @param {Object} [market] - See `positionGreeks`.
+ * @returns {Array<{price: number, profitLoss: number}>} - The profit or loss at each price.
+ */
+export function profitLossCurve(legs, prices, market) {
+  const cost = legs.reduce((sum, leg) => sum + leg.quantity * multiplierOf(leg) * leg.price, 0);
+  return prices.map(price => ({ price, profitLoss: positionGreeks(legs, price, market).value - cost }));
+}
+
+/**
+ * The maximum gain and loss and the breakeven prices of a position at expiration, from its
+ * payoff between the strikes and its slope beyond them.
+ * @param {Array<Object>} legs - The position legs, expiring together.
+ * @returns {{maxGain: number|null, maxGainIsInfinite: boolean, maxLoss: number|null, maxLossIsInfinite: boolean, breakevens: Array<number>}} - Gains and losses in dollars, the loss as a positive amount; null when infinite.
+ */
+export function analyzeRiskReward(legs) {
+  const strikes = [...new Set(legs.filter(leg => leg.type !== 'Stock').map(leg => leg.strike))].sort((a, b) => a - b);
+  const points = payoffAtExpiry(legs, [0, ...strikes.filter(strike => strike > 0)]);
+  const last = points[points.length - 1];
+  const slope = legs
+    .filter(leg => leg.type !== 'Put')
+    .reduce((sum, leg) => sum + leg.quantity * multiplierOf(leg), 0);
+
+  const crossings = [];
+  points.slice(1).forEach((point, index) => {
+    const previous = points[index];
+    if (previous.profitLoss * point.profitLoss < 0) {
+      crossings.push(previous.price + (point.price - previous.price) * previous.profitLoss / (previous.profitLoss - point.profitLoss));
+    }
+  });
+  const breakevens = [...points.filter(point => point.profitLoss === 0).map(point => point.price), ...crossings];
+  if (slope !== 0 && last.profitLoss * slope < 0) {
+    breakevens.push(last.price - last.profitLoss / slope);
+  }
+
+  const profitLosses = points.map(point => point.profitLoss);
+  const maxGainIsInfinite = slope > 0;
+  const maxLossIsInfinite = slope < 0;
+  return {
+    maxGain: maxGainIsInfinite ? null : Math.max(...profitLosses),
+    maxGainIsInfinite,
+    maxLoss: maxLossIsInfinite ? null : -Math.min(...profitLosses),
+    maxLossIsInfinite,
+    breakevens: [...new Set(breakevens.map(price => Number(price.toFixed(8))))].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Builds the `getOptionRiskReward` request for legs with a `symbol`.
+ * @param {Array<Object>} legs - The position legs.
+ * @param {number} [spreadPrice] - The net price per spread; defaults to the net entry price of the legs.
+ * @returns {Object} - The risk vs. reward analysis input.
+ */
+export function toRiskRewardInput(legs, spreadPrice) {
+  const sizes = legs.map(leg => Math.abs(leg.quantity));
+  const unit = sizes.reduce((a, b) => {
+    let [x, y] = [a, b];
+    while (y) {
+      [x, y] = [y, x % y];
+    }
+    return x;
+  });
+  const netPrice = legs.reduce((sum, leg) => sum + leg.quantity / unit * leg.price, 0);
+  return {
+    SpreadPrice: spreadPrice === undefined ? Math.abs(Number(netPrice.toFixed(4))) : spreadPrice,
+    Legs: legs.map(leg => ({ Symbol: leg.symbol, Quantity: Math.abs(leg.quantity), TradeAction: leg.quantity > 0 ? 'BUY' : 'SELL' })),
+  };
+}
+
+/**
+ * Analyzes a position locally and with `getOptionRiskReward`, and compares the results: the
+ * breakevens by price, the maximum gain and loss by dollar amount.
+ * @param {MarketData} marketData - A MarketData instance.
+ * @param {Array<Object>} legs - The position legs, each with a `symbol`.
+ * @param {Object} [options] - Comparison options.
+ * @param {number} [options.spreadPrice] - See `toRiskRewardInput`.
+ * @param {number} [options.tolerance=0.01] - The largest difference that still matches.
+ * @returns {Promise<{local: Object, remote: Object, matches: boolean, differences: Array<{field: string, local: *, remote: *}>}>} - Promise resolving to both results and their differences.
+ */
+export async function crossCheckRiskReward(marketData, legs, { spreadPrice, tolerance = 0.01 } = {}) {
+  const local = analyzeRiskReward(legs);
+  const remote = await marketData.getOptionRiskReward(toRiskRewardInput(legs, spreadPrice));
+  const close = (a, b) => Math.abs(Math.abs(a) - Math.abs(b)) <= tolerance;
+  const differences = [];
+
+  [['maxGain', 'MaxGainIsInfinite', 'AdjustedMaxGain'], ['maxLoss', 'MaxLossIsInfinite', 'AdjustedMaxLoss']]
+    .forEach(([field, infiniteField, amountField]) => {
+      const localInfinite = local[`${field}IsInfinite`];
+      if (Boolean(remote[infiniteField]) !== localInfinite) {
+        differences.push({ field: infiniteField, local: localInfinite, remote: remote[infiniteField] });
+      } else if (!localInfinite && !close(local[field], Number(remote[amountField]))) {
+        differences.push({ field: amountField, local: local[field], remote: remote[amountField] });
+      }
+    });
+
+  const remoteBreakevens = (remote.BreakevenPoints || []).map(Number).sort((a, b) => a - b);
+  if (remoteBreakevens.length !== local.breakevens.length
+    || remoteBreakevens.some((breakeven, index) => !close(breakeven, local.breakevens[index]))) {
+    differences.push({ field: 'BreakevenPoints', local: local.breakevens, remote: remote.BreakevenPoints });
+  }
+
+  return { local, remote, matches: differences.length === 0, differences };
+}
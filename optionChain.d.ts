@@ -0,0 +1,111 @@
+/**
+ * @fileoverview
+ * Type declarations for `optionChain.jsx`.
+ */
+import { EventEmitter } from 'events';
+import type { MarketData, OptionExpiration, OptionSpreadType, SpreadStreamMessage } from './marketData';
+import type { OrderBuilder } from './orderBuilder';
+import type { TradeStationStream } from './stream';
+
+export type OptionSide = 'Call' | 'Put';
+export type Moneyness = 'ITM' | 'ATM' | 'OTM';
+
+export interface OptionChainOptions {
+  strikeProximity?: number;
+  strikeInterval?: number;
+  riskFreeRate?: number;
+  priceCenter?: number;
+  strikeRange?: 'All' | 'ITM' | 'OTM';
+  optionType?: 'All' | 'Call' | 'Put';
+}
+
+/** A contract of the chain; quote, greek and analytics fields are null when not sent. */
+export interface OptionContract {
+  symbol: string;
+  /** `YYYY-MM-DD`. */
+  expiration: string;
+  strike: number;
+  side: OptionSide;
+  bid: number | null;
+  ask: number | null;
+  mid: number | null;
+  last: number | null;
+  volume: number | null;
+  openInterest: number | null;
+  delta: number | null;
+  gamma: number | null;
+  theta: number | null;
+  vega: number | null;
+  rho: number | null;
+  impliedVolatility: number | null;
+  intrinsicValue: number | null;
+  extrinsicValue: number | null;
+  theoreticalValue: number | null;
+  probabilityITM: number | null;
+  /** The spread message the contract was last updated from. */
+  spread: SpreadStreamMessage;
+}
+
+export interface OptionChainFilter {
+  expiration?: string;
+  side?: OptionSide;
+  minDelta?: number;
+  maxDelta?: number;
+  moneyness?: Moneyness | Moneyness[];
+  minOpenInterest?: number;
+  minVolume?: number;
+  minStrike?: number;
+  maxStrike?: number;
+}
+
+export interface StrategyLeg {
+  expiration: string;
+  strike: number;
+  side: OptionSide;
+  /** Positive to buy, negative to sell. */
+  ratio: number;
+}
+
+export interface StrategyOptions {
+  quantity?: number;
+  open?: boolean;
+  limitPrice?: number;
+}
+
+export declare class OptionChain extends EventEmitter {
+  constructor(marketData: MarketData, underlying: string, options?: OptionChainOptions);
+  marketData: MarketData;
+  underlying: string;
+  options: OptionChainOptions;
+  expirations: Array<OptionExpiration & { Date: string }>;
+  spreadTypes: OptionSpreadType[];
+  contracts: Map<string, OptionContract>;
+  streams: Map<string, TradeStationStream<SpreadStreamMessage>>;
+  /** Streams still opening, by expiration date. */
+  pending: Map<string, Promise<TradeStationStream<SpreadStreamMessage>>>;
+  /** Derived from in-the-money contracts; may be set. */
+  underlyingPrice: number | null;
+  readonly expirationDates: string[];
+  load(): Promise<this>;
+  connect(options?: { expirations?: number | string[] }): Promise<this>;
+  subscribe(expiration: string): Promise<TradeStationStream<SpreadStreamMessage>>;
+  unsubscribe(expiration?: string): void;
+  getStrikes(expiration: string): Promise<number[]>;
+  update(spread: SpreadStreamMessage): OptionContract | null;
+  get(expiration: string, strike: number | string, side: OptionSide): OptionContract | null;
+  strikes(expiration?: string): number[];
+  moneyness(contract: OptionContract): Moneyness | null;
+  filter(criteria?: OptionChainFilter): OptionContract[];
+  netPrice(legs: StrategyLeg[]): number | null;
+  strategy(legs: StrategyLeg[], options?: StrategyOptions): OrderBuilder;
+  vertical(spread: { expiration: string; side: OptionSide; buyStrike: number; sellStrike: number } & StrategyOptions): OrderBuilder;
+  straddle(spread: { expiration: string; strike: number; action?: 'buy' | 'sell' } & StrategyOptions): OrderBuilder;
+  strangle(spread: { expiration: string; putStrike: number; callStrike: number; action?: 'buy' | 'sell' } & StrategyOptions): OrderBuilder;
+  ironCondor(spread: { expiration: string; strikes: [number, number, number, number]; action?: 'buy' | 'sell' } & StrategyOptions): OrderBuilder;
+  on(event: 'update', listener: (contract: OptionContract) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'update', listener: (contract: OptionContract) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
@@ -0,0 +1,445 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the OptionChain class, a live option chain built from
+ * `MarketData.streamOptionChain` and the option expiration, strike and spread type endpoints.
+ *
+ * @description
+ * # Option Chain
+ * An OptionChain keeps one `Single` spread stream per subscribed expiration and indexes every
+ * contract by expiration, strike and side, with its quote, open interest, greeks and implied
+ * volatility as numbers. It emits `update` with each contract received, and `error` with each
+ * error of its streams while an `error` listener is attached:
+ *
+ * ```js
+ * const chain = new OptionChain(marketData, 'MSFT', { strikeProximity: 10 });
+ * await chain.connect({ expirations: 2 });
+ * const call = chain.get(chain.expirationDates[0], 400, 'Call');
+ * const wings = chain.filter({ side: 'Put', minDelta: 0.1, maxDelta: 0.2, minOpenInterest: 500 });
+ * ```
+ *
+ * # Strategies
+ * `vertical`, `straddle`, `strangle` and `ironCondor` (or `strategy` for any legs) return an
+ * OrderBuilder holding the legs of contracts in the chain. It is a market order unless a
+ * `limitPrice` is given, see `netPrice`; set the account and confirm it:
+ *
+ * ```js
+ * const condor = chain.ironCondor({ expiration, strikes: [380, 390, 420, 430], limitPrice: 2.15 });
+ * const confirmations = await condor.account('123456789').confirm(orders);
+ * ```
+ */
+import { EventEmitter } from 'events';
+import { Enums } from './enums';
+import { ValidationError } from './errors';
+import { OrderBuilder } from './orderBuilder';
+
+/**
+ * Spread fields copied onto contracts as numbers, by contract property.
+ * @type {Object<string, string>}
+ */
+const NUMERIC_FIELDS = {
+  bid: 'Bid',
+  ask: 'Ask',
+  mid: 'Mid',
+  last: 'Last',
+  volume: 'Volume',
+  openInterest: 'DailyOpenInterest',
+  delta: 'Delta',
+  gamma: 'Gamma',
+  theta: 'Theta',
+  vega: 'Vega',
+  rho: 'Rho',
+  impliedVolatility: 'ImpliedVolatility',
+  intrinsicValue: 'IntrinsicValue',
+  extrinsicValue: 'ExtrinsicValue',
+  theoreticalValue: 'TheoreticalValue',
+  probabilityITM: 'ProbabilityITM',
+};
+
+/**
+ * @param {*} value - A number or numeric string.
+ * @returns {number|null} - The number, or null when the value is missing or not numeric.
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * @param {string|Date} date - An expiration date or timestamp.
+ * @returns {string} - The date as `YYYY-MM-DD`.
+ */
+function dateOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).slice(0, 10);
+}
+
+/**
+ * @param {string} expiration - An expiration date.
+ * @param {number|string} strike - A strike price.
+ * @param {string} side - `Call` or `Put`.
+ * @returns {string} - The key of the contract in the chain.
+ */
+function keyOf(expiration, strike, side) {
+  return `${dateOf(expiration)}|${Number(strike)}|${side}`;
+}
+
+export class OptionChain extends EventEmitter {
+  /**
+   * @param {MarketData} marketData - A MarketData instance.
+   * @param {string} underlying - The symbol for the underlying security.
+   * @param {Object} [options] - Chain options, passed to `streamOptionChain`.
+   * @param {number} [options.strikeProximity=10] - The number of strikes streamed above and below the price center.
+   * @param {number} [options.strikeInterval=1] - The interval between the strikes streamed.
+   * @param {number} [options.riskFreeRate] - The risk free rate as a decimal; defaults to the quote for $IRX.X.
+   * @param {number} [options.priceCenter] - The strike price center; defaults to the last price of the underlying.
+   * @param {string} [options.strikeRange='All'] - `All`, `ITM` or `OTM`.
+   * @param {string} [options.optionType='All'] - `All`, `Call` or `Put`.
+   */
+  constructor(marketData, underlying, {
+    strikeProximity = 10, strikeInterval = 1, riskFreeRate, priceCenter, strikeRange = 'All', optionType = 'All',
+  } = {}) {
+    super();
+    this.marketData = marketData;
+    this.underlying = underlying;
+    this.options = { strikeProximity, strikeInterval, riskFreeRate, priceCenter, strikeRange, optionType };
+    this.expirations = [];
+    this.spreadTypes = [];
+    this.contracts = new Map();
+    this.streams = new Map();
+    this.pending = new Map();
+    this.underlyingPrice = null;
+  }
+
+  /**
+   * Loads the expirations and spread types.
+   * @returns {Promise<OptionChain>} - Promise resolving to the chain.
+   */
+  async load() {
+    const [expirations, spreadTypes] = await Promise.all([
+      this.marketData.getOptionExpirations(this.underlying),
+      this.marketData.getOptionSpreadTypes(),
+    ]);
+    this.expirations = expirations.map(expiration => ({ ...expiration, Date: dateOf(expiration.Date) }));
+    this.spreadTypes = spreadTypes;
+    return this;
+  }
+
+  /**
+   * Loads the expirations, then streams the chains of the nearest ones.
+   * @param {Object} [options] - Connection options.
+   * @param {number|Array<string>} [options.expirations=1] - The number of nearest expirations, or the expiration dates.
+   * @returns {Promise<OptionChain>} - Promise resolving to the chain once every stream is open.
+   */
+  async connect({ expirations = 1 } = {}) {
+    await this.load();
+    const dates = Array.isArray(expirations)
+      ? expirations.map(dateOf)
+      : this.expirations.slice(0, expirations).map(expiration => expiration.Date);
+    await Promise.all(dates.map(date => this.subscribe(date)));
+    return this;
+  }
+
+  /**
+   * Streams the chain of an expiration into this chain; the stream's errors are emitted as `error`.
+   * Subscribing again while the stream is opening resolves to the same stream.
+   * @param {string} expiration - The expiration date.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream.
+   */
+  async subscribe(expiration) {
+    const date = dateOf(expiration);
+    if (this.streams.has(date)) {
+      return this.streams.get(date);
+    }
+    if (this.pending.has(date)) {
+      return this.pending.get(date);
+    }
+
+    const { strikeProximity, strikeInterval, riskFreeRate, priceCenter, strikeRange, optionType } = this.options;
+    const opening = this.marketData.streamOptionChain(
+      this.underlying, date, undefined, strikeProximity, 'Single', riskFreeRate, priceCenter,
+      strikeInterval, true, strikeRange, optionType,
+    );
+    this.pending.set(date, opening);
+    try {
+      const stream = await opening;
+      // Unsubscribed while opening.
+      if (this.pending.get(date) !== opening) {
+        stream.close();
+        return stream;
+      }
+      stream.on('spread', spread => this.update(spread));
+      stream.on('error', error => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+      this.streams.set(date, stream);
+      return stream;
+    } finally {
+      if (this.pending.get(date) === opening) {
+        this.pending.delete(date);
+      }
+    }
+  }
+
+  /**
+   * Stops streaming an expiration, or every expiration, including streams still opening; its
+   * contracts are kept.
+   * @param {string} [expiration] - The expiration date.
+   */
+  unsubscribe(expiration) {
+    [...this.pending.keys()]
+      .filter(date => expiration === undefined || date === dateOf(expiration))
+      .forEach(date => this.pending.delete(date));
+    [...this.streams.entries()]
+      .filter(([date]) => expiration === undefined || date === dateOf(expiration))
+      .forEach(([date, stream]) => {
+        stream.close();
+        this.streams.delete(date);
+      });
+  }
+
+  /**
+   * Gets the strikes available for an expiration.
+   * @param {string} expiration - The expiration date.
+   * @returns {Promise<Array<number>>} - Promise resolving to the strikes, lowest first.
+   */
+  async getStrikes(expiration) {
+    const { Strikes: strikes } = await this.marketData.getOptionStrikes(
+      this.underlying, 'Single', this.options.strikeInterval, dateOf(expiration),
+    );
+    return strikes.map(([strike]) => Number(strike)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Adds or updates a contract from a `Single` spread of the option chain stream.
+   * @param {Object} spread - A spread message.
+   * @returns {Object|null} - The contract, or null when the message is not a single option.
+   */
+  update(spread) {
+    const leg = spread.Legs && spread.Legs.length === 1 ? spread.Legs[0] : null;
+    if (!leg || !leg.Expiration || !leg.OptionType) {
+      return null;
+    }
+
+    const contract = {
+      symbol: leg.Symbol,
+      expiration: dateOf(leg.Expiration),
+      strike: Number(leg.StrikePrice),
+      side: leg.OptionType,
+      ...Object.fromEntries(Object.entries(NUMERIC_FIELDS).map(([property, field]) => [property, toNumber(spread[field])])),
+      spread,
+    };
+    this.contracts.set(keyOf(contract.expiration, contract.strike, contract.side), contract);
+
+    if (contract.intrinsicValue > 0) {
+      this.underlyingPrice = contract.side === 'Call'
+        ? contract.strike + contract.intrinsicValue
+        : contract.strike - contract.intrinsicValue;
+    }
+    this.emit('update', contract);
+    return contract;
+  }
+
+  /**
+   * @param {string} expiration - The expiration date.
+   * @param {number|string} strike - The strike price.
+   * @param {string} side - `Call` or `Put`.
+   * @returns {Object|null} - The contract, or null when it is not in the chain.
+   */
+  get(expiration, strike, side) {
+    return this.contracts.get(keyOf(expiration, strike, side)) || null;
+  }
+
+  /**
+   * @returns {Array<string>} - The expiration dates in the chain, nearest first.
+   */
+  get expirationDates() {
+    return [...new Set([...this.contracts.values()].map(contract => contract.expiration))].sort();
+  }
+
+  /**
+   * @param {string} [expiration] - Only strikes of this expiration.
+   * @returns {Array<number>} - The strikes in the chain, lowest first.
+   */
+  strikes(expiration) {
+    const strikes = [...this.contracts.values()]
+      .filter(contract => expiration === undefined || contract.expiration === dateOf(expiration))
+      .map(contract => contract.strike);
+    return [...new Set(strikes)].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} contract - A contract of the chain.
+   * @returns {string|null} - `ITM`, `ATM` for the strike nearest the underlying price, or `OTM`; null while the underlying price is unknown.
+   */
+  moneyness(contract) {
+    if (this.underlyingPrice === null) {
+      return null;
+    }
+    const strikes = this.strikes(contract.expiration);
+    const nearest = strikes.reduce((best, strike) => (
+      Math.abs(strike - this.underlyingPrice) < Math.abs(best - this.underlyingPrice) ? strike : best
+    ), strikes[0]);
+    if (contract.strike === nearest) {
+      return 'ATM';
+    }
+    const itm = contract.side === 'Call' ? contract.strike < this.underlyingPrice : contract.strike > this.underlyingPrice;
+    return itm ? 'ITM' : 'OTM';
+  }
+
+  /**
+   * Lists the contracts matching every given criterion.
+   * @param {Object} [criteria] - Filter criteria.
+   * @param {string} [criteria.expiration] - The expiration date.
+   * @param {string} [criteria.side] - `Call` or `Put`.
+   * @param {number} [criteria.minDelta] - The smallest absolute delta.
+   * @param {number} [criteria.maxDelta] - The largest absolute delta.
+   * @param {string|Array<string>} [criteria.moneyness] - `ITM`, `ATM` or `OTM`, or several of them.
+   * @param {number} [criteria.minOpenInterest] - The smallest open interest.
+   * @param {number} [criteria.minVolume] - The smallest volume.
+   * @param {number} [criteria.minStrike] - The lowest strike.
+   * @param {number} [criteria.maxStrike] - The highest strike.
+   * @returns {Array<Object>} - The contracts, by expiration, strike, then calls before puts.
+   */
+  filter({
+    expiration, side, minDelta, maxDelta, moneyness, minOpenInterest, minVolume, minStrike, maxStrike,
+  } = {}) {
+    const moneynesses = moneyness === undefined ? null : [].concat(moneyness);
+    const atLeast = (value, minimum) => minimum === undefined || (value !== null && value >= minimum);
+    const atMost = (value, maximum) => maximum === undefined || (value !== null && value <= maximum);
+
+    return [...this.contracts.values()]
+      .filter(contract => expiration === undefined || contract.expiration === dateOf(expiration))
+      .filter(contract => side === undefined || contract.side === side)
+      .filter(contract => {
+        const delta = contract.delta === null ? null : Math.abs(contract.delta);
+        return atLeast(delta, minDelta) && atMost(delta, maxDelta);
+      })
+      .filter(contract => !moneynesses || moneynesses.includes(this.moneyness(contract)))
+      .filter(contract => atLeast(contract.openInterest, minOpenInterest) && atLeast(contract.volume, minVolume))
+      .filter(contract => atLeast(contract.strike, minStrike) && atMost(contract.strike, maxStrike))
+      .sort((a, b) => a.expiration.localeCompare(b.expiration) || a.strike - b.strike || a.side.localeCompare(b.side));
+  }
+
+  /**
+   * The net mid price of legs: positive for a debit, negative for a credit.
+   * @param {Array<{expiration: string, strike: number, side: string, ratio: number}>} legs - The legs; a positive ratio buys.
+   * @returns {number|null} - The net price per spread, or null when a leg has no mid price.
+   */
+  netPrice(legs) {
+    const mids = legs.map(leg => {
+      const contract = this.get(leg.expiration, leg.strike, leg.side);
+      return contract && contract.mid !== null ? contract.mid * leg.ratio : null;
+    });
+    return mids.includes(null) ? null : mids.reduce((sum, mid) => sum + mid, 0);
+  }
+
+  /**
+   * Builds a multi-leg order of contracts in the chain.
+   * @param {Array<{expiration: string, strike: number, side: string, ratio: number}>} legs - The legs; a positive ratio buys, a negative ratio sells.
+   * @param {Object} [options] - Order options.
+   * @param {number} [options.quantity=1] - The number of spreads.
+   * @param {boolean} [options.open=true] - Whether the order opens the position, or closes it.
+   * @param {number} [options.limitPrice] - The net limit price; a market order when omitted.
+   * @returns {OrderBuilder} - The order, without an account.
+   * @throws {ValidationError} - When a leg is not in the chain.
+   */
+  strategy(legs, { quantity = 1, open = true, limitPrice } = {}) {
+    const missing = legs.filter(leg => !this.get(leg.expiration, leg.strike, leg.side));
+    if (missing.length) {
+      const fields = missing.map(leg => ({
+        field: 'Legs',
+        message: `No ${leg.side} at ${leg.strike} expiring ${dateOf(leg.expiration)} in the ${this.underlying} chain`,
+      }));
+      throw new ValidationError(`Invalid option strategy: ${fields.map(field => field.message).join('; ')}`, { fields });
+    }
+
+    const builder = new OrderBuilder();
+    legs.forEach(leg => {
+      const buys = leg.ratio > 0;
+      let tradeAction;
+      if (open) {
+        tradeAction = buys ? Enums.OrderTradeAction.BUYTOOPEN : Enums.OrderTradeAction.SELLTOOPEN;
+      } else {
+        tradeAction = buys ? Enums.OrderTradeAction.BUYTOCLOSE : Enums.OrderTradeAction.SELLTOCLOSE;
+      }
+      builder.leg(this.get(leg.expiration, leg.strike, leg.side).symbol, Math.abs(leg.ratio) * quantity, tradeAction);
+    });
+    return limitPrice === undefined ? builder.market() : builder.limit(limitPrice);
+  }
+
+  /**
+   * A vertical spread: buys one strike and sells another of the same side.
+   * @param {Object} spread - The spread.
+   * @param {string} spread.expiration - The expiration date.
+   * @param {string} spread.side - `Call` or `Put`.
+   * @param {number} spread.buyStrike - The strike bought.
+   * @param {number} spread.sellStrike - The strike sold.
+   * @param {Object} [options] - See `strategy`.
+   * @returns {OrderBuilder} - The order, without an account.
+   */
+  vertical({ expiration, side, buyStrike, sellStrike, ...options }) {
+    return this.strategy([
+      { expiration, strike: buyStrike, side, ratio: 1 },
+      { expiration, strike: sellStrike, side, ratio: -1 },
+    ], options);
+  }
+
+  /**
+   * A straddle: a call and a put at the same strike.
+   * @param {Object} spread - The spread.
+   * @param {string} spread.expiration - The expiration date.
+   * @param {number} spread.strike - The strike.
+   * @param {string} [spread.action='buy'] - `buy` for a long straddle, `sell` for a short one.
+   * @param {Object} [options] - See `strategy`.
+   * @returns {OrderBuilder} - The order, without an account.
+   */
+  straddle({ expiration, strike, action = 'buy', ...options }) {
+    const ratio = action === 'sell' ? -1 : 1;
+    return this.strategy([
+      { expiration, strike, side: 'Call', ratio },
+      { expiration, strike, side: 'Put', ratio },
+    ], options);
+  }
+
+  /**
+   * A strangle: a put and a call at different strikes.
+   * @param {Object} spread - The spread.
+   * @param {string} spread.expiration - The expiration date.
+   * @param {number} spread.putStrike - The put strike.
+   * @param {number} spread.callStrike - The call strike.
+   * @param {string} [spread.action='buy'] - `buy` for a long strangle, `sell` for a short one.
+   * @param {Object} [options] - See `strategy`.
+   * @returns {OrderBuilder} - The order, without an account.
+   */
+  strangle({ expiration, putStrike, callStrike, action = 'buy', ...options }) {
+    const ratio = action === 'sell' ? -1 : 1;
+    return this.strategy([
+      { expiration, strike: putStrike, side: 'Put', ratio },
+      { expiration, strike: callStrike, side: 'Call', ratio },
+    ], options);
+  }
+
+  /**
+   * An iron condor: a put vertical and a call vertical around the underlying price.
+   * @param {Object} spread - The spread.
+   * @param {string} spread.expiration - The expiration date.
+   * @param {Array<number>} spread.strikes - The long put, short put, short call and long call strikes, lowest first.
+   * @param {string} [spread.action='sell'] - `sell` for a short iron condor (a credit), `buy` for a long one.
+   * @param {Object} [options] - See `strategy`.
+   * @returns {OrderBuilder} - The order, without an account.
+   */
+  ironCondor({ expiration, strikes, action = 'sell', ...options }) {
+    const [putWing, putBody, callBody, callWing] = strikes;
+    const ratio = action === 'buy' ? -1 : 1;
+    return this.strategy([
+      { expiration, strike: putWing, side: 'Put', ratio },
+      { expiration, strike: putBody, side: 'Put', ratio: -ratio },
+      { expiration, strike: callBody, side: 'Call', ratio: -ratio },
+      { expiration, strike: callWing, side: 'Call', ratio },
+    ], options);
+  }
+}
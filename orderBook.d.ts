@@ -0,0 +1,68 @@
+/**
+ * @fileoverview
+ * Type declarations for `orderBook.jsx`.
+ */
+import { EventEmitter } from 'events';
+import type { MarketData, MarketDepthAggregateMessage, MarketDepthQuoteMessage } from './marketData';
+import type { TradeStationStream } from './stream';
+
+export type BookSideName = 'Bid' | 'Ask';
+
+export interface OrderBookOptions {
+  maxLevels?: number;
+  /** Whether each message holds the complete sides it contains; true by default. */
+  snapshot?: boolean;
+}
+
+/** A participant's quote at a price, from `streamMarketDepthQuotes`. */
+export interface ParticipantQuote {
+  name: string;
+  size: number;
+  orders: number;
+  time?: string;
+}
+
+export interface BookLevel {
+  price: number;
+  size: number;
+  orders: number;
+  participants: number;
+  biggestSize: number;
+  smallestSize: number;
+  time?: string;
+  /** Empty when the book is fed by `streamMarketDepthAggregates`. */
+  quotes: ParticipantQuote[];
+}
+
+export interface BookChange {
+  side: BookSideName;
+  price: number;
+  /** 0 when the level was removed. */
+  size: number;
+  previousSize: number;
+}
+
+export declare class OrderBook extends EventEmitter {
+  constructor(options?: OrderBookOptions);
+  maxLevels: number;
+  snapshot: boolean;
+  connect(marketData: MarketData, symbol: string, options?: { aggregates?: boolean }): Promise<TradeStationStream<MarketDepthQuoteMessage | MarketDepthAggregateMessage>>;
+  update(message: MarketDepthQuoteMessage | MarketDepthAggregateMessage): this;
+  clear(): this;
+  readonly bids: BookLevel[];
+  readonly asks: BookLevel[];
+  readonly bestBid: BookLevel | null;
+  readonly bestAsk: BookLevel | null;
+  readonly spread: number | null;
+  readonly midPrice: number | null;
+  readonly participants: string[];
+  cumulativeDepth(side: BookSideName, levels?: number): Array<{ price: number; size: number; cumulativeSize: number }>;
+  imbalance(levels?: number): number | null;
+  participant(name: string): { bids: Array<ParticipantQuote & { price: number }>; asks: Array<ParticipantQuote & { price: number }> };
+  on(event: 'change', listener: (event: { changes: BookChange[]; book: OrderBook }) => void): this;
+  on(event: 'top', listener: (event: { bid: BookLevel | null; ask: BookLevel | null }) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'change', listener: (event: { changes: BookChange[]; book: OrderBook }) => void): this;
+  once(event: 'top', listener: (event: { bid: BookLevel | null; ask: BookLevel | null }) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the OrderBook class, a local order book maintained
+ * from the market depth streams.
+ *
+ * @description
+ * # Order Book
+ * An OrderBook consumes the messages of `MarketData.streamMarketDepthQuotes` (one quote per
+ * price, side and participant) or `MarketData.streamMarketDepthAggregates` (one quote per price
+ * and side), and keeps the bid and ask levels sorted best first, up to `maxLevels` per side:
+ *
+ * ```js
+ * const book = new OrderBook({ maxLevels: 10 });
+ * book.on('change', ({ changes }) => changes.forEach(change => ladder.set(change.side, change.price, change.size)));
+ * const stream = await book.connect(marketData, 'MSFT');
+ * console.log(book.bestBid, book.bestAsk, book.spread, book.imbalance());
+ * ```
+ *
+ * The depth streams send the complete list of levels of a side in each message, so by default
+ * each message replaces the sides it contains. With `snapshot: false`, each quote in a message
+ * adds or replaces its level (or the participant's quote at that price) instead, and a quote with
+ * a size of 0 removes it; a quote that crosses the other side removes the levels it crosses, as
+ * their removal may not have been sent. The book is emptied each time the stream reconnects.
+ *
+ * # Events
+ * - `change` with `{ changes, book }` after each message, or `clear`, that changed the visible
+ *   levels; each change is `{ side, price, size, previousSize }`, with a size of 0 for a removed
+ *   level.
+ * - `top` with `{ bid, ask }` when the best bid or ask changes.
+ */
+import { EventEmitter } from 'events';
+
+/**
+ * @param {*} value - A number or numeric string.
+ * @returns {number} - The number, or 0 when the value is missing.
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isNaN(number) ? 0 : number;
+}
+
+/**
+ * @param {Array<Object>} levels - Levels, best first.
+ * @returns {Map<number, number>} - Size by price.
+ */
+function sizesOf(levels) {
+  return new Map(levels.map(level => [level.price, level.size]));
+}
+
+/**
+ * Lists the levels whose size differs between two views of a side.
+ * @param {string} side - `Bid` or `Ask`.
+ * @param {Map<number, number>} before - Size by price before the message.
+ * @param {Map<number, number>} after - Size by price after the message.
+ * @returns {Array<{side: string, price: number, size: number, previousSize: number}>}
+ */
+function diffSizes(side, before, after) {
+  const prices = new Set([...before.keys(), ...after.keys()]);
+  return [...prices]
+    .filter(price => before.get(price) !== after.get(price))
+    .map(price => ({ side, price, size: after.get(price) || 0, previousSize: before.get(price) || 0 }));
+}
+
+/**
+ * One side of the book: levels by price, each holding its participants' quotes when the book is
+ * fed by `streamMarketDepthQuotes`.
+ */
+class BookSide {
+  /**
+   * @param {string} side - `Bid` or `Ask`.
+   */
+  constructor(side) {
+    this.side = side;
+    this.levels = new Map();
+  }
+
+  /**
+   * @param {number} a - A price.
+   * @param {number} b - Another price.
+   * @returns {number} - Negative when `a` is the better price.
+   */
+  compare(a, b) {
+    return this.side === 'Bid' ? b - a : a - b;
+  }
+
+  /**
+   * @returns {Array<Object>} - The levels, best first.
+   */
+  sorted() {
+    return [...this.levels.values()].sort((a, b) => this.compare(a.price, b.price));
+  }
+
+  /**
+   * Applies a quote from either depth stream.
+   * @param {Object} quote - A `BidQuote`/`AskQuote` or an `AggregatedBid`/`AggregatedAsk`.
+   * @returns {number|null} - The price of the level when it is left with a size, otherwise null.
+   */
+  apply(quote) {
+    const price = toNumber(quote.Price);
+    if (quote.TotalSize !== undefined) {
+      const size = toNumber(quote.TotalSize);
+      if (size <= 0) {
+        this.levels.delete(price);
+        return null;
+      }
+      this.levels.set(price, {
+        price,
+        size,
+        orders: quote.TotalOrderCount || 0,
+        participants: quote.NumParticipants || 0,
+        biggestSize: toNumber(quote.BiggestSize),
+        smallestSize: toNumber(quote.SmallestSize),
+        time: quote.LatestTime,
+        quotes: null,
+      });
+      return price;
+    }
+
+    const level = this.levels.get(price) || { price, quotes: new Map() };
+    const size = toNumber(quote.Size);
+    if (size <= 0) {
+      level.quotes.delete(quote.Name);
+    } else {
+      level.quotes.set(quote.Name, { name: quote.Name, size, orders: quote.OrderCount || 0, time: quote.TimeStamp });
+    }
+    if (!level.quotes.size) {
+      this.levels.delete(price);
+      return null;
+    }
+
+    const quotes = [...level.quotes.values()];
+    const sizes = quotes.map(participantQuote => participantQuote.size);
+    Object.assign(level, {
+      size: sizes.reduce((sum, quoteSize) => sum + quoteSize, 0),
+      orders: quotes.reduce((sum, participantQuote) => sum + participantQuote.orders, 0),
+      participants: quotes.length,
+      biggestSize: Math.max(...sizes),
+      smallestSize: Math.min(...sizes),
+      time: quotes.map(participantQuote => participantQuote.time).sort().pop(),
+    });
+    this.levels.set(price, level);
+    return price;
+  }
+
+  /**
+   * Removes the levels at or through a price of the other side.
+   * @param {number} price - A price quoted on the other side.
+   */
+  uncross(price) {
+    [...this.levels.keys()]
+      .filter(levelPrice => this.compare(levelPrice, price) <= 0)
+      .forEach(levelPrice => this.levels.delete(levelPrice));
+  }
+
+  /**
+   * Drops the worst levels beyond a number of levels.
+   * @param {number} maxLevels - The number of levels kept.
+   */
+  trim(maxLevels) {
+    this.sorted().slice(maxLevels).forEach(level => this.levels.delete(level.price));
+  }
+}
+
+export class OrderBook extends EventEmitter {
+  /**
+   * @param {Object} [options] - Order book options.
+   * @param {number} [options.maxLevels=20] - The number of price levels kept per side.
+   * @param {boolean} [options.snapshot=true] - Whether each message holds the complete sides it contains.
+   */
+  constructor({ maxLevels = 20, snapshot = true } = {}) {
+    super();
+    this.maxLevels = maxLevels;
+    this.snapshot = snapshot;
+    this.sides = { Bid: new BookSide('Bid'), Ask: new BookSide('Ask') };
+  }
+
+  /**
+   * Follows a market depth stream, emptying the book each time the stream reconnects.
+   * @param {MarketData} marketData - A MarketData instance.
+   * @param {string} symbol - A valid symbol for the security.
+   * @param {Object} [options] - Connection options.
+   * @param {boolean} [options.aggregates=false] - Whether to use `streamMarketDepthAggregates` instead of the per-participant `streamMarketDepthQuotes`.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the stream; close it to stop.
+   */
+  async connect(marketData, symbol, { aggregates = false } = {}) {
+    const stream = aggregates
+      ? await marketData.streamMarketDepthAggregates(symbol, this.maxLevels)
+      : await marketData.streamMarketDepthQuotes(symbol, this.maxLevels);
+    stream.on('connected', () => this.clear());
+    stream.on('depth', message => this.update(message));
+    return stream;
+  }
+
+  /**
+   * Applies a message of either depth stream.
+   * @param {{Bids: Array<Object>, Asks: Array<Object>}} message - A `MarketDepthQuote` or `MarketDepthAggregate` message.
+   * @returns {OrderBook} - The order book, for chaining.
+   */
+  update(message) {
+    const before = this.view();
+    [['Bid', message.Bids], ['Ask', message.Asks]]
+      .filter(([, quotes]) => Array.isArray(quotes))
+      .forEach(([side, quotes]) => {
+        const bookSide = this.sides[side];
+        const otherSide = this.sides[side === 'Bid' ? 'Ask' : 'Bid'];
+        if (this.snapshot) {
+          bookSide.levels.clear();
+        }
+        quotes.forEach(quote => {
+          const price = bookSide.apply(quote);
+          if (price !== null && !this.snapshot) {
+            otherSide.uncross(price);
+          }
+        });
+      });
+    Object.values(this.sides).forEach(bookSide => bookSide.trim(this.maxLevels));
+    return this.emitChanges(before);
+  }
+
+  /**
+   * Empties the book, e.g. before reconnecting.
+   * @returns {OrderBook} - The order book, for chaining.
+   */
+  clear() {
+    const before = this.view();
+    Object.values(this.sides).forEach(bookSide => bookSide.levels.clear());
+    return this.emitChanges(before);
+  }
+
+  /**
+   * @returns {{Bid: Map<number, number>, Ask: Map<number, number>, top: Object}} - The sizes by price of each side, and the best levels.
+   */
+  view() {
+    return { Bid: sizesOf(this.bids), Ask: sizesOf(this.asks), top: { bid: this.bestBid, ask: this.bestAsk } };
+  }
+
+  /**
+   * Emits `change` and `top` for the differences between a previous view and the book.
+   * @param {Object} before - The result of `view` before the book changed.
+   * @returns {OrderBook} - The order book, for chaining.
+   */
+  emitChanges(before) {
+    const changes = [
+      ...diffSizes('Bid', before.Bid, sizesOf(this.bids)),
+      ...diffSizes('Ask', before.Ask, sizesOf(this.asks)),
+    ];
+    if (changes.length) {
+      this.emit('change', { changes, book: this });
+    }
+    if (!this.sameLevel(before.top.bid, this.bestBid) || !this.sameLevel(before.top.ask, this.bestAsk)) {
+      this.emit('top', { bid: this.bestBid, ask: this.bestAsk });
+    }
+    return this;
+  }
+
+  /**
+   * @returns {Array<Object>} - The bid levels, highest price first.
+   */
+  get bids() {
+    return this.sides.Bid.sorted().map(level => this.toLevel(level));
+  }
+
+  /**
+   * @returns {Array<Object>} - The ask levels, lowest price first.
+   */
+  get asks() {
+    return this.sides.Ask.sorted().map(level => this.toLevel(level));
+  }
+
+  /**
+   * @returns {Object|null} - The highest bid level.
+   */
+  get bestBid() {
+    return this.bids[0] || null;
+  }
+
+  /**
+   * @returns {Object|null} - The lowest ask level.
+   */
+  get bestAsk() {
+    return this.asks[0] || null;
+  }
+
+  /**
+   * @returns {number|null} - The best ask price less the best bid price.
+   */
+  get spread() {
+    const { bestBid, bestAsk } = this;
+    return bestBid && bestAsk ? bestAsk.price - bestBid.price : null;
+  }
+
+  /**
+   * @returns {number|null} - The midpoint of the best bid and ask prices.
+   */
+  get midPrice() {
+    const { bestBid, bestAsk } = this;
+    return bestBid && bestAsk ? (bestAsk.price + bestBid.price) / 2 : null;
+  }
+
+  /**
+   * The levels of a side with their cumulative size, e.g. for a depth chart.
+   * @param {string} side - `Bid` or `Ask`.
+   * @param {number} [levels=maxLevels] - The number of levels.
+   * @returns {Array<{price: number, size: number, cumulativeSize: number}>} - The levels, best first.
+   */
+  cumulativeDepth(side, levels = this.maxLevels) {
+    let cumulativeSize = 0;
+    return (side === 'Bid' ? this.bids : this.asks).slice(0, levels).map(level => {
+      cumulativeSize += level.size;
+      return { price: level.price, size: level.size, cumulativeSize };
+    });
+  }
+
+  /**
+   * The size imbalance of the best levels: `(bid size - ask size) / (bid size + ask size)`,
+   * from -1 (only asks) to 1 (only bids).
+   * @param {number} [levels=maxLevels] - The number of levels of each side counted.
+   * @returns {number|null} - The imbalance, or null when the book is empty.
+   */
+  imbalance(levels = this.maxLevels) {
+    const sizeOf = side => this.cumulativeDepth(side, levels).reduce((sum, level) => sum + level.size, 0);
+    const bidSize = sizeOf('Bid');
+    const askSize = sizeOf('Ask');
+    return bidSize + askSize ? (bidSize - askSize) / (bidSize + askSize) : null;
+  }
+
+  /**
+   * @returns {Array<string>} - The names of the participants quoting, from `streamMarketDepthQuotes`.
+   */
+  get participants() {
+    const names = Object.values(this.sides)
+      .flatMap(bookSide => [...bookSide.levels.values()])
+      .flatMap(level => (level.quotes ? [...level.quotes.keys()] : []));
+    return [...new Set(names)].sort();
+  }
+
+  /**
+   * The quotes of one participant, from `streamMarketDepthQuotes`.
+   * @param {string} name - The participant name, e.g. `NSDQ`.
+   * @returns {{bids: Array<Object>, asks: Array<Object>}} - The participant's quotes, best first.
+   */
+  participant(name) {
+    const quotesOf = bookSide => bookSide.sorted()
+      .filter(level => level.quotes && level.quotes.has(name))
+      .map(level => ({ price: level.price, ...level.quotes.get(name) }));
+    return { bids: quotesOf(this.sides.Bid), asks: quotesOf(this.sides.Ask) };
+  }
+
+  /**
+   * @param {Object} level - A level of a BookSide.
+   * @returns {Object} - A copy of the level, with its participants' quotes as an array.
+   */
+  toLevel(level) {
+    return { ...level, quotes: level.quotes ? [...level.quotes.values()] : [] };
+  }
+
+  /**
+   * @param {Object|null} a - A level.
+   * @param {Object|null} b - Another level.
+   * @returns {boolean} - Whether both are missing, or have the same price and size.
+   */
+  sameLevel(a, b) {
+    return a === b || Boolean(a && b && a.price === b.price && a.size === b.size);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview
+ * Type declarations for `orderBuilder.jsx`.
+ */
+import type { FieldProblem } from './errors';
+import type { GroupOrderRequest, OrderConfirmResponse, OrderRequest, OrderResponse } from './models';
+import type { Orders } from './orders';
+
+export declare function validateOrder(order: Partial<OrderRequest>, path?: string): FieldProblem[];
+
+export declare function validateGroupOrder(groupOrder: Partial<GroupOrderRequest>, path?: string): FieldProblem[];
+
+export interface ActivationRuleOptions {
+  triggerKey: string;
+  predicate: string;
+  price: number | string;
+  symbol?: string;
+  logicOperator?: string;
+}
+
+export declare class OrderBuilder {
+  constructor(order?: Partial<OrderRequest>);
+  order: Partial<OrderRequest>;
+  account(accountId: string): this;
+  symbol(symbol: string): this;
+  quantity(quantity: number | string): this;
+  action(tradeAction: string): this;
+  buy(): this;
+  sell(): this;
+  market(): this;
+  limit(limitPrice: number | string): this;
+  stopMarket(stopPrice?: number | string): this;
+  stopLimit(stopPrice: number | string, limitPrice: number | string): this;
+  duration(duration: string, expiration?: Date | string): this;
+  route(route: string): this;
+  leg(symbol: string, quantity: number | string, tradeAction: string): this;
+  activationRule(rule: ActivationRuleOptions): this;
+  advanced(options: NonNullable<OrderRequest['AdvancedOptions']>): this;
+  oso(type: string, ...orders: Array<OrderBuilder | OrderRequest>): this;
+  validate(): FieldProblem[];
+  build(): OrderRequest;
+  toJSON(): Partial<OrderRequest>;
+  confirm(orders: Pick<Orders, 'confirmOrder'>): Promise<OrderConfirmResponse[]>;
+  place(orders: Pick<Orders, 'placeOrder'>): Promise<OrderResponse[]>;
+  static group(type: string, orders: Array<OrderBuilder | OrderRequest>): GroupOrderRequest;
+  static oco(...orders: Array<OrderBuilder | OrderRequest>): GroupOrderRequest;
+  static bracket(...orders: Array<OrderBuilder | OrderRequest>): GroupOrderRequest;
+}
@@ -0,0 +1,487 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the OrderBuilder class that constructs order requests
+ * for `Orders.confirmOrder`, `Orders.placeOrder` and the group order methods.
+ *
+ * @description
+ * # Order Building
+ * The builder fills in order fields from `Enums` values, formats quantities and prices as the
+ * strings the API expects and validates the order before it is sent: required prices per order
+ * type, an expiration for GTD/GDP orders, a trailing stop offset, and valid trade actions,
+ * durations and activation rules. A StopMarket order with a trailing stop needs no StopPrice.
+ * Single, OSO, OCO and bracket (`BRK`) orders are supported.
+ */
+import { Enums } from './enums';
+import { ValidationError } from './errors';
+
+/**
+ * Order types and the price fields each of them requires.
+ * @type {Object<string, Array<string>>}
+ */
+const REQUIRED_PRICES = {
+  [Enums.OrderType.MARKET]: [],
+  [Enums.OrderType.LIMIT]: ['LimitPrice'],
+  [Enums.OrderType.STOPMARKET]: ['StopPrice'],
+  [Enums.OrderType.STOPLIMIT]: ['StopPrice', 'LimitPrice'],
+};
+
+/**
+ * Durations that require `TimeInForce.Expiration`.
+ * @type {Array<string>}
+ */
+const DATED_DURATIONS = [Enums.OrderDuration.GOODTHROUGHDATE, Enums.OrderDuration.GOODTHROUGHDATEPLUS];
+
+/**
+ * @param {*} value - A quantity or price.
+ * @returns {boolean} - Whether the value is a positive number or numeric string.
+ */
+function isPositiveNumber(value) {
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) > 0;
+}
+
+/**
+ * @param {Object} enumeration - One of the `Enums` objects.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether the value is one of the enumeration values.
+ */
+function isEnumValue(enumeration, value) {
+  return Object.values(enumeration).includes(value);
+}
+
+/**
+ * @param {Object} enumeration - One of the `Enums` objects.
+ * @returns {string} - The enumeration values for error messages.
+ */
+function listValues(enumeration) {
+  return Object.values(enumeration).join(', ');
+}
+
+/**
+ * Validates a single order request, including its legs, activation rules and OSOs.
+ * @param {Object} order - The order request.
+ * @param {string} [path=''] - Prefix of the reported field names, for nested orders.
+ * @returns {Array<{field: string, message: string}>} - The problems found; empty when the order is valid.
+ */
+export function validateOrder(order, path = '') {
+  const problems = [];
+  const report = (field, message) => problems.push({ field: `${path}${field}`, message });
+  const legs = order.Legs || [];
+  const trailingStop = order.AdvancedOptions && order.AdvancedOptions.TrailingStop;
+
+  if (!order.AccountID) {
+    report('AccountID', 'AccountID is required');
+  }
+
+  if (legs.length) {
+    legs.forEach((leg, index) => {
+      if (!leg.Symbol) {
+        report(`Legs[${index}].Symbol`, 'Symbol is required');
+      }
+      if (!isPositiveNumber(leg.Quantity)) {
+        report(`Legs[${index}].Quantity`, `Quantity must be a positive number, got '${leg.Quantity}'`);
+      }
+      if (!isEnumValue(Enums.OrderTradeAction, leg.TradeAction)) {
+        report(`Legs[${index}].TradeAction`, `TradeAction '${leg.TradeAction}' is not one of ${listValues(Enums.OrderTradeAction)}`);
+      }
+    });
+  } else {
+    if (!order.Symbol) {
+      report('Symbol', 'Symbol is required');
+    }
+    if (!isPositiveNumber(order.Quantity)) {
+      report('Quantity', `Quantity must be a positive number, got '${order.Quantity}'`);
+    }
+    if (!isEnumValue(Enums.OrderTradeAction, order.TradeAction)) {
+      report('TradeAction', `TradeAction '${order.TradeAction}' is not one of ${listValues(Enums.OrderTradeAction)}`);
+    }
+  }
+
+  if (!isEnumValue(Enums.OrderType, order.OrderType)) {
+    report('OrderType', `OrderType '${order.OrderType}' is not one of ${listValues(Enums.OrderType)}`);
+  } else {
+    const allowed = REQUIRED_PRICES[order.OrderType];
+    // A trailing stop sets its stop price from the offset, so StopPrice becomes optional.
+    const required = trailingStop && order.OrderType === Enums.OrderType.STOPMARKET
+      ? allowed.filter(field => field !== 'StopPrice')
+      : allowed;
+    required.forEach(field => {
+      if (!isPositiveNumber(order[field])) {
+        report(field, `${field} is required for ${order.OrderType} orders`);
+      }
+    });
+    ['LimitPrice', 'StopPrice']
+      .filter(field => !allowed.includes(field) && order[field] !== undefined)
+      .forEach(field => report(field, `${field} is not allowed for ${order.OrderType} orders`));
+  }
+
+  const timeInForce = order.TimeInForce || {};
+  if (!isEnumValue(Enums.OrderDuration, timeInForce.Duration)) {
+    report('TimeInForce.Duration', `Duration '${timeInForce.Duration}' is not one of ${listValues(Enums.OrderDuration)}`);
+  } else if (DATED_DURATIONS.includes(timeInForce.Duration)) {
+    if (!timeInForce.Expiration || Number.isNaN(Date.parse(timeInForce.Expiration))) {
+      report('TimeInForce.Expiration', `A valid Expiration date is required for ${timeInForce.Duration} orders`);
+    }
+  } else if (timeInForce.Expiration !== undefined) {
+    report('TimeInForce.Expiration', `Expiration only applies to ${DATED_DURATIONS.join(' and ')} orders`);
+  }
+
+  if (trailingStop) {
+    const offsets = ['Amount', 'Percent'].filter(field => trailingStop[field] !== undefined);
+    if (!offsets.length) {
+      report('AdvancedOptions.TrailingStop', 'TrailingStop requires Amount or Percent');
+    } else if (offsets.length > 1) {
+      report('AdvancedOptions.TrailingStop', 'TrailingStop requires either Amount or Percent, not both');
+    } else if (!isPositiveNumber(trailingStop[offsets[0]])) {
+      report(`AdvancedOptions.TrailingStop.${offsets[0]}`, `${offsets[0]} must be a positive number, got '${trailingStop[offsets[0]]}'`);
+    }
+  }
+
+  const rules = (order.AdvancedOptions && order.AdvancedOptions.MarketActivationRules) || [];
+  rules.forEach((rule, index) => {
+    const field = `AdvancedOptions.MarketActivationRules[${index}]`;
+    if (!isEnumValue(Enums.RuleType, rule.RuleType)) {
+      report(`${field}.RuleType`, `RuleType '${rule.RuleType}' is not one of ${listValues(Enums.RuleType)}`);
+    }
+    if (!isEnumValue(Enums.ActivationTriggerKey, rule.TriggerKey)) {
+      report(`${field}.TriggerKey`, `TriggerKey '${rule.TriggerKey}' is not one of ${listValues(Enums.ActivationTriggerKey)}`);
+    }
+    if (!isEnumValue(Enums.MarketActivationRulePredicate, rule.Predicate)) {
+      report(`${field}.Predicate`, `Predicate '${rule.Predicate}' is not one of ${listValues(Enums.MarketActivationRulePredicate)}`);
+    }
+    if (!isPositiveNumber(rule.Price)) {
+      report(`${field}.Price`, 'Price is required for Price activation rules');
+    }
+    if (index > 0 && !isEnumValue(Enums.LogicOperator, rule.LogicOperator)) {
+      report(`${field}.LogicOperator`, `LogicOperator '${rule.LogicOperator}' is not one of ${listValues(Enums.LogicOperator)}`);
+    }
+  });
+
+  (order.OSOs || []).forEach((oso, index) => {
+    problems.push(...validateGroupOrder(oso, `${path}OSOs[${index}].`));
+  });
+
+  return problems;
+}
+
+/**
+ * Validates a group order request (`OCO`, `BRK` or `NORMAL`) or an OSO entry.
+ * @param {Object} groupOrder - The group order request with `Type` and `Orders`.
+ * @param {string} [path=''] - Prefix of the reported field names, for nested orders.
+ * @returns {Array<{field: string, message: string}>} - The problems found; empty when the group order is valid.
+ */
+export function validateGroupOrder(groupOrder, path = '') {
+  const problems = [];
+  const orders = groupOrder.Orders || [];
+
+  if (!isEnumValue(Enums.OSOType, groupOrder.Type)) {
+    problems.push({ field: `${path}Type`, message: `Type '${groupOrder.Type}' is not one of ${listValues(Enums.OSOType)}` });
+  }
+  if (!orders.length) {
+    problems.push({ field: `${path}Orders`, message: 'At least one order is required' });
+  }
+  if ([Enums.OSOType.OCO, Enums.OSOType.BRK].includes(groupOrder.Type) && orders.length < 2) {
+    problems.push({ field: `${path}Orders`, message: `${groupOrder.Type} orders require at least two orders` });
+  }
+  if (groupOrder.Type === Enums.OSOType.BRK && new Set(orders.map(order => order.Symbol)).size > 1) {
+    problems.push({ field: `${path}Orders`, message: 'All orders of a bracket must be for the same symbol' });
+  }
+
+  orders.forEach((order, index) => {
+    problems.push(...validateOrder(order, `${path}Orders[${index}].`));
+  });
+
+  return problems;
+}
+
+/**
+ * Throws a ValidationError listing every problem, if there are any.
+ * @param {Array<{field: string, message: string}>} problems - The problems found.
+ */
+function assertValid(problems) {
+  if (problems.length) {
+    throw new ValidationError(`Invalid order: ${problems.map(problem => `${problem.field}: ${problem.message}`).join('; ')}`, {
+      fields: problems,
+    });
+  }
+}
+
+/**
+ * Turns builders and plain order requests into plain order requests.
+ * @param {Array<OrderBuilder|Object>} orders - The orders.
+ * @returns {Array<Object>}
+ */
+function toOrderRequests(orders) {
+  return orders.map(order => (order instanceof OrderBuilder ? order.toJSON() : order));
+}
+
+export class OrderBuilder {
+  /**
+   * @param {Object} [order] - An order request to start from.
+   */
+  constructor(order = {}) {
+    this.order = {
+      Route: 'Intelligent',
+      TimeInForce: { Duration: Enums.OrderDuration.DAY },
+      ...order,
+    };
+  }
+
+  /**
+   * @param {string} accountId - The account to trade in.
+   * @returns {OrderBuilder}
+   */
+  account(accountId) {
+    this.order.AccountID = accountId;
+    return this;
+  }
+
+  /**
+   * @param {string} symbol - The symbol to trade.
+   * @returns {OrderBuilder}
+   */
+  symbol(symbol) {
+    this.order.Symbol = symbol;
+    return this;
+  }
+
+  /**
+   * @param {number|string} quantity - The number of shares or contracts.
+   * @returns {OrderBuilder}
+   */
+  quantity(quantity) {
+    this.order.Quantity = String(quantity);
+    return this;
+  }
+
+  /**
+   * @param {string} tradeAction - One of `Enums.OrderTradeAction`; case-insensitive.
+   * @returns {OrderBuilder}
+   */
+  action(tradeAction) {
+    this.order.TradeAction = String(tradeAction).toUpperCase();
+    return this;
+  }
+
+  /**
+   * @returns {OrderBuilder}
+   */
+  buy() {
+    return this.action(Enums.OrderTradeAction.BUY);
+  }
+
+  /**
+   * @returns {OrderBuilder}
+   */
+  sell() {
+    return this.action(Enums.OrderTradeAction.SELL);
+  }
+
+  /**
+   * @returns {OrderBuilder}
+   */
+  market() {
+    this.order.OrderType = Enums.OrderType.MARKET;
+    delete this.order.LimitPrice;
+    delete this.order.StopPrice;
+    return this;
+  }
+
+  /**
+   * @param {number|string} limitPrice - The limit price.
+   * @returns {OrderBuilder}
+   */
+  limit(limitPrice) {
+    this.order.OrderType = Enums.OrderType.LIMIT;
+    this.order.LimitPrice = String(limitPrice);
+    delete this.order.StopPrice;
+    return this;
+  }
+
+  /**
+   * @param {number|string} [stopPrice] - The stop price; omitted for a trailing stop.
+   * @returns {OrderBuilder}
+   */
+  stopMarket(stopPrice) {
+    this.order.OrderType = Enums.OrderType.STOPMARKET;
+    if (stopPrice === undefined) {
+      delete this.order.StopPrice;
+    } else {
+      this.order.StopPrice = String(stopPrice);
+    }
+    delete this.order.LimitPrice;
+    return this;
+  }
+
+  /**
+   * @param {number|string} stopPrice - The stop price.
+   * @param {number|string} limitPrice - The limit price once the stop is triggered.
+   * @returns {OrderBuilder}
+   */
+  stopLimit(stopPrice, limitPrice) {
+    this.order.OrderType = Enums.OrderType.STOPLIMIT;
+    this.order.StopPrice = String(stopPrice);
+    this.order.LimitPrice = String(limitPrice);
+    return this;
+  }
+
+  /**
+   * @param {string} duration - One of `Enums.OrderDuration`.
+   * @param {Date|string} [expiration] - Expiration date, required for GTD and GDP orders.
+   * @returns {OrderBuilder}
+   */
+  duration(duration, expiration) {
+    this.order.TimeInForce = { Duration: duration };
+    if (expiration !== undefined) {
+      this.order.TimeInForce.Expiration = expiration instanceof Date ? expiration.toISOString() : expiration;
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} route - The route, see `Orders.getRoutes`.
+   * @returns {OrderBuilder}
+   */
+  route(route) {
+    this.order.Route = route;
+    return this;
+  }
+
+  /**
+   * Adds a leg for multi-leg option orders; the order's own Symbol, Quantity and TradeAction are then not used.
+   * @param {string} symbol - The symbol of the leg.
+   * @param {number|string} quantity - The quantity of the leg.
+   * @param {string} tradeAction - One of `Enums.OrderTradeAction`; case-insensitive.
+   * @returns {OrderBuilder}
+   */
+  leg(symbol, quantity, tradeAction) {
+    this.order.Legs = [
+      ...(this.order.Legs || []),
+      { Symbol: symbol, Quantity: String(quantity), TradeAction: String(tradeAction).toUpperCase() },
+    ];
+    return this;
+  }
+
+  /**
+   * Adds a price-based market activation rule.
+   * @param {Object} rule - The rule.
+   * @param {string} rule.triggerKey - One of `Enums.ActivationTriggerKey`.
+   * @param {string} rule.predicate - One of `Enums.MarketActivationRulePredicate`.
+   * @param {number|string} rule.price - The trigger price.
+   * @param {string} [rule.symbol] - The symbol the rule watches; defaults to the order symbol.
+   * @param {string} [rule.logicOperator] - One of `Enums.LogicOperator`, relating the rule to the previous one.
+   * @returns {OrderBuilder}
+   */
+  activationRule({ triggerKey, predicate, price, symbol, logicOperator }) {
+    const advancedOptions = this.order.AdvancedOptions || {};
+    const rule = {
+      RuleType: Enums.RuleType.PRICE,
+      Symbol: symbol || this.order.Symbol,
+      Predicate: predicate,
+      TriggerKey: triggerKey,
+      Price: String(price),
+    };
+    if (logicOperator) {
+      rule.LogicOperator = logicOperator;
+    }
+
+    this.order.AdvancedOptions = {
+      ...advancedOptions,
+      MarketActivationRules: [...(advancedOptions.MarketActivationRules || []), rule],
+    };
+    return this;
+  }
+
+  /**
+   * Sets other advanced options such as `AllOrNone` or `TrailingStop`.
+   * @param {Object} options - AdvancedOptions fields.
+   * @returns {OrderBuilder}
+   */
+  advanced(options) {
+    this.order.AdvancedOptions = { ...this.order.AdvancedOptions, ...options };
+    return this;
+  }
+
+  /**
+   * Adds orders that are sent once this order fills (One Sends Others).
+   * @param {string} type - One of `Enums.OSOType`, e.g. `BRK` for a profit target and a stop loss.
+   * @param {...(OrderBuilder|Object)} orders - The orders to send.
+   * @returns {OrderBuilder}
+   */
+  oso(type, ...orders) {
+    this.order.OSOs = [...(this.order.OSOs || []), { Type: type, Orders: toOrderRequests(orders) }];
+    return this;
+  }
+
+  /**
+   * @returns {Array<{field: string, message: string}>} - The problems found; empty when the order is valid.
+   */
+  validate() {
+    return validateOrder(this.toJSON());
+  }
+
+  /**
+   * @returns {Object} - The order request.
+   * @throws {ValidationError} - When the order is invalid.
+   */
+  build() {
+    const order = this.toJSON();
+    assertValid(validateOrder(order));
+    return order;
+  }
+
+  /**
+   * @returns {Object} - A copy of the order request, without validation.
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.order));
+  }
+
+  /**
+   * Validates the order and confirms it without placing it.
+   * @param {Orders} orders - The Orders instance to send with.
+   * @returns {Promise<Array>} - Promise resolving to the order confirmations.
+   */
+  confirm(orders) {
+    return Promise.resolve().then(() => orders.confirmOrder(this.build()));
+  }
+
+  /**
+   * Validates the order and places it.
+   * @param {Orders} orders - The Orders instance to send with.
+   * @returns {Promise<Array>} - Promise resolving to the order responses.
+   */
+  place(orders) {
+    return Promise.resolve().then(() => orders.placeOrder(this.build()));
+  }
+
+  /**
+   * Builds a validated group order request.
+   * @param {string} type - One of `Enums.OSOType`.
+   * @param {Array<OrderBuilder|Object>} orders - The orders in the group.
+   * @returns {Object} - The group order request for `Orders.confirmGroupOrder` or `Orders.placeGroupOrder`.
+   * @throws {ValidationError} - When the group or any of its orders is invalid.
+   */
+  static group(type, orders) {
+    const groupOrder = { Type: type, Orders: toOrderRequests(orders) };
+    assertValid(validateGroupOrder(groupOrder));
+    return groupOrder;
+  }
+
+  /**
+   * One Cancels Other: the first order to fill cancels the rest.
+   * @param {...(OrderBuilder|Object)} orders - The orders.
+   * @returns {Object} - The group order request.
+   */
+  static oco(...orders) {
+    return OrderBuilder.group(Enums.OSOType.OCO, orders);
+  }
+
+  /**
+   * Bracket: exit orders for the same symbol, e.g. a profit target and a stop loss.
+   * @param {...(OrderBuilder|Object)} orders - The orders.
+   * @returns {Object} - The group order request.
+   */
+  static bracket(...orders) {
+    return OrderBuilder.group(Enums.OSOType.BRK, orders);
+  }
+}
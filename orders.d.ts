@@ -0,0 +1,45 @@
+/**
+ * @fileoverview
+ * Type declarations for `orders.jsx`.
+ */
+import type { ClientSource, HttpClient, HttpClientOptions } from './client';
+import type { Accounts } from './accounts';
+import type {
+  ActivationTrigger,
+  GroupOrderRequest,
+  OrderConfirmResponse,
+  OrderReplaceRequest,
+  OrderRequest,
+  OrderResponse,
+  Routes,
+} from './models';
+
+/** Order statuses from which an order can still be canceled or replaced. */
+export declare const CANCELABLE_STATUSES: string[];
+
+export interface SettledResult<T> {
+  success: boolean;
+  response: T | null;
+  error: Error | null;
+}
+
+export type CancellationResult = SettledResult<OrderResponse> & { OrderID: string };
+
+export type ClosingResult = SettledResult<OrderResponse[]> & { Symbol: string; Quantity: string };
+
+export declare class Orders {
+  constructor(token: ClientSource, options?: HttpClientOptions);
+  basePath: string;
+  client: HttpClient;
+  accounts: Accounts;
+  confirmOrder(order: OrderRequest): Promise<OrderConfirmResponse[]>;
+  confirmGroupOrder(groupOrder: GroupOrderRequest): Promise<OrderConfirmResponse[]>;
+  placeGroupOrder(groupOrder: GroupOrderRequest): Promise<OrderResponse[]>;
+  placeOrder(order: OrderRequest): Promise<OrderResponse[]>;
+  replaceOrder(orderID: string, replacementOrder: OrderReplaceRequest): Promise<OrderResponse>;
+  cancelOrder(orderID: string): Promise<OrderResponse>;
+  cancelAllOrders(accountId: string, options?: { symbol?: string }): Promise<CancellationResult[]>;
+  flatten(accountId: string, options?: { symbol?: string }): Promise<{ cancellations: CancellationResult[]; closings: ClosingResult[] }>;
+  getActivationTriggers(): Promise<ActivationTrigger[]>;
+  getRoutes(): Promise<Routes[]>;
+}
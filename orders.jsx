@@ -26,160 +26,286 @@
  * @server
  * - URL: https://api.tradestation.com
  */
-const axios = require('axios');
+import { Accounts } from './accounts';
+import { resolveClient } from './client';
+import { Enums } from './enums';
+import { OrderRejectedError, ValidationError } from './errors';
+import { checkSymbols } from './symbolParser';
+
+/**
+ * Order statuses from which an order can still be canceled or replaced.
+ * @type {Array<string>}
+ */
+export const CANCELABLE_STATUSES = [
+  Enums.Status.RECEIVED,
+  Enums.Status.CHANGE,
+  Enums.Status.CONDITIONMET,
+  Enums.Status.DISPATCHED,
+  Enums.Status.QUEUED,
+  Enums.Status.PARTIALFILLALIVE,
+  Enums.Status.SENT,
+  Enums.Status.OSOORDER,
+  Enums.Status.SENDING,
+  Enums.Status.CANCELREQUESTREJECTED,
+  Enums.Status.REPLACEPENDING,
+  Enums.Status.REPLACESENT,
+  Enums.Status.STOPHIT,
+  Enums.Status.SUSPENDED,
+];
+
+/**
+ * Builds the market order that closes a position.
+ * @param {Object} position - A position from `Accounts.getPositions`.
+ * @returns {Object} - The order request.
+ */
+function closingOrder(position) {
+  const isLong = position.LongShort === Enums.PositionDirection.LONG;
+  let tradeAction;
+  if ([Enums.AssetType.STOCKOPTION, Enums.AssetType.INDEXOPTION, Enums.AssetType.FUTUREOPTION].includes(position.AssetType)) {
+    tradeAction = isLong ? Enums.OrderTradeAction.SELLTOCLOSE : Enums.OrderTradeAction.BUYTOCLOSE;
+  } else if (position.AssetType === Enums.AssetType.STOCK) {
+    tradeAction = isLong ? Enums.OrderTradeAction.SELL : Enums.OrderTradeAction.BUYTOCOVER;
+  } else {
+    tradeAction = isLong ? Enums.OrderTradeAction.SELL : Enums.OrderTradeAction.BUY;
+  }
+
+  return {
+    AccountID: position.AccountID,
+    Symbol: position.Symbol,
+    Quantity: String(Math.abs(Number(position.Quantity))),
+    OrderType: Enums.OrderType.MARKET,
+    TradeAction: tradeAction,
+    TimeInForce: {
+      Duration: Enums.OrderDuration.DAY,
+    },
+    Route: 'Intelligent',
+  };
+}
+
+/**
+ * Pairs settled promises with the item each was started for.
+ * @param {Array<Object>} items - The items, e.g. orders or positions.
+ * @param {Array<Object>} results - The results of `Promise.allSettled`.
+ * @param {Function} key - Picks the identifying fields from an item.
+ * @returns {Array<Object>} - One `{ ...key(item), success, response, error }` per item.
+ */
+function settledResults(items, results, key) {
+  return results.map((result, index) => ({
+    ...key(items[index]),
+    success: result.status === 'fulfilled',
+    response: result.status === 'fulfilled' ? result.value : null,
+    error: result.status === 'rejected' ? result.reason : null,
+  }));
+}
+
+/**
+ * Throws an OrderRejectedError when the API accepted the request but rejected every order in it.
+ * @param {Object} response - The axios response.
+ * @returns {Object} - The response, when at least one order was accepted.
+ */
+function checkOrderResponse(response) {
+  const { Errors: errors = [], Orders: orders = [] } = response.data || {};
+  if (errors.length && !orders.length) {
+    throw new OrderRejectedError(errors.map(error => error.Message).join('; '), {
+      status: response.status,
+      code: errors[0].Error,
+      request: { method: response.config.method.toUpperCase(), url: response.config.url, data: response.config.data },
+      response: response.data,
+      errors,
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Checks the symbols of orders and of their OSOs when the client's `checkSymbols` option is set.
+ * @param {HttpClient} client - The client the orders are sent with.
+ * @param {Array<Object>} orders - The order requests.
+ * @throws {ValidationError} - When a symbol is malformed.
+ */
+function checkOrderSymbols(client, orders) {
+  const symbolsOf = order => [
+    ...(order.Legs && order.Legs.length ? order.Legs.map(leg => leg.Symbol) : [order.Symbol]),
+    ...(order.OSOs || []).flatMap(oso => (oso.Orders || []).flatMap(symbolsOf)),
+  ];
+  if (client.checkSymbols) {
+    checkSymbols(orders.flatMap(symbolsOf));
+  }
+}
+
+/**
+ * Converts a 400 response to an order request into an OrderRejectedError.
+ * @param {TradeStationError} error - The request failure.
+ */
+function rejectOrder(error) {
+  if (error instanceof ValidationError) {
+    throw new OrderRejectedError(error.message, { ...error, errors: [error.response] });
+  }
+  throw error;
+}
 
 export class Orders {
-  constructor(token) {
-    this.baseUrl = 'https://api.tradestation.com/v3/orderexecution'; // Update with the correct base URL
-    this.token = token;
+  /**
+   * @param {string|TokenManager|HttpClient} token - An access token, a TokenManager, or an HttpClient shared between the API classes.
+   * @param {Object} [options] - HttpClient options, e.g. `{ baseUrl: Environment.SIM }`.
+   */
+  constructor(token, options) {
+    this.basePath = '/v3/orderexecution';
+    this.client = resolveClient(token, options);
+    this.accounts = new Accounts(this.client);
   }
 
   /**
    * Confirm an order without placing it.
    * @param {Object} order - The order details.
    * @returns {Promise<Array>} - Promise resolving to the order confirmations.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   * @throws {ValidationError} - When a symbol is malformed and the client's `checkSymbols` option is set.
    */
-  confirmOrder(order) {
-    const url = `${this.baseUrl}/orderconfirm`;
-
-    return axios.post(url, order, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-        'Content-Type': 'application/json',
-      },
-    })
+  async confirmOrder(order) {
+    checkOrderSymbols(this.client, [order]);
+    const url = `${this.basePath}/orderconfirm`;
+
+    return this.client.post(url, order)
       .then(response => response.data.Confirmations)
-      .catch(error => {
-        console.error('Error confirming order:', error);
-        throw error;
-      });
+      .catch(rejectOrder);
   }
 
-
-/**
-   * Confirm a group order.
+  /**
+   * Confirm a group order. The confirmations are read from the `Confirmations` field of the
+   * response, as documented for this endpoint; the previously read `OrderConfirmResponses` field
+   * is not sent by the API, so callers used to receive `undefined`.
    * @param {Object} groupOrder - The group order details.
-   * @returns {Promise<Array>} - Promise resolving to the order confirmations.
+   * @returns {Promise<Array>} - Promise resolving to the order confirmations, one per order of the group.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   * @throws {ValidationError} - When a symbol is malformed and the client's `checkSymbols` option is set.
    */
-confirmGroupOrder(groupOrder) {
-  const url = `${this.baseUrl}/ordergroupconfirm`;
-
-  return axios.post(url, groupOrder, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-      'Content-Type': 'application/json',
-    },
-  })
-    .then(response => response.data.OrderConfirmResponses)
-    .catch(error => {
-      console.error('Error confirming group order:', error);
-      throw error;
-    });
-}
+  async confirmGroupOrder(groupOrder) {
+    checkOrderSymbols(this.client, groupOrder.Orders || []);
+    const url = `${this.basePath}/ordergroupconfirm`;
 
+    return this.client.post(url, groupOrder)
+      .then(response => response.data.Confirmations)
+      .catch(rejectOrder);
+  }
 
-/**
+  /**
    * Place a group order.
    * @param {Object} groupOrder - The group order details.
    * @returns {Promise<Array>} - Promise resolving to the order responses.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   * @throws {ValidationError} - When a symbol is malformed and the client's `checkSymbols` option is set.
    */
-placeGroupOrder(groupOrder) {
-  const url = `${this.baseUrl}/ordergroups`;
+  async placeGroupOrder(groupOrder) {
+    checkOrderSymbols(this.client, groupOrder.Orders || []);
+    const url = `${this.basePath}/ordergroups`;
 
-  return axios.post(url, groupOrder, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-      'Content-Type': 'application/json',
-    },
-  })
-    .then(response => response.data.Orders)
-    .catch(error => {
-      console.error('Error placing group order:', error);
-      throw error;
-    });
-}
+    return this.client.post(url, groupOrder, { retry: false })
+      .then(checkOrderResponse)
+      .then(response => response.data.Orders)
+      .catch(rejectOrder);
+  }
 
-/**
+  /**
    * Place a general order.
    * @param {Object} order - The order details.
    * @returns {Promise<Array>} - Promise resolving to the order responses.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   * @throws {ValidationError} - When a symbol is malformed and the client's `checkSymbols` option is set.
    */
-placeOrder(order) {
-  const url = `${this.baseUrl}/orders`;
+  async placeOrder(order) {
+    checkOrderSymbols(this.client, [order]);
+    const url = `${this.basePath}/orders`;
 
-  return axios.post(url, order, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-      'Content-Type': 'application/json',
-    },
-  })
-    .then(response => response.data.Orders)
-    .catch(error => {
-      console.error('Error placing order:', error);
-      throw error;
-    });
-}
+    return this.client.post(url, order, { retry: false })
+      .then(checkOrderResponse)
+      .then(response => response.data.Orders)
+      .catch(rejectOrder);
+  }
 
-/**
+  /**
    * Replace an active order with a modified version of that order.
    * @param {string} orderID - The OrderID for the order to replace.
    * @param {Object} replacementOrder - The modified order details.
    * @returns {Promise<Object>} - Promise resolving to the order response.
+   * @throws {OrderRejectedError} - When the replacement is rejected.
    */
-replaceOrder(orderID, replacementOrder) {
-  const url = `${this.baseUrl}/orders/${orderID}`;
+  replaceOrder(orderID, replacementOrder) {
+    const url = `${this.basePath}/orders/${orderID}`;
 
-  return axios.put(url, replacementOrder, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-      'Content-Type': 'application/json',
-    },
-  })
-    .then(response => response.data)
-    .catch(error => {
-      console.error('Error replacing order:', error);
-      throw error;
-    });
-}
+    return this.client.put(url, replacementOrder)
+      .then(response => response.data)
+      .catch(rejectOrder);
+  }
 
-/**
+  /**
+   * Cancel an active order.
+   * @param {string} orderID - The OrderID of the order to cancel.
+   * @returns {Promise<Object>} - Promise resolving to the order response.
+   */
+  cancelOrder(orderID) {
+    const url = `${this.basePath}/orders/${orderID}`;
+
+    return this.client.delete(url)
+      .then(response => response.data);
+  }
+
+  /**
+   * Cancel every open order of an account, in parallel, reading every page of its orders first.
+   * A failed cancellation does not stop the others; check `success` on each result.
+   * @param {string} accountId - A valid Account ID for the authenticated user.
+   * @param {Object} [options] - Filter options.
+   * @param {string} [options.symbol] - Only cancel orders with a leg in this symbol.
+   * @returns {Promise<Array<{OrderID: string, success: boolean, response: Object, error: Error}>>} - Promise resolving to one result per open order.
+   */
+  async cancelAllOrders(accountId, { symbol } = {}) {
+    const orders = await this.accounts.getAllOrders(accountId);
+    const openOrders = orders.filter(order => CANCELABLE_STATUSES.includes(order.Status)
+      && (!symbol || (order.Legs || []).some(leg => leg.Symbol === symbol)));
+
+    const results = await Promise.allSettled(openOrders.map(order => this.cancelOrder(order.OrderID)));
+    return settledResults(openOrders, results, order => ({ OrderID: order.OrderID }));
+  }
+
+  /**
+   * Panic button: cancel every open order of an account, then close every position with a market order.
+   * @param {string} accountId - A valid Account ID for the authenticated user.
+   * @param {Object} [options] - Filter options.
+   * @param {string} [options.symbol] - Only flatten orders and positions in this symbol.
+   * @returns {Promise<{cancellations: Array<Object>, closings: Array<Object>}>} - Promise resolving to the cancellation and closing results.
+   */
+  async flatten(accountId, { symbol } = {}) {
+    const cancellations = await this.cancelAllOrders(accountId, { symbol });
+    const positions = (await this.accounts.getPositions(accountId, symbol))
+      .filter(position => Number(position.Quantity) !== 0);
+
+    const results = await Promise.allSettled(positions.map(position => this.placeOrder(closingOrder(position))));
+    return {
+      cancellations,
+      closings: settledResults(positions, results, position => ({ Symbol: position.Symbol, Quantity: position.Quantity })),
+    };
+  }
+
+  /**
    * Get activation triggers for placing orders.
    * @returns {Promise<Array>} - Promise resolving to the activation triggers.
    */
-getActivationTriggers() {
-  const url = `${this.baseUrl}/activationtriggers`;
+  getActivationTriggers() {
+    const url = `${this.basePath}/activationtriggers`;
 
-  return axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-    },
-  })
-    .then(response => response.data.ActivationTriggers)
-    .catch(error => {
-      console.error('Error getting activation triggers:', error);
-      throw error;
-    });
-}
+    return this.client.get(url)
+      .then(response => response.data.ActivationTriggers);
+  }
 
- /**
+  /**
    * Get a list of valid routes that a client can specify when posting an order.
    * @returns {Promise<Array>} - Promise resolving to the list of routes.
    */
- getRoutes() {
-  const url = `${this.baseUrl}/routes`;
-
-  return axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${this.token}`,
-    },
-  })
-    .then(response => response.data.Routes)
-    .catch(error => {
-      console.error('Error getting routes:', error);
-      throw error;
-    });
-}
-
-
+  getRoutes() {
+    const url = `${this.basePath}/routes`;
 
+    return this.client.get(url)
+      .then(response => response.data.Routes);
+  }
 }
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview
+ * Type declarations for `paperTrading.jsx`.
+ */
+import { EventEmitter } from 'events';
+import type { Account, Accounts, Balance, BODBalance, Order, PositionResponse } from './accounts';
+import type { MarketData, QuoteStreamMessage } from './marketData';
+import type { Orders } from './orders';
+import type { TradeStationStream } from './stream';
+import type { Operations } from './models';
+
+export interface PaperBrokerOptions {
+  accountId?: string;
+  accountType?: string;
+  cash?: number;
+  leverage?: number;
+  /** Commission per filled order, or a function of the filled legs returning it. */
+  commission?: number | ((legs: Array<{ Symbol: string; Quantity: number; Price: number }>) => number);
+  /** Dollar value of a one point move, by symbol. */
+  pointValues?: Record<string, number>;
+}
+
+/**
+ * An execution, emitted as `fill` for each leg of a filled order.
+ */
+export interface PaperFill {
+  AccountID: string;
+  OrderID: string;
+  Symbol: string;
+  TradeAction: string;
+  Quantity: string;
+  Price: string;
+  Timestamp: string;
+}
+
+export interface ReplayBar {
+  Open: string | number;
+  High: string | number;
+  Low: string | number;
+  Close: string | number;
+  TimeStamp?: string;
+}
+
+export declare class PaperBroker extends EventEmitter {
+  constructor(options?: PaperBrokerOptions);
+  accountId: string;
+  accountType: string;
+  cash: number;
+  leverage: number;
+  realizedProfitLoss: number;
+  commissions: number;
+  fills: PaperFill[];
+  clock: string | null;
+  orders: PaperOrders;
+  accounts: PaperAccounts;
+  connect(marketData: MarketData, symbols: string): Promise<TradeStationStream<QuoteStreamMessage>>;
+  updateQuote(quote: Partial<QuoteStreamMessage> & { Symbol: string }): this;
+  replayBars(symbol: string, bars: ReplayBar[] | { Bars?: ReplayBar[] }): this;
+  replayBar(symbol: string, bar: ReplayBar): this;
+  now(): string;
+  marketValue(): number;
+  equity(): number;
+  buyingPower(): number;
+  on(event: 'order', listener: (order: Order) => void): this;
+  on(event: 'fill', listener: (fill: PaperFill) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'order', listener: (order: Order) => void): this;
+  once(event: 'fill', listener: (fill: PaperFill) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export declare class PaperOrders implements Omit<Orders, 'basePath' | 'client' | 'accounts'> {
+  constructor(broker: PaperBroker);
+  broker: PaperBroker;
+  accounts: PaperAccounts;
+  confirmOrder: Orders['confirmOrder'];
+  confirmGroupOrder: Orders['confirmGroupOrder'];
+  placeGroupOrder: Orders['placeGroupOrder'];
+  placeOrder: Orders['placeOrder'];
+  replaceOrder: Orders['replaceOrder'];
+  cancelOrder: Orders['cancelOrder'];
+  cancelAllOrders: Orders['cancelAllOrders'];
+  flatten: Orders['flatten'];
+  getActivationTriggers: Orders['getActivationTriggers'];
+  getRoutes: Orders['getRoutes'];
+}
+
+export declare class PaperAccounts {
+  constructor(broker: PaperBroker);
+  broker: PaperBroker;
+  getAccounts(): Promise<Account[]>;
+  getAccountBalances(accountIds: string): Promise<Balance[]>;
+  getBalancesBOD(accountIds: string): Promise<BODBalance[]>;
+  getHistoricalOrders(accounts: string, since: string, pageSize?: number, nextToken?: string | null): Promise<Operations['GetHistoricalOrders']['response']>;
+  getHistoricalOrdersByOrderID(accounts: string, orderIds: string, since: string): Promise<Operations['GetHistoricalOrdersByOrderID']['response']>;
+  getOrders(accounts: string, pageSize?: number, nextToken?: string): Promise<Order[]>;
+  getOrdersPage: Accounts['getOrdersPage'];
+  iterateOrders: Accounts['iterateOrders'];
+  getAllOrders: Accounts['getAllOrders'];
+  iterateHistoricalOrders: Accounts['iterateHistoricalOrders'];
+  getAllHistoricalOrders: Accounts['getAllHistoricalOrders'];
+  getOrdersByOrderID(accountIds: string, orderIds: string): Promise<Order[]>;
+  getPositions(accounts: string, symbol?: string): Promise<PositionResponse[]>;
+}
@@ -0,0 +1,1341 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the PaperBroker class, a local simulation of a
+ * brokerage account used to run strategies without placing real orders.
+ *
+ * @description
+ * # Paper Trading
+ * A PaperBroker keeps cash, positions and orders in memory. `broker.orders` and `broker.accounts`
+ * expose them with the method signatures of the Orders and Accounts classes, so strategy code
+ * written against those classes runs unchanged:
+ *
+ * ```js
+ * const broker = new PaperBroker({ cash: 100000 });
+ * await broker.connect(new MarketData(token), 'MSFT');
+ * await new OrderBuilder().account(broker.accountId).symbol('MSFT').quantity(10).buy().limit(300).place(broker.orders);
+ * const positions = await broker.accounts.getPositions(broker.accountId);
+ * ```
+ *
+ * # Fills
+ * Orders are matched whenever prices change, either from quotes (`updateQuote`, or `connect` to
+ * stream them from `MarketData.streamQuoteChanges`) or from bars (`replayBars`, e.g. with the
+ * result of `MarketData.getBars`). Orders always fill completely:
+ * - Against quotes, buys fill at the ask and sells at the bid, falling back to the last price.
+ *   Limit orders fill when that price is at or better than the limit; stop orders trigger when
+ *   the last price reaches the stop. The limit of a multi-leg order is the net price per spread.
+ * - Against bars, market orders fill at the open, and limit and stop orders at their price, or at
+ *   the open when the bar gaps through it. Stops are evaluated before limits, so a bracket with
+ *   both exits inside one bar exits at the stop. Orders activated during the bar, and multi-leg
+ *   orders, are then matched against the close. Orders placed between bars fill from the next bar.
+ *
+ * OSO orders are held until their parent fills. When an order of an OCO or bracket group fills,
+ * the other orders of the group are canceled. IOC and FOK orders that do not fill at once are
+ * canceled. DAY orders expire once prices move past the date of the first prices they were
+ * matched against, so an order placed after the last bar of a day is filled from the next bar
+ * before it can expire; GTD orders expire after their expiration date. Orders that would exceed
+ * the buying power are rejected when they become active. Activation rules and other advanced
+ * options are accepted but not simulated.
+ *
+ * # Accounting
+ * Fills move `quantity * price * pointValue` between cash and positions for every asset type.
+ * Option symbols (those with a space, e.g. `MSFT 240119C300`) have a point value of 100; pass
+ * `pointValues` for futures, which are then reported as `FUTURE` positions. The buying power is
+ * `equity * leverage` less the value of the open positions.
+ *
+ * The broker emits `order` with the order, in the shape returned by `getOrders`, whenever its
+ * status changes, and `fill` for each executed leg.
+ */
+import { EventEmitter } from 'events';
+import { Enums } from './enums';
+import { Accounts } from './accounts';
+import { NotFoundError, OrderRejectedError, ValidationError } from './errors';
+import { validateGroupOrder, validateOrder } from './orderBuilder';
+import { Orders } from './orders';
+
+/**
+ * Trade actions that buy.
+ * @type {Array<string>}
+ */
+const BUY_ACTIONS = [
+  Enums.OrderTradeAction.BUY,
+  Enums.OrderTradeAction.BUYTOCOVER,
+  Enums.OrderTradeAction.BUYTOOPEN,
+  Enums.OrderTradeAction.BUYTOCLOSE,
+];
+
+/**
+ * Trade actions that close a position.
+ * @type {Array<string>}
+ */
+const CLOSE_ACTIONS = [
+  Enums.OrderTradeAction.SELL,
+  Enums.OrderTradeAction.BUYTOCOVER,
+  Enums.OrderTradeAction.BUYTOCLOSE,
+  Enums.OrderTradeAction.SELLTOCLOSE,
+];
+
+/**
+ * Statuses of orders that are matched against prices.
+ * @type {Array<string>}
+ */
+const WORKING_STATUSES = [Enums.Status.RECEIVED, Enums.Status.STOPHIT];
+
+/**
+ * Statuses of orders that can still be replaced or canceled.
+ * @type {Array<string>}
+ */
+const OPEN_STATUSES = [...WORKING_STATUSES, Enums.Status.OSOORDER, Enums.Status.SENDING];
+
+/**
+ * @type {Object<string, string>}
+ */
+const STATUS_DESCRIPTIONS = {
+  [Enums.Status.RECEIVED]: 'Received',
+  [Enums.Status.STOPHIT]: 'Stop Hit',
+  [Enums.Status.OSOORDER]: 'OSO Order',
+  [Enums.Status.SENDING]: 'Sending',
+  [Enums.Status.FILLED]: 'Filled',
+  [Enums.Status.CANCELED]: 'Canceled',
+  [Enums.Status.BRACKETCANCELED]: 'Bracket Canceled',
+  [Enums.Status.EXPIRED]: 'Expired',
+  [Enums.Status.REJECTED]: 'Rejected',
+};
+
+/**
+ * Durations of orders that are canceled unless they fill at once.
+ * @type {Array<string>}
+ */
+const IMMEDIATE_DURATIONS = [Enums.OrderDuration.IMMEDIATEORCANCEL, Enums.OrderDuration.FILLORKILL];
+
+/**
+ * Durations of orders that expire at the end of the day they were placed.
+ * @type {Array<string>}
+ */
+const DAY_DURATIONS = [Enums.OrderDuration.DAY, Enums.OrderDuration.DAYPLUS];
+
+/**
+ * Durations of orders that expire after their `Expiration` date.
+ * @type {Array<string>}
+ */
+const DATED_DURATIONS = [Enums.OrderDuration.GOODTHROUGHDATE, Enums.OrderDuration.GOODTHROUGHDATEPLUS];
+
+/**
+ * @param {*} value - A number or numeric string.
+ * @returns {number|null} - The number, or null when the value is missing or not numeric.
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * @param {number|null} value - A number.
+ * @returns {string|undefined} - The number as the API formats it, without float noise.
+ */
+function formatNumber(value) {
+  return value === null || value === undefined ? undefined : String(Number(value.toFixed(8)));
+}
+
+/**
+ * @param {...(number|null)} values - Candidate values.
+ * @returns {number|null} - The first value that is not null.
+ */
+function firstOf(...values) {
+  const value = values.find(candidate => candidate !== null && candidate !== undefined);
+  return value === undefined ? null : value;
+}
+
+/**
+ * @param {Object} object - An object.
+ * @returns {Object} - A copy without undefined properties.
+ */
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * @param {string} list - A comma-separated list, e.g. of account ids.
+ * @returns {Array<string>}
+ */
+function splitList(list) {
+  return String(list || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} timestamp - An ISO 8601 timestamp.
+ * @returns {string} - Its UTC date, `YYYY-MM-DD`.
+ */
+function dateOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Pages a list the way the API does, with an opaque `NextToken`.
+ * @param {Array} items - All items.
+ * @param {number} pageSize - The number of items per page.
+ * @param {string} [nextToken] - The token of the page to return.
+ * @returns {{items: Array, nextToken: string|undefined}}
+ */
+function paginate(items, pageSize, nextToken) {
+  const start = Number(nextToken) || 0;
+  const end = start + Number(pageSize || items.length);
+  return { items: items.slice(start, end), nextToken: end < items.length ? String(end) : undefined };
+}
+
+/**
+ * Throws an OrderRejectedError when a request failed validation or was refused.
+ * @param {Array<{field: string, message: string}>} problems - The problems found.
+ */
+function rejectProblems(problems) {
+  if (problems.length) {
+    const message = problems.map(problem => `${problem.field}: ${problem.message}`).join('; ');
+    throw new OrderRejectedError(`Order failed. Reason: ${message}`, {
+      status: 400,
+      code: 'FAILED',
+      errors: [{ Error: 'FAILED', Message: message }],
+    });
+  }
+}
+
+export class PaperBroker extends EventEmitter {
+  /**
+   * @param {Object} [options] - Simulation options.
+   * @param {string} [options.accountId='SIM0000001'] - The id of the simulated account.
+   * @param {string} [options.accountType='Margin'] - The account type reported by `getAccounts`.
+   * @param {number} [options.cash=100000] - The starting cash balance.
+   * @param {number} [options.leverage=1] - Buying power as a multiple of the equity.
+   * @param {number|Function} [options.commission=0] - Commission per filled order, or a function of `(legs)` returning it, where each leg has `Symbol`, `Quantity` and `Price`.
+   * @param {Object<string, number>} [options.pointValues={}] - Dollar value of a one point move, by symbol.
+   */
+  constructor({ accountId = 'SIM0000001', accountType = 'Margin', cash = 100000, leverage = 1, commission = 0, pointValues = {} } = {}) {
+    super();
+    this.accountId = accountId;
+    this.accountType = accountType;
+    this.cash = cash;
+    this.leverage = leverage;
+    this.commission = commission;
+    this.pointValues = pointValues;
+    this.realizedProfitLoss = 0;
+    this.commissions = 0;
+    this.quotes = new Map();
+    this.positions = new Map();
+    this.records = new Map();
+    this.fills = [];
+    this.clock = null;
+    this.nextOrderId = 1;
+    this.beginningOfDay = { cash, equity: cash };
+    this.orders = new PaperOrders(this);
+    this.accounts = this.orders.accounts;
+  }
+
+  /**
+   * Streams quotes from the API into the simulation.
+   * @param {MarketData} marketData - A MarketData instance.
+   * @param {string} symbols - List of valid symbols in a comma-separated format.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to the quote stream; close it to stop.
+   */
+  async connect(marketData, symbols) {
+    const stream = await marketData.streamQuoteChanges(symbols);
+    stream.on('quote', quote => this.updateQuote(quote));
+    return stream;
+  }
+
+  /**
+   * Updates the prices of a symbol and fills the orders they reach.
+   * Fields missing from the quote keep their previous value, as in `streamQuoteChanges` messages;
+   * `TradeTime` moves the simulation time forward.
+   * @param {Object} quote - A quote with `Symbol` and any of `Bid`, `Ask`, `Last` and `TradeTime`.
+   * @returns {PaperBroker} - The broker, for chaining.
+   */
+  updateQuote(quote) {
+    const prices = { ...this.quotes.get(quote.Symbol), FromBar: false };
+    ['Bid', 'Ask', 'Last'].forEach(field => {
+      const value = toNumber(quote[field]);
+      if (value !== null) {
+        prices[field] = value;
+      }
+    });
+    this.quotes.set(quote.Symbol, prices);
+    if (quote.TradeTime) {
+      this.advanceClock(quote.TradeTime);
+    }
+    this.match(quote.Symbol);
+    this.startSession(quote.Symbol);
+    return this;
+  }
+
+  /**
+   * Replays bars of a symbol, oldest first, filling orders as described in the module notes.
+   * @param {string} symbol - The symbol of the bars.
+   * @param {Array<Object>|{Bars: Array<Object>}} bars - Bars with `Open`, `High`, `Low`, `Close` and `TimeStamp`, or the result of `MarketData.getBars`.
+   * @returns {PaperBroker} - The broker, for chaining.
+   */
+  replayBars(symbol, bars) {
+    (Array.isArray(bars) ? bars : bars.Bars || []).forEach(bar => this.replayBar(symbol, bar));
+    return this;
+  }
+
+  /**
+   * Replays a single bar.
+   * @param {string} symbol - The symbol of the bar.
+   * @param {Object} bar - A bar with `Open`, `High`, `Low`, `Close` and `TimeStamp`.
+   * @returns {PaperBroker} - The broker, for chaining.
+   */
+  replayBar(symbol, bar) {
+    const prices = {
+      open: toNumber(bar.Open),
+      high: toNumber(bar.High),
+      low: toNumber(bar.Low),
+      close: toNumber(bar.Close),
+    };
+    if (bar.TimeStamp) {
+      this.advanceClock(bar.TimeStamp);
+    }
+
+    const isStop = record => [Enums.OrderType.STOPMARKET, Enums.OrderType.STOPLIMIT].includes(record.type);
+    this.workingOrders(symbol)
+      .filter(record => record.legs.length === 1)
+      .sort((a, b) => Number(isStop(b)) - Number(isStop(a)))
+      .forEach(record => {
+        if (!WORKING_STATUSES.includes(record.status)) {
+          return;
+        }
+        const price = this.barPrice(record, prices);
+        if (price !== null) {
+          this.fill(record, [price]);
+        }
+      });
+
+    this.quotes.set(symbol, { Bid: prices.close, Ask: prices.close, Last: prices.close, FromBar: true });
+    this.match(symbol);
+    this.startSession(symbol);
+    return this;
+  }
+
+  /**
+   * Dates the working orders of a symbol that were waiting for prices with the current date, the
+   * day DAY orders expire after.
+   * @param {string} symbol - The symbol whose prices changed.
+   */
+  startSession(symbol) {
+    const today = dateOf(this.now());
+    this.workingOrders(symbol)
+      .filter(record => record.session === null)
+      .forEach(record => {
+        record.session = today;
+      });
+  }
+
+  /**
+   * @param {string} [symbol] - Only orders with a leg in this symbol.
+   * @returns {Array<Object>} - The orders matched against prices, oldest first.
+   */
+  workingOrders(symbol) {
+    return [...this.records.values()].filter(record => WORKING_STATUSES.includes(record.status)
+      && (!symbol || record.legs.some(leg => leg.symbol === symbol)));
+  }
+
+  /**
+   * Fills the working orders of a symbol that the current quotes reach, until none is left.
+   * @param {string} symbol - The symbol whose prices changed.
+   */
+  match(symbol) {
+    let filled;
+    do {
+      filled = false;
+      this.workingOrders(symbol).forEach(record => {
+        if (!WORKING_STATUSES.includes(record.status)) {
+          return;
+        }
+        const prices = this.quotePrices(record);
+        if (prices) {
+          this.fill(record, prices);
+          filled = true;
+        }
+      });
+    } while (filled);
+  }
+
+  /**
+   * Matches a new or replaced order against the current quotes. Prices left by the last replayed
+   * bar are not used, so that orders placed between bars fill from the next bar on.
+   * @param {Object} record - A working order.
+   */
+  matchOrder(record) {
+    record.legs
+      .filter(leg => !(this.quotes.get(leg.symbol) || {}).FromBar)
+      .forEach(leg => this.match(leg.symbol));
+  }
+
+  /**
+   * @param {Object} leg - An order leg.
+   * @returns {number|null} - The price the leg would execute at now.
+   */
+  marketPrice(leg) {
+    const quote = this.quotes.get(leg.symbol);
+    if (!quote) {
+      return null;
+    }
+    return BUY_ACTIONS.includes(leg.action) ? firstOf(quote.Ask, quote.Last) : firstOf(quote.Bid, quote.Last);
+  }
+
+  /**
+   * @param {string} symbol - A symbol.
+   * @returns {number|null} - The price positions in the symbol are valued at.
+   */
+  markPrice(symbol) {
+    const quote = this.quotes.get(symbol);
+    if (!quote) {
+      return null;
+    }
+    const mid = quote.Bid !== undefined && quote.Ask !== undefined ? (quote.Bid + quote.Ask) / 2 : null;
+    return firstOf(quote.Last, mid, quote.Bid, quote.Ask);
+  }
+
+  /**
+   * Checks the order against the current quotes, triggering its stop if reached.
+   * @param {Object} record - A working order.
+   * @returns {Array<number>|null} - The execution price of each leg, or null when it does not fill.
+   */
+  quotePrices(record) {
+    const prices = record.legs.map(leg => this.marketPrice(leg));
+    if (prices.includes(null)) {
+      return null;
+    }
+
+    if (record.legs.length > 1) {
+      const unit = Math.min(...record.legs.map(leg => leg.quantity));
+      const net = record.legs.reduce((sum, leg, index) => (
+        sum + (BUY_ACTIONS.includes(leg.action) ? 1 : -1) * prices[index] * leg.quantity / unit
+      ), 0);
+      const reached = record.type !== Enums.OrderType.LIMIT || (net >= 0 ? net <= record.limit : -net >= record.limit);
+      return reached ? prices : null;
+    }
+
+    const [leg] = record.legs;
+    const quote = this.quotes.get(leg.symbol);
+    if (!this.trigger(record, firstOf(quote.Last, prices[0]), firstOf(quote.Last, prices[0]))) {
+      return null;
+    }
+    return this.reachesLimit(record, prices[0]) ? prices : null;
+  }
+
+  /**
+   * Checks a single-leg order against a bar, triggering its stop if reached.
+   * @param {Object} record - A working order.
+   * @param {{open: number, high: number, low: number, close: number}} bar - The bar prices.
+   * @returns {number|null} - The execution price, or null when it does not fill.
+   */
+  barPrice(record, { open, high, low }) {
+    const isBuy = BUY_ACTIONS.includes(record.legs[0].action);
+    let price = open;
+    if ([Enums.OrderType.STOPMARKET, Enums.OrderType.STOPLIMIT].includes(record.type) && !record.triggered) {
+      if (!this.trigger(record, isBuy ? high : low, open)) {
+        return null;
+      }
+      price = isBuy ? Math.max(open, record.stop) : Math.min(open, record.stop);
+    }
+
+    if (this.reachesLimit(record, price)) {
+      return price;
+    }
+    if ([Enums.OrderType.LIMIT, Enums.OrderType.STOPLIMIT].includes(record.type) && this.reachesLimit(record, isBuy ? low : high)) {
+      return record.limit;
+    }
+    return null;
+  }
+
+  /**
+   * Triggers a stop order whose stop price was reached; other orders are always triggered.
+   * @param {Object} record - A working single-leg order.
+   * @param {number} extreme - The highest price for buys, the lowest for sells.
+   * @param {number} current - The price the order is checked at.
+   * @returns {boolean} - Whether the order is triggered.
+   */
+  trigger(record, extreme, current) {
+    if (record.triggered || ![Enums.OrderType.STOPMARKET, Enums.OrderType.STOPLIMIT].includes(record.type)) {
+      return true;
+    }
+    const isBuy = BUY_ACTIONS.includes(record.legs[0].action);
+    if (isBuy ? Math.max(extreme, current) < record.stop : Math.min(extreme, current) > record.stop) {
+      return false;
+    }
+
+    record.triggered = true;
+    if (record.type === Enums.OrderType.STOPLIMIT) {
+      this.setStatus(record, Enums.Status.STOPHIT);
+    }
+    return true;
+  }
+
+  /**
+   * @param {Object} record - A single-leg order.
+   * @param {number} price - A price.
+   * @returns {boolean} - Whether the order may execute at the price.
+   */
+  reachesLimit(record, price) {
+    if (![Enums.OrderType.LIMIT, Enums.OrderType.STOPLIMIT].includes(record.type)) {
+      return true;
+    }
+    return BUY_ACTIONS.includes(record.legs[0].action) ? price <= record.limit : price >= record.limit;
+  }
+
+  /**
+   * Executes an order: updates cash and positions, closes the other orders of its OCO or bracket
+   * group and activates its OSO orders.
+   * @param {Object} record - A working order.
+   * @param {Array<number>} prices - The execution price of each leg.
+   */
+  fill(record, prices) {
+    const timestamp = this.now();
+    record.legs.forEach((leg, index) => {
+      leg.price = prices[index];
+      this.applyFill(leg.symbol, (BUY_ACTIONS.includes(leg.action) ? 1 : -1) * leg.quantity, leg.price);
+    });
+
+    const legs = record.legs.map(leg => ({ Symbol: leg.symbol, Quantity: leg.quantity, Price: leg.price }));
+    const commission = typeof this.commission === 'function' ? this.commission(legs) : this.commission;
+    this.cash -= commission;
+    this.commissions += commission;
+    record.commission = commission;
+    record.filledPrice = record.legs.length === 1
+      ? prices[0]
+      : record.legs.reduce((sum, leg) => sum + (BUY_ACTIONS.includes(leg.action) ? 1 : -1) * leg.price * leg.quantity, 0)
+        / Math.min(...record.legs.map(leg => leg.quantity));
+    this.close(record, Enums.Status.FILLED);
+
+    record.legs.forEach(leg => {
+      const fill = {
+        AccountID: this.accountId,
+        OrderID: record.id,
+        Symbol: leg.symbol,
+        TradeAction: leg.action,
+        Quantity: String(leg.quantity),
+        Price: formatNumber(leg.price),
+        Timestamp: timestamp,
+      };
+      this.fills.push(fill);
+      this.emit('fill', fill);
+    });
+
+    if (record.group) {
+      const status = record.group.Type === Enums.OSOType.BRK ? Enums.Status.BRACKETCANCELED : Enums.Status.CANCELED;
+      record.group.ids
+        .filter(id => id !== record.id && OPEN_STATUSES.includes(this.records.get(id).status))
+        .forEach(id => this.cancelTree(this.records.get(id), status));
+    }
+    record.children
+      .map(id => this.records.get(id))
+      .filter(child => child.status === Enums.Status.OSOORDER)
+      .forEach(child => this.activate(child));
+  }
+
+  /**
+   * Adds a fill to its position and realizes the profit or loss of the part that closes it.
+   * @param {string} symbol - The symbol.
+   * @param {number} quantity - The signed quantity: positive when buying.
+   * @param {number} price - The execution price.
+   */
+  applyFill(symbol, quantity, price) {
+    const pointValue = this.pointValueOf(symbol);
+    const position = this.positions.get(symbol) || { quantity: 0, averagePrice: 0, opened: this.now() };
+    this.cash -= quantity * price * pointValue;
+
+    if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(quantity)) {
+      const total = Math.abs(position.quantity) + Math.abs(quantity);
+      position.averagePrice = (position.averagePrice * Math.abs(position.quantity) + price * Math.abs(quantity)) / total;
+    } else {
+      const closed = Math.min(Math.abs(quantity), Math.abs(position.quantity));
+      this.realizedProfitLoss += closed * (price - position.averagePrice) * Math.sign(position.quantity) * pointValue;
+      if (Math.abs(quantity) > Math.abs(position.quantity)) {
+        position.averagePrice = price;
+        position.opened = this.now();
+      }
+    }
+    position.quantity += quantity;
+
+    if (position.quantity === 0) {
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, position);
+    }
+  }
+
+  /**
+   * @param {string} symbol - A symbol.
+   * @returns {number} - The dollar value of a one point move.
+   */
+  pointValueOf(symbol) {
+    if (this.pointValues[symbol] !== undefined) {
+      return this.pointValues[symbol];
+    }
+    return symbol.includes(' ') ? 100 : 1;
+  }
+
+  /**
+   * @param {string} symbol - A symbol.
+   * @returns {string} - The asset type reported for the symbol.
+   */
+  assetTypeOf(symbol) {
+    if (symbol.includes(' ')) {
+      return Enums.AssetType.STOCKOPTION;
+    }
+    return this.pointValues[symbol] !== undefined ? Enums.AssetType.FUTURE : Enums.AssetType.STOCK;
+  }
+
+  /**
+   * @returns {string} - The simulation time: the latest quote or bar time, or the current time before any.
+   */
+  now() {
+    return this.clock || new Date().toISOString();
+  }
+
+  /**
+   * Moves the simulation time forward. On a new date, DAY orders of an earlier session and GTD
+   * orders past their expiration expire, and the beginning of day balances are taken. DAY orders
+   * without a session yet, still waiting for their first prices or for their OSO parent to fill,
+   * are kept, so the bar that moved the time can fill them.
+   * @param {string} timestamp - The time of the latest quote or bar.
+   */
+  advanceClock(timestamp) {
+    if (Number.isNaN(Date.parse(timestamp)) || (this.clock && Date.parse(timestamp) <= Date.parse(this.clock))) {
+      return;
+    }
+    const previous = this.clock;
+    this.clock = new Date(timestamp).toISOString();
+    if (!previous || dateOf(previous) === dateOf(this.clock)) {
+      return;
+    }
+
+    const today = dateOf(this.clock);
+    [...this.records.values()]
+      .filter(record => OPEN_STATUSES.includes(record.status))
+      .filter(record => (DAY_DURATIONS.includes(record.duration) && record.session !== null && record.session < today)
+        || (DATED_DURATIONS.includes(record.duration) && dateOf(record.expiration) < today))
+      .forEach(record => this.cancelTree(record, Enums.Status.EXPIRED));
+    this.beginningOfDay = { cash: this.cash, equity: this.equity() };
+  }
+
+  /**
+   * Creates an order and its OSO orders from a request.
+   * @param {Object} request - The order request.
+   * @param {string} status - The initial status.
+   * @param {Object} [group] - The OCO or bracket group the order belongs to.
+   * @returns {Object} - The order record.
+   */
+  createOrder(request, status, group = null) {
+    const legs = request.Legs && request.Legs.length
+      ? request.Legs
+      : [{ Symbol: request.Symbol, Quantity: request.Quantity, TradeAction: request.TradeAction }];
+    const timeInForce = request.TimeInForce || {};
+    const record = {
+      id: String(this.nextOrderId++),
+      request,
+      type: request.OrderType,
+      limit: toNumber(request.LimitPrice),
+      stop: toNumber(request.StopPrice),
+      legs: legs.map(leg => ({ symbol: leg.Symbol, action: leg.TradeAction, quantity: Number(leg.Quantity), price: null })),
+      duration: timeInForce.Duration,
+      expiration: timeInForce.Expiration,
+      route: request.Route,
+      status,
+      triggered: false,
+      opened: this.now(),
+      session: null,
+      closed: null,
+      filledPrice: null,
+      commission: null,
+      rejectReason: null,
+      group,
+      parent: null,
+      children: [],
+    };
+    this.records.set(record.id, record);
+    if (group) {
+      group.ids.push(record.id);
+    }
+
+    (request.OSOs || []).forEach(oso => {
+      const childGroup = oso.Type === Enums.OSOType.NORMAL ? null : { Type: oso.Type, ids: [] };
+      oso.Orders.forEach(order => {
+        const child = this.createOrder(order, Enums.Status.OSOORDER, childGroup);
+        child.parent = record.id;
+        record.children.push(child.id);
+      });
+    });
+    return record;
+  }
+
+  /**
+   * Makes an order work: rejects it when it exceeds the buying power, fills it if the current
+   * quotes reach it, and cancels it if it is IOC or FOK and did not fill.
+   * @param {Object} record - A new order, or an OSO order whose parent filled.
+   */
+  activate(record) {
+    const required = this.requiredBuyingPower(record);
+    if (required > this.buyingPower()) {
+      record.rejectReason = `Insufficient buying power: ${formatNumber(required)} required, ${formatNumber(this.buyingPower())} available`;
+      this.cancelTree(record, Enums.Status.REJECTED);
+      return;
+    }
+
+    this.setStatus(record, Enums.Status.RECEIVED);
+    // The day of a DAY order starts with the first prices it is matched against: the current
+    // quotes when they are live, otherwise the next bar, which startSession dates it from.
+    const live = record.legs.every(leg => this.quotes.has(leg.symbol) && !this.quotes.get(leg.symbol).FromBar);
+    record.session = live ? dateOf(this.now()) : null;
+    this.matchOrder(record);
+    if (IMMEDIATE_DURATIONS.includes(record.duration) && OPEN_STATUSES.includes(record.status)) {
+      this.cancelTree(record, Enums.Status.CANCELED);
+    }
+  }
+
+  /**
+   * @param {Object} record - An order.
+   * @returns {number} - The buying power used by the part of the order that opens or adds to positions.
+   */
+  requiredBuyingPower(record) {
+    return record.legs.reduce((sum, leg) => {
+      const signed = (BUY_ACTIONS.includes(leg.action) ? 1 : -1) * leg.quantity;
+      const position = this.positions.has(leg.symbol) ? this.positions.get(leg.symbol).quantity : 0;
+      const closing = Math.sign(position) === -Math.sign(signed) ? Math.min(Math.abs(position), leg.quantity) : 0;
+      const price = this.estimatePrice(record, leg);
+      return sum + (price === null ? 0 : (leg.quantity - closing) * price * this.pointValueOf(leg.symbol));
+    }, 0);
+  }
+
+  /**
+   * @param {Object} record - An order.
+   * @param {Object} leg - One of its legs.
+   * @returns {number|null} - The expected execution price of the leg, or null when unknown.
+   */
+  estimatePrice(record, leg) {
+    if (record.legs.length === 1) {
+      return firstOf(record.limit, record.stop, this.marketPrice(leg));
+    }
+    return this.marketPrice(leg);
+  }
+
+  /**
+   * Sets the status of an open order and emits `order`.
+   * @param {Object} record - The order.
+   * @param {string} status - The new status.
+   */
+  setStatus(record, status) {
+    record.status = status;
+    this.emit('order', this.toOrder(record));
+  }
+
+  /**
+   * Closes an order with a final status.
+   * @param {Object} record - The order.
+   * @param {string} status - The final status, e.g. FLL or CAN.
+   */
+  close(record, status) {
+    record.closed = this.now();
+    this.setStatus(record, status);
+  }
+
+  /**
+   * Closes an order and the OSO orders still waiting for it.
+   * @param {Object} record - The order.
+   * @param {string} status - The final status.
+   */
+  cancelTree(record, status) {
+    this.close(record, status);
+    record.children
+      .map(id => this.records.get(id))
+      .filter(child => child.status === Enums.Status.OSOORDER)
+      .forEach(child => this.cancelTree(child, Enums.Status.CANCELED));
+  }
+
+  /**
+   * Checks that order requests are valid and for the simulated account.
+   * @param {Array<Object>} requests - The order requests.
+   * @param {Array<{field: string, message: string}>} problems - Problems found by `validateOrder` or `validateGroupOrder`.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   */
+  checkRequests(requests, problems) {
+    const withOSOs = order => [order, ...(order.OSOs || []).flatMap(oso => (oso.Orders || []).flatMap(withOSOs))];
+    const orders = requests.flatMap(withOSOs);
+    orders
+      .filter(order => order.AccountID && order.AccountID !== this.accountId)
+      .forEach(order => problems.push({ field: 'AccountID', message: `Account ${order.AccountID} is not the paper trading account ${this.accountId}` }));
+    orders
+      .filter(order => order.Legs && order.Legs.length > 1 && ![Enums.OrderType.MARKET, Enums.OrderType.LIMIT].includes(order.OrderType))
+      .forEach(order => problems.push({ field: 'OrderType', message: `${order.OrderType} is not simulated for multi-leg orders` }));
+    rejectProblems(problems);
+  }
+
+  /**
+   * @param {Object} record - An order.
+   * @returns {string} - A summary of the order, e.g. `Buy 10 MSFT @ 300.5 Limit`.
+   */
+  describe(record) {
+    const legs = record.legs.map(leg => `${BUY_ACTIONS.includes(leg.action) ? 'Buy' : 'Sell'} ${leg.quantity} ${leg.symbol}`).join(', ');
+    switch (record.type) {
+      case Enums.OrderType.LIMIT:
+        return `${legs} @ ${record.limit} Limit`;
+      case Enums.OrderType.STOPMARKET:
+        return `${legs} @ ${record.stop} Stop Market`;
+      case Enums.OrderType.STOPLIMIT:
+        return `${legs} @ ${record.stop} Stop / ${record.limit} Limit`;
+      default:
+        return `${legs} @ Market`;
+    }
+  }
+
+  /**
+   * @param {Object} record - An order.
+   * @returns {Object} - The order in the shape returned by `Accounts.getOrders`.
+   */
+  toOrder(record) {
+    const conditionalOrders = [
+      ...(record.group ? record.group.ids.filter(id => id !== record.id).map(id => ({ OrderID: id, Relationship: record.group.Type })) : []),
+      ...(record.parent ? [{ OrderID: record.parent, Relationship: 'OSP' }] : []),
+      ...record.children.map(id => ({ OrderID: id, Relationship: 'OSO' })),
+    ];
+    const filled = record.status === Enums.Status.FILLED;
+
+    return withoutUndefined({
+      AccountID: this.accountId,
+      OrderID: record.id,
+      Status: record.status,
+      StatusDescription: STATUS_DESCRIPTIONS[record.status],
+      OrderType: record.type,
+      LimitPrice: formatNumber(record.limit),
+      StopPrice: formatNumber(record.stop),
+      Duration: record.duration,
+      GoodTillDate: record.expiration,
+      OpenedDateTime: record.opened,
+      ClosedDateTime: record.closed || undefined,
+      FilledPrice: formatNumber(record.filledPrice),
+      CommissionFee: formatNumber(record.commission),
+      Currency: 'USD',
+      Routing: record.route,
+      RejectReason: record.rejectReason || undefined,
+      ConditionalOrders: conditionalOrders.length ? conditionalOrders : undefined,
+      Legs: record.legs.map(leg => withoutUndefined({
+        AssetType: this.assetTypeOf(leg.symbol),
+        BuyOrSell: BUY_ACTIONS.includes(leg.action) ? 'Buy' : 'Sell',
+        OpenOrClose: CLOSE_ACTIONS.includes(leg.action) ? 'Close' : 'Open',
+        QuantityOrdered: String(leg.quantity),
+        ExecQuantity: String(filled ? leg.quantity : 0),
+        QuantityRemaining: String(filled ? 0 : leg.quantity),
+        ExecutionPrice: formatNumber(leg.price),
+        Symbol: leg.symbol,
+      })),
+    });
+  }
+
+  /**
+   * @returns {number} - The value of the open positions at their mark price.
+   */
+  marketValue() {
+    return [...this.positions.entries()].reduce((sum, [symbol, position]) => (
+      sum + position.quantity * firstOf(this.markPrice(symbol), position.averagePrice) * this.pointValueOf(symbol)
+    ), 0);
+  }
+
+  /**
+   * @returns {number} - Cash plus the value of the open positions.
+   */
+  equity() {
+    return this.cash + this.marketValue();
+  }
+
+  /**
+   * @returns {number} - `equity * leverage` less the gross value of the open positions.
+   */
+  buyingPower() {
+    const grossValue = [...this.positions.entries()].reduce((sum, [symbol, position]) => (
+      sum + Math.abs(position.quantity * firstOf(this.markPrice(symbol), position.averagePrice) * this.pointValueOf(symbol))
+    ), 0);
+    return Math.max(0, this.equity() * this.leverage - grossValue);
+  }
+
+  /**
+   * @returns {Object} - The balance in the shape returned by `Accounts.getAccountBalances`.
+   */
+  toBalance() {
+    const marketValue = this.marketValue();
+    const unrealizedProfitLoss = [...this.positions.entries()].reduce((sum, [symbol, position]) => (
+        sum + position.quantity * (firstOf(this.markPrice(symbol), position.averagePrice) - position.averagePrice) * this.pointValueOf(symbol)
+    ), 0);
+    const costOfPositions = [...this.positions.entries()].reduce((sum, [symbol, position]) => (
+      sum + Math.abs(position.quantity) * position.averagePrice * this.pointValueOf(symbol)
+    ), 0);
+
+    return {
+      AccountID: this.accountId,
+      AccountType: this.accountType,
+      CashBalance: formatNumber(this.cash),
+      BuyingPower: formatNumber(this.buyingPower()),
+      Equity: formatNumber(this.cash + marketValue),
+      MarketValue: formatNumber(marketValue),
+      TodaysProfitLoss: formatNumber(this.cash + marketValue - this.beginningOfDay.equity),
+      UnclearedDeposit: '0',
+      Commission: formatNumber(this.commissions),
+      BalanceDetail: {
+        CostOfPositions: formatNumber(costOfPositions),
+        RealizedProfitLoss: formatNumber(this.realizedProfitLoss),
+        UnrealizedProfitLoss: formatNumber(unrealizedProfitLoss),
+      },
+    };
+  }
+
+  /**
+   * @param {string} symbol - The symbol of an open position.
+   * @returns {Object} - The position in the shape returned by `Accounts.getPositions`.
+   */
+  toPosition(symbol) {
+    const position = this.positions.get(symbol);
+    const quote = this.quotes.get(symbol) || {};
+    const pointValue = this.pointValueOf(symbol);
+    const mark = firstOf(this.markPrice(symbol), position.averagePrice);
+    const totalCost = position.quantity * position.averagePrice * pointValue;
+    const unrealizedProfitLoss = position.quantity * (mark - position.averagePrice) * pointValue;
+
+    return withoutUndefined({
+      AccountID: this.accountId,
+      AssetType: this.assetTypeOf(symbol),
+      AveragePrice: formatNumber(position.averagePrice),
+      Bid: formatNumber(quote.Bid),
+      Ask: formatNumber(quote.Ask),
+      Last: formatNumber(quote.Last),
+      LongShort: position.quantity > 0 ? Enums.PositionDirection.LONG : Enums.PositionDirection.SHORT,
+      MarkToMarketPrice: formatNumber(mark),
+      MarketValue: formatNumber(position.quantity * mark * pointValue),
+      PositionID: `${this.accountId}-${symbol}`,
+      Quantity: String(position.quantity),
+      Symbol: symbol,
+      Timestamp: position.opened,
+      TotalCost: formatNumber(totalCost),
+      UnrealizedProfitLoss: formatNumber(unrealizedProfitLoss),
+      UnrealizedProfitLossPercent: formatNumber(totalCost ? (unrealizedProfitLoss / Math.abs(totalCost)) * 100 : 0),
+      UnrealizedProfitLossQty: formatNumber(mark - position.averagePrice),
+    });
+  }
+
+  /**
+   * @param {string} accountIds - A comma-separated list of account ids.
+   * @returns {boolean} - Whether the list includes the simulated account.
+   */
+  owns(accountIds) {
+    return splitList(accountIds).includes(this.accountId);
+  }
+
+  /**
+   * @param {string} orderID - An order id.
+   * @returns {Object} - The order record.
+   * @throws {NotFoundError} - When there is no such order.
+   */
+  recordOf(orderID) {
+    const record = this.records.get(String(orderID));
+    if (!record) {
+      throw new NotFoundError(`Order ${orderID} not found`, { status: 404, code: 'NotFound' });
+    }
+    return record;
+  }
+}
+
+/**
+ * The Orders interface of a PaperBroker. Obtain it as `broker.orders`.
+ */
+export class PaperOrders {
+  /**
+   * @param {PaperBroker} broker - The simulated account.
+   */
+  constructor(broker) {
+    this.broker = broker;
+    this.accounts = new PaperAccounts(broker);
+  }
+
+  /**
+   * Confirm an order without placing it.
+   * @param {Object} order - The order details.
+   * @returns {Promise<Array>} - Promise resolving to the order confirmations.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   */
+  async confirmOrder(order) {
+    this.broker.checkRequests([order], validateOrder(order));
+    return [this.confirmation(order)];
+  }
+
+  /**
+   * Confirm a group order.
+   * @param {Object} groupOrder - The group order details.
+   * @returns {Promise<Array>} - Promise resolving to the order confirmations.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   */
+  async confirmGroupOrder(groupOrder) {
+    this.broker.checkRequests(groupOrder.Orders || [], validateGroupOrder(groupOrder));
+    return groupOrder.Orders.map(order => this.confirmation(order));
+  }
+
+  /**
+   * Place a group order. The orders of `OCO` and `BRK` groups cancel each other once one fills.
+   * @param {Object} groupOrder - The group order details.
+   * @returns {Promise<Array>} - Promise resolving to the order responses.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   */
+  async placeGroupOrder(groupOrder) {
+    this.broker.checkRequests(groupOrder.Orders || [], validateGroupOrder(groupOrder));
+
+    const group = groupOrder.Type === Enums.OSOType.NORMAL ? null : { Type: groupOrder.Type, ids: [] };
+    const records = groupOrder.Orders.map(order => this.broker.createOrder(order, Enums.Status.SENDING, group));
+    const responses = records.map(record => ({ Message: `Sent order: ${this.broker.describe(record)}`, OrderID: record.id }));
+    // An order filling at once cancels the others of an OCO or bracket group before they are activated.
+    records.forEach(record => {
+      if (record.status === Enums.Status.SENDING) {
+        this.broker.activate(record);
+      }
+    });
+    return responses;
+  }
+
+  /**
+   * Place a general order.
+   * @param {Object} order - The order details.
+   * @returns {Promise<Array>} - Promise resolving to the order responses.
+   * @throws {OrderRejectedError} - When the order is rejected.
+   */
+  async placeOrder(order) {
+    this.broker.checkRequests([order], validateOrder(order));
+
+    const record = this.broker.createOrder(order, Enums.Status.SENDING);
+    const response = { Message: `Sent order: ${this.broker.describe(record)}`, OrderID: record.id };
+    this.broker.activate(record);
+    return [response];
+  }
+
+  /**
+   * Replace an active order with a modified version of that order.
+   * @param {string} orderID - The OrderID for the order to replace.
+   * @param {Object} replacementOrder - The modified order details: `Quantity`, `LimitPrice`, `StopPrice`, or `OrderType` changed to `Market`.
+   * @returns {Promise<Object>} - Promise resolving to the order response.
+   * @throws {OrderRejectedError} - When the replacement is rejected.
+   */
+  async replaceOrder(orderID, replacementOrder) {
+    const record = this.broker.recordOf(orderID);
+    const problems = [];
+    if (!OPEN_STATUSES.includes(record.status)) {
+      problems.push({ field: 'OrderID', message: `Order ${orderID} is ${STATUS_DESCRIPTIONS[record.status]} and can no longer be replaced` });
+    }
+    if (replacementOrder.OrderType && replacementOrder.OrderType !== Enums.OrderType.MARKET) {
+      problems.push({ field: 'OrderType', message: 'OrderType can only be changed to Market' });
+    }
+    if (replacementOrder.Quantity !== undefined && record.legs.length > 1) {
+      problems.push({ field: 'Quantity', message: 'Quantity can only be replaced on single-leg orders' });
+    }
+    rejectProblems(problems);
+
+    const request = { ...record.request, ...withoutUndefined({ LimitPrice: replacementOrder.LimitPrice, StopPrice: replacementOrder.StopPrice }) };
+    if (replacementOrder.Quantity !== undefined) {
+      request.Quantity = replacementOrder.Quantity;
+    }
+    if (replacementOrder.OrderType === Enums.OrderType.MARKET) {
+      request.OrderType = Enums.OrderType.MARKET;
+      delete request.LimitPrice;
+      delete request.StopPrice;
+    }
+    rejectProblems(validateOrder({ ...request, OSOs: undefined }));
+
+    record.request = request;
+    record.type = request.OrderType;
+    record.limit = toNumber(request.LimitPrice);
+    record.stop = toNumber(request.StopPrice);
+    if (record.legs.length === 1) {
+      record.legs[0].quantity = Number(request.Quantity);
+    }
+    this.broker.setStatus(record, record.status);
+    if (WORKING_STATUSES.includes(record.status)) {
+      this.broker.matchOrder(record);
+    }
+    return { Message: 'Cancel/Replace order sent.', OrderID: record.id };
+  }
+
+  /**
+   * Cancel an active order, and the OSO orders waiting for it.
+   * @param {string} orderID - The OrderID of the order to cancel.
+   * @returns {Promise<Object>} - Promise resolving to the order response.
+   * @throws {NotFoundError} - When there is no such order.
+   * @throws {ValidationError} - When the order is no longer open.
+   */
+  async cancelOrder(orderID) {
+    const record = this.broker.recordOf(orderID);
+    if (!OPEN_STATUSES.includes(record.status)) {
+      throw new ValidationError(`Order ${orderID} is ${STATUS_DESCRIPTIONS[record.status]} and can no longer be canceled`, {
+        status: 400,
+        code: 'FAILED',
+      });
+    }
+
+    this.broker.cancelTree(record, Enums.Status.CANCELED);
+    return { Message: 'Order successfully canceled.', OrderID: record.id };
+  }
+
+  /**
+   * Cancel every open order of an account, as `Orders.cancelAllOrders` does.
+   * @param {string} accountId - The paper trading account id.
+   * @param {Object} [options] - Filter options.
+   * @param {string} [options.symbol] - Only cancel orders with a leg in this symbol.
+   * @returns {Promise<Array<{OrderID: string, success: boolean, response: Object, error: Error}>>} - Promise resolving to one result per open order.
+   */
+  cancelAllOrders(accountId, options) {
+    return Orders.prototype.cancelAllOrders.call(this, accountId, options);
+  }
+
+  /**
+   * Cancel every open order of an account, then close every position, as `Orders.flatten` does.
+   * @param {string} accountId - The paper trading account id.
+   * @param {Object} [options] - Filter options.
+   * @param {string} [options.symbol] - Only flatten orders and positions in this symbol.
+   * @returns {Promise<{cancellations: Array<Object>, closings: Array<Object>}>} - Promise resolving to the cancellation and closing results.
+   */
+  flatten(accountId, options) {
+    return Orders.prototype.flatten.call(this, accountId, options);
+  }
+
+  /**
+   * Get activation triggers for placing orders. Activation rules are not simulated.
+   * @returns {Promise<Array>} - Promise resolving to the activation triggers.
+   */
+  async getActivationTriggers() {
+    return Object.values(Enums.ActivationTriggerKey).map(key => ({ Key: key, Name: key, Description: key }));
+  }
+
+  /**
+   * Get a list of valid routes that a client can specify when posting an order.
+   * @returns {Promise<Array>} - Promise resolving to the list of routes.
+   */
+  async getRoutes() {
+    return [{ Id: 'Intelligent', Name: 'Intelligent', AssetTypes: [Enums.AssetType.STOCK, Enums.AssetType.STOCKOPTION, Enums.AssetType.FUTURE] }];
+  }
+
+  /**
+   * @param {Object} order - A valid order request.
+   * @returns {Object} - The confirmation the API would return for it.
+   */
+  confirmation(order) {
+    const legs = order.Legs && order.Legs.length ? order.Legs : [{ Symbol: order.Symbol, Quantity: order.Quantity, TradeAction: order.TradeAction }];
+    const record = {
+      type: order.OrderType,
+      limit: toNumber(order.LimitPrice),
+      stop: toNumber(order.StopPrice),
+      legs: legs.map(leg => ({ symbol: leg.Symbol, action: leg.TradeAction, quantity: Number(leg.Quantity) })),
+    };
+    const cost = record.legs.reduce((sum, leg) => {
+      const price = this.broker.estimatePrice(record, leg);
+      return price === null || sum === null ? null : sum + (BUY_ACTIONS.includes(leg.action) ? 1 : -1) * leg.quantity * price * this.broker.pointValueOf(leg.symbol);
+    }, 0);
+    const commission = typeof this.broker.commission === 'function' ? null : this.broker.commission;
+
+    return withoutUndefined({
+      AccountID: this.broker.accountId,
+      OrderConfirmID: `PAPER-${this.broker.nextOrderId}`,
+      Currency: 'USD',
+      Route: order.Route,
+      TimeInForce: order.TimeInForce,
+      LimitPrice: order.LimitPrice,
+      StopPrice: order.StopPrice,
+      EstimatedPrice: record.legs.length === 1 ? formatNumber(this.broker.estimatePrice(record, record.legs[0])) : undefined,
+      EstimatedCost: formatNumber(cost === null ? null : Math.abs(cost)),
+      DebitCreditEstimatedCost: formatNumber(cost),
+      EstimatedCommission: formatNumber(commission),
+      SummaryMessage: this.broker.describe(record),
+      Legs: order.Legs ? legs.map(leg => ({ Symbol: leg.Symbol, Quantity: String(leg.Quantity), TradeAction: leg.TradeAction })) : undefined,
+    });
+  }
+}
+
+/**
+ * The Accounts interface of a PaperBroker. Obtain it as `broker.accounts`.
+ * Orders placed before the current simulation date are historical; the others are today's orders.
+ */
+export class PaperAccounts {
+  /**
+   * @param {PaperBroker} broker - The simulated account.
+   */
+  constructor(broker) {
+    this.broker = broker;
+  }
+
+  /**
+   * Fetches the simulated account.
+   * @returns {Promise<Array>} - Promise resolving to the list of brokerage accounts.
+   */
+  async getAccounts() {
+    return [{
+      AccountID: this.broker.accountId,
+      AccountType: this.broker.accountType,
+      Alias: 'Paper Trading',
+      Currency: 'USD',
+      Status: 'Active',
+    }];
+  }
+
+  /**
+   * Fetches the current balance of the simulated account.
+   * @param {string} accountIds - List of valid Account IDs in comma separated format.
+   * @returns {Promise<Array>} - Promise resolving to the list of account balances.
+   */
+  async getAccountBalances(accountIds) {
+    return this.broker.owns(accountIds) ? [this.broker.toBalance()] : [];
+  }
+
+  /**
+   * Fetches the beginning of day balance of the simulated account.
+   * @param {string} accountIds - List of valid Account IDs in comma separated format.
+   * @returns {Promise<Array>} - Promise resolving to the list of Beginning of Day Balances.
+   */
+  async getBalancesBOD(accountIds) {
+    if (!this.broker.owns(accountIds)) {
+      return [];
+    }
+    return [{
+      AccountID: this.broker.accountId,
+      AccountType: this.broker.accountType,
+      BalanceDetail: {
+        AccountBalance: formatNumber(this.broker.beginningOfDay.cash),
+        Equity: formatNumber(this.broker.beginningOfDay.equity),
+        NetCash: formatNumber(this.broker.beginningOfDay.cash),
+      },
+    }];
+  }
+
+  /**
+   * Fetches orders placed before the current simulation date.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {string} since - Historical orders since date. For example "2006-01-13".
+   * @param {number} [pageSize=600] - The number of orders returned per page.
+   * @param {string} [nextToken=null] - The token of the page to return.
+   * @returns {Promise<Object>} - Promise resolving to the historical orders.
+   */
+  async getHistoricalOrders(accounts, since, pageSize = 600, nextToken = null) {
+    const today = dateOf(this.broker.now());
+    const orders = this.ordersOf(accounts)
+      .filter(record => dateOf(record.opened) >= since && dateOf(record.opened) < today && !OPEN_STATUSES.includes(record.status));
+    const page = paginate(orders, pageSize, nextToken);
+    return withoutUndefined({ Orders: page.items.map(record => this.broker.toOrder(record)), Errors: [], NextToken: page.nextToken });
+  }
+
+  /**
+   * Fetches historical orders by order id.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {string} orderIds - List of valid Order IDs in comma separated format.
+   * @param {string} since - Historical orders since date. For example "2006-01-13".
+   * @returns {Promise<Object>} - Promise resolving to the historical orders.
+   */
+  async getHistoricalOrdersByOrderID(accounts, orderIds, since) {
+    const { Orders: orders } = await this.getHistoricalOrders(accounts, since, Infinity);
+    return { Orders: orders.filter(order => splitList(orderIds).includes(order.OrderID)), Errors: [] };
+  }
+
+  /**
+   * Fetches today's orders and the open orders of the simulated account.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {number} [pageSize=600] - The number of orders returned per page.
+   * @param {string} [nextToken] - The token of the page to return.
+   * @returns {Promise<Array>} - Promise resolving to the list of orders.
+   */
+  async getOrders(accounts, pageSize = 600, nextToken) {
+    return (await this.getOrdersPage(accounts, pageSize, nextToken)).Orders;
+  }
+
+  /**
+   * Fetches a page of today's orders and open orders, with the `NextToken` of the next page.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {number} [pageSize=600] - The number of orders returned per page.
+   * @param {string} [nextToken] - The token of the page to return.
+   * @returns {Promise<Object>} - Promise resolving to the `Orders`, `Errors` and `NextToken` of the page.
+   */
+  async getOrdersPage(accounts, pageSize = 600, nextToken) {
+    const today = dateOf(this.broker.now());
+    const orders = this.ordersOf(accounts)
+      .filter(record => OPEN_STATUSES.includes(record.status) || dateOf(record.opened) >= today);
+    const page = paginate(orders, pageSize, nextToken);
+    return withoutUndefined({ Orders: page.items.map(record => this.broker.toOrder(record)), Errors: [], NextToken: page.nextToken });
+  }
+
+  /**
+   * Iterates over today's orders and open orders, as `Accounts.iterateOrders` does.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {Object} [options] - See `Accounts.iterateOrders`.
+   * @returns {AsyncGenerator<Object>} - The orders.
+   */
+  iterateOrders(accounts, options) {
+    return Accounts.prototype.iterateOrders.call(this, accounts, options);
+  }
+
+  /**
+   * Fetches every page of today's orders and open orders, as `Accounts.getAllOrders` does.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {Object} [options] - See `Accounts.iterateOrders`.
+   * @returns {Promise<Array>} - Promise resolving to the list of orders.
+   */
+  getAllOrders(accounts, options) {
+    return Accounts.prototype.getAllOrders.call(this, accounts, options);
+  }
+
+  /**
+   * Iterates over the historical orders closed since a date, as `Accounts.iterateHistoricalOrders` does.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {string} since - Historical orders since date. For example "2006-01-13".
+   * @param {Object} [options] - See `Accounts.iterateHistoricalOrders`.
+   * @returns {AsyncGenerator<Object>} - The historical orders.
+   */
+  iterateHistoricalOrders(accounts, since, options) {
+    return Accounts.prototype.iterateHistoricalOrders.call(this, accounts, since, options);
+  }
+
+  /**
+   * Fetches every page of the historical orders closed since a date, as `Accounts.getAllHistoricalOrders` does.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {string} since - Historical orders since date. For example "2006-01-13".
+   * @param {Object} [options] - See `Accounts.iterateHistoricalOrders`.
+   * @returns {Promise<Object>} - Promise resolving to the historical `Orders` and `Errors`.
+   */
+  getAllHistoricalOrders(accounts, since, options) {
+    return Accounts.prototype.getAllHistoricalOrders.call(this, accounts, since, options);
+  }
+
+  /**
+   * Fetches orders by order id.
+   * @param {string} accountIds - List of valid Account IDs in comma separated format.
+   * @param {string} orderIds - List of valid Order IDs in comma separated format.
+   * @returns {Promise<Array>} - Promise resolving to the list of orders.
+   */
+  async getOrdersByOrderID(accountIds, orderIds) {
+    return this.ordersOf(accountIds)
+      .filter(record => splitList(orderIds).includes(record.id))
+      .map(record => this.broker.toOrder(record));
+  }
+
+  /**
+   * Fetches the open positions of the simulated account.
+   * @param {string} accounts - List of valid Account IDs in comma separated format.
+   * @param {string} [symbol] - List of valid symbols in comma separated format, to filter the positions.
+   * @returns {Promise<Array>} - Promise resolving to the list of positions.
+   */
+  async getPositions(accounts, symbol) {
+    if (!this.broker.owns(accounts)) {
+      return [];
+    }
+    const symbols = splitList(symbol);
+    return [...this.broker.positions.keys()]
+      .filter(positionSymbol => !symbols.length || symbols.includes(positionSymbol))
+      .map(positionSymbol => this.broker.toPosition(positionSymbol));
+  }
+
+  /**
+   * @param {string} accounts - A comma-separated list of account ids.
+   * @returns {Array<Object>} - The order records, oldest first, when the list includes the simulated account.
+   */
+  ordersOf(accounts) {
+    return this.broker.owns(accounts) ? [...this.broker.records.values()] : [];
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview
+ * Type declarations for `provider.jsx`.
+ */
+import type { ReactElement, ReactNode } from 'react';
+import type { Account, Accounts } from './accounts';
+import type { TokenManager } from './auth';
+import type { HttpClient, HttpClientOptions } from './client';
+import type { TradeStationContextValue } from './hooks';
+import type { MarketData } from './marketData';
+import type { Orders } from './orders';
+import type { Symbols } from './symbols';
+
+export declare const AuthStatus: {
+  readonly LOADING: 'loading';
+  readonly SIGNED_OUT: 'signedOut';
+  readonly SIGNED_IN: 'signedIn';
+  readonly ERROR: 'error';
+};
+export type AuthStatus = typeof AuthStatus[keyof typeof AuthStatus];
+
+export interface TradeStationProviderProps {
+  clientId: string;
+  /** When omitted, the login uses PKCE. */
+  clientSecret?: string;
+  /** The registered redirect URI; the current page by default. */
+  redirectUri?: string;
+  scopes?: string[];
+  clientOptions?: HttpClientOptions;
+  /** Where tokens and the selected account are kept; null for nowhere. */
+  storage?: Storage | null;
+  storageKey?: string;
+  onError?: (error: Error) => void;
+  children?: ReactNode;
+}
+
+export interface TradeStationProviderValue extends TradeStationContextValue {
+  tokenManager: TokenManager;
+  client: HttpClient;
+  accounts: Accounts;
+  marketData: MarketData;
+  orders: Orders;
+  symbols: Symbols;
+  status: AuthStatus;
+  error: Error | null;
+  isSignedIn: boolean;
+  login(): Promise<void>;
+  logout(): void;
+  /** The brokerage accounts, null until loaded. */
+  accountList: Account[] | null;
+  /** The selected account, or the first one. */
+  selectedAccount: Account | null;
+  selectAccount(accountId: string): void;
+}
+
+export declare function TradeStationProvider(props: TradeStationProviderProps): ReactElement;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview
+ * This file contains the `TradeStationProvider` React component, which signs the user in through
+ * the TradeStation sign-in service and gives its children the API clients.
+ *
+ * @description
+ * # Provider
+ * The provider owns one `TokenManager`, one `HttpClient` and the `Accounts`, `MarketData`,
+ * `Orders` and `Symbols` instances sharing them, and puts them in `TradeStationContext`, so
+ * the hooks and any component calling `useTradeStation()` use the signed-in credential:
+ *
+ * ```jsx
+ * <TradeStationProvider clientId="YOUR_API_KEY" redirectUri="http://localhost:3000/">
+ *   <App />
+ * </TradeStationProvider>
+ *
+ * function App() {
+ *   const { status, login, logout, selectedAccount } = useTradeStation();
+ *   if (status !== AuthStatus.SIGNED_IN) {
+ *     return <button onClick={() => login()}>Sign in</button>;
+ *   }
+ *   return <Positions accountId={selectedAccount && selectedAccount.AccountID} />;
+ * }
+ * ```
+ *
+ * # Login Flow
+ * `login()` sends the browser to the authorization URL with a random `state` and, unless a
+ * client secret is given, a PKCE challenge. When the sign-in service redirects back, the provider
+ * checks the `state`, exchanges the code, and removes `code` and `state` from the address bar.
+ * The tokens are kept in `storage` (`sessionStorage` by default), so a reload stays signed in
+ * for as long as the refresh token is valid.
+ *
+ * The clients are created once; changing the `clientId`, `redirectUri` or `clientOptions` props
+ * of a mounted provider has no effect.
+ */
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { DEFAULT_SCOPES, TokenManager } from './auth';
+import { HttpClient } from './client';
+import { Accounts } from './accounts';
+import { MarketData } from './marketData';
+import { Orders } from './orders';
+import { Symbols } from './symbols';
+import { TradeStationContext } from './hooks';
+
+/**
+ * Sign-in states of the provider.
+ * @enum {string}
+ */
+export const AuthStatus = {
+  LOADING: 'loading', // restoring stored tokens or completing the redirect
+  SIGNED_OUT: 'signedOut',
+  SIGNED_IN: 'signedIn',
+  ERROR: 'error', // the sign-in failed; see `error`
+};
+
+/**
+ * @param {string} prefix - The `storageKey` prop.
+ * @returns {{tokens: string, account: string, login: string}} - The storage keys of the provider.
+ */
+function storageKeys(prefix) {
+  return {
+    tokens: `${prefix}.tokens`,
+    account: `${prefix}.account`,
+    login: `${prefix}.login`, // the state and PKCE verifier of a login in progress
+  };
+}
+
+/**
+ * @param {number} length - The number of random bytes.
+ * @returns {string} - The bytes, base64url encoded.
+ */
+function randomString(length) {
+  return base64Url(window.crypto.getRandomValues(new Uint8Array(length)));
+}
+
+/**
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} - The bytes, base64url encoded without padding.
+ */
+function base64Url(bytes) {
+  return window.btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} verifier - A PKCE code verifier.
+ * @returns {Promise<string>} - The S256 code challenge of the verifier.
+ */
+function codeChallenge(verifier) {
+  return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+    .then(digest => base64Url(new Uint8Array(digest)));
+}
+
+/**
+ * Reads a JSON value from storage.
+ * @param {Storage|null} storage - The storage.
+ * @param {string} key - The key.
+ * @returns {*} - The value, or null when missing or unreadable.
+ */
+function readStorage(storage, key) {
+  if (!storage) {
+    return null;
+  }
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes a JSON value to storage, or removes the key for null.
+ * @param {Storage|null} storage - The storage.
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ */
+function writeStorage(storage, key, value) {
+  if (!storage) {
+    return;
+  }
+  if (value === null) {
+    storage.removeItem(key);
+  } else {
+    storage.setItem(key, JSON.stringify(value));
+  }
+}
+
+/**
+ * Provides the API clients, the sign-in state and the selected account to its children.
+ * @param {Object} props - The provider props.
+ * @param {string} props.clientId - The API key of the application.
+ * @param {string} [props.clientSecret] - The API secret; when omitted, the login uses PKCE.
+ * @param {string} [props.redirectUri] - The registered redirect URI; the current page by default.
+ * @param {Array<string>} [props.scopes=DEFAULT_SCOPES] - The scopes to request.
+ * @param {Object} [props.clientOptions] - HttpClient options, e.g. `{ baseUrl: Environment.SIM }`.
+ * @param {Storage|null} [props.storage=window.sessionStorage] - Where tokens and the selected account are kept; null for nowhere.
+ * @param {string} [props.storageKey='tradestation'] - The prefix of the storage keys.
+ * @param {Function} [props.onError] - Called with errors of the sign-in and of loading the accounts.
+ * @param {React.ReactNode} props.children - The components using the API.
+ * @returns {React.ReactElement}
+ */
+export function TradeStationProvider({
+  clientId,
+  clientSecret,
+  redirectUri,
+  scopes = DEFAULT_SCOPES,
+  clientOptions,
+  storage = window.sessionStorage,
+  storageKey = 'tradestation',
+  onError,
+  children,
+}) {
+  const keys = useMemo(() => storageKeys(storageKey), [storageKey]);
+  const [clients] = useState(() => {
+    const stored = readStorage(storage, keys.tokens) || {};
+    const tokenManager = new TokenManager({
+      clientId,
+      clientSecret,
+      redirectUri: redirectUri || `${window.location.origin}${window.location.pathname}`,
+      accessToken: stored.accessToken,
+      refreshToken: stored.refreshToken,
+      expiresAt: stored.expiresAt,
+      onTokenRefresh: tokens => writeStorage(storage, keys.tokens, tokens),
+    });
+    const client = new HttpClient(tokenManager, clientOptions);
+    return {
+      tokenManager,
+      client,
+      accounts: new Accounts(client),
+      marketData: new MarketData(client),
+      orders: new Orders(client),
+      symbols: new Symbols(client),
+    };
+  });
+  const { tokenManager, accounts } = clients;
+  const [status, setStatus] = useState(AuthStatus.LOADING);
+  const [error, setError] = useState(null);
+  const [accountList, setAccountList] = useState(null);
+  const [selectedAccountId, setSelectedAccountId] = useState(() => readStorage(storage, keys.account));
+  const started = useRef(false);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const fail = useCallback(failure => {
+    setError(failure);
+    setStatus(AuthStatus.ERROR);
+    if (onErrorRef.current) {
+      onErrorRef.current(failure);
+    }
+  }, []);
+
+  // Completes a redirect from the sign-in service, or restores the stored tokens.
+  useEffect(() => {
+    if (started.current) {
+      return;
+    }
+    started.current = true;
+
+    const url = new URL(window.location.href);
+    const { searchParams } = url;
+    const code = searchParams.get('code');
+    const denied = searchParams.get('error');
+    if (code || denied) {
+      const pending = readStorage(window.sessionStorage, keys.login) || {};
+      const returnedState = searchParams.get('state');
+      const description = searchParams.get('error_description');
+      writeStorage(window.sessionStorage, keys.login, null);
+      ['code', 'state', 'error', 'error_description'].forEach(param => searchParams.delete(param));
+      window.history.replaceState(window.history.state, '', url.toString());
+
+      if (denied) {
+        fail(new Error(`Sign-in failed: ${description || denied}`));
+      } else if (!pending.state || pending.state !== returnedState) {
+        fail(new Error('Sign-in failed: the state returned by the sign-in service does not match'));
+      } else {
+        tokenManager.exchangeCode(code, pending.codeVerifier)
+          .then(() => setStatus(AuthStatus.SIGNED_IN), fail);
+      }
+      return;
+    }
+
+    if (tokenManager.refreshToken || (tokenManager.accessToken && !tokenManager.isExpiring())) {
+      tokenManager.getAccessToken()
+        .then(() => setStatus(AuthStatus.SIGNED_IN), () => {
+          writeStorage(storage, keys.tokens, null);
+          setStatus(AuthStatus.SIGNED_OUT);
+        });
+    } else {
+      setStatus(AuthStatus.SIGNED_OUT);
+    }
+  }, [tokenManager, storage, keys, fail]);
+
+  useEffect(() => {
+    tokenManager.scheduleRefresh();
+    return () => tokenManager.stop();
+  }, [tokenManager]);
+
+  // Loads the brokerage accounts once signed in.
+  useEffect(() => {
+    if (status !== AuthStatus.SIGNED_IN) {
+      return undefined;
+    }
+    let current = true;
+    accounts.getAccounts()
+      .then(list => {
+        if (current) {
+          setAccountList(list);
+        }
+      }, failure => {
+        if (current && onErrorRef.current) {
+          onErrorRef.current(failure);
+        }
+      });
+    return () => {
+      current = false;
+    };
+  }, [status, accounts]);
+
+  const login = useCallback(() => {
+    const state = randomString(16);
+    const codeVerifier = clientSecret ? null : randomString(32);
+    const challenge = codeVerifier ? codeChallenge(codeVerifier) : Promise.resolve(undefined);
+    return challenge.then(pkceChallenge => {
+      writeStorage(window.sessionStorage, keys.login, { state, codeVerifier });
+      window.location.assign(tokenManager.getAuthorizationUrl(scopes, state, pkceChallenge));
+    });
+  }, [clientSecret, scopes, tokenManager, keys]);
+
+  const logout = useCallback(() => {
+    tokenManager.stop();
+    tokenManager.accessToken = null;
+    tokenManager.refreshToken = null;
+    tokenManager.expiresAt = null;
+    writeStorage(storage, keys.tokens, null);
+    writeStorage(storage, keys.account, null);
+    setAccountList(null);
+    setSelectedAccountId(null);
+    setError(null);
+    setStatus(AuthStatus.SIGNED_OUT);
+  }, [tokenManager, storage, keys]);
+
+  const selectAccount = useCallback(accountId => {
+    setSelectedAccountId(accountId);
+    writeStorage(storage, keys.account, accountId);
+  }, [storage, keys]);
+
+  const selectedAccount = accountList
+    ? accountList.find(account => account.AccountID === selectedAccountId) || accountList[0] || null
+    : null;
+
+  const value = useMemo(() => ({
+    ...clients,
+    status,
+    error,
+    isSignedIn: status === AuthStatus.SIGNED_IN,
+    login,
+    logout,
+    accountList,
+    selectedAccount,
+    selectAccount,
+  }), [clients, status, error, login, logout, accountList, selectedAccount, selectAccount]);
+
+  return <TradeStationContext.Provider value={value}>{children}</TradeStationContext.Provider>;
+}
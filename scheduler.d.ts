@@ -0,0 +1,33 @@
+/**
+ * @fileoverview
+ * Type declarations for `scheduler.jsx`.
+ */
+
+export interface Quota {
+  /** Requests allowed per interval. */
+  limit: number;
+  /** Interval in milliseconds. */
+  interval: number;
+}
+
+export declare const DEFAULT_QUOTAS: Record<string, Quota>;
+
+export declare function resourceFor(url?: string): string;
+
+export interface RequestSchedulerOptions {
+  quotas?: Record<string, Quota>;
+  maxRetries?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+}
+
+export declare class RequestScheduler {
+  constructor(options?: RequestSchedulerOptions);
+  quotas: Record<string, Quota>;
+  maxRetries: number;
+  baseDelay: number;
+  maxDelay: number;
+  schedule<T>(resource: string, task: () => Promise<T>, options?: { retry?: boolean | ((error: Error) => boolean) }): Promise<T>;
+  backoff(attempt: number): number;
+  pending(): Record<string, number>;
+}
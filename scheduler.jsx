@@ -0,0 +1,211 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the RequestScheduler class that keeps requests
+ * within the TradeStation per-resource quotas.
+ *
+ * @description
+ * # Rate Limiting
+ * The API enforces a request quota per resource and interval and answers 429 once it is
+ * exceeded. The scheduler tracks a sliding window per resource, queues calls that would exceed
+ * it, pauses a resource for the `Retry-After` period on a 429 and retries idempotent requests
+ * with exponential backoff and jitter. Requests scheduled with `retry: false`, such as
+ * `placeOrder` and `placeGroupOrder`, are never retried.
+ */
+import { NetworkError, RateLimitError, ServerError } from './errors';
+
+/**
+ * Default quotas per resource: `limit` requests per `interval` milliseconds.
+ * @type {Object<string, {limit: number, interval: number}>}
+ */
+export const DEFAULT_QUOTAS = {
+  accounts: { limit: 250, interval: 5 * 60 * 1000 },
+  balances: { limit: 250, interval: 5 * 60 * 1000 },
+  positions: { limit: 250, interval: 5 * 60 * 1000 },
+  orders: { limit: 250, interval: 5 * 60 * 1000 },
+  wallets: { limit: 250, interval: 5 * 60 * 1000 },
+  quotes: { limit: 30, interval: 60 * 1000 },
+  barcharts: { limit: 30, interval: 60 * 1000 },
+  symbols: { limit: 30, interval: 60 * 1000 },
+  options: { limit: 90, interval: 60 * 1000 },
+  streamquotes: { limit: 500, interval: 5 * 60 * 1000 },
+  streambarcharts: { limit: 500, interval: 5 * 60 * 1000 },
+  streamtickbars: { limit: 500, interval: 5 * 60 * 1000 },
+  streamoptions: { limit: 10, interval: 60 * 1000 },
+  streammarketdepth: { limit: 10, interval: 60 * 1000 },
+  streambrokerage: { limit: 250, interval: 5 * 60 * 1000 },
+};
+
+/**
+ * Maps a request path to the resource whose quota it counts against.
+ * @param {string} url - The request path, e.g. `/v3/brokerage/accounts/123/balances`.
+ * @returns {string} - The resource name, or `default` for unthrottled paths.
+ */
+export function resourceFor(url = '') {
+  const path = url.split('?')[0];
+  const rules = [
+    [/^\/v3\/brokerage\/stream\//, 'streambrokerage'],
+    [/^\/v3\/brokerage\/accounts\/[^/]+\/(bod)?balances/, 'balances'],
+    [/^\/v3\/brokerage\/accounts\/[^/]+\/positions/, 'positions'],
+    [/^\/v3\/brokerage\/accounts\/[^/]+\/(historical)?orders/, 'orders'],
+    [/^\/v3\/brokerage\/accounts\/[^/]+\/wallets/, 'wallets'],
+    [/^\/v3\/brokerage\/accounts/, 'accounts'],
+    [/^\/v3\/orderexecution\/orders/, 'orders'],
+    [/^\/v3\/marketdata\/stream\/quotes/, 'streamquotes'],
+    [/^\/v3\/marketdata\/stream\/barcharts/, 'streambarcharts'],
+    [/^\/v3\/marketdata\/stream\/options/, 'streamoptions'],
+    [/^\/v3\/marketdata\/stream\/marketdepth/, 'streammarketdepth'],
+    [/^\/v3\/marketdata\/quotes/, 'quotes'],
+    [/^\/v3\/marketdata\/barcharts/, 'barcharts'],
+    [/^\/v3\/marketdata\/options/, 'options'],
+    [/^\/v3\/marketdata\/(symbols|symbollists)/, 'symbols'],
+    [/^\/v2\/stream\/tickbars/, 'streamtickbars'],
+    [/^\/v2\/data\/symbols/, 'symbols'],
+  ];
+  const match = rules.find(([pattern]) => pattern.test(path));
+
+  return match ? match[1] : 'default';
+}
+
+/**
+ * Whether a failed request may succeed when sent again.
+ * @param {Error} error - The request failure.
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return error instanceof RateLimitError || error instanceof ServerError || error instanceof NetworkError;
+}
+
+/**
+ * @param {number} ms - Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class RequestScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options.
+   * @param {Object<string, {limit: number, interval: number}>} [options.quotas] - Quotas merged over `DEFAULT_QUOTAS`.
+   * @param {number} [options.maxRetries=3] - Maximum retries of a retryable request.
+   * @param {number} [options.baseDelay=500] - Backoff delay of the first retry in milliseconds.
+   * @param {number} [options.maxDelay=30000] - Upper bound of the backoff delay in milliseconds.
+   */
+  constructor({ quotas = {}, maxRetries = 3, baseDelay = 500, maxDelay = 30000 } = {}) {
+    this.quotas = { ...DEFAULT_QUOTAS, ...quotas };
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.buckets = {};
+  }
+
+  /**
+   * Runs a request task within the quota of its resource.
+   * @param {string} resource - The resource the request counts against, see `resourceFor`.
+   * @param {Function} task - Sends the request and returns a promise.
+   * @param {Object} [options] - Scheduling options.
+   * @param {boolean|Function} [options.retry=false] - Whether the request is idempotent and may be retried, or a function deciding it from each failure.
+   * @returns {Promise<*>} - Promise resolving to the result of the task.
+   */
+  async schedule(resource, task, { retry = false } = {}) {
+    const bucket = this.bucketFor(resource);
+
+    for (let attempt = 0; ; attempt += 1) {
+      await this.acquire(bucket);
+
+      try {
+        return await task();
+      } catch (error) {
+        const hasRetryAfter = error instanceof RateLimitError && error.retryAfter !== null;
+        if (error instanceof RateLimitError) {
+          // Hold back every queued request for this resource, not just this one.
+          const pause = hasRetryAfter ? error.retryAfter * 1000 : this.backoff(attempt);
+          bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pause);
+        }
+
+        const mayRetry = typeof retry === 'function' ? retry(error) : retry;
+        if (!mayRetry || attempt >= this.maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+
+        if (!(error instanceof RateLimitError)) {
+          await delay(this.backoff(attempt));
+        }
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter.
+   * @param {number} attempt - Zero-based retry attempt.
+   * @returns {number} - Delay in milliseconds.
+   */
+  backoff(attempt) {
+    return Math.random() * Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+  }
+
+  /**
+   * Number of requests waiting for a slot, per resource.
+   * @returns {Object<string, number>}
+   */
+  pending() {
+    return Object.fromEntries(Object.entries(this.buckets).map(([resource, bucket]) => [resource, bucket.queue.length]));
+  }
+
+  /**
+   * @param {string} resource - The resource name.
+   * @returns {Object} - The sliding window state of the resource.
+   */
+  bucketFor(resource) {
+    if (!this.buckets[resource]) {
+      const quota = this.quotas[resource] || { limit: Infinity, interval: 0 };
+      this.buckets[resource] = {
+        ...quota,
+        starts: [],
+        queue: [],
+        timer: null,
+        pausedUntil: 0,
+      };
+    }
+
+    return this.buckets[resource];
+  }
+
+  /**
+   * Waits for a free slot in the window of a resource.
+   * @param {Object} bucket - The resource state.
+   * @returns {Promise<void>}
+   */
+  acquire(bucket) {
+    return new Promise(resolve => {
+      bucket.queue.push(resolve);
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Starts queued requests while the window has room, then waits for the next free slot.
+   * @param {Object} bucket - The resource state.
+   */
+  drain(bucket) {
+    while (bucket.queue.length) {
+      const now = Date.now();
+      bucket.starts = bucket.starts.filter(start => start > now - bucket.interval);
+
+      const windowWait = bucket.starts.length >= bucket.limit ? bucket.starts[0] + bucket.interval - now : 0;
+      const wait = Math.max(bucket.pausedUntil - now, windowWait);
+      if (wait > 0) {
+        if (!bucket.timer) {
+          bucket.timer = setTimeout(() => {
+            bucket.timer = null;
+            this.drain(bucket);
+          }, wait);
+        }
+        return;
+      }
+
+      bucket.starts.push(now);
+      bucket.queue.shift()();
+    }
+  }
+}
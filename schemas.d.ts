@@ -0,0 +1,9 @@
+/**
+ * @fileoverview
+ * Type declarations for `schemas.jsx`.
+ */
+import type { Operation } from './validation';
+
+export declare const schemas: Record<string, object>;
+
+export declare const operations: Operation[];
@@ -0,0 +1,4231 @@
+/**
+ * @fileoverview
+ * Schemas of the TradeStation API, generated from `openapi.json` by
+ * `scripts/generateSchemas.mjs`. Do not edit by hand.
+ */
+
+/**
+ * Component schemas by name, referenced as `#/components/schemas/<name>`.
+ * @type {Object<string, Object>}
+ */
+export const schemas = {
+  "SymbolSuggestDefinition": {
+    "type": "array",
+    "items": {
+      "type": "object",
+      "properties": {
+        "Category": {
+          "type": "string"
+        },
+        "Country": {
+          "type": "string",
+          "enum": [
+            "US",
+            "DE",
+            "CA"
+          ]
+        },
+        "Currency": {
+          "type": "string",
+          "enum": [
+            "USD",
+            "AUD",
+            "CAD",
+            "CHF",
+            "DKK",
+            "EUR",
+            "DBP",
+            "HKD",
+            "JPY",
+            "NOK",
+            "NZD",
+            "SEK",
+            "SGD"
+          ]
+        },
+        "Description": {
+          "type": "string"
+        },
+        "DisplayType": {
+          "type": "number"
+        },
+        "Error": {
+          "type": "string"
+        },
+        "Exchange": {
+          "type": "string"
+        },
+        "ExchangeID": {
+          "type": "number"
+        },
+        "ExpirationDate": {
+          "type": "string"
+        },
+        "ExpirationType": {
+          "type": "string"
+        },
+        "FutureType": {
+          "type": "string"
+        },
+        "MinMove": {
+          "type": "number"
+        },
+        "Name": {
+          "type": "string"
+        },
+        "OptionType": {
+          "type": "string"
+        },
+        "PointValue": {
+          "type": "number"
+        },
+        "Root": {
+          "type": "string"
+        },
+        "StrikePrice": {
+          "type": "number"
+        }
+      }
+    },
+    "minItems": 0,
+    "uniqueItems": true
+  },
+  "Error": {
+    "type": "object",
+    "properties": {
+      "TraceId": {
+        "type": "string",
+        "format": "uuid"
+      },
+      "StatusCode": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "SymbolSearchDefinition": {
+    "type": "array",
+    "items": {
+      "type": "object",
+      "properties": {
+        "Category": {
+          "type": "string"
+        },
+        "Country": {
+          "type": "string",
+          "enum": [
+            "US",
+            "DE",
+            "CA"
+          ]
+        },
+        "Currency": {
+          "type": "string",
+          "enum": [
+            "USD",
+            "AUD",
+            "CAD",
+            "CHF",
+            "DKK",
+            "EUR",
+            "DBP",
+            "HKD",
+            "JPY",
+            "NOK",
+            "NZD",
+            "SEK",
+            "SGD"
+          ]
+        },
+        "Description": {
+          "type": "string"
+        },
+        "DisplayType": {
+          "type": "number"
+        },
+        "Error": {
+          "type": "string"
+        },
+        "Exchange": {
+          "type": "string"
+        },
+        "ExchangeID": {
+          "type": "number"
+        },
+        "ExpirationDate": {
+          "type": "string"
+        },
+        "ExpirationType": {
+          "type": "string"
+        },
+        "FutureType": {
+          "type": "string"
+        },
+        "MinMove": {
+          "type": "number"
+        },
+        "Name": {
+          "type": "string"
+        },
+        "OptionType": {
+          "type": "string"
+        },
+        "PointValue": {
+          "type": "number"
+        },
+        "Root": {
+          "type": "string"
+        },
+        "StrikePrice": {
+          "type": "number"
+        },
+        "Underlying": {
+          "type": "string"
+        }
+      }
+    },
+    "minItems": 1,
+    "uniqueItems": true
+  },
+  "TickbarDefinition": {
+    "type": "object",
+    "properties": {
+      "Close": {
+        "type": "number"
+      },
+      "Status": {
+        "$ref": "#/components/schemas/StatusDefinition"
+      },
+      "TimeStamp": {
+        "type": "string"
+      },
+      "TotalVolume": {
+        "type": "number"
+      }
+    }
+  },
+  "StatusDefinition": {
+    "type": "integer"
+  },
+  "TrailingStopDefinition": {
+    "type": "object",
+    "properties": {
+      "Amount": {
+        "type": "number"
+      },
+      "Percent": {
+        "type": "number"
+      }
+    }
+  },
+  "MarketActivationRuleDefinition": {
+    "type": "object",
+    "properties": {
+      "RuleType": {
+        "type": "string",
+        "enum": [
+          "Price"
+        ]
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Predicate": {
+        "type": "string",
+        "enum": [
+          "Lt",
+          "Lte",
+          "Gt",
+          "Gte"
+        ]
+      },
+      "TriggerKey": {
+        "type": "string",
+        "enum": [
+          "STT",
+          "STTN",
+          "SBA",
+          "SAB",
+          "DTT",
+          "DTTN",
+          "DBA",
+          "DAB",
+          "TTT",
+          "TTTN",
+          "TBA",
+          "TAB"
+        ]
+      },
+      "Price": {
+        "type": "string"
+      },
+      "LogicOperator": {
+        "type": "string",
+        "enum": [
+          "And",
+          "Or"
+        ]
+      }
+    }
+  },
+  "TimeActivationRuleDefinition": {
+    "type": "object",
+    "properties": {
+      "TimeUtc": {
+        "type": "string"
+      }
+    }
+  },
+  "AdvancedOptionsDefinition": {
+    "type": "object",
+    "properties": {
+      "TrailingStop": {
+        "$ref": "#/components/schemas/TrailingStopDefinition"
+      },
+      "MarketActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/MarketActivationRuleDefinition"
+        },
+        "maxItems": 4
+      },
+      "TimeActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TimeActivationRuleDefinition"
+        },
+        "maxItems": 1
+      },
+      "ShowOnlyQuantity": {
+        "type": "integer",
+        "minimum": 0,
+        "exclusiveMinimum": true
+      }
+    }
+  },
+  "OrderConfirmRequestDefinition": {
+    "type": "object",
+    "properties": {
+      "AccountKey": {
+        "type": "string"
+      },
+      "AdvancedOptions": {
+        "$ref": "#/components/schemas/AdvancedOptionsDefinition"
+      },
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "EQ",
+          "FU",
+          "OP"
+        ]
+      },
+      "Duration": {
+        "type": "string",
+        "enum": [
+          "DAY",
+          "DYP",
+          "GTC",
+          "GCP",
+          "GTD",
+          "GDP",
+          "OPG",
+          "CLO",
+          "IOC",
+          "FOK",
+          1,
+          "1 MIN",
+          3,
+          "3 MIN",
+          5,
+          "5 MIN"
+        ]
+      },
+      "GTDDate": {
+        "type": "string",
+        "format": "mmddyyyy",
+        "maxLength": 10
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "OrderType": {
+        "type": "string",
+        "enum": [
+          "Limit",
+          "Market",
+          "StopLimit",
+          "StopMarket"
+        ]
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "Route": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TradeAction": {
+        "type": "string",
+        "enum": [
+          "BUY",
+          "SELL",
+          "BUYTOCOVER",
+          "SELLSHORT",
+          "BUYTOOPEN",
+          "BUYTOCLOSE",
+          "SELLTOOPEN",
+          "SELLTOCLOSE"
+        ]
+      },
+      "OSOs": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "properties": {
+            "Type": {
+              "type": "string",
+              "enum": [
+                "NORMAL",
+                "BRK",
+                "OCO"
+              ]
+            },
+            "Orders": {
+              "type": "array",
+              "items": {
+                "$ref": "#/components/schemas/OrderConfirmRequestDefinition"
+              },
+              "minItems": 1,
+              "uniqueItems": true
+            }
+          },
+          "required": [
+            "Type"
+          ]
+        },
+        "minItems": 1,
+        "uniqueItems": true
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "properties": {
+            "Symbol": {
+              "type": "string"
+            },
+            "Quantity": {
+              "type": "string"
+            },
+            "TradeAction": {
+              "type": "string",
+              "enum": [
+                "BUY",
+                "SELL",
+                "BUYTOCOVER",
+                "SELLSHORT",
+                "BUYTOOPEN",
+                "BUYTOCLOSE",
+                "SELLTOOPEN",
+                "SELLTOCLOSE"
+              ]
+            }
+          }
+        },
+        "minItems": 1,
+        "uniqueItems": true
+      }
+    },
+    "required": [
+      "AssetType",
+      "Symbol",
+      "Quantity",
+      "OrderType",
+      "Duration",
+      "AccountKey",
+      "TradeAction"
+    ]
+  },
+  "OrderRequestDefinition": {
+    "type": "object",
+    "properties": {
+      "AccountKey": {
+        "type": "string"
+      },
+      "AdvancedOptions": {
+        "$ref": "#/components/schemas/AdvancedOptionsDefinition"
+      },
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "EQ",
+          "FU",
+          "OP"
+        ]
+      },
+      "Duration": {
+        "type": "string",
+        "enum": [
+          "DAY",
+          "DYP",
+          "GTC",
+          "GCP",
+          "GTD",
+          "GDP",
+          "OPG",
+          "CLO",
+          "IOC",
+          "FOK",
+          1,
+          "1 MIN",
+          3,
+          "3 MIN",
+          5,
+          "5 MIN"
+        ]
+      },
+      "GTDDate": {
+        "type": "string",
+        "format": "mmddyyyy",
+        "maxLength": 10
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "OrderConfirmId": {
+        "type": "string",
+        "maxLength": 25
+      },
+      "OrderType": {
+        "type": "string",
+        "enum": [
+          "Limit",
+          "Market",
+          "StopLimit",
+          "StopMarket"
+        ]
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "Route": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TradeAction": {
+        "type": "string",
+        "enum": [
+          "BUY",
+          "SELL",
+          "BUYTOCOVER",
+          "SELLSHORT",
+          "BUYTOOPEN",
+          "BUYTOCLOSE",
+          "SELLTOOPEN",
+          "SELLTOCLOSE"
+        ]
+      },
+      "OSOs": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "properties": {
+            "Type": {
+              "type": "string",
+              "enum": [
+                "NORMAL",
+                "BRK",
+                "OCO"
+              ]
+            },
+            "Orders": {
+              "type": "array",
+              "items": {
+                "$ref": "#/components/schemas/OrderRequestDefinition"
+              },
+              "minItems": 1,
+              "uniqueItems": true
+            }
+          },
+          "required": [
+            "Type"
+          ]
+        },
+        "minItems": 1,
+        "uniqueItems": true
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "properties": {
+            "Symbol": {
+              "type": "string"
+            },
+            "Quantity": {
+              "type": "string"
+            },
+            "TradeAction": {
+              "type": "string",
+              "enum": [
+                "BUY",
+                "SELL",
+                "BUYTOCOVER",
+                "SELLSHORT",
+                "BUYTOOPEN",
+                "BUYTOCLOSE",
+                "SELLTOOPEN",
+                "SELLTOCLOSE"
+              ]
+            }
+          }
+        },
+        "minItems": 1,
+        "uniqueItems": true
+      }
+    },
+    "required": [
+      "AssetType",
+      "Symbol",
+      "Quantity",
+      "OrderType",
+      "Duration",
+      "AccountKey",
+      "TradeAction"
+    ]
+  },
+  "Account": {
+    "type": "object",
+    "properties": {
+      "AccountDetail": {
+        "$ref": "#/components/schemas/AccountDetail"
+      },
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AccountType": {
+        "type": "string"
+      },
+      "Alias": {
+        "type": "string"
+      },
+      "AltID": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Status": {
+        "type": "string"
+      }
+    }
+  },
+  "AccountDetail": {
+    "type": "object",
+    "properties": {
+      "CryptoEnabled": {
+        "type": "boolean"
+      },
+      "DayTradingQualified": {
+        "type": "boolean"
+      },
+      "EnrolledInRegTProgram": {
+        "type": "boolean"
+      },
+      "IsStockLocateEligible": {
+        "type": "boolean"
+      },
+      "OptionApprovalLevel": {
+        "type": "integer",
+        "format": "int64"
+      },
+      "PatternDayTrader": {
+        "type": "boolean"
+      },
+      "RequiresBuyingPowerWarning": {
+        "type": "boolean"
+      }
+    }
+  },
+  "AccountID": {
+    "type": "string"
+  },
+  "Accounts": {
+    "type": "object",
+    "properties": {
+      "Accounts": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Account"
+        }
+      }
+    }
+  },
+  "ActivationTrigger": {
+    "type": "object",
+    "properties": {
+      "Key": {
+        "type": "string"
+      },
+      "Name": {
+        "type": "string"
+      },
+      "Description": {
+        "type": "string"
+      }
+    }
+  },
+  "ActivationTriggers": {
+    "type": "object",
+    "properties": {
+      "ActivationTriggers": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/ActivationTrigger"
+        }
+      }
+    }
+  },
+  "AdvancedOptionsReplace": {
+    "type": "object",
+    "properties": {
+      "ShowOnlyQuantity": {
+        "type": "string"
+      },
+      "TrailingStop": {
+        "$ref": "#/components/schemas/TrailingStop"
+      },
+      "MarketActivationRules": {
+        "$ref": "#/components/schemas/MarketActivationRulesReplace",
+        "type": "object"
+      },
+      "TimeActivationRules": {
+        "$ref": "#/components/schemas/TimeActivationRulesReplace",
+        "type": "object"
+      }
+    }
+  },
+  "AdvancedOptions": {
+    "type": "object",
+    "properties": {
+      "AddLiquidity": {
+        "type": "boolean"
+      },
+      "AllOrNone": {
+        "type": "boolean"
+      },
+      "BookOnly": {
+        "type": "boolean"
+      },
+      "DiscretionaryPrice": {
+        "type": "string"
+      },
+      "MarketActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/MarketActivationRules"
+        }
+      },
+      "NonDisplay": {
+        "type": "boolean"
+      },
+      "PegValue": {
+        "type": "string"
+      },
+      "ShowOnlyQuantity": {
+        "type": "string"
+      },
+      "TimeActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TimeActivationRules"
+        }
+      },
+      "TrailingStop": {
+        "$ref": "#/components/schemas/TrailingStop"
+      }
+    }
+  },
+  "AdvancedOrderType": {
+    "type": "string",
+    "enum": [
+      "NORMAL",
+      "BRK",
+      "OCO"
+    ]
+  },
+  "AssetType": {
+    "type": "string",
+    "enum": [
+      "UNKNOWN",
+      "STOCK",
+      "STOCKOPTION",
+      "FUTURE",
+      "FUTUREOPTION",
+      "FOREX",
+      "CURRENCYOPTION",
+      "INDEX",
+      "INDEXOPTION",
+      "MUTUALFUND",
+      "MONEYMARKETFUND",
+      "BOND",
+      "CRYPTO"
+    ]
+  },
+  "BODBalance": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AccountType": {
+        "type": "string"
+      },
+      "BalanceDetail": {
+        "$ref": "#/components/schemas/BODBalanceDetail"
+      },
+      "CurrencyDetails": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/BODCurrencyDetail"
+        }
+      }
+    }
+  },
+  "BODBalanceDetail": {
+    "type": "object",
+    "properties": {
+      "AccountBalance": {
+        "type": "string"
+      },
+      "CashAvailableToWithdraw": {
+        "type": "string"
+      },
+      "DayTrades": {
+        "type": "string"
+      },
+      "DayTradingMarginableBuyingPower": {
+        "type": "string"
+      },
+      "Equity": {
+        "type": "string"
+      },
+      "NetCash": {
+        "type": "string"
+      },
+      "OpenTradeEquity": {
+        "type": "string"
+      },
+      "OptionBuyingPower": {
+        "type": "string"
+      },
+      "OptionValue": {
+        "type": "string"
+      },
+      "OvernightBuyingPower": {
+        "type": "string"
+      },
+      "SecurityOnDeposit": {
+        "type": "string"
+      }
+    }
+  },
+  "BODCurrencyDetail": {
+    "type": "object",
+    "properties": {
+      "AccountMarginRequirement": {
+        "type": "string"
+      },
+      "AccountOpenTradeEquity": {
+        "type": "string"
+      },
+      "AccountSecurities": {
+        "type": "string"
+      },
+      "CashBalance": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "MarginRequirement": {
+        "type": "string"
+      },
+      "OpenTradeEquity": {
+        "type": "string"
+      },
+      "Securities": {
+        "type": "string"
+      }
+    }
+  },
+  "Balance": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AccountType": {
+        "type": "string"
+      },
+      "BalanceDetail": {
+        "$ref": "#/components/schemas/BalanceDetail"
+      },
+      "BuyingPower": {
+        "type": "string"
+      },
+      "CashBalance": {
+        "type": "string"
+      },
+      "Commission": {
+        "type": "string"
+      },
+      "CurrencyDetails": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/CurrencyDetail"
+        }
+      },
+      "Equity": {
+        "type": "string"
+      },
+      "MarketValue": {
+        "type": "string"
+      },
+      "TodaysProfitLoss": {
+        "type": "string"
+      },
+      "UnclearedDeposit": {
+        "type": "string"
+      }
+    }
+  },
+  "BalanceDetail": {
+    "type": "object",
+    "properties": {
+      "CostOfPositions": {
+        "type": "string"
+      },
+      "DayTradeExcess": {
+        "type": "string"
+      },
+      "DayTradeMargin": {
+        "type": "string"
+      },
+      "DayTradeOpenOrderMargin": {
+        "type": "string"
+      },
+      "DayTrades": {
+        "type": "string"
+      },
+      "InitialMargin": {
+        "type": "string"
+      },
+      "MaintenanceMargin": {
+        "type": "string"
+      },
+      "MaintenanceRate": {
+        "type": "string"
+      },
+      "MarginRequirement": {
+        "type": "string"
+      },
+      "OpenOrderMargin": {
+        "type": "string"
+      },
+      "OptionBuyingPower": {
+        "type": "string"
+      },
+      "OptionsMarketValue": {
+        "type": "string"
+      },
+      "OvernightBuyingPower": {
+        "type": "string"
+      },
+      "RealizedProfitLoss": {
+        "type": "string"
+      },
+      "RequiredMargin": {
+        "type": "string"
+      },
+      "SecurityOnDeposit": {
+        "type": "string"
+      },
+      "TodayRealTimeTradeEquity": {
+        "type": "string"
+      },
+      "TradeEquity": {
+        "type": "string"
+      },
+      "UnrealizedProfitLoss": {
+        "type": "string"
+      },
+      "UnsettledFunds": {
+        "type": "string"
+      }
+    }
+  },
+  "Balances": {
+    "type": "object",
+    "properties": {
+      "Balances": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Balance"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/BalanceError"
+        }
+      }
+    }
+  },
+  "BalancesBOD": {
+    "type": "object",
+    "properties": {
+      "BODBalances": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/BODBalance"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/BalanceError"
+        }
+      }
+    }
+  },
+  "Bar": {
+    "type": "object",
+    "properties": {
+      "Close": {
+        "type": "string"
+      },
+      "DownTicks": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "DownVolume": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "Epoch": {
+        "type": "integer",
+        "format": "int64"
+      },
+      "High": {
+        "type": "string"
+      },
+      "IsEndOfHistory": {
+        "type": "boolean"
+      },
+      "IsRealtime": {
+        "type": "boolean"
+      },
+      "Low": {
+        "type": "string"
+      },
+      "Open": {
+        "type": "string"
+      },
+      "OpenInterest": {
+        "type": "string"
+      },
+      "TimeStamp": {
+        "$ref": "#/components/schemas/TimeStamp"
+      },
+      "TotalTicks": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "TotalVolume": {
+        "type": "string"
+      },
+      "UnchangedTicks": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "UnchangedVolume": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "UpTicks": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "UpVolume": {
+        "type": "integer",
+        "format": "uint64"
+      },
+      "BarStatus": {
+        "type": "string"
+      }
+    }
+  },
+  "Bars": {
+    "type": "object",
+    "properties": {
+      "Bars": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Bar"
+        }
+      }
+    }
+  },
+  "CallPut": {
+    "type": "string"
+  },
+  "CurrencyDetail": {
+    "type": "object",
+    "properties": {
+      "AccountConversionRate": {
+        "type": "string"
+      },
+      "AccountMarginRequirement": {
+        "type": "string"
+      },
+      "CashBalance": {
+        "type": "string"
+      },
+      "Commission": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "InitialMargin": {
+        "type": "string"
+      },
+      "MaintenanceMargin": {
+        "type": "string"
+      },
+      "RealizedProfitLoss": {
+        "type": "string"
+      },
+      "UnrealizedProfitLoss": {
+        "type": "string"
+      }
+    }
+  },
+  "TimeStamp": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "TimeUtc": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "Expiration": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "ExpirationResponse": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "ExpirationDate": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "Duration": {
+    "type": "string"
+  },
+  "ErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "GroupOrderRequest": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRequest"
+        }
+      },
+      "Type": {
+        "type": "string"
+      }
+    },
+    "required": [
+      "Type",
+      "Orders"
+    ]
+  },
+  "IncrementScheduleRow": {
+    "type": "object",
+    "properties": {
+      "Increment": {
+        "type": "string"
+      },
+      "StartsAt": {
+        "type": "string"
+      }
+    }
+  },
+  "MarketActivationRulesReplace": {
+    "type": "object",
+    "properties": {
+      "ClearAll": {
+        "type": "boolean"
+      },
+      "Rules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/MarketActivationRules"
+        }
+      }
+    }
+  },
+  "MarketActivationRules": {
+    "type": "object",
+    "properties": {
+      "RuleType": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Predicate": {
+        "type": "string"
+      },
+      "TriggerKey": {
+        "type": "string",
+        "enum": [
+          "STT",
+          "STTN",
+          "SBA",
+          "SAB",
+          "DTT",
+          "DTTN",
+          "DBA",
+          "DAB",
+          "TTT",
+          "TTTN",
+          "TBA",
+          "TAB"
+        ]
+      },
+      "Price": {
+        "type": "string"
+      },
+      "LogicOperator": {
+        "type": "string",
+        "enum": [
+          "And",
+          "Or"
+        ]
+      }
+    }
+  },
+  "OrderBase": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AdvancedOptions": {
+        "type": "string"
+      },
+      "ClosedDateTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "CommissionFee": {
+        "type": "string"
+      },
+      "ConditionalOrders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRelationship"
+        }
+      },
+      "ConversionRate": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Duration": {
+        "type": "string"
+      },
+      "FilledPrice": {
+        "type": "string"
+      },
+      "GoodTillDate": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "GroupName": {
+        "type": "string"
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderLeg"
+        }
+      },
+      "MarketActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/MarketActivationRules"
+        }
+      },
+      "TimeActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TimeActivationRules"
+        }
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "OpenedDateTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "OrderID": {
+        "type": "string"
+      },
+      "OrderType": {
+        "$ref": "#/components/schemas/OrderType"
+      },
+      "PriceUsedForBuyingPower": {
+        "type": "string"
+      },
+      "RejectReason": {
+        "type": "string"
+      },
+      "Routing": {
+        "type": "string"
+      },
+      "ShowOnlyQuantity": {
+        "type": "string"
+      },
+      "Spread": {
+        "type": "string"
+      }
+    }
+  },
+  "Order": {
+    "allOf": [
+      {
+        "$ref": "#/components/schemas/OrderBase"
+      },
+      {
+        "type": "object",
+        "properties": {
+          "Status": {
+            "$ref": "#/components/schemas/Status"
+          },
+          "StatusDescription": {
+            "type": "string"
+          },
+          "StopPrice": {
+            "type": "string"
+          },
+          "TrailingStop": {
+            "$ref": "#/components/schemas/TrailingStop"
+          },
+          "UnbundledRouteFee": {
+            "type": "string"
+          }
+        }
+      }
+    ]
+  },
+  "HistoricalOrder": {
+    "allOf": [
+      {
+        "$ref": "#/components/schemas/OrderBase"
+      },
+      {
+        "type": "object",
+        "properties": {
+          "Status": {
+            "$ref": "#/components/schemas/HistoricalStatus"
+          },
+          "StatusDescription": {
+            "type": "string"
+          },
+          "StopPrice": {
+            "type": "string"
+          },
+          "TrailingStop": {
+            "$ref": "#/components/schemas/TrailingStop"
+          },
+          "UnbundledRouteFee": {
+            "type": "string"
+          }
+        }
+      }
+    ]
+  },
+  "OrderConfirmResponse": {
+    "type": "object",
+    "properties": {
+      "AccountCurrency": {
+        "type": "string"
+      },
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AddLiquidity": {
+        "type": "boolean"
+      },
+      "AllOrNone": {
+        "type": "boolean"
+      },
+      "BaseCurrency": {
+        "type": "string"
+      },
+      "BookOnly": {
+        "type": "boolean"
+      },
+      "CounterCurrency": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "DebitCreditEstimatedCost": {
+        "type": "string"
+      },
+      "DiscretionaryPrice": {
+        "type": "string"
+      },
+      "EstimatedCommission": {
+        "type": "string"
+      },
+      "EstimatedCost": {
+        "type": "string"
+      },
+      "EstimatedPrice": {
+        "type": "string"
+      },
+      "InitialMarginDisplay": {
+        "type": "string"
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderConfirmResponseLeg"
+        }
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "NonDisplay": {
+        "type": "boolean"
+      },
+      "OrderAssetCategory": {
+        "type": "string",
+        "enum": [
+          "EQUITY",
+          "STOCKOPTION",
+          "FUTURE",
+          "CRYPTO"
+        ]
+      },
+      "OrderConfirmID": {
+        "type": "string"
+      },
+      "PegValue": {
+        "type": "string"
+      },
+      "ProductCurrency": {
+        "type": "string"
+      },
+      "Route": {
+        "type": "string"
+      },
+      "ShowOnlyQuantity": {
+        "type": "integer",
+        "format": "int64"
+      },
+      "Spread": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "SummaryMessage": {
+        "type": "string"
+      },
+      "TimeInForce": {
+        "type": "object",
+        "properties": {
+          "Duration": {
+            "$ref": "#/components/schemas/Duration"
+          },
+          "Expiration": {
+            "$ref": "#/components/schemas/ExpirationResponse"
+          }
+        }
+      },
+      "TrailingStop": {
+        "$ref": "#/components/schemas/TrailingStop"
+      },
+      "Underlying": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderConfirmResponseLeg": {
+    "type": "object",
+    "properties": {
+      "ExpirationDate": {
+        "$ref": "#/components/schemas/ExpirationDate"
+      },
+      "OptionType": {
+        "$ref": "#/components/schemas/CallPut"
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "StrikePrice": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TradeAction": {
+        "$ref": "#/components/schemas/TradeAction"
+      }
+    }
+  },
+  "OrderConfirmResponses": {
+    "type": "object",
+    "properties": {
+      "Confirmations": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderConfirmResponse"
+        }
+      }
+    }
+  },
+  "OrderLeg": {
+    "type": "object",
+    "properties": {
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "UNKNOWN",
+          "STOCK",
+          "STOCKOPTION",
+          "FUTURE",
+          "FUTUREOPTION",
+          "FOREX",
+          "CURRENCYOPTION",
+          "INDEX",
+          "INDEXOPTION",
+          "CRYPTO"
+        ]
+      },
+      "BuyOrSell": {
+        "type": "string"
+      },
+      "ExecQuantity": {
+        "type": "string"
+      },
+      "ExecutionPrice": {
+        "type": "string"
+      },
+      "ExpirationDate": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "OpenOrClose": {
+        "type": "string"
+      },
+      "OptionType": {
+        "type": "string"
+      },
+      "QuantityOrdered": {
+        "type": "string"
+      },
+      "QuantityRemaining": {
+        "type": "string"
+      },
+      "StrikePrice": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Underlying": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderRelationship": {
+    "type": "object",
+    "properties": {
+      "OrderID": {
+        "type": "string"
+      },
+      "Relationship": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderReplaceRequest": {
+    "type": "object",
+    "properties": {
+      "LimitPrice": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "OrderType": {
+        "type": "string"
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "AdvancedOptions": {
+        "$ref": "#/components/schemas/AdvancedOptionsReplace"
+      }
+    }
+  },
+  "OrderRequest": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AdvancedOptions": {
+        "$ref": "#/components/schemas/AdvancedOptions"
+      },
+      "BuyingPowerWarning": {
+        "type": "string"
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRequestLegs"
+        }
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "OSOs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRequestOSO"
+        }
+      },
+      "OrderConfirmID": {
+        "type": "string",
+        "minLength": 1,
+        "maxLength": 25
+      },
+      "OrderType": {
+        "$ref": "#/components/schemas/OrderType"
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "Route": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TimeInForce": {
+        "$ref": "#/components/schemas/TimeInForceRequest"
+      },
+      "TradeAction": {
+        "$ref": "#/components/schemas/TradeAction"
+      }
+    },
+    "required": [
+      "AccountID",
+      "TimeInForce",
+      "OrderType",
+      "Quantity",
+      "Symbol",
+      "TradeAction"
+    ]
+  },
+  "OrderRequestLegs": {
+    "type": "object",
+    "properties": {
+      "Quantity": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TradeAction": {
+        "$ref": "#/components/schemas/TradeAction"
+      }
+    },
+    "required": [
+      "Symbol",
+      "Quantity",
+      "TradeAction"
+    ]
+  },
+  "OrderRequestOSO": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRequest"
+        }
+      },
+      "Type": {
+        "$ref": "#/components/schemas/AdvancedOrderType"
+      }
+    },
+    "required": [
+      "Type",
+      "Orders"
+    ]
+  },
+  "OrderResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "OrderID": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderResponses": {
+    "type": "object",
+    "properties": {
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderResponse"
+        }
+      },
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderResponse"
+        }
+      }
+    }
+  },
+  "OrderType": {
+    "type": "string",
+    "enum": [
+      "Limit",
+      "StopMarket",
+      "Market",
+      "StopLimit"
+    ]
+  },
+  "Orders": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Order"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderError"
+        }
+      },
+      "NextToken": {
+        "type": "string"
+      }
+    }
+  },
+  "HistoricalOrders": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/HistoricalOrder"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderError"
+        }
+      },
+      "NextToken": {
+        "type": "string"
+      }
+    }
+  },
+  "OrdersById": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Order"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderByIDError"
+        }
+      }
+    }
+  },
+  "HistoricalOrdersById": {
+    "type": "object",
+    "properties": {
+      "Orders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/HistoricalOrder"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderByIDError"
+        }
+      }
+    }
+  },
+  "PositionResponse": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "STOCK",
+          "STOCKOPTION",
+          "FUTURE",
+          "INDEXOPTION"
+        ]
+      },
+      "AveragePrice": {
+        "type": "string"
+      },
+      "Bid": {
+        "type": "string"
+      },
+      "Ask": {
+        "type": "string"
+      },
+      "ConversionRate": {
+        "type": "string"
+      },
+      "DayTradeRequirement": {
+        "type": "string"
+      },
+      "ExpirationDate": {
+        "type": "string"
+      },
+      "InitialRequirement": {
+        "type": "string"
+      },
+      "Last": {
+        "type": "string"
+      },
+      "LongShort": {
+        "$ref": "#/components/schemas/PositionDirection"
+      },
+      "MarkToMarketPrice": {
+        "type": "string"
+      },
+      "MarketValue": {
+        "type": "string"
+      },
+      "PositionID": {
+        "type": "string"
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Timestamp": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "TodaysProfitLoss": {
+        "type": "string"
+      },
+      "TotalCost": {
+        "type": "string"
+      },
+      "UnrealizedProfitLoss": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossPercent": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossQty": {
+        "type": "string"
+      }
+    }
+  },
+  "PositionDirection": {
+    "type": "string",
+    "enum": [
+      "Long",
+      "Short"
+    ]
+  },
+  "Positions": {
+    "type": "object",
+    "properties": {
+      "Positions": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/PositionResponse"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/PositionError"
+        }
+      }
+    }
+  },
+  "PriceFormat": {
+    "type": "object",
+    "properties": {
+      "Format": {
+        "type": "string",
+        "enum": [
+          "Decimal",
+          "Fraction",
+          "SubFraction"
+        ]
+      },
+      "Decimals": {
+        "type": "string"
+      },
+      "Fraction": {
+        "type": "string"
+      },
+      "SubFraction": {
+        "type": "string"
+      },
+      "IncrementStyle": {
+        "type": "string",
+        "enum": [
+          "Simple",
+          "Schedule"
+        ]
+      },
+      "Increment": {
+        "type": "string"
+      },
+      "IncrementSchedule": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/IncrementScheduleRow"
+        }
+      },
+      "PointValue": {
+        "type": "string"
+      }
+    }
+  },
+  "QuantityFormat": {
+    "type": "object",
+    "properties": {
+      "Format": {
+        "type": "string",
+        "enum": [
+          "Decimal"
+        ]
+      },
+      "Decimals": {
+        "type": "string"
+      },
+      "IncrementStyle": {
+        "type": "string"
+      },
+      "Increment": {
+        "type": "string"
+      },
+      "IncrementSchedule": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/IncrementScheduleRow"
+        }
+      },
+      "MinimumTradeQuantity": {
+        "type": "string"
+      },
+      "MaximumTradeQuantity": {
+        "type": "string"
+      }
+    }
+  },
+  "Status": {
+    "type": "string",
+    "enum": [
+      "ACK",
+      "ASS",
+      "BRC",
+      "BRF",
+      "BRO",
+      "CHG",
+      "CND",
+      "COR",
+      "CSN",
+      "DIS",
+      "DOA",
+      "DON",
+      "ECN",
+      "EXE",
+      "FPR",
+      "LAT",
+      "OPN",
+      "OSO",
+      "OTHER",
+      "PLA",
+      "REC",
+      "RJC",
+      "RPD",
+      "RSN",
+      "STP",
+      "STT",
+      "SUS",
+      "UCN",
+      "CAN",
+      "EXP",
+      "OUT",
+      "RJR",
+      "SCN",
+      "TSC",
+      "UCH",
+      "REJ",
+      "FLL",
+      "FLP"
+    ]
+  },
+  "HistoricalStatus": {
+    "type": "string",
+    "enum": [
+      "ACK",
+      "ASS",
+      "BRC",
+      "BRF",
+      "BRO",
+      "CHG",
+      "CND",
+      "COR",
+      "CSN",
+      "DIS",
+      "DOA",
+      "DON",
+      "ECN",
+      "EXE",
+      "FPR",
+      "LAT",
+      "OPN",
+      "OSO",
+      "OTHER",
+      "PLA",
+      "REC",
+      "RJC",
+      "RPD",
+      "RSN",
+      "STP",
+      "STT",
+      "SUS",
+      "UCN",
+      "CAN",
+      "EXP",
+      "OUT",
+      "RJR",
+      "SCN",
+      "TSC",
+      "UCH",
+      "REJ",
+      "FLL",
+      "FLP"
+    ]
+  },
+  "SymbolDetail": {
+    "type": "object",
+    "properties": {
+      "AssetType": {
+        "$ref": "#/components/schemas/AssetType"
+      },
+      "Country": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Description": {
+        "type": "string"
+      },
+      "Exchange": {
+        "type": "string"
+      },
+      "ExpirationDate": {
+        "type": "string"
+      },
+      "FutureType": {
+        "type": "string"
+      },
+      "OptionType": {
+        "$ref": "#/components/schemas/CallPut"
+      },
+      "PriceFormat": {
+        "$ref": "#/components/schemas/PriceFormat"
+      },
+      "QuantityFormat": {
+        "$ref": "#/components/schemas/QuantityFormat"
+      },
+      "Root": {
+        "type": "string"
+      },
+      "StrikePrice": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Underlying": {
+        "type": "string"
+      }
+    }
+  },
+  "SymbolDetailsResponse": {
+    "type": "object",
+    "properties": {
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/SymbolDetailsErrorResponse"
+        }
+      },
+      "Symbols": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/SymbolDetail"
+        }
+      }
+    }
+  },
+  "SymbolNames": {
+    "type": "object",
+    "properties": {
+      "SymbolNames": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      }
+    }
+  },
+  "TimeActivationRulesReplace": {
+    "type": "object",
+    "properties": {
+      "ClearAll": {
+        "type": "boolean"
+      },
+      "Rules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TimeActivationRules"
+        }
+      }
+    }
+  },
+  "TimeActivationRules": {
+    "type": "object",
+    "properties": {
+      "TimeUtc": {
+        "$ref": "#/components/schemas/TimeUtc"
+      }
+    }
+  },
+  "TimeInForceRequest": {
+    "type": "object",
+    "properties": {
+      "Duration": {
+        "$ref": "#/components/schemas/Duration"
+      },
+      "Expiration": {
+        "$ref": "#/components/schemas/Expiration"
+      }
+    },
+    "required": [
+      "Duration"
+    ]
+  },
+  "TradeAction": {
+    "type": "string"
+  },
+  "TrailingStop": {
+    "type": "object",
+    "properties": {
+      "Amount": {
+        "type": "string"
+      },
+      "Percent": {
+        "type": "string"
+      }
+    }
+  },
+  "Wallets": {
+    "type": "object",
+    "properties": {
+      "Wallets": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Wallet"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/WalletError"
+        }
+      }
+    }
+  },
+  "WalletsStream": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "AccountTotals": {
+        "$ref": "#/components/schemas/AccountTotals"
+      },
+      "AveragePrice": {
+        "type": "string"
+      },
+      "Balance": {
+        "type": "string"
+      },
+      "BalanceAccountCurrency": {
+        "type": "string"
+      },
+      "BalanceAvailableForTrading": {
+        "type": "string"
+      },
+      "BalanceAvailableForTradingAccountCurrency": {
+        "type": "string"
+      },
+      "BalanceAvailableForWithdrawal": {
+        "type": "string"
+      },
+      "BalanceAvailableForWithdrawalAccountCurrency": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Interest": {
+        "$ref": "#/components/schemas/Interest"
+      },
+      "InterestRate": {
+        "type": "string"
+      },
+      "Status": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossAccountCurrency": {
+        "type": "string"
+      }
+    }
+  },
+  "Interest": {
+    "type": "object",
+    "properties": {
+      "Accrued": {
+        "type": "string"
+      },
+      "AccruedAccountCurrency": {
+        "type": "string"
+      },
+      "TotalPaid": {
+        "type": "string"
+      },
+      "TotalPaidAccountCurrency": {
+        "type": "string"
+      },
+      "YTDPaid": {
+        "type": "string"
+      },
+      "YTDPaidAccountCurrency": {
+        "type": "string"
+      }
+    }
+  },
+  "AccountTotals": {
+    "type": "object",
+    "properties": {
+      "AccruedInterestAccountCurrency": {
+        "type": "string"
+      },
+      "BalanceAccountCurrency": {
+        "type": "string"
+      },
+      "BalanceAvailableForTradingAccountCurrency": {
+        "type": "string"
+      },
+      "BalanceAvailableForWithdrawalAccountCurrency": {
+        "type": "string"
+      },
+      "TotalPaidInterestAccountCurrency": {
+        "type": "string"
+      },
+      "YTDPaidInterestAccountCurrency": {
+        "type": "string"
+      }
+    }
+  },
+  "Heartbeat": {
+    "type": "object",
+    "properties": {
+      "Heartbeat": {
+        "type": "integer"
+      },
+      "Timestamp": {
+        "type": "string"
+      }
+    }
+  },
+  "BalanceError": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderError": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderByIDError": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "type": "string"
+      },
+      "OrderID": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "PositionError": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "SymbolDetailsErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      }
+    }
+  },
+  "Wallet": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID"
+      },
+      "Balance": {
+        "type": "string"
+      },
+      "BalanceAvailableForTrading": {
+        "type": "string"
+      },
+      "BalanceAvailableForWithdrawal": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Status": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossAccountCurrency": {
+        "type": "string"
+      }
+    }
+  },
+  "WalletError": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "Routes": {
+    "type": "object",
+    "properties": {
+      "Id": {
+        "type": "string"
+      },
+      "Name": {
+        "type": "string"
+      },
+      "AssetTypes": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      }
+    }
+  },
+  "Expiration1": {
+    "type": "object",
+    "properties": {
+      "Date": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "Type": {
+        "type": "string"
+      }
+    }
+  },
+  "Expirations": {
+    "type": "object",
+    "properties": {
+      "Expirations": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Expiration1"
+        }
+      }
+    }
+  },
+  "RiskRewardAnalysisInput": {
+    "type": "object",
+    "properties": {
+      "SpreadPrice": {
+        "type": "number",
+        "format": "double"
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/RiskRewardAnalysisInputLeg"
+        }
+      }
+    },
+    "additionalProperties": false
+  },
+  "RiskRewardAnalysisInputLeg": {
+    "type": "object",
+    "properties": {
+      "Symbol": {
+        "type": "string"
+      },
+      "Quantity": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "TradeAction": {
+        "type": "string",
+        "enum": [
+          "BUY",
+          "SELL"
+        ]
+      }
+    },
+    "required": [
+      "Symbol",
+      "Quantity",
+      "TradeAction"
+    ],
+    "additionalProperties": false
+  },
+  "RiskRewardAnalysisResult": {
+    "type": "object",
+    "properties": {
+      "MaxGainIsInfinite": {
+        "type": "boolean"
+      },
+      "AdjustedMaxGain": {
+        "type": "string"
+      },
+      "MaxLossIsInfinite": {
+        "type": "boolean"
+      },
+      "AdjustedMaxLoss": {
+        "type": "string"
+      },
+      "BreakevenPoints": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      }
+    }
+  },
+  "Spread": {
+    "type": "object",
+    "properties": {
+      "Delta": {
+        "type": "string"
+      },
+      "Theta": {
+        "type": "string"
+      },
+      "Gamma": {
+        "type": "string"
+      },
+      "Rho": {
+        "type": "string"
+      },
+      "Vega": {
+        "type": "string"
+      },
+      "ImpliedVolatility": {
+        "type": "string"
+      },
+      "IntrinsicValue": {
+        "type": "string"
+      },
+      "ExtrinsicValue": {
+        "type": "string"
+      },
+      "TheoreticalValue": {
+        "type": "string"
+      },
+      "ProbabilityITM": {
+        "type": "string"
+      },
+      "ProbabilityOTM": {
+        "type": "string"
+      },
+      "ProbabilityBE": {
+        "type": "string"
+      },
+      "ProbabilityITM_IV": {
+        "type": "string"
+      },
+      "ProbabilityOTM_IV": {
+        "type": "string"
+      },
+      "ProbabilityBE_IV": {
+        "type": "string"
+      },
+      "TheoreticalValue_IV": {
+        "type": "string"
+      },
+      "DailyOpenInterest": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Ask": {
+        "type": "string"
+      },
+      "Bid": {
+        "type": "string"
+      },
+      "Mid": {
+        "type": "string"
+      },
+      "AskSize": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "BidSize": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Close": {
+        "type": "string"
+      },
+      "High": {
+        "type": "string"
+      },
+      "Last": {
+        "type": "string"
+      },
+      "Low": {
+        "type": "string"
+      },
+      "NetChange": {
+        "type": "string"
+      },
+      "NetChangePct": {
+        "type": "string"
+      },
+      "Open": {
+        "type": "string"
+      },
+      "PreviousClose": {
+        "type": "string"
+      },
+      "Volume": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Side": {
+        "type": "string"
+      },
+      "Strikes": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/SpreadLeg"
+        }
+      }
+    }
+  },
+  "SpreadLeg": {
+    "type": "object",
+    "properties": {
+      "Symbol": {
+        "type": "string"
+      },
+      "Ratio": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "StrikePrice": {
+        "type": "string"
+      },
+      "Expiration": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "OptionType": {
+        "type": "string"
+      },
+      "AssetType": {
+        "type": "string"
+      }
+    }
+  },
+  "SpreadType": {
+    "type": "object",
+    "properties": {
+      "Name": {
+        "type": "string"
+      },
+      "StrikeInterval": {
+        "type": "boolean"
+      },
+      "ExpirationInterval": {
+        "type": "boolean"
+      }
+    }
+  },
+  "SpreadTypes": {
+    "type": "object",
+    "properties": {
+      "SpreadTypes": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/SpreadType"
+        }
+      }
+    }
+  },
+  "Strikes": {
+    "type": "object",
+    "properties": {
+      "SpreadType": {
+        "type": "string"
+      },
+      "Strikes": {
+        "type": "array",
+        "items": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        }
+      }
+    }
+  },
+  "Quote": {
+    "type": "object",
+    "properties": {
+      "Ask": {
+        "type": "string"
+      },
+      "AskSize": {
+        "type": "string"
+      },
+      "Bid": {
+        "type": "string"
+      },
+      "BidSize": {
+        "type": "string"
+      },
+      "Close": {
+        "type": "string"
+      },
+      "DailyOpenInterest": {
+        "type": "string"
+      },
+      "High": {
+        "type": "string"
+      },
+      "Low": {
+        "type": "string"
+      },
+      "High52Week": {
+        "type": "string"
+      },
+      "High52WeekTimestamp": {
+        "type": "string"
+      },
+      "Last": {
+        "type": "string"
+      },
+      "MinPrice": {
+        "type": "string"
+      },
+      "MaxPrice": {
+        "type": "string"
+      },
+      "FirstNoticeDate": {
+        "type": "string"
+      },
+      "LastTradingDate": {
+        "type": "string"
+      },
+      "Low52Week": {
+        "type": "string"
+      },
+      "Low52WeekTimestamp": {
+        "type": "string"
+      },
+      "MarketFlags": {
+        "$ref": "#/components/schemas/MarketFlags"
+      },
+      "NetChange": {
+        "type": "string"
+      },
+      "NetChangePct": {
+        "type": "string"
+      },
+      "Open": {
+        "type": "string"
+      },
+      "PreviousClose": {
+        "type": "string"
+      },
+      "PreviousVolume": {
+        "type": "string"
+      },
+      "Restrictions": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TickSizeTier": {
+        "type": "string"
+      },
+      "TradeTime": {
+        "type": "string"
+      },
+      "Volume": {
+        "type": "string"
+      },
+      "LastSize": {
+        "type": "string"
+      },
+      "LastVenue": {
+        "type": "string"
+      },
+      "VWAP": {
+        "type": "string"
+      }
+    }
+  },
+  "QuoteSnapshot": {
+    "type": "object",
+    "properties": {
+      "Quotes": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/Quote"
+        }
+      },
+      "Errors": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/QuoteError"
+        }
+      }
+    }
+  },
+  "QuoteStream": {
+    "type": "object",
+    "properties": {
+      "Ask": {
+        "type": "string"
+      },
+      "AskSize": {
+        "type": "string"
+      },
+      "Bid": {
+        "type": "string"
+      },
+      "BidSize": {
+        "type": "string"
+      },
+      "Close": {
+        "type": "string"
+      },
+      "DailyOpenInterest": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      },
+      "High": {
+        "type": "string"
+      },
+      "Low": {
+        "type": "string"
+      },
+      "High52Week": {
+        "type": "string"
+      },
+      "High52WeekTimestamp": {
+        "type": "string"
+      },
+      "Last": {
+        "type": "string"
+      },
+      "MinPrice": {
+        "type": "string"
+      },
+      "MaxPrice": {
+        "type": "string"
+      },
+      "FirstNoticeDate": {
+        "type": "string"
+      },
+      "LastTradingDate": {
+        "type": "string"
+      },
+      "Low52Week": {
+        "type": "string"
+      },
+      "Low52WeekTimestamp": {
+        "type": "string"
+      },
+      "MarketFlags": {
+        "$ref": "#/components/schemas/MarketFlags"
+      },
+      "NetChange": {
+        "type": "string"
+      },
+      "NetChangePct": {
+        "type": "string"
+      },
+      "Open": {
+        "type": "string"
+      },
+      "PreviousClose": {
+        "type": "string"
+      },
+      "PreviousVolume": {
+        "type": "string"
+      },
+      "Restrictions": {
+        "type": "array",
+        "items": {
+          "type": "string"
+        }
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "TickSizeTier": {
+        "type": "string"
+      },
+      "TradeTime": {
+        "type": "string"
+      },
+      "Volume": {
+        "type": "string"
+      },
+      "LastSize": {
+        "type": "string"
+      },
+      "LastVenue": {
+        "type": "string"
+      },
+      "VWAP": {
+        "type": "string"
+      }
+    }
+  },
+  "QuoteError": {
+    "type": "object",
+    "properties": {
+      "Symbol": {
+        "type": "string"
+      },
+      "Error": {
+        "type": "string"
+      }
+    }
+  },
+  "Heartbeat1": {
+    "type": "object",
+    "properties": {
+      "Heartbeat": {
+        "type": "integer"
+      },
+      "Timestamp": {
+        "type": "string"
+      }
+    }
+  },
+  "MarketFlags": {
+    "type": "object",
+    "properties": {
+      "IsBats": {
+        "type": "boolean"
+      },
+      "IsDelayed": {
+        "type": "boolean"
+      },
+      "IsHalted": {
+        "type": "boolean"
+      },
+      "IsHardToBorrow": {
+        "type": "boolean"
+      }
+    }
+  },
+  "BidQuote": {
+    "type": "object",
+    "properties": {
+      "TimeStamp": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "Side": {
+        "type": "string"
+      },
+      "Price": {
+        "type": "string"
+      },
+      "Size": {
+        "type": "string"
+      },
+      "OrderCount": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Name": {
+        "type": "string"
+      }
+    }
+  },
+  "AskQuote": {
+    "type": "object",
+    "properties": {
+      "TimeStamp": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "Side": {
+        "type": "string"
+      },
+      "Price": {
+        "type": "string"
+      },
+      "Size": {
+        "type": "string"
+      },
+      "OrderCount": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "Name": {
+        "type": "string"
+      }
+    }
+  },
+  "AggregatedBid": {
+    "type": "object",
+    "properties": {
+      "EarliestTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "LatestTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "Side": {
+        "type": "string"
+      },
+      "Price": {
+        "type": "string"
+      },
+      "TotalSize": {
+        "type": "string"
+      },
+      "BiggestSize": {
+        "type": "string"
+      },
+      "SmallestSize": {
+        "type": "string"
+      },
+      "NumParticipants": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "TotalOrderCount": {
+        "type": "integer",
+        "format": "int32"
+      }
+    }
+  },
+  "AggregatedAsk": {
+    "type": "object",
+    "properties": {
+      "EarliestTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "LatestTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "Side": {
+        "type": "string"
+      },
+      "Price": {
+        "type": "string"
+      },
+      "TotalSize": {
+        "type": "string"
+      },
+      "BiggestSize": {
+        "type": "string"
+      },
+      "SmallestSize": {
+        "type": "string"
+      },
+      "NumParticipants": {
+        "type": "integer",
+        "format": "int32"
+      },
+      "TotalOrderCount": {
+        "type": "integer",
+        "format": "int32"
+      }
+    }
+  },
+  "MarketDepthQuote": {
+    "type": "object",
+    "properties": {
+      "Bids": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/BidQuote"
+        }
+      },
+      "Asks": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/AskQuote"
+        }
+      }
+    }
+  },
+  "MarketDepthAggregate": {
+    "type": "object",
+    "properties": {
+      "Bids": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/AggregatedBid"
+        }
+      },
+      "Asks": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/AggregatedAsk"
+        }
+      }
+    }
+  },
+  "Heartbeat2": {
+    "type": "object",
+    "properties": {
+      "Heartbeat": {
+        "type": "integer"
+      },
+      "Timestamp": {
+        "type": "string"
+      }
+    }
+  },
+  "AccountID1": {
+    "type": "string"
+  },
+  "ErrorResponse1": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamOrderErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "AccountID": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamOrderByOrderIdErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "AccountID": {
+        "type": "string"
+      },
+      "OrderID": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamPositionsErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "AccountID": {
+        "type": "string"
+      }
+    }
+  },
+  "MarketActivationRules1": {
+    "type": "object",
+    "properties": {
+      "RuleType": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Predicate": {
+        "type": "string"
+      },
+      "TriggerKey": {
+        "type": "string",
+        "enum": [
+          "STT",
+          "STTN",
+          "SBA",
+          "SAB",
+          "DTT",
+          "DTTN",
+          "DBA",
+          "DAB",
+          "TTT",
+          "TTTN",
+          "TBA",
+          "TAB"
+        ]
+      },
+      "Price": {
+        "type": "string"
+      },
+      "LogicOperator": {
+        "type": "string",
+        "enum": [
+          "And",
+          "Or"
+        ]
+      }
+    }
+  },
+  "Order1": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID1"
+      },
+      "AdvancedOptions": {
+        "type": "string"
+      },
+      "ClosedDateTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "CommissionFee": {
+        "type": "string"
+      },
+      "ConditionalOrders": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderRelationship1"
+        }
+      },
+      "ConversionRate": {
+        "type": "string"
+      },
+      "Currency": {
+        "type": "string"
+      },
+      "Duration": {
+        "type": "string"
+      },
+      "FilledPrice": {
+        "type": "string"
+      },
+      "GoodTillDate": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "GroupName": {
+        "type": "string"
+      },
+      "Legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OrderLeg1"
+        }
+      },
+      "MarketActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/MarketActivationRules1"
+        }
+      },
+      "TimeActivationRules": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TimeActivationRules1"
+        }
+      },
+      "LimitPrice": {
+        "type": "string"
+      },
+      "OpenedDateTime": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "OrderID": {
+        "type": "string"
+      },
+      "OrderType": {
+        "$ref": "#/components/schemas/OrderType1"
+      },
+      "PriceUsedForBuyingPower": {
+        "type": "string"
+      },
+      "RejectReason": {
+        "type": "string"
+      },
+      "Routing": {
+        "type": "string"
+      },
+      "ShowOnlyQuantity": {
+        "type": "string"
+      },
+      "Spread": {
+        "type": "string"
+      },
+      "Status": {
+        "$ref": "#/components/schemas/Status1"
+      },
+      "StatusDescription": {
+        "type": "string"
+      },
+      "StopPrice": {
+        "type": "string"
+      },
+      "TrailingStop": {
+        "$ref": "#/components/schemas/TrailingStop1"
+      },
+      "UnbundledRouteFee": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderLeg1": {
+    "type": "object",
+    "properties": {
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "UNKNOWN",
+          "STOCK",
+          "STOCKOPTION",
+          "FUTURE",
+          "FUTUREOPTION",
+          "FOREX",
+          "CURRENCYOPTION",
+          "INDEX",
+          "INDEXOPTION",
+          "CRYPTO"
+        ]
+      },
+      "BuyOrSell": {
+        "type": "string"
+      },
+      "ExecQuantity": {
+        "type": "string"
+      },
+      "ExecutionPrice": {
+        "type": "string"
+      },
+      "ExpirationDate": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "OpenOrClose": {
+        "type": "string"
+      },
+      "OptionType": {
+        "type": "string"
+      },
+      "QuantityOrdered": {
+        "type": "string"
+      },
+      "QuantityRemaining": {
+        "type": "string"
+      },
+      "StrikePrice": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Underlying": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderRelationship1": {
+    "type": "object",
+    "properties": {
+      "OrderID": {
+        "type": "string"
+      },
+      "Relationship": {
+        "type": "string"
+      }
+    }
+  },
+  "OrderType1": {
+    "type": "string",
+    "enum": [
+      "Limit",
+      "StopMarket",
+      "Market",
+      "StopLimit"
+    ]
+  },
+  "Status1": {
+    "type": "string",
+    "enum": [
+      "ACK",
+      "BRO",
+      "CAN",
+      "EXP",
+      "FLL",
+      "FLP",
+      "FPR",
+      "LAT",
+      "OPN",
+      "OUT",
+      "REJ",
+      "UCH",
+      "UCN",
+      "TSC",
+      "RJC",
+      "DON",
+      "RSN",
+      "CND",
+      "OSO",
+      "SUS"
+    ]
+  },
+  "TimeActivationRules1": {
+    "type": "object",
+    "properties": {
+      "TimeUtc": {
+        "$ref": "#/components/schemas/TimeUtc1"
+      }
+    }
+  },
+  "TimeUtc1": {
+    "type": "string",
+    "format": "date-time"
+  },
+  "TrailingStop1": {
+    "type": "object",
+    "properties": {
+      "Amount": {
+        "type": "string"
+      },
+      "Percent": {
+        "type": "string"
+      }
+    }
+  },
+  "Heartbeat3": {
+    "type": "object",
+    "properties": {
+      "Heartbeat": {
+        "type": "integer"
+      },
+      "Timestamp": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamStatus": {
+    "type": "object",
+    "properties": {
+      "StreamStatus": {
+        "type": "string"
+      }
+    }
+  },
+  "PositionDirection1": {
+    "type": "string",
+    "enum": [
+      "Long",
+      "Short"
+    ]
+  },
+  "Position": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID1"
+      },
+      "AssetType": {
+        "type": "string",
+        "enum": [
+          "STOCK",
+          "STOCKOPTION",
+          "FUTURE",
+          "INDEXOPTION"
+        ]
+      },
+      "AveragePrice": {
+        "type": "string"
+      },
+      "Bid": {
+        "type": "string"
+      },
+      "Ask": {
+        "type": "string"
+      },
+      "ConversionRate": {
+        "type": "string"
+      },
+      "Deleted": {
+        "type": "boolean"
+      },
+      "DayTradeRequirement": {
+        "type": "string"
+      },
+      "ExpirationDate": {
+        "type": "string"
+      },
+      "InitialRequirement": {
+        "type": "string"
+      },
+      "Last": {
+        "type": "string"
+      },
+      "LongShort": {
+        "$ref": "#/components/schemas/PositionDirection1"
+      },
+      "MarkToMarketPrice": {
+        "type": "string"
+      },
+      "MarketValue": {
+        "type": "string"
+      },
+      "PositionID": {
+        "type": "string"
+      },
+      "Quantity": {
+        "type": "string"
+      },
+      "Symbol": {
+        "type": "string"
+      },
+      "Timestamp": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "TodaysProfitLoss": {
+        "type": "string"
+      },
+      "TotalCost": {
+        "type": "string"
+      },
+      "UnrealizedProfitLoss": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossPercent": {
+        "type": "string"
+      },
+      "UnrealizedProfitLossQty": {
+        "type": "string"
+      }
+    }
+  },
+  "StreamBalancesErrorResponse": {
+    "type": "object",
+    "properties": {
+      "Error": {
+        "type": "string"
+      },
+      "Message": {
+        "type": "string"
+      },
+      "AccountID": {
+        "type": "string"
+      }
+    }
+  },
+  "Balance1": {
+    "type": "object",
+    "properties": {
+      "AccountID": {
+        "$ref": "#/components/schemas/AccountID1"
+      },
+      "AccountType": {
+        "type": "string",
+        "enum": [
+          "CASH",
+          "MARGIN",
+          "FUTURES",
+          "CRYPTO",
+          "DVP"
+        ]
+      },
+      "BalanceDetail": {
+        "$ref": "#/components/schemas/BalanceDetail1"
+      },
+      "BuyingPower": {
+        "type": "string"
+      },
+      "CashBalance": {
+        "type": "string"
+      },
+      "Commission": {
+        "type": "string"
+      },
+      "CurrencyDetails": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/CurrencyDetail"
+        }
+      },
+      "Equity": {
+        "type": "string"
+      },
+      "MarketValue": {
+        "type": "string"
+      },
+      "TodaysProfitLoss": {
+        "type": "string"
+      },
+      "UnclearedDeposit": {
+        "type": "string"
+      }
+    }
+  },
+  "BalanceDetail1": {
+    "type": "object",
+    "properties": {
+      "CostOfPositions": {
+        "type": "string"
+      },
+      "DayTradeExcess": {
+        "type": "string"
+      },
+      "DayTradeMargin": {
+        "type": "string"
+      },
+      "DayTradeOpenOrderMargin": {
+        "type": "string"
+      },
+      "DayTrades": {
+        "type": "string"
+      },
+      "InitialMargin": {
+        "type": "string"
+      },
+      "MaintenanceMargin": {
+        "type": "strings"
+      },
+      "MaintenanceRate": {
+        "type": "string"
+      },
+      "MarginRequirement": {
+        "type": "string"
+      },
+      "OpenOrderMargin": {
+        "type": "string"
+      },
+      "OptionBuyingPower": {
+        "type": "string"
+      },
+      "OptionsMarketValue": {
+        "type": "string"
+      },
+      "OvernightBuyingPower": {
+        "type": "string"
+      },
+      "RealizedProfitLoss": {
+        "type": "string"
+      },
+      "RequiredMargin": {
+        "type": "string"
+      },
+      "SecurityOnDeposit": {
+        "type": "string"
+      },
+      "TodayRealTimeTradeEquity": {
+        "type": "string"
+      },
+      "TradeEquity": {
+        "type": "string"
+      },
+      "UnrealizedProfitLoss": {
+        "type": "string"
+      },
+      "UnsettledFunds": {
+        "type": "string"
+      }
+    }
+  }
+};
+
+/**
+ * Operations with their request body and success response schemas.
+ * @type {Array<{method: string, path: string, operationId: string, stream: boolean, request: Object|null, response: Object|null}>}
+ */
+export const operations = [
+  {
+    "method": "get",
+    "path": "/v2/data/symbols/suggest/{text}",
+    "operationId": "suggestsymbols",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/SymbolSuggestDefinition"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v2/data/symbols/search/{criteria}",
+    "operationId": "searchSymbols",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/SymbolSearchDefinition"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v2/stream/tickbars/{symbol}/{interval}/{barsBack}",
+    "operationId": "streamTickBars",
+    "stream": true,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/TickbarDefinition"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts",
+    "operationId": "GetAccounts",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Accounts"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/balances",
+    "operationId": "GetBalances",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Balances"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/bodbalances",
+    "operationId": "GetBalancesBOD",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/BalancesBOD"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/historicalorders",
+    "operationId": "GetHistoricalOrders",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/HistoricalOrders"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/historicalorders/{orderIds}",
+    "operationId": "GetHistoricalOrdersByOrderID",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/HistoricalOrdersById"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/orders",
+    "operationId": "GetOrders",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Orders"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/orders/{orderIds}",
+    "operationId": "GetOrdersByOrderID",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/OrdersById"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{accounts}/positions",
+    "operationId": "GetPositions",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Positions"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/accounts/{account}/wallets",
+    "operationId": "GetWallets",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Wallets"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/stream/accounts/{account}/wallets",
+    "operationId": "StreamWallets",
+    "stream": true,
+    "request": null,
+    "response": {
+      "oneOf": [
+        {
+          "$ref": "#/components/schemas/WalletsStream"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat"
+        },
+        {
+          "$ref": "#/components/schemas/StreamErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "post",
+    "path": "/v3/orderexecution/orderconfirm",
+    "operationId": "ConfirmOrder",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/OrderRequest"
+    },
+    "response": {
+      "$ref": "#/components/schemas/OrderConfirmResponses"
+    }
+  },
+  {
+    "method": "post",
+    "path": "/v3/orderexecution/ordergroupconfirm",
+    "operationId": "ConfirmGroupOrder",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/GroupOrderRequest"
+    },
+    "response": {
+      "$ref": "#/components/schemas/OrderConfirmResponses"
+    }
+  },
+  {
+    "method": "post",
+    "path": "/v3/orderexecution/ordergroups",
+    "operationId": "PlaceGroupOrder",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/GroupOrderRequest"
+    },
+    "response": {
+      "$ref": "#/components/schemas/OrderResponses"
+    }
+  },
+  {
+    "method": "post",
+    "path": "/v3/orderexecution/orders",
+    "operationId": "PlaceOrder",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/OrderRequest"
+    },
+    "response": {
+      "$ref": "#/components/schemas/OrderResponses"
+    }
+  },
+  {
+    "method": "put",
+    "path": "/v3/orderexecution/orders/{orderID}",
+    "operationId": "ReplaceOrder",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/OrderReplaceRequest"
+    },
+    "response": {
+      "$ref": "#/components/schemas/OrderResponse"
+    }
+  },
+  {
+    "method": "delete",
+    "path": "/v3/orderexecution/orders/{orderID}",
+    "operationId": "CancelOrder",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/OrderResponse"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/barcharts/{symbol}",
+    "operationId": "GetBars",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Bars"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/barcharts/{symbol}",
+    "operationId": "StreamBars",
+    "stream": true,
+    "request": null,
+    "response": {
+      "oneOf": [
+        {
+          "$ref": "#/components/schemas/Bar"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat"
+        },
+        {
+          "$ref": "#/components/schemas/StreamErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/symbollists/cryptopairs/symbolnames",
+    "operationId": "GetCryptoSymbolNames",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/SymbolNames"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/symbols/{symbols}",
+    "operationId": "GetSymbolDetails",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/SymbolDetailsResponse"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/orderexecution/activationtriggers",
+    "operationId": "GetActivationTriggers",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/ActivationTriggers"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/orderexecution/routes",
+    "operationId": "Routes",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Routes"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/options/expirations/{underlying}",
+    "operationId": "GetOptionExpirations",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Expirations"
+    }
+  },
+  {
+    "method": "post",
+    "path": "/v3/marketdata/options/riskreward",
+    "operationId": "GetOptionRiskReward",
+    "stream": false,
+    "request": {
+      "$ref": "#/components/schemas/RiskRewardAnalysisInput"
+    },
+    "response": {
+      "$ref": "#/components/schemas/RiskRewardAnalysisResult"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/options/spreadtypes",
+    "operationId": "GetOptionSpreadTypes",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/SpreadTypes"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/options/strikes/{underlying}",
+    "operationId": "GetOptionStrikes",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Strikes"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/options/chains/{underlying}",
+    "operationId": "GetOptionChain",
+    "stream": true,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Spread"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/options/quotes",
+    "operationId": "GetOptionQuotes",
+    "stream": true,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/Spread"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/quotes/{symbols}",
+    "operationId": "GetQuoteSnapshots",
+    "stream": false,
+    "request": null,
+    "response": {
+      "$ref": "#/components/schemas/QuoteSnapshot"
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/quotes/{symbols}",
+    "operationId": "GetQuoteChangeStream",
+    "stream": true,
+    "request": null,
+    "response": {
+      "anyOf": [
+        {
+          "$ref": "#/components/schemas/QuoteStream"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat1"
+        },
+        {
+          "$ref": "#/components/schemas/StreamErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/marketdepth/quotes/{symbol}",
+    "operationId": "StreamMarketDepthQuotes",
+    "stream": true,
+    "request": null,
+    "response": {
+      "oneOf": [
+        {
+          "$ref": "#/components/schemas/MarketDepthQuote"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat2"
+        },
+        {
+          "$ref": "#/components/schemas/StreamErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/marketdata/stream/marketdepth/aggregates/{symbol}",
+    "operationId": "StreamMarketDepthAggregates",
+    "stream": true,
+    "request": null,
+    "response": {
+      "oneOf": [
+        {
+          "$ref": "#/components/schemas/MarketDepthAggregate"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat2"
+        },
+        {
+          "$ref": "#/components/schemas/StreamErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/stream/accounts/{accountIds}/orders",
+    "operationId": "StreamOrders",
+    "stream": true,
+    "request": null,
+    "response": {
+      "anyOf": [
+        {
+          "$ref": "#/components/schemas/Order1"
+        },
+        {
+          "$ref": "#/components/schemas/StreamStatus"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat3"
+        },
+        {
+          "$ref": "#/components/schemas/StreamOrderErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/stream/accounts/{accountIds}/orders/{ordersIds}",
+    "operationId": "StreamOrdersByOrderId",
+    "stream": true,
+    "request": null,
+    "response": {
+      "anyOf": [
+        {
+          "$ref": "#/components/schemas/Order1"
+        },
+        {
+          "$ref": "#/components/schemas/StreamStatus"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat3"
+        },
+        {
+          "$ref": "#/components/schemas/StreamOrderByOrderIdErrorResponse"
+        }
+      ]
+    }
+  },
+  {
+    "method": "get",
+    "path": "/v3/brokerage/stream/accounts/{accountIds}/positions",
+    "operationId": "StreamPositions",
+    "stream": true,
+    "request": null,
+    "response": {
+      "anyOf": [
+        {
+          "$ref": "#/components/schemas/Position"
+        },
+        {
+          "$ref": "#/components/schemas/StreamStatus"
+        },
+        {
+          "$ref": "#/components/schemas/Heartbeat3"
+        },
+        {
+          "$ref": "#/components/schemas/StreamPositionsErrorResponse"
+        }
+      ]
+    }
+  }
+];
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview
+ * Generates the `fixtures/openapi/*.json` files served by the MockServer from the examples in
+ * the bundled `openapi.json`.
+ *
+ * @description
+ * Each operation gets `<operationId>.json`: the example response body for REST operations, and an
+ * array of messages for streams (data examples first, then `EndSnapshot` for brokerage streams,
+ * then a heartbeat). Operations without examples are skipped; add recorded responses for them to
+ * `fixtures/recorded/`, which take precedence. Run it whenever `openapi.json` changes:
+ *
+ *     node scripts/generateFixtures.mjs
+ */
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readSpec } from './generateSchemas.mjs';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Example names that describe control messages rather than data.
+ * @type {RegExp}
+ */
+const CONTROL_EXAMPLE = /^(Heartbeat|Error|ErrorResponse|StreamStatus)$/;
+
+/**
+ * @param {Object} media - An OpenAPI media type object.
+ * @returns {Array<[string, *]>} - The named examples of the media type.
+ */
+function examplesOf(media) {
+  if (media.example !== undefined) {
+    return [['example', media.example]];
+  }
+  return Object.entries(media.examples || {}).map(([name, example]) => [name, example.value]);
+}
+
+/**
+ * @param {Object} operation - An OpenAPI operation.
+ * @param {string} path - The path template of the operation.
+ * @returns {*} - The fixture, or undefined when the spec has no example.
+ */
+function fixtureFor(operation, path) {
+  const success = operation.responses && operation.responses['200'];
+  const [mediaType, media] = success && success.content ? Object.entries(success.content)[0] : [];
+  const examples = media ? examplesOf(media) : [];
+  if (!examples.length) {
+    return undefined;
+  }
+  if (!mediaType.includes('streams')) {
+    return examples[0][1];
+  }
+
+  const data = examples
+    .filter(([name]) => !CONTROL_EXAMPLE.test(name))
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]));
+  const heartbeat = examples.find(([name]) => name === 'Heartbeat');
+  const messages = [...data];
+  if (path.startsWith('/v3/brokerage/stream/')) {
+    messages.push({ StreamStatus: 'EndSnapshot' });
+  }
+  messages.push(heartbeat ? heartbeat[1] : { Heartbeat: 1, Timestamp: '2021-01-01T00:00:00Z' });
+  return messages;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const spec = readSpec();
+  const directory = join(root, 'fixtures', 'openapi');
+  mkdirSync(directory, { recursive: true });
+
+  Object.entries(spec.paths).forEach(([path, methods]) => Object.values(methods).forEach(operation => {
+    const fixture = fixtureFor(operation, path);
+    if (fixture === undefined) {
+      console.log(`No example for ${operation.operationId}`);
+      return;
+    }
+    writeFileSync(join(directory, `${operation.operationId}.json`), `${JSON.stringify(fixture, null, 2)}\n`);
+  }));
+  console.log(`Wrote ${directory}`);
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview
+ * Generates `schemas.jsx` from the bundled `openapi.json`.
+ *
+ * @description
+ * Keeps the validation keywords of every component schema, drops descriptions and examples, and
+ * records the request body and success response schema of every operation so `validation.jsx`
+ * can look them up by method and path. Run it whenever `openapi.json` changes:
+ *
+ *     node scripts/generateSchemas.mjs
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Schema keywords enforced by `validateSchema`.
+ * @type {Array<string>}
+ */
+const KEYWORDS = [
+  '$ref', 'type', 'enum', 'format', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'uniqueItems', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'nullable', 'allOf', 'anyOf', 'oneOf',
+];
+
+/**
+ * Corrects schemas that contradict both the examples in the spec and the live API:
+ * - Timestamps and dates declared as `object` are RFC3339 strings.
+ * - Bar and tick bar `Status` bit fields are sent as one integer.
+ * - Order execution responses declared as arrays are a single object wrapping the array.
+ * @param {Object} spec - The OpenAPI document; patched in place.
+ * @returns {Object} - The spec.
+ */
+export function patchSpec(spec) {
+  (function patchTimestamps(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+    if (schema.type === 'object' && !schema.properties && /RFC3339|\bdate\b/.test(schema.description || '')) {
+      schema.type = 'string';
+      schema.format = 'date-time';
+    }
+    Object.values(schema).forEach(patchTimestamps);
+  }(spec.components.schemas));
+
+  spec.components.schemas.StatusDefinition = {
+    type: 'integer',
+    description: spec.components.schemas.StatusDefinition.description,
+  };
+
+  Object.entries(spec.paths)
+    .filter(([path]) => path.startsWith('/v3/orderexecution/'))
+    .forEach(([, methods]) => Object.values(methods).forEach(operation => {
+      const success = operation.responses && operation.responses['200'];
+      Object.values((success && success.content) || {}).forEach(media => {
+        if (media.schema && media.schema.type === 'array' && media.schema.items && media.schema.items.$ref) {
+          media.schema = media.schema.items;
+        }
+      });
+    }));
+
+  return spec;
+}
+
+/**
+ * Reads and patches the spec, tolerating `//` comment lines left in the bundled file.
+ * @param {string} path - Path of the OpenAPI document.
+ * @returns {Object}
+ */
+export function readSpec(path = join(root, 'openapi.json')) {
+  return patchSpec(JSON.parse(readFileSync(path, 'utf8').replace(/^\s*\/\/.*$/gm, '')));
+}
+
+/**
+ * Copies the validation keywords of a schema, recursively.
+ * @param {Object} schema - An OpenAPI schema object.
+ * @returns {Object}
+ */
+function compact(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  KEYWORDS.filter(keyword => schema[keyword] !== undefined).forEach(keyword => {
+    const value = schema[keyword];
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, compact(property)]));
+    } else if (['allOf', 'anyOf', 'oneOf'].includes(keyword)) {
+      result[keyword] = value.map(compact);
+    } else if (keyword === 'items' || (keyword === 'additionalProperties' && typeof value === 'object')) {
+      result[keyword] = compact(value);
+    } else {
+      result[keyword] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * @param {Object} content - An OpenAPI content map, keyed by media type.
+ * @returns {Object|null} - The compacted schema of the first media type.
+ */
+function contentSchema(content) {
+  const media = content && Object.values(content)[0];
+  return media && media.schema ? compact(media.schema) : null;
+}
+
+/**
+ * Builds the operation table: method, path template, request body and success response schema.
+ * @param {Object} spec - The OpenAPI document.
+ * @returns {Array<Object>}
+ */
+export function collectOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => {
+    const success = operation.responses && (operation.responses['200'] || operation.responses['201']);
+    const mediaType = success && success.content ? Object.keys(success.content)[0] : null;
+
+    return {
+      method,
+      path,
+      operationId: operation.operationId,
+      stream: Boolean(mediaType && mediaType.includes('streams')),
+      request: operation.requestBody ? contentSchema(operation.requestBody.content) : null,
+      response: success ? contentSchema(success.content) : null,
+    };
+  }));
+}
+
+/**
+ * @param {Object} spec - The OpenAPI document.
+ * @returns {string} - The source of `schemas.jsx`.
+ */
+export function renderSchemas(spec) {
+  const schemas = Object.fromEntries(Object.entries(spec.components.schemas).map(([name, schema]) => [name, compact(schema)]));
+
+  return `/**
+ * @fileoverview
+ * Schemas of the TradeStation API, generated from \`openapi.json\` by
+ * \`scripts/generateSchemas.mjs\`. Do not edit by hand.
+ */
+
+/**
+ * Component schemas by name, referenced as \`#/components/schemas/<name>\`.
+ * @type {Object<string, Object>}
+ */
+export const schemas = ${JSON.stringify(schemas, null, 2)};
+
+/**
+ * Operations with their request body and success response schemas.
+ * @type {Array<{method: string, path: string, operationId: string, stream: boolean, request: Object|null, response: Object|null}>}
+ */
+export const operations = ${JSON.stringify(collectOperations(spec), null, 2)};
+`;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(join(root, 'schemas.jsx'), renderSchemas(readSpec()));
+  console.log('Wrote schemas.jsx');
+}
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview
+ * Generates `models.d.ts` from the bundled `openapi.json`.
+ *
+ * @description
+ * Declares a TypeScript type for every component schema, and an `Operations` map with the path,
+ * request body, response and stream message types of every operation. The hand-written
+ * declarations next to each module (`accounts.d.ts`, `orders.d.ts`, ...) refer to these types, so
+ * new endpoints and fields get types by running:
+ *
+ *     node scripts/generateTypes.mjs
+ */
+import { writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readSpec } from './generateSchemas.mjs';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * @param {string} name - A property name.
+ * @returns {string} - The name, quoted when it is not a valid identifier.
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * @param {string} description - A schema description.
+ * @param {string} indent - Indentation of the commented declaration.
+ * @returns {string} - A JSDoc comment with the first paragraph of the description, or nothing.
+ */
+function docComment(description, indent) {
+  const summary = (description || '').split(/\n\s*\n/)[0].replace(/\*\//g, '*\\/').trim();
+  if (!summary) {
+    return '';
+  }
+  return `${indent}/**\n${summary.split('\n').map(line => `${indent} * ${line.trim()}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Converts a schema into a TypeScript type expression.
+ * @param {Object} schema - An OpenAPI schema object.
+ * @param {string} [indent=''] - Indentation of the enclosing declaration.
+ * @returns {string}
+ */
+function typeFor(schema, indent = '') {
+  if (!schema) {
+    return 'unknown';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(part => typeFor(part, indent)).join(' & ');
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf || schema.oneOf).map(part => typeFor(part, indent)).join(' | ');
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array': {
+      const item = typeFor(schema.items, indent);
+      return /^\w+$/.test(item) ? `${item}[]` : `Array<${item}>`;
+    }
+    case 'object':
+    case undefined:
+      return schema.properties || schema.additionalProperties ? objectType(schema, indent) : 'Record<string, unknown>';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * @param {Object} schema - An object schema.
+ * @param {string} indent - Indentation of the enclosing declaration.
+ * @returns {string} - An object type literal.
+ */
+function objectType(schema, indent) {
+  const inner = `${indent}  `;
+  const required = schema.required || [];
+  const members = Object.entries(schema.properties || {}).map(([name, property]) => (
+    `${docComment(property.description, inner)}${inner}${propertyName(name)}${required.includes(name) ? '' : '?'}: ${typeFor(property, inner)};`
+  ));
+  if (typeof schema.additionalProperties === 'object') {
+    members.push(`${inner}[key: string]: ${typeFor(schema.additionalProperties, inner)};`);
+  }
+  return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * @param {string} name - The schema name.
+ * @param {Object} schema - The schema.
+ * @returns {string} - An interface, or a type alias for non-object schemas.
+ */
+function declaration(name, schema) {
+  const type = typeFor(schema);
+  const doc = docComment(schema.description, '');
+  return type.startsWith('{')
+    ? `${doc}export interface ${name} ${type}\n`
+    : `${doc}export type ${name} = ${type};\n`;
+}
+
+/**
+ * @param {Object} content - An OpenAPI content map, keyed by media type.
+ * @returns {Object|null} - The schema of the first media type.
+ */
+function contentSchema(content) {
+  const media = content && Object.values(content)[0];
+  return media && media.schema ? media.schema : null;
+}
+
+/**
+ * @param {Object} spec - The OpenAPI document.
+ * @returns {string} - The `Operations` interface.
+ */
+function operationsInterface(spec) {
+  const entries = Object.entries(spec.paths).flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => {
+    const success = operation.responses && (operation.responses['200'] || operation.responses['201']);
+    const response = success ? contentSchema(success.content) : null;
+    const mediaType = success && success.content ? Object.keys(success.content)[0] : '';
+    const members = [
+      `    method: ${JSON.stringify(method.toUpperCase())};`,
+      `    path: ${JSON.stringify(path)};`,
+      `    request: ${operation.requestBody ? typeFor(contentSchema(operation.requestBody.content), '    ') : 'never'};`,
+      `    response: ${typeFor(response, '    ')};`,
+    ];
+    if (mediaType.includes('streams')) {
+      const alternatives = response && (response.anyOf || response.oneOf);
+      members.push(`    message: ${typeFor(alternatives ? alternatives[0] : response, '    ')};`);
+    }
+
+    return `${docComment(operation.summary, '  ')}  ${operation.operationId}: {\n${members.join('\n')}\n  };`;
+  }));
+
+  return `/**
+ * Every operation by \`operationId\`. \`message\` is the data message type of streams.
+ */
+export interface Operations {
+${entries.join('\n')}
+}
+`;
+}
+
+/**
+ * @param {Object} spec - The OpenAPI document.
+ * @returns {string} - The source of `models.d.ts`.
+ */
+export function renderTypes(spec) {
+  const declarations = Object.entries(spec.components.schemas).map(([name, schema]) => declaration(name, schema));
+
+  return `/**
+ * @fileoverview
+ * Types of the TradeStation API, generated from \`openapi.json\` by \`scripts/generateTypes.mjs\`.
+ * Do not edit by hand.
+ */
+
+${declarations.join('\n')}
+${operationsInterface(spec)}`;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(join(root, 'models.d.ts'), renderTypes(readSpec()));
+  console.log('Wrote models.d.ts');
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview
+ * Type declarations for `stream.jsx`.
+ */
+import { EventEmitter } from 'events';
+import type { AxiosResponse } from 'axios';
+import type { StreamErrorResponse, StreamStatus } from './models';
+
+export declare class StreamParser {
+  constructor(options?: { onError?: (error: SyntaxError) => void });
+  push(chunk: Uint8Array | string): Array<Record<string, unknown>>;
+}
+
+export declare const MessageKind: {
+  readonly DATA: 'data';
+  readonly HEARTBEAT: 'heartbeat';
+  readonly STATUS: 'status';
+  readonly ERROR: 'error';
+};
+
+export type MessageKind = typeof MessageKind[keyof typeof MessageKind];
+
+export declare function classifyMessage(message: Record<string, unknown>): MessageKind;
+
+/**
+ * Typed event emitted besides `data` for each data message.
+ */
+export type StreamType = 'data' | 'quote' | 'bar' | 'order' | 'position' | 'wallet' | 'depth' | 'spread';
+
+export interface TradeStationStreamOptions {
+  type?: StreamType;
+  reconnect?: boolean;
+  heartbeatTimeout?: number;
+  reconnectDelay?: number;
+  maxReconnectDelay?: number;
+  maxReconnectAttempts?: number;
+  /** Called with each data message; a message it throws for is emitted as `error` instead. */
+  validate?: (message: unknown) => void;
+}
+
+export interface HeartbeatMessage {
+  Heartbeat: number;
+  Timestamp?: string;
+}
+
+export interface ReconnectingEvent {
+  attempt: number;
+  delay: number;
+  reason: unknown;
+}
+
+/**
+ * A chunked stream of `T` messages that reconnects on drops, stalls and `GoAway`.
+ */
+export declare class TradeStationStream<T = any> extends EventEmitter implements AsyncIterable<T> {
+  constructor(open: (signal: AbortSignal) => Promise<AxiosResponse>, options?: TradeStationStreamOptions);
+  type: StreamType;
+  reconnect: boolean;
+  heartbeatTimeout: number;
+  closed: boolean;
+  connect(): Promise<this>;
+  close(): void;
+
+  on(event: 'data' | Exclude<StreamType, 'data'>, listener: (message: T) => void): this;
+  on(event: 'heartbeat', listener: (message: HeartbeatMessage) => void): this;
+  on(event: 'status', listener: (status: string, message: StreamStatus) => void): this;
+  on(event: 'snapshotComplete', listener: (message: StreamStatus) => void): this;
+  on(event: 'goAway', listener: (message: StreamStatus | StreamErrorResponse) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'reconnecting', listener: (event: ReconnectingEvent) => void): this;
+  on(event: 'connected' | 'end' | 'closed', listener: () => void): this;
+
+  once(event: 'data' | Exclude<StreamType, 'data'>, listener: (message: T) => void): this;
+  once(event: 'heartbeat', listener: (message: HeartbeatMessage) => void): this;
+  once(event: 'status', listener: (status: string, message: StreamStatus) => void): this;
+  once(event: 'snapshotComplete', listener: (message: StreamStatus) => void): this;
+  once(event: 'goAway', listener: (message: StreamStatus | StreamErrorResponse) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+  once(event: 'reconnecting', listener: (event: ReconnectingEvent) => void): this;
+  once(event: 'connected' | 'end' | 'closed', listener: () => void): this;
+
+  [Symbol.asyncIterator](): AsyncIterator<T>;
+}
+
+export declare function openStream<T = any>(
+  open: (signal: AbortSignal) => Promise<AxiosResponse>,
+  options?: TradeStationStreamOptions,
+): Promise<TradeStationStream<T>>;
@@ -0,0 +1,561 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the StreamParser and TradeStationStream classes used
+ * by every `stream*` method of the API classes.
+ *
+ * @description
+ * # Streaming
+ * Streams are sent with the `application/vnd.tradestation.streams.v2+json` media type: a chunked
+ * response carrying one JSON object after another, where an object may be split across chunks.
+ * Besides data, a stream carries `Heartbeat` messages on idle streams, `StreamStatus` messages
+ * (`EndSnapshot` once the initial snapshot is delivered, `GoAway` before the server closes the
+ * stream) and `Error` messages.
+ *
+ * A TradeStationStream parses the chunks and emits:
+ * - `data` and a typed event (`quote`, `bar`, `order`, `position`, `wallet`, `depth`, `spread`) for each data message.
+ * - `heartbeat`, `status`, `snapshotComplete` and `goAway` for control messages.
+ * - `error` with a `StreamError` for `Error` messages, or when the stream cannot be reopened, and
+ *   with the error thrown by the `validate` option for data messages that fail validation. Errors
+ *   are only emitted while an `error` listener is attached, so they never throw.
+ * - `connected` each time the connection is (re)opened, `reconnecting` before a reconnection attempt,
+ *   `end` when the server ends a stream that does not reconnect and `closed` once it is closed.
+ *
+ * # Reconnection
+ * The server sends a heartbeat after 5 seconds on an idle stream. When no data or heartbeat
+ * arrives within `heartbeatTimeout`, the connection drops, or the server sends `GoAway`, the
+ * stream reopens the same request with exponential backoff, which resubscribes with the same
+ * parameters. `close()` aborts the underlying request and stops reconnecting.
+ *
+ * Streams can also be consumed with `for await (const quote of stream)`.
+ *
+ * The response body may be a Node readable stream or a `ReadableStream` from `fetch`, so streams
+ * work the same under Node and in browsers; see `StreamTransport` in `client.jsx`.
+ */
+import { EventEmitter } from 'events';
+import { AuthenticationError, NetworkError, NotFoundError, StreamError, ValidationError } from './errors';
+
+/**
+ * Splits a chunked stream into JSON messages, keeping incomplete objects until the rest arrives.
+ * Text between objects, such as newlines or the `END` marker of v2 streams, is skipped.
+ */
+export class StreamParser {
+  /**
+   * @param {Object} [options] - Parser options.
+   * @param {Function} [options.onError] - Called with the SyntaxError of each complete object that
+   * is not valid JSON; the object is skipped and parsing goes on with the next one.
+   */
+  constructor({ onError = () => {} } = {}) {
+    this.onError = onError;
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+    this.index = 0;
+    this.start = -1;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Adds a chunk and returns the messages it completes. Malformed messages are reported to
+   * `onError` without dropping the others.
+   * @param {string|Uint8Array} chunk - The received chunk.
+   * @returns {Array<Object>} - The parsed messages, in order.
+   */
+  push(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true });
+    const messages = [];
+    let consumed = 0;
+
+    for (; this.index < this.buffer.length; this.index += 1) {
+      const char = this.buffer[this.index];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+      } else if (char === '{') {
+        if (this.depth === 0) {
+          this.start = this.index;
+        }
+        this.depth += 1;
+      } else if (this.depth === 0) {
+        consumed = this.index + 1;
+      } else if (char === '"') {
+        this.inString = true;
+      } else if (char === '}') {
+        this.depth -= 1;
+        if (this.depth === 0) {
+          consumed = this.index + 1;
+          try {
+            messages.push(JSON.parse(this.buffer.slice(this.start, consumed)));
+          } catch (error) {
+            this.onError(error);
+          }
+        }
+      }
+    }
+
+    this.buffer = this.buffer.slice(consumed);
+    this.index -= consumed;
+    this.start -= consumed;
+
+    return messages;
+  }
+}
+
+/**
+ * Kinds of stream messages.
+ * @enum {string}
+ */
+export const MessageKind = {
+  DATA: 'data',
+  HEARTBEAT: 'heartbeat',
+  STATUS: 'status',
+  ERROR: 'error',
+};
+
+/**
+ * Tells control messages apart from data.
+ * @param {Object} message - A parsed stream message.
+ * @returns {string} - One of `MessageKind`.
+ */
+export function classifyMessage(message) {
+  if ('Heartbeat' in message) {
+    return MessageKind.HEARTBEAT;
+  }
+  if ('StreamStatus' in message) {
+    return MessageKind.STATUS;
+  }
+  // Quotes carry a per-symbol `Error` field alongside their data; only bare errors are stream errors.
+  if ('Error' in message && Object.keys(message).every(key => ['Error', 'Message', 'Symbol', 'AccountID', 'Currency'].includes(key))) {
+    return MessageKind.ERROR;
+  }
+  return MessageKind.DATA;
+}
+
+/**
+ * Releases a response body that is no longer read.
+ * @param {Stream|ReadableStream} source - A Node readable stream or a `ReadableStream`.
+ * @param {ReadableStreamDefaultReader} [reader] - The reader of a `ReadableStream` being read.
+ */
+function release(source, reader) {
+  if (typeof source.destroy === 'function') {
+    source.destroy();
+  } else if (reader) {
+    reader.cancel().catch(() => {});
+  } else if (typeof source.cancel === 'function') {
+    source.cancel().catch(() => {});
+  }
+}
+
+export class TradeStationStream extends EventEmitter {
+  /**
+   * @param {Function} open - Called with an AbortSignal; opens the HTTP stream and returns a promise of the axios response.
+   * @param {Object} [options] - Stream options.
+   * @param {string} [options.type='data'] - Event emitted for each data message besides `data`, e.g. `quote`.
+   * @param {boolean} [options.reconnect=true] - Whether to reopen the stream when it drops, stalls or receives `GoAway`.
+   * @param {number} [options.heartbeatTimeout=30000] - Milliseconds without data or heartbeat before the stream is considered stalled; 0 disables the watchdog.
+   * @param {number} [options.reconnectDelay=1000] - Backoff delay of the first reconnection attempt in milliseconds.
+   * @param {number} [options.maxReconnectDelay=30000] - Upper bound of the backoff delay in milliseconds.
+   * @param {number} [options.maxReconnectAttempts=Infinity] - Consecutive failed attempts before giving up.
+   * @param {Function} [options.validate] - Called with each data message; a message it throws for is emitted as `error` instead.
+   */
+  constructor(open, {
+    type = 'data',
+    reconnect = true,
+    heartbeatTimeout = 30000,
+    reconnectDelay = 1000,
+    maxReconnectDelay = 30000,
+    maxReconnectAttempts = Infinity,
+    validate,
+  } = {}) {
+    super();
+    this.open = open;
+    this.type = type;
+    this.reconnect = reconnect;
+    this.heartbeatTimeout = heartbeatTimeout;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.validate = validate;
+    this.parser = this.createParser();
+    this.source = null;
+    this.reader = null;
+    this.controller = null;
+    this.watchdog = null;
+    this.reconnectTimer = null;
+    this.attempt = 0;
+    this.closed = false;
+  }
+
+  /**
+   * @returns {StreamParser} - A parser for a new connection, emitting its malformed messages as errors.
+   */
+  createParser() {
+    return new StreamParser({
+      onError: error => this.emitError(new StreamError(`Malformed stream message: ${error.message}`, { cause: error })),
+    });
+  }
+
+  /**
+   * Opens the stream.
+   * @returns {Promise<TradeStationStream>} - Promise resolving to this stream once the response arrives.
+   */
+  connect() {
+    this.controller = new AbortController();
+
+    return this.open(this.controller.signal)
+      .then(response => {
+        if (this.closed) {
+          release(response.data);
+          return this;
+        }
+
+        this.attach(response.data);
+        this.attempt = 0;
+        this.emit('connected');
+        return this;
+      });
+  }
+
+  /**
+   * Reads chunks from the response body.
+   * @param {Stream|ReadableStream} source - The response body: a Node readable stream, or a `ReadableStream` from `fetch`.
+   */
+  attach(source) {
+    this.source = source;
+    this.reader = null;
+    this.parser = this.createParser();
+    this.resetWatchdog();
+
+    if (typeof source.getReader === 'function') {
+      this.read(source);
+      return;
+    }
+
+    source.on('data', chunk => {
+      if (source !== this.source) {
+        return;
+      }
+      this.resetWatchdog();
+      // A listener throwing would otherwise escape from the socket as an uncaught exception.
+      try {
+        this.handleChunk(chunk);
+      } catch (error) {
+        this.handleDisconnect(error);
+      }
+    });
+    source.on('end', () => {
+      if (source === this.source) {
+        this.handleDisconnect();
+      }
+    });
+    source.on('error', error => {
+      if (source === this.source) {
+        this.handleDisconnect(new NetworkError(error.message, { cause: error }));
+      }
+    });
+  }
+
+  /**
+   * Reads chunks from a `ReadableStream` until it ends, fails or is replaced.
+   * @param {ReadableStream} source - The response body.
+   */
+  read(source) {
+    const reader = source.getReader();
+    this.reader = reader;
+    const next = () => reader.read()
+      .then(({ done, value }) => {
+        if (source !== this.source) {
+          return;
+        }
+        if (done) {
+          this.handleDisconnect();
+          return;
+        }
+        this.resetWatchdog();
+        this.handleChunk(value);
+        if (source === this.source) {
+          next();
+        }
+      }, error => {
+        if (source === this.source) {
+          this.handleDisconnect(new NetworkError(error.message, { cause: error }));
+        }
+      })
+      // A listener throwing would otherwise leave an unhandled rejection and stop reading.
+      .catch(error => {
+        if (source === this.source) {
+          this.handleDisconnect(error);
+        }
+      });
+    // Wait a task, as Node streams do, so callers awaiting `connect()` add listeners before buffered chunks are emitted.
+    setTimeout(next, 0);
+  }
+
+  /**
+   * @param {string|Uint8Array} chunk - The received chunk.
+   */
+  handleChunk(chunk) {
+    const { source } = this;
+    for (const message of this.parser.push(chunk)) {
+      this.handleMessage(message);
+      // Stop once a message such as GoAway replaced or closed the connection.
+      if (source !== this.source) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Emits the events for a single message.
+   * @param {Object} message - A parsed stream message.
+   */
+  handleMessage(message) {
+    switch (classifyMessage(message)) {
+      case MessageKind.HEARTBEAT:
+        this.emit('heartbeat', message);
+        break;
+      case MessageKind.STATUS:
+        this.emit('status', message.StreamStatus, message);
+        if (message.StreamStatus === 'EndSnapshot') {
+          this.emit('snapshotComplete', message);
+        } else if (message.StreamStatus === 'GoAway') {
+          this.handleGoAway(message);
+        }
+        break;
+      case MessageKind.ERROR:
+        if (message.Error === 'GoAway') {
+          this.handleGoAway(message);
+        } else {
+          this.emitError(new StreamError(`${message.Error}: ${message.Message}`, { code: message.Error, response: message }));
+        }
+        break;
+      default:
+        if (this.validate) {
+          try {
+            this.validate(message);
+          } catch (error) {
+            this.emitError(error);
+            break;
+          }
+        }
+        this.emit('data', message);
+        if (this.type !== 'data') {
+          this.emit(this.type, message);
+        }
+    }
+  }
+
+  /**
+   * The server is about to shut down; move to a new connection right away.
+   * @param {Object} message - The GoAway message.
+   */
+  handleGoAway(message) {
+    this.emit('goAway', message);
+    this.handleDisconnect();
+  }
+
+  /**
+   * Emits `error` when there is a listener for it. Most errors surface in timers and promise
+   * callbacks, where an unhandled `error` event would crash the process or be an unhandled rejection.
+   * @param {Error} error - The error.
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Handles a dropped, ended or stalled connection.
+   * @param {Error} [error] - The reason, when the connection failed.
+   */
+  handleDisconnect(error) {
+    if (this.closed) {
+      return;
+    }
+
+    this.detach();
+    if (!this.reconnect) {
+      if (error) {
+        this.emitError(error);
+      }
+      this.emit('end');
+      this.close();
+      return;
+    }
+
+    this.scheduleReconnect(error);
+  }
+
+  /**
+   * Waits with exponential backoff and jitter, then reopens the stream.
+   * @param {Error} [reason] - Why the previous connection ended.
+   */
+  scheduleReconnect(reason) {
+    if (this.attempt >= this.maxReconnectAttempts) {
+      this.emitError(reason || new NetworkError('Stream disconnected'));
+      this.close();
+      return;
+    }
+
+    const delay = Math.random() * Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.attempt);
+    this.attempt += 1;
+    this.emit('reconnecting', { attempt: this.attempt, delay, reason });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect()
+        .catch(error => {
+          if (this.closed) {
+            return;
+          }
+          // Retrying cannot fix a rejected token or invalid parameters.
+          if (error instanceof AuthenticationError || error instanceof ValidationError || error instanceof NotFoundError) {
+            this.emitError(error);
+            this.close();
+            return;
+          }
+          this.scheduleReconnect(error);
+        });
+    }, delay);
+  }
+
+  /**
+   * Restarts the stall timer after any chunk, including heartbeats.
+   */
+  resetWatchdog() {
+    clearTimeout(this.watchdog);
+    if (this.heartbeatTimeout) {
+      this.watchdog = setTimeout(() => {
+        this.handleDisconnect(new NetworkError(`No data or heartbeat received for ${this.heartbeatTimeout} ms`));
+      }, this.heartbeatTimeout);
+    }
+  }
+
+  /**
+   * Aborts the current request and releases the response body.
+   */
+  detach() {
+    clearTimeout(this.watchdog);
+    this.watchdog = null;
+
+    const { source, reader, controller } = this;
+    this.source = null;
+    this.reader = null;
+    this.controller = null;
+    if (controller) {
+      controller.abort();
+    }
+    if (source) {
+      release(source, reader);
+    }
+  }
+
+  /**
+   * Closes the stream: aborts the underlying request and stops reconnecting.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.detach();
+    this.emit('closed');
+  }
+
+  /**
+   * Iterates over data messages until the stream ends, closes or fails.
+   * Leaving the loop early or failing closes the stream.
+   * @returns {AsyncIterator<Object>}
+   */
+  [Symbol.asyncIterator]() {
+    const buffered = [];
+    const waiting = [];
+    let finished = false;
+    let failure = null;
+
+    const onData = message => {
+      const next = waiting.shift();
+      if (next) {
+        next.resolve({ value: message, done: false });
+      } else {
+        buffered.push(message);
+      }
+    };
+    const cleanup = () => {
+      this.off('data', onData);
+      this.off('end', onEnd);
+      this.off('closed', onEnd);
+      this.off('error', onError);
+    };
+    const onEnd = () => {
+      finished = true;
+      cleanup();
+      waiting.splice(0).forEach(next => next.resolve({ value: undefined, done: true }));
+    };
+    const onError = error => {
+      cleanup();
+      // The iteration ends here, so nothing is left to read the connection or its reconnections.
+      this.close();
+      const next = waiting.shift();
+      if (next) {
+        finished = true;
+        next.reject(error);
+        waiting.splice(0).forEach(other => other.resolve({ value: undefined, done: true }));
+      } else {
+        failure = error;
+      }
+    };
+
+    this.on('data', onData);
+    this.on('end', onEnd);
+    this.on('closed', onEnd);
+    this.on('error', onError);
+
+    return {
+      next: () => {
+        if (buffered.length) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        if (failure) {
+          const error = failure;
+          failure = null;
+          finished = true;
+          return Promise.reject(error);
+        }
+        if (finished) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        cleanup();
+        finished = true;
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+/**
+ * Creates a TradeStationStream and opens it.
+ * @param {Function} open - Called with an AbortSignal; opens the HTTP stream and returns a promise of the axios response.
+ * @param {Object} [options] - See `TradeStationStream`.
+ * @returns {Promise<TradeStationStream>} - Promise resolving to the open stream.
+ */
+export function openStream(open, options) {
+  return new TradeStationStream(open, options).connect();
+}
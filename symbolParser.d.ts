@@ -0,0 +1,56 @@
+/**
+ * @fileoverview
+ * Type declarations for `symbolParser.jsx`.
+ */
+import type { FieldProblem } from './errors';
+
+export type SymbolType = 'option' | 'future' | 'crypto' | 'index' | 'stock';
+
+export interface OptionSymbol {
+  type: 'option';
+  /** In TradeStation form, e.g. `MSFT 240119C400`. */
+  symbol: string;
+  root: string;
+  underlying: string;
+  /** `YYYY-MM-DD`. */
+  expiration: string;
+  right: 'Call' | 'Put';
+  strike: number;
+}
+
+export interface FutureSymbol {
+  type: 'future';
+  symbol: string;
+  root: string;
+  continuous: boolean;
+  month: number | null;
+  year: number | null;
+  monthCode: string | null;
+}
+
+export interface CryptoSymbol {
+  type: 'crypto';
+  symbol: string;
+  base: string;
+  quote: string;
+}
+
+export interface PlainSymbol {
+  type: 'index' | 'stock';
+  symbol: string;
+}
+
+export type ParsedSymbol = OptionSymbol | FutureSymbol | CryptoSymbol | PlainSymbol;
+
+export declare function parseOptionSymbol(symbol: string): OptionSymbol;
+export declare function formatOptionSymbol(
+  option: { root?: string; underlying?: string; expiration: string | Date; right: string; strike: number | string },
+  options?: { occ?: boolean },
+): string;
+export declare function parseFutureSymbol(symbol: string): FutureSymbol;
+export declare function formatFutureSymbol(contract: { root: string; month?: number; year?: number; continuous?: boolean }): string;
+export declare function parseCryptoSymbol(symbol: string): CryptoSymbol;
+export declare function formatCryptoSymbol(pair: { base: string; quote?: string }): string;
+export declare function parseSymbol(symbol: string): ParsedSymbol;
+export declare function validateSymbol(symbol: string, options?: { type?: SymbolType; path?: string }): FieldProblem[];
+export declare function checkSymbols(symbols: string | string[], options?: { type?: SymbolType }): string[];
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview
+ * This file contains parsers and formatters for TradeStation option, futures and crypto symbols.
+ *
+ * @description
+ * # Symbols
+ * - Options: `MSFT 240119C400`, the root, a space, the expiration as `YYMMDD`, `C` or `P`, and
+ *   the strike. OCC symbols (`MSFT  240119C00400000`) are parsed as well.
+ * - Futures: `ESZ24`, the root, the month code and the year; `@ES` is the continuous contract.
+ * - Crypto: `BTCUSD`, the base and the quote currency.
+ * - Anything else is a stock, or an index when it starts with `$`.
+ *
+ * ```js
+ * const { underlying, expiration, right, strike } = parseSymbol('MSFT 240119C400');
+ * const put = formatOptionSymbol({ underlying: 'MSFT', expiration: '2024-01-19', right: 'Put', strike: 380 });
+ * checkSymbols([put, 'ESZ24', 'BTCUSD']);
+ * await marketData.streamOptionQuotes(put);
+ * ```
+ *
+ * `validateSymbol` returns the problems found, like `validateOrder`; `checkSymbols` throws them as
+ * a ValidationError before the symbols are sent. The `checkSymbols` option of the HttpClient runs
+ * it on the symbols of `getSymbolDetails`, `streamOptionQuotes` and order requests:
+ *
+ * ```js
+ * const marketData = new MarketData(token, { checkSymbols: true });
+ * ```
+ */
+import { ValidationError } from './errors';
+
+/**
+ * Futures month codes, by month number.
+ * @type {Array<string>}
+ */
+const MONTH_CODES = ['F', 'G', 'H', 'J', 'K', 'M', 'N', 'Q', 'U', 'V', 'X', 'Z'];
+
+/**
+ * Crypto currencies traded against USD.
+ * @type {Array<string>}
+ */
+const CRYPTO_BASES = ['BTC', 'ETH', 'LTC', 'BCH', 'USDC'];
+
+/**
+ * Underlying indexes of index option roots that differ from the index symbol.
+ * @type {Object<string, string>}
+ */
+const INDEX_OPTION_ROOTS = {
+  SPX: '$SPX.X',
+  SPXW: '$SPX.X',
+  NDX: '$NDX.X',
+  NDXP: '$NDX.X',
+  RUT: '$RUT.X',
+  RUTW: '$RUT.X',
+  VIX: '$VIX.X',
+  VIXW: '$VIX.X',
+  XSP: '$XSP.X',
+};
+
+/**
+ * @type {RegExp}
+ */
+const OPTION_PATTERN = /^([A-Z0-9.$]+) (\d{6})([CP])(\d+(?:\.\d+)?)$/;
+
+/**
+ * OCC symbols: the root padded to 6 characters, and the strike in thousandths padded to 8 digits.
+ * @type {RegExp}
+ */
+const OCC_PATTERN = /^([A-Z0-9.]{1,6}) *(\d{6})([CP])(\d{8})$/;
+
+/**
+ * @type {RegExp}
+ */
+const FUTURE_PATTERN = /^([A-Z0-9]{1,4}?)([FGHJKMNQUVXZ])(\d{2})$/;
+
+/**
+ * @type {RegExp}
+ */
+const CONTINUOUS_FUTURE_PATTERN = /^@([A-Z0-9]{1,4})$/;
+
+/**
+ * @type {RegExp}
+ */
+const STOCK_PATTERN = /^\$?[A-Z][A-Z0-9./-]*$/;
+
+/**
+ * @param {string} yymmdd - A date as `YYMMDD`.
+ * @returns {string|null} - The date as `YYYY-MM-DD`, or null when it is not a calendar date.
+ */
+function expirationOf(yymmdd) {
+  const date = `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+/**
+ * @param {Date} date - A date.
+ * @returns {string} - Its local calendar date as `YYYY-MM-DD`, the day it was created for.
+ */
+function localDateOf(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {string} message - The problem.
+ * @param {string} [field='Symbol'] - The offending field.
+ * @throws {ValidationError}
+ */
+function reject(message, field = 'Symbol') {
+  throw new ValidationError(message, { fields: [{ field, message }] });
+}
+
+/**
+ * Parses an option symbol, in TradeStation or OCC form.
+ * @param {string} symbol - The option symbol, e.g. `MSFT 240119C400`.
+ * @returns {{type: string, symbol: string, root: string, underlying: string, expiration: string, right: string, strike: number}} - The option; `symbol` is in TradeStation form.
+ * @throws {ValidationError} - When the symbol is not an option symbol.
+ */
+export function parseOptionSymbol(symbol) {
+  const text = String(symbol).trim().toUpperCase();
+  const occ = OCC_PATTERN.exec(text);
+  const tradeStation = occ ? null : OPTION_PATTERN.exec(text);
+  if (!tradeStation && !occ) {
+    reject(`'${symbol}' is not an option symbol like 'MSFT 240119C400'`);
+  }
+
+  const [, root, yymmdd, right, strikeText] = occ || tradeStation;
+  const expiration = expirationOf(yymmdd);
+  if (!expiration) {
+    reject(`'${symbol}' has an invalid expiration date '${yymmdd}'`);
+  }
+  const strike = occ ? Number(strikeText) / 1000 : Number(strikeText);
+  const option = {
+    type: 'option',
+    root,
+    underlying: INDEX_OPTION_ROOTS[root] || root,
+    expiration,
+    right: right === 'C' ? 'Call' : 'Put',
+    strike,
+  };
+  return { ...option, symbol: formatOptionSymbol(option) };
+}
+
+/**
+ * Formats an option symbol.
+ * @param {Object} option - The option.
+ * @param {string} [option.root] - The option root, e.g. `SPXW`; defaults to the underlying.
+ * @param {string} [option.underlying] - The underlying symbol.
+ * @param {string|Date} option.expiration - The expiration date; the local date of a Date.
+ * @param {string} option.right - `Call` or `Put` (or `C` or `P`).
+ * @param {number|string} option.strike - The strike price.
+ * @param {Object} [options] - Format options.
+ * @param {boolean} [options.occ=false] - Whether to format an OCC symbol instead.
+ * @returns {string} - The symbol, e.g. `MSFT 240119C400`.
+ * @throws {ValidationError} - When a part is missing or invalid.
+ */
+export function formatOptionSymbol({ root, underlying, expiration, right, strike }, { occ = false } = {}) {
+  const name = String(root || underlying || '').toUpperCase();
+  const date = expiration instanceof Date ? localDateOf(expiration) : String(expiration || '');
+  const code = String(right || '').charAt(0).toUpperCase();
+  const price = Number(strike);
+  if (!name) {
+    reject('An option symbol needs a root or an underlying', 'root');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(date) || !expirationOf(date.slice(2, 10).replace(/-/g, ''))) {
+    reject(`Invalid option expiration '${expiration}'`, 'expiration');
+  }
+  if (!['C', 'P'].includes(code)) {
+    reject(`Invalid option right '${right}'; use Call or Put`, 'right');
+  }
+  if (!(price > 0)) {
+    reject(`Invalid option strike '${strike}'`, 'strike');
+  }
+
+  const yymmdd = date.slice(2, 10).replace(/-/g, '');
+  if (occ) {
+    return `${name.padEnd(6)}${yymmdd}${code}${String(Math.round(price * 1000)).padStart(8, '0')}`;
+  }
+  return `${name} ${yymmdd}${code}${Number(price.toFixed(4))}`;
+}
+
+/**
+ * Parses a futures symbol.
+ * @param {string} symbol - The futures symbol, e.g. `ESZ24`, or `@ES` for the continuous contract.
+ * @returns {{type: string, symbol: string, root: string, continuous: boolean, month: number|null, year: number|null, monthCode: string|null}} - The contract.
+ * @throws {ValidationError} - When the symbol is not a futures symbol.
+ */
+export function parseFutureSymbol(symbol) {
+  const text = String(symbol).trim().toUpperCase();
+  const continuous = CONTINUOUS_FUTURE_PATTERN.exec(text);
+  if (continuous) {
+    return { type: 'future', symbol: text, root: continuous[1], continuous: true, month: null, year: null, monthCode: null };
+  }
+
+  const match = FUTURE_PATTERN.exec(text);
+  if (!match) {
+    reject(`'${symbol}' is not a futures symbol like 'ESZ24' or '@ES'`);
+  }
+  const [, root, monthCode, year] = match;
+  return {
+    type: 'future',
+    symbol: text,
+    root,
+    continuous: false,
+    month: MONTH_CODES.indexOf(monthCode) + 1,
+    year: 2000 + Number(year),
+    monthCode,
+  };
+}
+
+/**
+ * Formats a futures symbol.
+ * @param {Object} contract - The contract.
+ * @param {string} contract.root - The root, e.g. `ES`.
+ * @param {number} [contract.month] - The contract month, 1 to 12.
+ * @param {number} [contract.year] - The contract year, e.g. 2024.
+ * @param {boolean} [contract.continuous=false] - Whether to format the continuous contract.
+ * @returns {string} - The symbol, e.g. `ESZ24` or `@ES`.
+ * @throws {ValidationError} - When a part is missing or invalid.
+ */
+export function formatFutureSymbol({ root, month, year, continuous = false }) {
+  const name = String(root || '').toUpperCase();
+  if (!/^[A-Z0-9]{1,4}$/.test(name)) {
+    reject(`Invalid futures root '${root}'`, 'root');
+  }
+  if (continuous) {
+    return `@${name}`;
+  }
+  if (!MONTH_CODES[month - 1]) {
+    reject(`Invalid futures month '${month}'; use 1 to 12`, 'month');
+  }
+  if (!Number.isInteger(year) || year < 2000 || year > 2099) {
+    reject(`Invalid futures year '${year}'`, 'year');
+  }
+  return `${name}${MONTH_CODES[month - 1]}${String(year % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a crypto pair symbol.
+ * @param {string} symbol - The pair, e.g. `BTCUSD`.
+ * @returns {{type: string, symbol: string, base: string, quote: string}} - The pair.
+ * @throws {ValidationError} - When the symbol is not a crypto pair.
+ */
+export function parseCryptoSymbol(symbol) {
+  const text = String(symbol).trim().toUpperCase();
+  const base = CRYPTO_BASES.find(currency => text === `${currency}USD`);
+  if (!base) {
+    reject(`'${symbol}' is not a crypto pair; use one of ${CRYPTO_BASES.map(currency => `${currency}USD`).join(', ')}`);
+  }
+  return { type: 'crypto', symbol: text, base, quote: 'USD' };
+}
+
+/**
+ * Formats a crypto pair symbol.
+ * @param {Object} pair - The pair.
+ * @param {string} pair.base - The currency traded, e.g. `BTC`.
+ * @param {string} [pair.quote='USD'] - The currency it is priced in.
+ * @returns {string} - The symbol, e.g. `BTCUSD`.
+ * @throws {ValidationError} - When the pair is not traded.
+ */
+export function formatCryptoSymbol({ base, quote = 'USD' }) {
+  return parseCryptoSymbol(`${String(base || '').toUpperCase()}${String(quote).toUpperCase()}`).symbol;
+}
+
+/**
+ * Parses any symbol: an option, a futures contract, a crypto pair, an index (`$` prefix) or a stock.
+ * @param {string} symbol - The symbol.
+ * @returns {Object} - The parts, with `type` one of `option`, `future`, `crypto`, `index` or `stock`.
+ * @throws {ValidationError} - When the symbol is not well formed.
+ */
+export function parseSymbol(symbol) {
+  const text = String(symbol || '').trim().toUpperCase();
+  if (text.includes(' ') || OCC_PATTERN.test(text)) {
+    return parseOptionSymbol(text);
+  }
+  if (text.startsWith('@') || FUTURE_PATTERN.test(text)) {
+    return parseFutureSymbol(text);
+  }
+  if (CRYPTO_BASES.some(currency => text === `${currency}USD`)) {
+    return parseCryptoSymbol(text);
+  }
+  if (!STOCK_PATTERN.test(text)) {
+    reject(`'${symbol}' is not a valid symbol`);
+  }
+  return { type: text.startsWith('$') ? 'index' : 'stock', symbol: text };
+}
+
+/**
+ * Checks that a symbol is well formed. It does not check that the symbol exists, see `getSymbolDetails`.
+ * @param {string} symbol - The symbol.
+ * @param {Object} [options] - Validation options.
+ * @param {string} [options.type] - The expected type: `option`, `future`, `crypto`, `index` or `stock`.
+ * @param {string} [options.path='Symbol'] - The field name reported.
+ * @returns {Array<{field: string, message: string}>} - The problems found; empty when the symbol is valid.
+ */
+export function validateSymbol(symbol, { type, path = 'Symbol' } = {}) {
+  try {
+    const parsed = parseSymbol(symbol);
+    if (type && parsed.type !== type) {
+      return [{ field: path, message: `'${symbol}' is a ${parsed.type} symbol, expected ${type}` }];
+    }
+    return [];
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return error.fields.map(problem => ({ field: path, message: problem.message }));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks symbols before they are sent.
+ * @param {string|Array<string>} symbols - A symbol, comma-separated symbols, or an array of symbols.
+ * @param {Object} [options] - See `validateSymbol`.
+ * @returns {Array<string>} - The symbols, trimmed.
+ * @throws {ValidationError} - When a symbol is not well formed.
+ */
+export function checkSymbols(symbols, { type } = {}) {
+  const list = (Array.isArray(symbols) ? symbols : String(symbols).split(',')).map(symbol => String(symbol).trim());
+  const problems = list.flatMap((symbol, index) => validateSymbol(symbol, { type, path: list.length > 1 ? `Symbols[${index}]` : 'Symbol' }));
+  if (problems.length) {
+    throw new ValidationError(`Invalid symbols: ${problems.map(problem => `${problem.field}: ${problem.message}`).join('; ')}`, { fields: problems });
+  }
+  return list;
+}
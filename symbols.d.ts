@@ -0,0 +1,15 @@
+/**
+ * @fileoverview
+ * Type declarations for `symbols.jsx`.
+ */
+import type { AxiosResponse } from 'axios';
+import type { ClientSource, HttpClient, HttpClientOptions } from './client';
+import type { SymbolSearchDefinition, SymbolSuggestDefinition } from './models';
+
+export declare class Symbols {
+  constructor(token: ClientSource, options?: HttpClientOptions);
+  basePath: string;
+  client: HttpClient;
+  suggestSymbols(text: string, top?: number, filter?: string): Promise<AxiosResponse<SymbolSuggestDefinition>>;
+  searchSymbols(criteria: string): Promise<AxiosResponse<SymbolSearchDefinition>>;
+}
@@ -26,12 +26,16 @@
  * @server
  * - URL: https://api.tradestation.com
  */
-import axios from 'axios';
+import { resolveClient } from './client';
 
 export class Symbols {
-  constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://api.tradestation.com/v2/data/symbols';
+  /**
+   * @param {string|TokenManager|HttpClient} token - An access token, a TokenManager, or an HttpClient shared between the API classes.
+   * @param {Object} [options] - HttpClient options, e.g. `{ baseUrl: Environment.SIM }`.
+   */
+  constructor(token, options) {
+    this.client = resolveClient(token, options);
+    this.basePath = '/v2/data/symbols';
   }
 
   /**
@@ -43,18 +47,13 @@ export class Symbols {
    * @returns {Promise<SymbolSuggestDefinition>} - Promise resolving to the suggested symbols.
    */
   suggestSymbols(text, top, filter) {
-    const url = `${this.baseUrl}/suggest/${text}`;
+    const url = `${this.basePath}/suggest/${text}`;
     const params = {
       $top: top,
       $filter: filter,
     };
 
-    return axios.get(url, {
-      params,
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+    return this.client.get(url, { params });
   }
 
   /**
@@ -63,12 +62,8 @@ export class Symbols {
    * @returns {Promise<SymbolSearchDefinition>} - Promise resolving to the symbol search response.
    */
   searchSymbols(criteria) {
-    const url = `${this.baseUrl}/search/${criteria}`;
+    const url = `${this.basePath}/search/${criteria}`;
 
-    return axios.get(url, {
-      headers: {
-        Authorization: `Bearer ${this.token}`,
-      },
-    });
+    return this.client.get(url);
   }
 }
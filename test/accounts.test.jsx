@@ -0,0 +1,165 @@
+import { describe, expect, it } from 'vitest';
+import { Accounts } from '../accounts';
+import { ValidationError } from '../errors';
+import { requestsOf, serveTwoPages, take, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+describe('Accounts', () => {
+  it('getAccounts resolves to the brokerage accounts', async () => {
+    const accounts = await new Accounts(client()).getAccounts();
+
+    expect(accounts).toEqual(server.fixtures.GetAccounts.Accounts);
+    const [request] = requestsOf(server, 'GetAccounts');
+    expect(request.path).toBe('/v3/brokerage/accounts');
+    expect(request.headers.authorization).toBe('Bearer TEST_TOKEN');
+  });
+
+  it('getAccountBalances resolves to the balances of the accounts', async () => {
+    const balances = await new Accounts(client()).getAccountBalances('123456782,123456789');
+
+    expect(balances).toEqual(server.fixtures.GetBalances.Balances);
+    expect(requestsOf(server, 'GetBalances')[0].path).toBe('/v3/brokerage/accounts/123456782,123456789/balances');
+  });
+
+  it('getBalancesBOD resolves to the beginning of day balances', async () => {
+    const balances = await new Accounts(client()).getBalancesBOD('123456782');
+
+    expect(balances).toEqual(server.fixtures.GetBalancesBOD.BODBalances);
+    expect(requestsOf(server, 'GetBalancesBOD')[0].path).toBe('/v3/brokerage/accounts/123456782/bodbalances');
+  });
+
+  it('getHistoricalOrders sends since, pageSize and nextToken and resolves to the page', async () => {
+    const page = await new Accounts(client()).getHistoricalOrders('123456782', '2024-01-01', 100, 'token');
+
+    expect(page).toEqual(server.fixtures.GetHistoricalOrders);
+    expect(requestsOf(server, 'GetHistoricalOrders')[0].query).toEqual({ since: '2024-01-01', pageSize: '100', nextToken: 'token' });
+  });
+
+  it('getHistoricalOrdersByOrderID requests the orders by id', async () => {
+    const result = await new Accounts(client()).getHistoricalOrdersByOrderID('123456782', '286234131,286179864', '2024-01-01');
+
+    expect(result).toEqual(server.fixtures.GetHistoricalOrdersByOrderID);
+    const [request] = requestsOf(server, 'GetHistoricalOrdersByOrderID');
+    expect(request.path).toBe('/v3/brokerage/accounts/123456782/historicalorders/286234131,286179864');
+    expect(request.query).toEqual({ since: '2024-01-01' });
+  });
+
+  it('getOrders resolves to the orders of the first page', async () => {
+    const orders = await new Accounts(client()).getOrders('123456782');
+
+    expect(orders).toEqual(server.fixtures.GetOrders.Orders);
+    expect(requestsOf(server, 'GetOrders')[0].query).toEqual({ pageSize: '600' });
+  });
+
+  it('getOrdersPage resolves to the orders and the next token', async () => {
+    const page = await new Accounts(client()).getOrdersPage('123456782', 50, 'token');
+
+    expect(page.Orders).toEqual(server.fixtures.GetOrders.Orders);
+    expect(page.NextToken).toBe(server.fixtures.GetOrders.NextToken);
+    expect(requestsOf(server, 'GetOrders')[0].query).toEqual({ pageSize: '50', nextToken: 'token' });
+  });
+
+  it('iterateOrders follows NextToken through every page', async () => {
+    serveTwoPages(server, 'GetOrders');
+    const orders = [];
+    for await (const order of new Accounts(client()).iterateOrders('123456782', { pageSize: 2 })) {
+      orders.push(order);
+    }
+
+    expect(orders).toEqual(server.fixtures.GetOrders.Orders);
+    expect(requestsOf(server, 'GetOrders').map(request => request.query.nextToken)).toEqual([undefined, 'page-2']);
+  });
+
+  it('getAllOrders collects every page', async () => {
+    serveTwoPages(server, 'GetOrders');
+
+    expect(await new Accounts(client()).getAllOrders('123456782')).toEqual(server.fixtures.GetOrders.Orders);
+  });
+
+  it('iterateHistoricalOrders follows NextToken through every page', async () => {
+    serveTwoPages(server, 'GetHistoricalOrders');
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const orders = [];
+    for await (const order of new Accounts(client()).iterateHistoricalOrders('123456782', since)) {
+      orders.push(order);
+    }
+
+    expect(orders).toEqual(server.fixtures.GetHistoricalOrders.Orders);
+    expect(requestsOf(server, 'GetHistoricalOrders').map(request => request.query.since)).toEqual([since, since]);
+  });
+
+  it('getAllHistoricalOrders collects every page and reports each account error once', async () => {
+    const error = { AccountID: '123456789', Error: 'Forbidden', Message: 'Request not supported for account type.' };
+    serveTwoPages(server, 'GetHistoricalOrders', [error]);
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const result = await new Accounts(client()).getAllHistoricalOrders('123456782,123456789', since);
+
+    expect(result.Orders).toEqual(server.fixtures.GetHistoricalOrders.Orders);
+    expect(result.Errors).toEqual([error]);
+  });
+
+  it('getAllHistoricalOrders rejects a since older than 90 days without a request', async () => {
+    const since = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const error = await new Accounts(client()).getAllHistoricalOrders('123456782', since).catch(failure => failure);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fields.map(({ field }) => field)).toEqual(['since']);
+    expect(requestsOf(server, 'GetHistoricalOrders')).toHaveLength(0);
+  });
+
+  it('getOrdersByOrderID resolves to the requested orders', async () => {
+    const orders = await new Accounts(client()).getOrdersByOrderID('123456782', '286234131,286179864');
+
+    expect(orders).toEqual(server.fixtures.GetOrdersByOrderID.Orders);
+    expect(requestsOf(server, 'GetOrdersByOrderID')[0].path).toBe('/v3/brokerage/accounts/123456782/orders/286234131,286179864');
+  });
+
+  it('getPositions resolves to the positions, filtered by symbol', async () => {
+    const accounts = new Accounts(client());
+
+    expect(await accounts.getPositions('123456782')).toEqual(server.fixtures.GetPositions.Positions);
+    await accounts.getPositions('123456782', 'MSFT,AAPL');
+    expect(requestsOf(server, 'GetPositions').map(request => request.query)).toEqual([{}, { symbol: 'MSFT,AAPL' }]);
+  });
+
+  it('getWallets resolves to the wallets of a crypto account', async () => {
+    const wallets = await new Accounts(client()).getWallets('123456789C');
+
+    expect(wallets).toEqual(server.fixtures.GetWallets.Wallets);
+    expect(requestsOf(server, 'GetWallets')[0].path).toBe('/v3/brokerage/accounts/123456789C/wallets');
+  });
+
+  it('streamWallets emits wallet events', async () => {
+    const stream = await new Accounts(client()).streamWallets('123456789C');
+    const [wallet] = await take(stream, 'wallet', 1);
+
+    expect(wallet).toEqual(server.fixtures.StreamWallets[0]);
+    expect(requestsOf(server, 'StreamWallets')[0].path).toBe('/v3/brokerage/stream/accounts/123456789C/wallets');
+  });
+
+  it('streamOrders emits order events', async () => {
+    const stream = await new Accounts(client()).streamOrders('123456782');
+    const orders = await take(stream, 'order', 3);
+
+    expect(orders).toEqual(server.fixtures.StreamOrders.slice(0, 3));
+    expect(requestsOf(server, 'StreamOrders')[0].headers.accept).toBe('application/vnd.tradestation.streams.v2+json');
+  });
+
+  it('streamOrdersByOrderId emits order events of the requested orders', async () => {
+    const stream = await new Accounts(client()).streamOrdersByOrderId('123456782', '286234131,286179864');
+    const orders = await take(stream, 'order', 3);
+
+    expect(orders).toEqual(server.fixtures.StreamOrdersByOrderId.slice(0, 3));
+    expect(requestsOf(server, 'StreamOrdersByOrderId')[0].path).toBe('/v3/brokerage/stream/accounts/123456782/orders/286234131,286179864');
+  });
+
+  it('streamPositions emits position events and sends changes', async () => {
+    const stream = await new Accounts(client()).streamPositions('123456782', true);
+    const [position] = await take(stream, 'position', 1);
+
+    expect(position).toEqual(server.fixtures.StreamPositions[0]);
+    expect(requestsOf(server, 'StreamPositions')[0].query).toEqual({ changes: 'true' });
+  });
+});
@@ -0,0 +1,165 @@
+import axios from 'axios';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { TokenManager, resolveTokenProvider } from '../auth';
+
+const NOW = Date.parse('2024-01-02T15:00:00Z');
+
+/**
+ * @param {string} accessToken - The access token issued.
+ * @param {Object} [fields] - Other fields of the token response.
+ * @returns {{data: Object}} - An axios response of the token endpoint, valid for 20 minutes.
+ */
+function tokenResponse(accessToken, fields) {
+  return { data: { access_token: accessToken, expires_in: 1200, token_type: 'Bearer', ...fields } };
+}
+
+/**
+ * @param {Object} [options] - TokenManager options besides the client id.
+ * @returns {TokenManager} - A token manager whose access token expires in 10 minutes.
+ */
+function signedIn(options) {
+  return new TokenManager({
+    clientId: 'CLIENT_ID',
+    accessToken: 'OLD_ACCESS',
+    refreshToken: 'REFRESH',
+    expiresAt: NOW + 10 * 60 * 1000,
+    ...options,
+  });
+}
+
+/**
+ * @param {Object} call - A call of the `axios.post` mock.
+ * @returns {Object<string, string>} - The form fields it posted.
+ */
+function formOf(call) {
+  return Object.fromEntries(new URLSearchParams(call[1]));
+}
+
+describe('TokenManager', () => {
+  let post;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    post = vi.spyOn(axios, 'post');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('builds the authorization URL with the state and PKCE challenge', () => {
+    const url = new URL(new TokenManager({ clientId: 'CLIENT_ID', redirectUri: 'http://localhost:3000/' })
+      .getAuthorizationUrl(['openid', 'MarketData'], 'STATE', 'CHALLENGE'));
+
+    expect(url.origin + url.pathname).toBe('https://signin.tradestation.com/authorize');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: 'CLIENT_ID',
+      audience: 'https://api.tradestation.com',
+      redirect_uri: 'http://localhost:3000/',
+      scope: 'openid MarketData',
+      state: 'STATE',
+      code_challenge: 'CHALLENGE',
+      code_challenge_method: 'S256',
+    });
+  });
+
+  it('exchanges a code with its verifier and stores the tokens', async () => {
+    post.mockResolvedValue(tokenResponse('ACCESS', { refresh_token: 'REFRESH' }));
+    const onTokenRefresh = vi.fn();
+    const tokens = new TokenManager({ clientId: 'CLIENT_ID', clientSecret: 'SECRET', redirectUri: 'http://localhost:3000/', onTokenRefresh });
+
+    await tokens.exchangeCode('CODE', 'VERIFIER');
+
+    expect(post.mock.calls[0][0]).toBe('https://signin.tradestation.com/oauth/token');
+    expect(formOf(post.mock.calls[0])).toEqual({
+      client_id: 'CLIENT_ID',
+      grant_type: 'authorization_code',
+      code: 'CODE',
+      redirect_uri: 'http://localhost:3000/',
+      code_verifier: 'VERIFIER',
+      client_secret: 'SECRET',
+    });
+    expect(onTokenRefresh).toHaveBeenCalledWith({ accessToken: 'ACCESS', refreshToken: 'REFRESH', expiresAt: NOW + 1200 * 1000 });
+    tokens.stop();
+  });
+
+  it('shares one refresh request between concurrent callers', async () => {
+    let respond;
+    post.mockReturnValue(new Promise(resolve => {
+      respond = resolve;
+    }));
+    const tokens = signedIn({ expiresAt: NOW + 30 * 1000 });
+
+    const waiting = Promise.all([tokens.getAccessToken(), tokens.getAccessToken(), tokens.refresh()]);
+    respond(tokenResponse('NEW_ACCESS'));
+
+    const [first, second, response] = await waiting;
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(formOf(post.mock.calls[0])).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'REFRESH' });
+    expect([first, second, response.access_token]).toEqual(['NEW_ACCESS', 'NEW_ACCESS', 'NEW_ACCESS']);
+    expect(tokens.refreshToken).toBe('REFRESH');
+    tokens.stop();
+  });
+
+  it('starts a new refresh once the previous one settled, even after a failure', async () => {
+    post.mockRejectedValueOnce(new Error('Network Error')).mockResolvedValueOnce(tokenResponse('NEW_ACCESS', { refresh_token: 'ROTATED' }));
+    const tokens = signedIn({ autoRefresh: false });
+
+    await expect(tokens.refresh()).rejects.toThrow('Network Error');
+    await tokens.refresh();
+
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(tokens.refreshToken).toBe('ROTATED');
+  });
+
+  it('returns the current access token without refreshing it before the refresh margin', async () => {
+    const tokens = signedIn({ autoRefresh: false });
+
+    expect(await tokens.getAccessToken()).toBe('OLD_ACCESS');
+    expect(post).not.toHaveBeenCalled();
+    await expect(new TokenManager({ clientId: 'CLIENT_ID' }).refresh()).rejects.toThrow('no refresh token available');
+  });
+
+  it('refreshes refreshMargin seconds before the access token expires, then again before the new one expires', async () => {
+    post.mockResolvedValueOnce(tokenResponse('SECOND')).mockResolvedValueOnce(tokenResponse('THIRD'));
+    const tokens = signedIn();
+
+    await vi.advanceTimersByTimeAsync(9 * 60 * 1000 - 1);
+    expect(post).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(tokens.accessToken).toBe('SECOND');
+
+    await vi.advanceTimersByTimeAsync(19 * 60 * 1000);
+    expect(post).toHaveBeenCalledTimes(2);
+    expect(tokens.accessToken).toBe('THIRD');
+    tokens.stop();
+  });
+
+  it('logs the failure of a scheduled refresh, and schedules nothing once stopped or without autoRefresh', async () => {
+    post.mockRejectedValue(new Error('invalid_grant'));
+    const logger = { error: vi.fn() };
+    const tokens = signedIn({ logger });
+
+    await vi.advanceTimersByTimeAsync(9 * 60 * 1000);
+    expect(logger.error).toHaveBeenCalledWith('Error refreshing access token:', expect.objectContaining({ message: 'invalid_grant' }));
+
+    signedIn().stop();
+    signedIn({ autoRefresh: false });
+    await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resolveTokenProvider', () => {
+  it('wraps a static access token and passes token providers through', async () => {
+    const tokens = new TokenManager({ clientId: 'CLIENT_ID' });
+
+    expect(await resolveTokenProvider('ACCESS').getAccessToken()).toBe('ACCESS');
+    expect(resolveTokenProvider(tokens)).toBe(tokens);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, expect, it } from 'vitest';
+import { AggregationType, BarAggregator } from '../barAggregator';
+import { ValidationError } from '../errors';
+
+/**
+ * @param {string} time - The end of the minute, `HH:MM` on 2024-01-02 UTC.
+ * @param {Array<number>} prices - The open, high, low and close.
+ * @param {Object} [fields] - Other fields, e.g. `BarStatus: 'Open'`.
+ * @returns {Object} - A 1-minute bar in the shape of the API bars.
+ */
+function minuteBar(time, [open, high, low, close], fields) {
+  return {
+    TimeStamp: `2024-01-02T${time}:00Z`,
+    Open: String(open),
+    High: String(high),
+    Low: String(low),
+    Close: String(close),
+    TotalVolume: '100',
+    TotalTicks: '4',
+    BarStatus: 'Closed',
+    ...fields,
+  };
+}
+
+/**
+ * @param {BarAggregator} aggregator - An aggregator.
+ * @returns {{updates: Array<Object>, bars: Array<Object>}} - The bars it emits from now on.
+ */
+function recordBars(aggregator) {
+  const emitted = { updates: [], bars: [] };
+  aggregator.on('update', bar => emitted.updates.push(bar));
+  aggregator.on('bar', bar => emitted.bars.push(bar));
+  return emitted;
+}
+
+/**
+ * @param {Object} bar - A bar emitted by an aggregator.
+ * @returns {Array<string>} - Its open, high, low and close.
+ */
+function pricesOf(bar) {
+  return [bar.Open, bar.High, bar.Low, bar.Close];
+}
+
+describe('BarAggregator', () => {
+  it('rejects invalid options', () => {
+    expect(() => new BarAggregator({ type: 'point', size: 0 })).toThrow(ValidationError);
+    expect(() => new BarAggregator({ size: 5, unit: 'week' })).toThrow("unit 'week' is not one of");
+  });
+
+  describe('time bars', () => {
+    it('builds bars stamped with the end of their period from closed 1-minute bars', () => {
+      const aggregator = new BarAggregator({ size: 3 });
+      const { bars } = recordBars(aggregator);
+
+      aggregator.addBar(minuteBar('14:31', [100, 101, 99.5, 100.5]));
+      aggregator.addBar(minuteBar('14:32', [100.5, 102, 100, 101.5]));
+      expect(bars).toEqual([]);
+      aggregator.addBar(minuteBar('14:33', [101.5, 101.5, 98, 99]));
+
+      expect(bars).toEqual([{
+        Open: '100',
+        High: '102',
+        Low: '98',
+        Close: '99',
+        TotalVolume: '300',
+        TotalTicks: 12,
+        TimeStamp: '2024-01-02T14:33:00Z',
+        Epoch: Date.parse('2024-01-02T14:33:00Z'),
+        IsRealtime: false,
+        BarStatus: 'Closed',
+      }]);
+      expect(aggregator.bars).toEqual(bars);
+      expect(aggregator.current).toBeNull();
+    });
+
+    it('replaces the open versions of a source bar instead of adding them up', () => {
+      const aggregator = new BarAggregator({ size: 3 });
+      const { updates, bars } = recordBars(aggregator);
+
+      aggregator.addBar(minuteBar('14:31', [100, 101, 99.5, 100.5]));
+      aggregator.addBar(minuteBar('14:32', [100.5, 100.5, 100.5, 100.5], { BarStatus: 'Open', TotalVolume: '10', TotalTicks: '1' }));
+      aggregator.addBar(minuteBar('14:32', [100.5, 103, 100.5, 102], { BarStatus: 'Open', TotalVolume: '40', TotalTicks: '3' }));
+      aggregator.addBar(minuteBar('14:32', [100.5, 103, 97, 98], { BarStatus: 'Open', TotalVolume: '70', TotalTicks: '5' }));
+
+      expect(updates).toHaveLength(4);
+      expect(aggregator.current).toMatchObject({
+        Open: '100', High: '103', Low: '97', Close: '98', TotalVolume: '170', TotalTicks: 9, BarStatus: 'Open',
+      });
+
+      aggregator.addBar(minuteBar('14:32', [100.5, 103, 97, 99], { TotalVolume: '80', TotalTicks: '6' }));
+      aggregator.addBar(minuteBar('14:33', [99, 99.5, 98.5, 99], { BarStatus: 'Open', TotalVolume: '5', TotalTicks: '1' }));
+      aggregator.addBar(minuteBar('14:33', [99, 99.5, 98.5, 99.25], { TotalVolume: '20', TotalTicks: '2' }));
+
+      expect(bars).toHaveLength(1);
+      expect(bars[0]).toMatchObject({ Open: '100', High: '103', Low: '97', Close: '99.25', TotalVolume: '200', TotalTicks: 12 });
+    });
+
+    it('ignores the source bars a reconnected stream sends again', () => {
+      const aggregator = new BarAggregator({ size: 3 });
+      const { bars } = recordBars(aggregator);
+      aggregator.addBar(minuteBar('14:31', [100, 101, 99.5, 100.5]));
+      aggregator.addBar(minuteBar('14:32', [100.5, 102, 100, 101.5]));
+      aggregator.addBar(minuteBar('14:33', [101.5, 101.5, 98, 99]));
+      aggregator.addBar(minuteBar('14:34', [99, 99.5, 98.5, 99], { BarStatus: 'Open' }));
+
+      // The new stream sends the last closed bar and the open bar again.
+      aggregator.addBar(minuteBar('14:33', [101.5, 101.5, 98, 99]));
+      aggregator.addBar(minuteBar('14:34', [99, 99.5, 98.5, 99], { BarStatus: 'Open' }));
+
+      expect(bars).toHaveLength(1);
+      expect(aggregator.current).toMatchObject({ Open: '99', TotalVolume: '100', TimeStamp: '2024-01-02T14:36:00Z' });
+
+      aggregator.flush();
+      aggregator.addBar(minuteBar('14:34', [99, 99.5, 98.5, 99]));
+      expect(bars).toHaveLength(2);
+      expect(aggregator.current).toBeNull();
+    });
+
+    it('aligns periods to origin and builds time bars from quotes', () => {
+      const aggregator = new BarAggregator({ size: 1, unit: 'hour', origin: '2024-01-02T14:30:00Z' });
+      const { bars } = recordBars(aggregator);
+
+      aggregator.addQuote({ Last: '100', Volume: '1000', TradeTime: '2024-01-02T14:29:00Z' });
+      aggregator.addQuote({ Last: '101', Volume: '1050', TradeTime: '2024-01-02T14:45:00Z' });
+      aggregator.addQuote({ Last: '99', Volume: '1080', TradeTime: '2024-01-02T15:10:00Z' });
+      aggregator.addQuote({ Last: '100', Volume: '1100', TradeTime: '2024-01-02T15:30:00Z' });
+
+      expect(bars).toHaveLength(1);
+      expect(bars[0]).toMatchObject({ Open: '101', Low: '99', Close: '99', TotalVolume: '80', TotalTicks: 2, TimeStamp: '2024-01-02T15:30:00Z' });
+      expect(aggregator.current).toMatchObject({ Open: '100', TotalVolume: '20', TimeStamp: '2024-01-02T16:30:00Z' });
+    });
+
+    it('seeds history without emitting events', () => {
+      const aggregator = new BarAggregator({ size: 2 });
+      const { updates, bars } = recordBars(aggregator);
+
+      aggregator.seed({ Bars: [minuteBar('14:31', [100, 101, 99, 100]), { ...minuteBar('14:32', [100, 102, 100, 101]), BarStatus: undefined }] });
+
+      expect(updates).toEqual([]);
+      expect(bars).toEqual([]);
+      expect(aggregator.bars.map(pricesOf)).toEqual([['100', '102', '99', '101']]);
+    });
+  });
+
+  describe('tick and volume bars', () => {
+    it('replays closed source bars along their price path into tick bars', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.TICK, size: 4 });
+
+      aggregator.addBar(minuteBar('14:31', [100, 102, 99, 101], { TotalTicks: '8' }));
+      aggregator.addBar(minuteBar('14:32', [101, 101.5, 98, 98.5], { TotalTicks: '4' }));
+
+      expect(aggregator.bars.map(pricesOf)).toEqual([
+        ['100', '100', '99', '99'],
+        ['102', '102', '101', '101'],
+        ['101', '101.5', '98', '98.5'],
+      ]);
+      expect(aggregator.bars.map(bar => bar.TimeStamp)).toEqual(['2024-01-02T14:31:00Z', '2024-01-02T14:31:00Z', '2024-01-02T14:32:00Z']);
+    });
+
+    it('takes an open source bar once a newer bar arrives, and ignores bars sent again', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.TICK, size: 4 });
+
+      aggregator.addBar(minuteBar('14:31', [100, 100, 100, 100], { BarStatus: 'Open' }));
+      aggregator.addBar(minuteBar('14:31', [100, 102, 99, 101], { BarStatus: 'Open' }));
+      expect(aggregator.bars).toEqual([]);
+
+      aggregator.addBar(minuteBar('14:32', [101, 101, 101, 101], { BarStatus: 'Open' }));
+      expect(aggregator.bars.map(pricesOf)).toEqual([['100', '102', '99', '101']]);
+
+      aggregator.addBar(minuteBar('14:31', [100, 102, 99, 101]));
+      expect(aggregator.bars).toHaveLength(1);
+    });
+
+    it('splits a trade that overfills a volume bar across bars', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.VOLUME, size: 1000 });
+      const { bars } = recordBars(aggregator);
+
+      aggregator.addTrade(100, 400, '2024-01-02T14:30:00Z');
+      aggregator.addTrade(101, 2100, '2024-01-02T14:30:05Z');
+
+      expect(bars.map(bar => [bar.Open, bar.Close, bar.TotalVolume])).toEqual([['100', '101', '1000'], ['101', '101', '1000']]);
+      expect(aggregator.current).toMatchObject({ Open: '101', TotalVolume: '500', BarStatus: 'Open' });
+    });
+  });
+
+  describe('range bars', () => {
+    it('closes a bar at its range boundary each time the range is exceeded', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.RANGE, size: 1 });
+      const time = '2024-01-02T14:30:00Z';
+
+      [100, 100.5, 101.5, 99.4].forEach(price => aggregator.addTrade(price, 10, time));
+
+      expect(aggregator.bars.map(pricesOf)).toEqual([
+        ['100', '101', '100', '101'],
+        ['101', '101.5', '100.5', '100.5'],
+        ['100.5', '100.5', '99.5', '99.5'],
+      ]);
+      expect(pricesOf(aggregator.current)).toEqual(['99.5', '99.5', '99.4', '99.4']);
+    });
+  });
+
+  describe('Renko bricks', () => {
+    it('adds a brick per size moved and needs twice the size to reverse', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.RENKO, size: 1 });
+      const time = '2024-01-02T14:30:00Z';
+
+      [100, 101, 102.5, 101.2, 100.4, 100].forEach(price => aggregator.addTrade(price, 10, time));
+
+      expect(aggregator.bars.map(bar => [bar.Open, bar.Close, bar.TotalVolume])).toEqual([
+        ['100', '101', '20'],
+        ['101', '102', '10'],
+        ['101', '100', '30'],
+      ]);
+      expect(aggregator.current).toBeNull();
+    });
+
+    it('adds several bricks for a gap', () => {
+      const aggregator = new BarAggregator({ type: AggregationType.RENKO, size: 2 });
+
+      aggregator.addTrade(100).addTrade(94.5);
+
+      expect(aggregator.bars.map(bar => [bar.Open, bar.Close])).toEqual([['100', '98'], ['98', '96']]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  AuthenticationError, NetworkError, NotFoundError, RateLimitError, ServerError, TradeStationError, ValidationError, toTradeStationError,
+} from '../errors';
+
+/**
+ * @param {Object} [response] - The axios response: `status`, `headers` and `data`; none for a network failure.
+ * @param {string} [message] - The axios error message.
+ * @returns {Error} - An error shaped like the ones axios rejects with.
+ */
+function axiosError(response, message = 'Request failed') {
+  return Object.assign(new Error(message), {
+    isAxiosError: true,
+    config: { method: 'post', url: '/v3/orderexecution/orders', params: { a: 1 }, data: '{"Symbol":"MSFT"}' },
+    response,
+  });
+}
+
+describe('toTradeStationError', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('picks the error class for the status', () => {
+    const classes = [[400, ValidationError], [401, AuthenticationError], [403, AuthenticationError], [404, NotFoundError],
+      [429, RateLimitError], [500, ServerError], [503, ServerError], [409, TradeStationError]];
+
+    classes.forEach(([status, ErrorClass]) => {
+      const error = toTradeStationError(axiosError({ status, headers: {}, data: {} }));
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error.name).toBe(ErrorClass.name);
+      expect(error.status).toBe(status);
+    });
+  });
+
+  it('keeps the code, message, request id and request of the failure', () => {
+    const failure = axiosError({
+      status: 400,
+      headers: { 'x-request-id': 'REQUEST-1' },
+      data: { Error: 'BadRequest', Message: 'Invalid Symbol', TraceId: 'TRACE-1' },
+    });
+
+    const error = toTradeStationError(failure);
+
+    expect(error).toMatchObject({
+      message: 'BadRequest: Invalid Symbol',
+      code: 'BadRequest',
+      requestId: 'REQUEST-1',
+      request: { method: 'POST', url: '/v3/orderexecution/orders', params: { a: 1 }, data: '{"Symbol":"MSFT"}' },
+      response: { Error: 'BadRequest', Message: 'Invalid Symbol', TraceId: 'TRACE-1' },
+      cause: failure,
+    });
+    expect(error.fields).toEqual([]);
+  });
+
+  it('falls back to the trace id and the axios message without a TradeStation body', () => {
+    expect(toTradeStationError(axiosError({ status: 500, headers: {}, data: { TraceId: 'TRACE-1' } }, 'boom')))
+      .toMatchObject({ message: 'boom', code: null, requestId: 'TRACE-1' });
+    expect(toTradeStationError(axiosError({ status: 502, data: '<html>Bad Gateway</html>' }, 'bad gateway')))
+      .toMatchObject({ message: 'bad gateway', code: null, requestId: null, response: '<html>Bad Gateway</html>' });
+  });
+
+  it('reads Retry-After in seconds or as an HTTP date', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-02T15:00:00Z'));
+    const limited = headers => toTradeStationError(axiosError({ status: 429, headers, data: {} }));
+
+    expect(limited({ 'retry-after': '30' }).retryAfter).toBe(30);
+    expect(limited({ 'retry-after': 'Tue, 02 Jan 2024 15:00:45 GMT' }).retryAfter).toBe(45);
+    expect(limited({ 'retry-after': 'Tue, 02 Jan 2024 14:00:00 GMT' }).retryAfter).toBe(0);
+    expect(limited({ 'retry-after': 'soon' }).retryAfter).toBeNull();
+    expect(limited({}).retryAfter).toBeNull();
+  });
+
+  it('converts a failure without a response into a NetworkError', () => {
+    const failure = Object.assign(new Error('timeout of 1000ms exceeded'), { code: 'ECONNABORTED', config: { url: '/v3/brokerage/accounts' } });
+
+    const error = toTradeStationError(failure);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error).toMatchObject({ message: 'timeout of 1000ms exceeded', status: null, request: { method: 'GET', url: '/v3/brokerage/accounts' } });
+    expect(toTradeStationError(new Error('socket hang up'))).toBeInstanceOf(NetworkError);
+  });
+
+  it('returns TradeStation errors unchanged', () => {
+    const error = new ValidationError('Invalid order', { fields: [{ field: 'Quantity', message: 'required' }] });
+
+    expect(toTradeStationError(error)).toBe(error);
+  });
+});
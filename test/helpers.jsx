@@ -0,0 +1,79 @@
+/**
+ * @fileoverview
+ * Shared setup of the test suites: a MockServer per suite and an HttpClient pointed at it.
+ */
+import { afterAll, afterEach, beforeAll } from 'vitest';
+import { MockServer } from '../mockServer';
+import { HttpClient } from '../client';
+import { ValidationMode } from '../validation';
+
+/**
+ * Starts a MockServer before the tests of the calling suite and stops it after them. Fixture
+ * overrides and recorded requests are reset after each test.
+ * @param {Object} [options] - MockServer options.
+ * @returns {{server: MockServer, client: Function}} - The server, and a function creating an HttpClient for it.
+ */
+export function useMockServer(options) {
+  const server = new MockServer({ heartbeatInterval: 60000, ...options });
+  let baseUrl = null;
+
+  beforeAll(async () => {
+    baseUrl = await server.start();
+  });
+  afterEach(() => server.reset());
+  afterAll(() => server.stop());
+
+  return {
+    server,
+    client: clientOptions => new HttpClient('TEST_TOKEN', {
+      baseUrl,
+      logger: null,
+      scheduler: null,
+      validation: ValidationMode.STRICT,
+      ...clientOptions,
+    }),
+  };
+}
+
+/**
+ * Collects the next messages of a stream event, then closes the stream.
+ * @param {TradeStationStream} stream - The open stream.
+ * @param {string} event - The event, e.g. `quote`.
+ * @param {number} count - The number of messages to collect.
+ * @returns {Promise<Array<Object>>} - Promise resolving to the messages.
+ */
+export function take(stream, event, count) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    stream.on('error', reject);
+    stream.on(event, message => {
+      messages.push(message);
+      if (messages.length === count) {
+        stream.close();
+        resolve(messages);
+      }
+    });
+  });
+}
+
+/**
+ * @param {MockServer} server - The server.
+ * @param {string} operationId - The operation.
+ * @returns {Array<Object>} - The requests of the operation received since the last reset.
+ */
+export function requestsOf(server, operationId) {
+  return server.requests.filter(request => request.operationId === operationId);
+}
+
+/**
+ * Serves the orders of a fixture as two pages linked by `NextToken`.
+ * @param {MockServer} server - The server.
+ * @param {string} operationId - `GetOrders` or `GetHistoricalOrders`.
+ * @param {Array<Object>} [errors=[]] - The `Errors` of both pages.
+ */
+export function serveTwoPages(server, operationId, errors = []) {
+  const orders = server.fixtures[operationId].Orders;
+  server.setFixture(operationId, request => (request.query.nextToken === 'page-2'
+    ? { Orders: orders.slice(2), Errors: errors }
+    : { Orders: orders.slice(0, 2), Errors: errors, NextToken: 'page-2' }));
+}
@@ -0,0 +1,156 @@
+// @vitest-environment jsdom
+import { EventEmitter } from 'events';
+import React from 'react';
+import { act, cleanup, render, renderHook } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { StreamStatus, TradeStationContext, useBars, useQuote, useQuotes } from '../hooks';
+
+/**
+ * A stand-in for the MarketData stream methods, recording the streams it opens.
+ */
+class FakeMarketData {
+  constructor() {
+    this.streams = [];
+    this.streamQuoteChanges = vi.fn(() => this.open());
+    this.streamBars = vi.fn(() => this.open());
+  }
+
+  /**
+   * @returns {Promise<EventEmitter>} - Promise resolving to a new stream.
+   */
+  open() {
+    const stream = Object.assign(new EventEmitter(), { close: vi.fn() });
+    this.streams.push(stream);
+    return Promise.resolve(stream);
+  }
+}
+
+/**
+ * @param {FakeMarketData} marketData - The MarketData of the context.
+ * @returns {Function} - A wrapper providing it to the hooks.
+ */
+function withContext(marketData) {
+  const value = { marketData };
+  return ({ children }) => <TradeStationContext.Provider value={value}>{children}</TradeStationContext.Provider>;
+}
+
+/**
+ * Lets the promises of the opened streams settle.
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return act(async () => {});
+}
+
+/**
+ * @param {string} time - The time of the bar.
+ * @param {number} close - Its close.
+ * @returns {Object} - A bar of `streamBars`.
+ */
+function bar(time, close) {
+  return { TimeStamp: `2024-01-02T${time}:00Z`, Close: String(close) };
+}
+
+describe('hooks', () => {
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+  });
+
+  it('components asking for the same quotes share one stream', async () => {
+    const marketData = new FakeMarketData();
+    const seen = {};
+    function Price({ name, symbol }) {
+      seen[name] = useQuote(symbol);
+      return null;
+    }
+    function Watchlist() {
+      seen.list = useQuotes(' MSFT,MSFT');
+      return null;
+    }
+    const Wrapper = withContext(marketData);
+
+    render(<Wrapper><Price name="first" symbol="MSFT" /><Price name="second" symbol="MSFT" /><Watchlist /></Wrapper>);
+    await settle();
+    act(() => marketData.streams[0].emit('quote', { Symbol: 'MSFT', Last: '420' }));
+    act(() => marketData.streams[0].emit('quote', { Symbol: 'MSFT', Bid: '419.9' }));
+
+    expect(marketData.streamQuoteChanges).toHaveBeenCalledTimes(1);
+    expect(marketData.streamQuoteChanges).toHaveBeenCalledWith('MSFT');
+    expect(seen.first).toEqual({ data: { Symbol: 'MSFT', Last: '420', Bid: '419.9' }, error: null, status: StreamStatus.OPEN });
+    expect(seen.second.data).toBe(seen.first.data);
+    expect(seen.list.data).toEqual({ MSFT: seen.first.data });
+  });
+
+  it('closes the stream a little after the last component unmounts, unless one mounts again', async () => {
+    vi.useFakeTimers();
+    const marketData = new FakeMarketData();
+    const wrapper = withContext(marketData);
+
+    const first = renderHook(() => useQuote('MSFT'), { wrapper });
+    await settle();
+    const [stream] = marketData.streams;
+    first.unmount();
+    act(() => vi.advanceTimersByTime(500));
+    const second = renderHook(() => useQuote('MSFT'), { wrapper });
+    act(() => vi.advanceTimersByTime(1000));
+
+    expect(stream.close).not.toHaveBeenCalled();
+    expect(marketData.streamQuoteChanges).toHaveBeenCalledTimes(1);
+    expect(second.result.current.status).toBe(StreamStatus.OPEN);
+
+    second.unmount();
+    act(() => vi.advanceTimersByTime(1000));
+    expect(stream.close).toHaveBeenCalledTimes(1);
+
+    renderHook(() => useQuote('MSFT'), { wrapper });
+    await settle();
+    expect(marketData.streamQuoteChanges).toHaveBeenCalledTimes(2);
+  });
+
+  it('stays idle without a symbol', () => {
+    const marketData = new FakeMarketData();
+
+    const { result } = renderHook(() => useQuote(null), { wrapper: withContext(marketData) });
+
+    expect(result.current).toEqual({ data: null, error: null, status: StreamStatus.IDLE });
+    expect(marketData.streamQuoteChanges).not.toHaveBeenCalled();
+  });
+
+  it('useBars replaces bars sent again after a reconnect instead of duplicating them', async () => {
+    const marketData = new FakeMarketData();
+    const { result } = renderHook(() => useBars('MSFT', { unit: 'Minute' }), { wrapper: withContext(marketData) });
+    await settle();
+    const [stream] = marketData.streams;
+
+    act(() => {
+      stream.emit('bar', bar('14:30', 100));
+      stream.emit('bar', bar('14:31', 101));
+      stream.emit('bar', bar('14:31', 102));
+    });
+    expect(result.current.data).toEqual([bar('14:30', 100), bar('14:31', 102)]);
+
+    act(() => {
+      stream.emit('reconnecting', { attempt: 1 });
+      stream.emit('connected');
+      stream.emit('bar', bar('14:30', 100));
+      stream.emit('bar', bar('14:31', 103));
+      stream.emit('bar', bar('14:32', 104));
+    });
+
+    expect(result.current.data).toEqual([bar('14:30', 100), bar('14:31', 103), bar('14:32', 104)]);
+    expect(result.current.status).toBe(StreamStatus.OPEN);
+    expect(marketData.streamBars).toHaveBeenCalledWith('MSFT', '1', 'Minute', '100', undefined);
+  });
+
+  it('reports a stream that cannot be opened as an error', async () => {
+    const marketData = new FakeMarketData();
+    const failure = new Error('Unauthorized');
+    marketData.streamQuoteChanges.mockRejectedValueOnce(failure);
+
+    const { result } = renderHook(() => useQuote('MSFT'), { wrapper: withContext(marketData) });
+    await settle();
+
+    expect(result.current).toEqual({ data: null, error: failure, status: StreamStatus.ERROR });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, expect, it } from 'vitest';
+import { ATR, BollingerBands, EMA, MACD, RSI, SMA, VWAP, atr, bollingerBands, ema, macd, rsi, sma, vwap } from '../indicators';
+import { ValidationError } from '../errors';
+
+// The 10-day moving average example of StockCharts ChartSchool.
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+const SMA_10 = [
+  22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+  23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13,
+];
+const EMA_10 = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+// Wilder's 14-day RSI as tabulated by StockCharts ChartSchool.
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+  45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314,
+];
+const RSI_14 = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77,
+];
+
+// The 14-day average true range example of StockCharts ChartSchool, as [High, Low, Close].
+const ATR_PRICES = [
+  [48.70, 47.79, 48.16], [48.72, 48.14, 48.61], [48.90, 48.39, 48.75], [48.87, 48.37, 48.63],
+  [48.82, 48.24, 48.74], [49.05, 48.64, 49.03], [49.20, 48.94, 49.07], [49.35, 48.86, 49.32],
+  [49.92, 49.50, 49.91], [50.19, 49.87, 50.13], [50.12, 49.20, 49.53], [49.66, 48.90, 49.50],
+  [49.88, 49.43, 49.75], [50.19, 49.73, 50.03], [50.36, 49.26, 50.31], [50.57, 50.09, 50.52],
+  [50.65, 50.30, 50.41], [50.43, 49.21, 49.34], [49.63, 48.98, 49.37], [50.33, 49.61, 50.23],
+];
+const ATR_14 = [0.55, 0.59, 0.59, 0.57, 0.62, 0.62, 0.64];
+
+/**
+ * @param {Array<number>} closes - Closing prices.
+ * @returns {Array<Object>} - Daily bars with the prices as strings, the way the API sends them.
+ */
+function dailyBars(closes) {
+  return closes.map((close, day) => ({
+    TimeStamp: new Date(Date.UTC(2024, 0, 2 + day, 21)).toISOString(),
+    Close: String(close),
+  }));
+}
+
+/**
+ * @param {Array<number|null>} values - Computed values.
+ * @param {number} warmUp - The number of leading bars without a value.
+ * @param {Array<number>} expected - The published values.
+ * @param {number} tolerance - The largest difference allowed.
+ */
+function expectValues(values, warmUp, expected, tolerance) {
+  expect(values.slice(0, warmUp).every(value => value === null)).toBe(true);
+  expect(values).toHaveLength(warmUp + expected.length);
+  values.slice(warmUp).forEach((value, index) => {
+    expect(Math.abs(value - expected[index])).toBeLessThanOrEqual(tolerance);
+  });
+}
+
+describe('indicators', () => {
+  // The published tables are computed from unrounded prices, so they can differ in the last digit.
+  it('sma matches the published 10-day simple moving average', () => {
+    expectValues(sma(EMA_CLOSES, 10), 9, SMA_10, 0.011);
+  });
+
+  it('ema matches the published 10-day exponential moving average', () => {
+    expectValues(ema(EMA_CLOSES, 10), 9, EMA_10, 0.011);
+  });
+
+  it('rsi matches the published 14-day RSI', () => {
+    expectValues(rsi(RSI_CLOSES, 14), 14, RSI_14, 0.005);
+  });
+
+  it('atr matches the published 14-day average true range', () => {
+    const bars = ATR_PRICES.map(([High, Low, Close]) => ({ High: String(High), Low: String(Low), Close: String(Close) }));
+
+    expectValues(atr(bars, 14), 13, ATR_14, 0.011);
+  });
+
+  it('macd is the difference of the fast and slow EMAs, with an EMA of it as signal line', () => {
+    const fast = ema(EMA_CLOSES, 5);
+    const slow = ema(EMA_CLOSES, 10);
+    const lines = fast.map((value, index) => (slow[index] === null ? null : value - slow[index]));
+    const signals = [...Array(9).fill(null), ...ema(lines.slice(9), 3)];
+
+    const values = macd(EMA_CLOSES, { fast: 5, slow: 10, signal: 3 });
+
+    expect(values.slice(0, 9)).toEqual(Array(9).fill(null));
+    values.slice(9).forEach((value, index) => {
+      const line = lines[index + 9];
+      const signal = signals[index + 9];
+      expect(value.macd).toBeCloseTo(line, 10);
+      if (signal === null) {
+        expect(value.signal).toBeNull();
+        expect(value.histogram).toBeNull();
+      } else {
+        expect(value.signal).toBeCloseTo(signal, 10);
+        expect(value.histogram).toBeCloseTo(line - signal, 10);
+      }
+    });
+    expect(values[10].signal).toBeNull();
+    expect(values[11].signal).toBeCloseTo((lines[9] + lines[10] + lines[11]) / 3, 10);
+  });
+
+  it('bollingerBands use the population standard deviation', () => {
+    // The standard deviation of 2, 4, 4, 4, 5, 5, 7, 9 is 2 around a mean of 5.
+    const values = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8);
+
+    expect(values.slice(0, 7)).toEqual(Array(7).fill(null));
+    expect(values[7]).toEqual({ upper: 9, middle: 5, lower: 1 });
+    expect(bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, { multiplier: 1 })[7]).toEqual({ upper: 7, middle: 5, lower: 3 });
+  });
+
+  it('vwap weights the typical price by volume and starts over each New York trading day', () => {
+    const bars = [
+      { TimeStamp: '2024-01-02T14:31:00Z', High: '11', Low: '9', Close: '10', TotalVolume: '100' },
+      // 22:00 in New York, still January 2.
+      { TimeStamp: '2024-01-03T03:00:00Z', High: '13', Low: '11', Close: '12', TotalVolume: '300' },
+      { TimeStamp: '2024-01-03T14:31:00Z', High: '21', Low: '19', Close: '20', TotalVolume: '50' },
+    ];
+
+    expect(vwap(bars)).toEqual([10, 11.5, 20]);
+    expect(vwap(bars, { timeZone: 'UTC' }).slice(0, 2)).toEqual([10, 12]);
+    expect(vwap(bars, { timeZone: 'UTC' })[2]).toBeCloseTo((3600 + 1000) / 350, 10);
+    expect(vwap(bars, { anchor: 'none' })[2]).toBeCloseTo((1000 + 3600 + 1000) / 450, 10);
+  });
+
+  it('accept the result of getBars', () => {
+    expect(sma({ Bars: dailyBars(EMA_CLOSES) }, 10)).toEqual(sma(EMA_CLOSES, 10));
+    expect(sma({}, 10)).toEqual([]);
+  });
+
+  it('reject periods that are not positive integers', () => {
+    expect(() => new SMA(0)).toThrow(ValidationError);
+    expect(() => new MACD({ fast: 2.5 })).toThrow(ValidationError);
+  });
+
+  describe('incremental updates', () => {
+    const closeBars = dailyBars(RSI_CLOSES);
+    const highLowBars = ATR_PRICES.map(([High, Low, Close], day) => ({
+      TimeStamp: new Date(Date.UTC(2024, 0, 2 + day, 21)).toISOString(),
+      High: String(High),
+      Low: String(Low),
+      Close: String(Close),
+      TotalVolume: String(1000 + day * 10),
+    }));
+    const cases = [
+      ['SMA', () => new SMA(10), closeBars],
+      ['EMA', () => new EMA(10), closeBars],
+      ['RSI', () => new RSI(14), closeBars],
+      ['MACD', () => new MACD({ fast: 5, slow: 10, signal: 3 }), closeBars],
+      ['BollingerBands', () => new BollingerBands(10), closeBars],
+      ['VWAP', () => new VWAP({ anchor: 'none' }), highLowBars],
+      ['ATR', () => new ATR(14), highLowBars],
+    ];
+
+    it.each(cases)('%s returns the batch values one bar at a time', (name, create, bars) => {
+      const indicator = create();
+      const values = bars.map(bar => indicator.update(bar));
+
+      expect(values).toEqual(create().compute(bars));
+      expect(indicator.value).toEqual(values[values.length - 1]);
+    });
+
+    it.each(cases)('%s replaces a bar sent again with the same TimeStamp', (name, create, bars) => {
+      const indicator = create();
+      bars.forEach((bar, index) => {
+        // The open bar is sent with earlier prices before its final ones.
+        const open = { ...bar, Close: String(Number(bar.Close) + 1) };
+        indicator.update(open);
+        indicator.update(open);
+        expect(indicator.update(bar)).toEqual(create().compute(bars.slice(0, index + 1))[index]);
+      });
+    });
+
+    it('compute leaves the state of the indicator alone', () => {
+      const indicator = new RSI(14);
+      closeBars.slice(0, 20).forEach(bar => indicator.update(bar));
+      const value = indicator.value;
+
+      indicator.compute(closeBars);
+
+      expect(indicator.value).toBe(value);
+      expect(indicator.update(closeBars[20])).toBe(rsi(closeBars.slice(0, 21))[20]);
+    });
+
+    it('reset forgets every bar', () => {
+      const indicator = new SMA(10);
+      closeBars.forEach(bar => indicator.update(bar));
+
+      expect(indicator.reset().value).toBeNull();
+      expect(closeBars.map(bar => indicator.update(bar))).toEqual(sma(closeBars, 10));
+    });
+  });
+});
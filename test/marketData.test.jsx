@@ -0,0 +1,188 @@
+import { describe, expect, it } from 'vitest';
+import { MarketData } from '../marketData';
+import { ValidationError } from '../errors';
+import { requestsOf, take, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+/**
+ * Answers bar requests with one closed minute bar per minute from `firstdate` to `lastdate`.
+ */
+function serveMinuteBars() {
+  const [template] = server.fixtures.GetBars.Bars;
+  server.setFixture('GetBars', request => {
+    const bars = [];
+    for (let time = Date.parse(request.query.firstdate); time <= Date.parse(request.query.lastdate); time += 60 * 1000) {
+      bars.push({ ...template, TimeStamp: new Date(time).toISOString().replace('.000', ''), Epoch: time });
+    }
+    return { Bars: bars };
+  });
+}
+
+describe('MarketData', () => {
+  it('getBars sends the bar parameters and resolves to the bars', async () => {
+    const result = await new MarketData(client()).getBars('MSFT', '5', 'Minute', '10', '2024-01-02', '2024-01-03', 'USEQPre');
+
+    expect(result).toEqual(server.fixtures.GetBars);
+    const [request] = requestsOf(server, 'GetBars');
+    expect(request.path).toBe('/v3/marketdata/barcharts/MSFT');
+    expect(request.query).toEqual({
+      interval: '5',
+      unit: 'Minute',
+      barsback: '10',
+      firstdate: '2024-01-02',
+      lastdate: '2024-01-03',
+      sessiontemplate: 'USEQPre',
+    });
+  });
+
+  it('downloadBars splits intraday ranges into requests of at most maxBars bars', async () => {
+    serveMinuteBars();
+    const bars = await new MarketData(client()).downloadBars('MSFT', {
+      from: '2024-01-02T14:30:00Z',
+      to: '2024-01-02T14:39:00Z',
+      unit: 'Minute',
+      maxBars: 5,
+    });
+
+    expect(bars.map(bar => bar.TimeStamp)).toEqual(Array.from({ length: 10 }, (_, minute) => `2024-01-02T14:3${minute}:00Z`));
+    expect(requestsOf(server, 'GetBars').map(({ query }) => [query.firstdate, query.lastdate])).toEqual([
+      ['2024-01-02T14:30:00Z', '2024-01-02T14:34:59Z'],
+      ['2024-01-02T14:35:00Z', '2024-01-02T14:39:00Z'],
+    ]);
+  });
+
+  it('downloadBars only requests the ranges missing from the cache', async () => {
+    serveMinuteBars();
+    const entries = new Map();
+    const cache = {
+      read: async key => entries.get(key) || null,
+      write: async (key, entry) => {
+        entries.set(key, entry);
+      },
+    };
+    const marketData = new MarketData(client());
+
+    await marketData.downloadBars('MSFT', { from: '2024-01-02T14:30:00Z', to: '2024-01-02T14:34:00Z', unit: 'Minute', cache });
+    const bars = await marketData.downloadBars('MSFT', { from: '2024-01-02T14:30:00Z', to: '2024-01-02T14:39:00Z', unit: 'Minute', cache });
+
+    expect(bars).toHaveLength(10);
+    expect(requestsOf(server, 'GetBars').map(({ query }) => query.firstdate)).toEqual(['2024-01-02T14:30:00Z', '2024-01-02T14:34:01Z']);
+  });
+
+  it('downloadBars rejects a range ending before it starts', async () => {
+    await expect(new MarketData(client()).downloadBars('MSFT', { from: '2024-01-03', to: '2024-01-02' }))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(requestsOf(server, 'GetBars')).toHaveLength(0);
+  });
+
+  it('streamBars emits bar events', async () => {
+    const stream = await new MarketData(client()).streamBars('MSFT', '1', 'Minute', '5');
+    const [bar] = await take(stream, 'bar', 1);
+
+    expect(bar).toEqual(server.fixtures.StreamBars[0]);
+    expect(requestsOf(server, 'StreamBars')[0].query).toEqual({ interval: '1', unit: 'Minute', barsback: '5' });
+  });
+
+  it('getCryptoSymbolNames resolves to the symbol names', async () => {
+    expect(await new MarketData(client()).getCryptoSymbolNames()).toEqual(server.fixtures.GetCryptoSymbolNames.SymbolNames);
+  });
+
+  it('getSymbolDetails resolves to the details of the symbols', async () => {
+    const details = await new MarketData(client()).getSymbolDetails('MSFT,BTCUSD');
+
+    expect(details).toEqual(server.fixtures.GetSymbolDetails);
+    expect(requestsOf(server, 'GetSymbolDetails')[0].path).toBe('/v3/marketdata/symbols/MSFT,BTCUSD');
+  });
+
+  it('getOptionExpirations resolves to the expirations, filtered by strike', async () => {
+    const marketData = new MarketData(client());
+
+    expect(await marketData.getOptionExpirations('AAPL')).toEqual(server.fixtures.GetOptionExpirations.Expirations);
+    await marketData.getOptionExpirations('AAPL', 150);
+    expect(requestsOf(server, 'GetOptionExpirations').map(request => request.query)).toEqual([{}, { strikePrice: '150' }]);
+  });
+
+  it('getOptionRiskReward posts the legs and resolves to the analysis', async () => {
+    const input = {
+      SpreadPrice: 0.24,
+      Legs: [
+        { Symbol: 'AAPL 211217C150', Quantity: 1, TradeAction: 'BUY' },
+        { Symbol: 'AAPL 211217C155', Quantity: 1, TradeAction: 'SELL' },
+      ],
+    };
+    const result = await new MarketData(client()).getOptionRiskReward(input);
+
+    expect(result).toEqual(server.fixtures.GetOptionRiskReward);
+    expect(requestsOf(server, 'GetOptionRiskReward')[0].body).toEqual(input);
+  });
+
+  it('getOptionSpreadTypes resolves to the spread types', async () => {
+    expect(await new MarketData(client()).getOptionSpreadTypes()).toEqual(server.fixtures.GetOptionSpreadTypes.SpreadTypes);
+  });
+
+  it('getOptionStrikes sends the spread parameters and resolves to the strikes', async () => {
+    const result = await new MarketData(client()).getOptionStrikes('AAPL', 'Butterfly', 2, '2024-01-19');
+
+    expect(result).toEqual({ SpreadType: server.fixtures.GetOptionStrikes.SpreadType, Strikes: server.fixtures.GetOptionStrikes.Strikes });
+    expect(requestsOf(server, 'GetOptionStrikes')[0].query).toEqual({ spreadType: 'Butterfly', strikeInterval: '2', expiration: '2024-01-19' });
+  });
+
+  it('streamOptionChain emits spread events', async () => {
+    const stream = await new MarketData(client()).streamOptionChain('AAPL', '2024-01-19');
+    const [spread] = await take(stream, 'spread', 1);
+
+    expect(spread).toEqual(server.fixtures.GetOptionChain[0]);
+    const [request] = requestsOf(server, 'GetOptionChain');
+    expect(request.path).toBe('/v3/marketdata/stream/options/chains/AAPL');
+    expect(request.query).toMatchObject({ expiration: '2024-01-19', strikeProximity: '5', spreadType: 'Single', enableGreeks: 'true' });
+  });
+
+  it('streamOptionQuotes emits spread events for the leg', async () => {
+    const stream = await new MarketData(client()).streamOptionQuotes('AAPL 240119C150', 2);
+    const [spread] = await take(stream, 'spread', 1);
+
+    expect(spread).toEqual(server.fixtures.GetOptionQuotes[0]);
+    expect(requestsOf(server, 'GetOptionQuotes')[0].query).toEqual({ 'legs[0].Symbol': 'AAPL 240119C150', 'legs[0].Ratio': '2', enableGreeks: 'true' });
+  });
+
+  it('getQuoteSnapshots resolves to the quote response', async () => {
+    const response = await new MarketData(client()).getQuoteSnapshots('MSFT');
+
+    expect(response.data).toEqual(server.fixtures.GetQuoteSnapshots);
+    expect(requestsOf(server, 'GetQuoteSnapshots')[0].path).toBe('/v3/marketdata/quotes/MSFT');
+  });
+
+  it('streamQuoteChanges emits quote events', async () => {
+    const stream = await new MarketData(client()).streamQuoteChanges('MSFT,BTCUSD');
+    const quotes = await take(stream, 'quote', 2);
+
+    expect(quotes.map(quote => quote.Symbol)).toEqual(['MSFT', 'BTCUSD']);
+  });
+
+  it('streamMarketDepthQuotes emits depth events', async () => {
+    const stream = await new MarketData(client()).streamMarketDepthQuotes('MSFT', 5);
+    const [depth] = await take(stream, 'depth', 1);
+
+    expect(depth).toEqual(server.fixtures.StreamMarketDepthQuotes[0]);
+    expect(requestsOf(server, 'StreamMarketDepthQuotes')[0].query).toEqual({ maxlevels: '5' });
+  });
+
+  it('streamMarketDepthAggregates emits depth events', async () => {
+    const stream = await new MarketData(client()).streamMarketDepthAggregates('MSFT');
+    const [depth] = await take(stream, 'depth', 1);
+
+    expect(depth).toEqual(server.fixtures.StreamMarketDepthAggregates[0]);
+    expect(requestsOf(server, 'StreamMarketDepthAggregates')[0].query).toEqual({ maxlevels: '20' });
+  });
+
+  it('streamTickBars emits bar events from the v2 stream', async () => {
+    const stream = await new MarketData(client()).streamTickBars('MSFT', 1, 3);
+    const bars = await take(stream, 'bar', 3);
+
+    expect(bars).toEqual(server.fixtures.streamTickBars);
+    const [request] = requestsOf(server, 'streamTickBars');
+    expect(request.path).toBe('/v2/stream/tickbars/MSFT/1/3');
+    expect(request.headers.accept).toBe('application/vnd.tradestation.streams+json');
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  analyzeRiskReward, blackScholes, crossCheckRiskReward, impliedVolatility, payoffAtExpiry, positionGreeks, yearsUntil,
+} from '../optionAnalytics';
+import { ValidationError } from '../errors';
+
+const MARKET = { spot: 100, strike: 105, time: 0.5, rate: 0.05, dividendYield: 0.02 };
+
+/**
+ * @returns {Array<Object>} - A 400/410 call vertical bought for 3.70.
+ */
+function callVertical() {
+  return [
+    { type: 'Call', strike: 400, expiration: '2024-01-19', quantity: 1, price: 6.1, symbol: 'MSFT 240119C400' },
+    { type: 'Call', strike: 410, expiration: '2024-01-19', quantity: -1, price: 2.4, symbol: 'MSFT 240119C410' },
+  ];
+}
+
+/**
+ * @returns {Array<Object>} - A 400 straddle bought for 9.
+ */
+function straddle() {
+  return [
+    { type: 'Call', strike: 400, expiration: '2024-01-19', quantity: 1, price: 5, symbol: 'MSFT 240119C400' },
+    { type: 'Put', strike: 400, expiration: '2024-01-19', quantity: 1, price: 4, symbol: 'MSFT 240119P400' },
+  ];
+}
+
+describe('blackScholes', () => {
+  it('matches the textbook prices', () => {
+    const inputs = { spot: 100, strike: 100, time: 1, volatility: 0.2, rate: 0.05 };
+
+    expect(blackScholes({ ...inputs, type: 'Call' }).price).toBeCloseTo(10.4506, 4);
+    expect(blackScholes({ ...inputs, type: 'Put' }).price).toBeCloseTo(5.5735, 4);
+  });
+
+  it('satisfies put-call parity with a dividend yield', () => {
+    const call = blackScholes({ ...MARKET, type: 'Call', volatility: 0.3 });
+    const put = blackScholes({ ...MARKET, type: 'Put', volatility: 0.3 });
+    const { spot, strike, time, rate, dividendYield } = MARKET;
+
+    expect(call.price - put.price).toBeCloseTo(spot * Math.exp(-dividendYield * time) - strike * Math.exp(-rate * time), 5);
+    expect(call.delta - put.delta).toBeCloseTo(Math.exp(-dividendYield * time), 5);
+    expect(call.gamma).toBeCloseTo(put.gamma, 10);
+    expect(call.vega).toBeCloseTo(put.vega, 10);
+  });
+
+  it('is worth the intrinsic value at expiration', () => {
+    expect(blackScholes({ type: 'Put', spot: 95, strike: 100, time: 0, volatility: 0.3 })).toEqual({
+      price: 5, delta: -1, gamma: 0, theta: 0, vega: 0, rho: 0,
+    });
+  });
+
+  it('rejects invalid inputs', () => {
+    expect(() => blackScholes({ type: 'Call', spot: 0, strike: 100, time: 1, volatility: 0.2 })).toThrow(ValidationError);
+    expect(() => blackScholes({ type: 'Call', spot: 100, strike: 100, time: 1 })).toThrow('volatility must be a finite number');
+  });
+});
+
+describe('impliedVolatility', () => {
+  it('recovers the volatility a price was computed with', () => {
+    [0.05, 0.32, 1.5].forEach(volatility => {
+      ['Call', 'Put'].forEach(type => {
+        const { price } = blackScholes({ ...MARKET, type, volatility });
+
+        expect(impliedVolatility({ ...MARKET, type, price })).toBeCloseTo(volatility, 4);
+      });
+    });
+  });
+
+  it('returns null for a price no volatility gives', () => {
+    expect(impliedVolatility({ ...MARKET, type: 'Put', price: 1 })).toBeNull();
+    expect(impliedVolatility({ ...MARKET, type: 'Call', price: 150 })).toBeNull();
+  });
+});
+
+describe('yearsUntil', () => {
+  it('takes date-only expirations to expire at 16:00 New York time', () => {
+    expect(yearsUntil('2024-01-19', '2024-01-19T20:00:00Z')).toBeCloseTo(1 / (365 * 24), 10);
+    expect(yearsUntil('2024-01-19T00:00:00Z', '2024-01-19T21:00:00Z')).toBe(0);
+    expect(yearsUntil('2024-07-19', '2024-07-19T19:00:00Z')).toBeCloseTo(1 / (365 * 24), 10);
+  });
+});
+
+describe('positionGreeks', () => {
+  it('adds up the legs in dollars', () => {
+    const market = { date: '2024-01-02T15:00:00Z', volatility: 0.25, rate: 0.05 };
+    const [long, short] = callVertical();
+    const time = yearsUntil('2024-01-19', market.date);
+    const price = leg => blackScholes({ type: 'Call', spot: 405, strike: leg.strike, time, volatility: 0.25, rate: 0.05 });
+
+    const greeks = positionGreeks(callVertical(), 405, market);
+
+    expect(greeks.value).toBeCloseTo(100 * (price(long).price - price(short).price), 8);
+    expect(greeks.delta).toBeCloseTo(100 * (price(long).delta - price(short).delta), 8);
+    expect(positionGreeks([{ type: 'Stock', quantity: 50, price: 400 }], 405).delta).toBe(50);
+  });
+
+  it('values expired legs at their intrinsic value without a volatility', () => {
+    const greeks = positionGreeks(callVertical(), 405, { date: '2024-02-01' });
+
+    expect(greeks).toEqual({ value: 500, delta: 100, gamma: 0, theta: 0, vega: 0, rho: 0 });
+    expect(() => positionGreeks(callVertical(), 405, { date: '2024-01-02' })).toThrow(ValidationError);
+  });
+});
+
+describe('analyzeRiskReward', () => {
+  it('finds the breakeven, maximum gain and maximum loss of a vertical', () => {
+    expect(analyzeRiskReward(callVertical())).toEqual({
+      maxGain: expect.closeTo(630, 8),
+      maxGainIsInfinite: false,
+      maxLoss: expect.closeTo(370, 8),
+      maxLossIsInfinite: false,
+      breakevens: [403.7],
+    });
+    expect(payoffAtExpiry(callVertical(), [403.7])[0].profitLoss).toBeCloseTo(0, 8);
+  });
+
+  it('finds both breakevens of a straddle and its unlimited gain', () => {
+    expect(analyzeRiskReward(straddle())).toEqual({
+      maxGain: null,
+      maxGainIsInfinite: true,
+      maxLoss: 900,
+      maxLossIsInfinite: false,
+      breakevens: [391, 409],
+    });
+  });
+
+  it('reports the unlimited loss of a short straddle', () => {
+    const short = straddle().map(leg => ({ ...leg, quantity: -leg.quantity }));
+
+    expect(analyzeRiskReward(short)).toMatchObject({ maxGain: 900, maxLoss: null, maxLossIsInfinite: true, breakevens: [391, 409] });
+  });
+});
+
+describe('crossCheckRiskReward', () => {
+  /**
+   * @param {Object} response - The `getOptionRiskReward` response.
+   * @returns {Object} - A stand-in for MarketData.
+   */
+  function marketDataReturning(response) {
+    return { getOptionRiskReward: vi.fn(async () => response) };
+  }
+
+  it('matches the API analysis of the same vertical', async () => {
+    const marketData = marketDataReturning({
+      MaxGainIsInfinite: false, AdjustedMaxGain: '630', MaxLossIsInfinite: false, AdjustedMaxLoss: '-370', BreakevenPoints: ['403.7'],
+    });
+
+    const { matches, differences } = await crossCheckRiskReward(marketData, callVertical());
+
+    expect(differences).toEqual([]);
+    expect(matches).toBe(true);
+    expect(marketData.getOptionRiskReward).toHaveBeenCalledWith({
+      SpreadPrice: 3.7,
+      Legs: [
+        { Symbol: 'MSFT 240119C400', Quantity: 1, TradeAction: 'BUY' },
+        { Symbol: 'MSFT 240119C410', Quantity: 1, TradeAction: 'SELL' },
+      ],
+    });
+  });
+
+  it('lists the fields that differ', async () => {
+    const marketData = marketDataReturning({
+      MaxGainIsInfinite: false, AdjustedMaxGain: '900', MaxLossIsInfinite: false, AdjustedMaxLoss: '900', BreakevenPoints: ['391', '409'],
+    });
+
+    const { matches, differences } = await crossCheckRiskReward(marketData, straddle());
+
+    expect(matches).toBe(false);
+    expect(differences).toEqual([{ field: 'MaxGainIsInfinite', local: true, remote: false }]);
+  });
+});
@@ -0,0 +1,184 @@
+import { EventEmitter } from 'events';
+import { describe, expect, it, vi } from 'vitest';
+import { OptionChain } from '../optionChain';
+import { ValidationError } from '../errors';
+
+const EXPIRATION = '2024-01-19';
+
+/**
+ * @param {number} strike - The strike price.
+ * @param {string} side - `Call` or `Put`.
+ * @param {Object} [fields] - Quote and greek fields of the spread.
+ * @returns {Object} - A `Single` spread message of the option chain stream.
+ */
+function spread(strike, side, fields) {
+  return {
+    Delta: side === 'Call' ? '0.5' : '-0.5',
+    Bid: '1.9',
+    Ask: '2.1',
+    Mid: '2',
+    DailyOpenInterest: '1000',
+    ...fields,
+    Legs: [{
+      Symbol: `MSFT 240119${side[0]}${strike}`,
+      Expiration: `${EXPIRATION}T00:00:00Z`,
+      StrikePrice: String(strike),
+      OptionType: side,
+    }],
+  };
+}
+
+/**
+ * A stand-in for the MarketData methods the chain uses, whose streams open once released.
+ */
+class FakeMarketData {
+  constructor() {
+    this.streams = [];
+    this.opening = [];
+    this.streamOptionChain = vi.fn(() => new Promise(resolve => {
+      this.opening.push(() => {
+        const stream = Object.assign(new EventEmitter(), { close: vi.fn() });
+        this.streams.push(stream);
+        resolve(stream);
+      });
+    }));
+  }
+
+  /**
+   * Opens the streams requested so far.
+   */
+  release() {
+    this.opening.splice(0).forEach(open => open());
+  }
+
+  async getOptionExpirations() {
+    return [{ Date: `${EXPIRATION}T00:00:00Z`, Type: 'Monthly' }, { Date: '2024-02-16T00:00:00Z', Type: 'Monthly' }];
+  }
+
+  async getOptionSpreadTypes() {
+    return [{ Name: 'Single', StrikeInterval: false, ExpirationInterval: false }];
+  }
+}
+
+/**
+ * @returns {OptionChain} - A chain of MSFT calls and puts at 390, 400 and 410, with the underlying at 402.
+ */
+function loadedChain() {
+  const chain = new OptionChain(new FakeMarketData(), 'MSFT');
+  [390, 400, 410].forEach(strike => {
+    chain.update(spread(strike, 'Call', { IntrinsicValue: String(Math.max(0, 402 - strike)), Delta: String(0.5 + (400 - strike) / 50) }));
+    chain.update(spread(strike, 'Put', { Delta: String(-0.5 + (400 - strike) / 50) }));
+  });
+  return chain;
+}
+
+describe('OptionChain', () => {
+  it('opens a single stream for concurrent subscriptions to an expiration', async () => {
+    const marketData = new FakeMarketData();
+    const chain = new OptionChain(marketData, 'MSFT');
+
+    const first = chain.subscribe(EXPIRATION);
+    const second = chain.subscribe(`${EXPIRATION}T00:00:00Z`);
+    marketData.release();
+
+    expect(await first).toBe(await second);
+    expect(await chain.subscribe(EXPIRATION)).toBe(await first);
+    expect(marketData.streamOptionChain).toHaveBeenCalledTimes(1);
+    expect([...chain.streams.keys()]).toEqual([EXPIRATION]);
+  });
+
+  it('closes a stream that opens after its expiration was unsubscribed', async () => {
+    const marketData = new FakeMarketData();
+    const chain = new OptionChain(marketData, 'MSFT');
+
+    const subscription = chain.subscribe(EXPIRATION);
+    chain.unsubscribe(EXPIRATION);
+    marketData.release();
+
+    expect((await subscription).close).toHaveBeenCalled();
+    expect(chain.streams.size).toBe(0);
+  });
+
+  it('connect streams the nearest expirations', async () => {
+    const marketData = new FakeMarketData();
+    const chain = new OptionChain(marketData, 'MSFT', { strikeProximity: 5 });
+
+    const connecting = chain.connect({ expirations: 2 });
+    await vi.waitFor(() => expect(marketData.opening).toHaveLength(2));
+    marketData.release();
+    await connecting;
+
+    expect([...chain.streams.keys()]).toEqual([EXPIRATION, '2024-02-16']);
+    expect(marketData.streamOptionChain.mock.calls[0].slice(0, 5)).toEqual(['MSFT', EXPIRATION, undefined, 5, 'Single']);
+  });
+
+  it('indexes the contracts streamed and emits them as update', async () => {
+    const marketData = new FakeMarketData();
+    const chain = new OptionChain(marketData, 'MSFT');
+    const updates = [];
+    chain.on('update', contract => updates.push(contract));
+    const subscription = chain.subscribe(EXPIRATION);
+    marketData.release();
+    const stream = await subscription;
+
+    stream.emit('spread', spread(400, 'Call', { IntrinsicValue: '2' }));
+
+    expect(chain.get(EXPIRATION, '400', 'Call')).toMatchObject({
+      symbol: 'MSFT 240119C400', strike: 400, side: 'Call', bid: 1.9, delta: 0.5, openInterest: 1000, gamma: null,
+    });
+    expect(updates).toEqual([chain.get(EXPIRATION, 400, 'Call')]);
+    expect(chain.underlyingPrice).toBe(402);
+    expect(chain.update({ Legs: [] })).toBeNull();
+  });
+
+  it('emits the errors of its streams, and ignores them while nothing listens', async () => {
+    const marketData = new FakeMarketData();
+    const chain = new OptionChain(marketData, 'MSFT');
+    const subscription = chain.subscribe(EXPIRATION);
+    marketData.release();
+    const stream = await subscription;
+    const failure = new Error('stream failed');
+
+    expect(() => stream.emit('error', failure)).not.toThrow();
+
+    const errors = [];
+    chain.on('error', error => errors.push(error));
+    stream.emit('error', failure);
+    expect(errors).toEqual([failure]);
+  });
+
+  it('filters contracts by side, delta and moneyness', () => {
+    const chain = loadedChain();
+
+    expect(chain.strikes(EXPIRATION)).toEqual([390, 400, 410]);
+    expect(chain.filter({ side: 'Call', moneyness: 'ITM' }).map(contract => contract.strike)).toEqual([390]);
+    expect(chain.moneyness(chain.get(EXPIRATION, 400, 'Put'))).toBe('ATM');
+    expect(chain.filter({ side: 'Put', minDelta: 0.6 }).map(contract => contract.strike)).toEqual([410]);
+    expect(chain.filter({ minStrike: 400, maxStrike: 400 }).map(contract => contract.side)).toEqual(['Call', 'Put']);
+  });
+
+  it('builds strategies from contracts in the chain', () => {
+    const chain = loadedChain();
+
+    const vertical = chain.vertical({ expiration: EXPIRATION, side: 'Call', buyStrike: 400, sellStrike: 410, limitPrice: 0.5 }).toJSON();
+    expect(vertical).toMatchObject({
+      OrderType: 'Limit',
+      LimitPrice: '0.5',
+      Legs: [
+        { Symbol: 'MSFT 240119C400', Quantity: '1', TradeAction: 'BUYTOOPEN' },
+        { Symbol: 'MSFT 240119C410', Quantity: '1', TradeAction: 'SELLTOOPEN' },
+      ],
+    });
+
+    const condor = chain.ironCondor({ expiration: EXPIRATION, strikes: [390, 400, 400, 410], quantity: 2, open: false }).toJSON();
+    expect(condor.OrderType).toBe('Market');
+    expect(condor.Legs.map(leg => [leg.Symbol, leg.Quantity, leg.TradeAction])).toEqual([
+      ['MSFT 240119P390', '2', 'BUYTOCLOSE'],
+      ['MSFT 240119P400', '2', 'SELLTOCLOSE'],
+      ['MSFT 240119C400', '2', 'SELLTOCLOSE'],
+      ['MSFT 240119C410', '2', 'BUYTOCLOSE'],
+    ]);
+    expect(chain.netPrice([{ expiration: EXPIRATION, strike: 400, side: 'Call', ratio: 1 }, { expiration: EXPIRATION, strike: 410, side: 'Call', ratio: -1 }])).toBe(0);
+    expect(() => chain.straddle({ expiration: EXPIRATION, strike: 420 })).toThrow(ValidationError);
+  });
+});
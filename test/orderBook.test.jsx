@@ -0,0 +1,131 @@
+import { EventEmitter } from 'events';
+import { describe, expect, it, vi } from 'vitest';
+import { OrderBook } from '../orderBook';
+
+/**
+ * @param {number} price - The price.
+ * @param {number} size - The total size; 0 removes the level.
+ * @returns {Object} - An `AggregatedBid` or `AggregatedAsk` of `streamMarketDepthAggregates`.
+ */
+function aggregate(price, size) {
+  return { Price: String(price), TotalSize: String(size), TotalOrderCount: 1, NumParticipants: 1 };
+}
+
+/**
+ * @param {string} name - The participant.
+ * @param {number} price - The price.
+ * @param {number} size - The size; 0 removes the quote.
+ * @returns {Object} - A `BidQuote` or `AskQuote` of `streamMarketDepthQuotes`.
+ */
+function participantQuote(name, price, size) {
+  return { Name: name, Price: String(price), Size: String(size), OrderCount: 1, TimeStamp: '2024-01-02T15:00:00Z' };
+}
+
+/**
+ * @param {OrderBook} book - An order book.
+ * @returns {{bids: Array<Array<number>>, asks: Array<Array<number>>}} - The price and size of its levels, best first.
+ */
+function levelsOf(book) {
+  const pairs = levels => levels.map(({ price, size }) => [price, size]);
+  return { bids: pairs(book.bids), asks: pairs(book.asks) };
+}
+
+describe('OrderBook', () => {
+  it('replaces the sides a message contains by default', () => {
+    const book = new OrderBook();
+
+    book.update({ Bids: [aggregate(99.9, 300), aggregate(100, 200)], Asks: [aggregate(100.2, 100), aggregate(100.1, 400)] });
+    book.update({ Bids: [aggregate(99.8, 500)] });
+
+    expect(levelsOf(book)).toEqual({ bids: [[99.8, 500]], asks: [[100.1, 400], [100.2, 100]] });
+    expect(book.spread).toBeCloseTo(0.3, 10);
+    expect(book.midPrice).toBeCloseTo(99.95, 10);
+  });
+
+  it('applies each quote as a change with snapshot: false', () => {
+    const book = new OrderBook({ snapshot: false });
+
+    book.update({ Bids: [aggregate(100, 200), aggregate(99.9, 300)], Asks: [aggregate(100.1, 400)] });
+    book.update({ Bids: [aggregate(100, 0), aggregate(99.8, 500)] });
+    book.update({ Bids: [aggregate(99.9, 350)] });
+
+    expect(levelsOf(book)).toEqual({ bids: [[99.9, 350], [99.8, 500]], asks: [[100.1, 400]] });
+  });
+
+  it('removes the levels a quote crosses with snapshot: false', () => {
+    const book = new OrderBook({ snapshot: false });
+    book.update({ Bids: [aggregate(100, 200), aggregate(99.9, 300)], Asks: [aggregate(100.1, 400), aggregate(100.2, 100)] });
+
+    book.update({ Bids: [aggregate(100.1, 50)] });
+
+    expect(levelsOf(book)).toEqual({ bids: [[100.1, 50], [100, 200], [99.9, 300]], asks: [[100.2, 100]] });
+  });
+
+  it('adds up the quotes of the participants at a price', () => {
+    const book = new OrderBook({ snapshot: false });
+
+    book.update({ Bids: [participantQuote('NSDQ', 100, 200), participantQuote('ARCA', 100, 100), participantQuote('ARCA', 99.9, 300)] });
+    book.update({ Bids: [participantQuote('NSDQ', 100, 0)] });
+
+    expect(book.bestBid).toMatchObject({ price: 100, size: 100, participants: 1, quotes: [expect.objectContaining({ name: 'ARCA' })] });
+    expect(book.participants).toEqual(['ARCA']);
+    expect(book.participant('ARCA').bids.map(({ price, size }) => [price, size])).toEqual([[100, 100], [99.9, 300]]);
+  });
+
+  it('keeps maxLevels levels per side', () => {
+    const book = new OrderBook({ maxLevels: 2 });
+
+    book.update({ Bids: [aggregate(99.8, 1), aggregate(100, 2), aggregate(99.9, 3)], Asks: [aggregate(100.1, 4)] });
+
+    expect(levelsOf(book).bids).toEqual([[100, 2], [99.9, 3]]);
+    expect(book.cumulativeDepth('Bid')).toEqual([
+      { price: 100, size: 2, cumulativeSize: 2 },
+      { price: 99.9, size: 3, cumulativeSize: 5 },
+    ]);
+    expect(book.imbalance(1)).toBeCloseTo(-2 / 6, 10);
+  });
+
+  it('emits the changed levels and the new top of the book', () => {
+    const book = new OrderBook();
+    const changes = [];
+    const tops = [];
+    book.on('change', event => changes.push(event.changes));
+    book.on('top', top => tops.push(top));
+
+    book.update({ Bids: [aggregate(100, 200), aggregate(99.9, 300)], Asks: [aggregate(100.1, 400)] });
+    book.update({ Bids: [aggregate(100, 200), aggregate(99.9, 250)] });
+    book.update({ Bids: [aggregate(100, 200), aggregate(99.9, 250)] });
+
+    expect(changes).toEqual([
+      [
+        { side: 'Bid', price: 100, size: 200, previousSize: 0 },
+        { side: 'Bid', price: 99.9, size: 300, previousSize: 0 },
+        { side: 'Ask', price: 100.1, size: 400, previousSize: 0 },
+      ],
+      [{ side: 'Bid', price: 99.9, size: 250, previousSize: 300 }],
+    ]);
+    expect(tops).toHaveLength(1);
+    expect(tops[0].bid).toMatchObject({ price: 100, size: 200 });
+  });
+
+  it('empties the book when its stream connects again', async () => {
+    const stream = new EventEmitter();
+    const marketData = { streamMarketDepthAggregates: vi.fn(async () => stream) };
+    const book = new OrderBook({ maxLevels: 10, snapshot: false });
+    const changes = [];
+    book.on('change', event => changes.push(event.changes));
+
+    expect(await book.connect(marketData, 'MSFT', { aggregates: true })).toBe(stream);
+    stream.emit('depth', { Bids: [aggregate(100, 200)], Asks: [aggregate(100.1, 400)] });
+    stream.emit('connected');
+
+    expect(marketData.streamMarketDepthAggregates).toHaveBeenCalledWith('MSFT', 10);
+    expect(levelsOf(book)).toEqual({ bids: [], asks: [] });
+    expect(changes[1]).toEqual([
+      { side: 'Bid', price: 100, size: 0, previousSize: 200 },
+      { side: 'Ask', price: 100.1, size: 0, previousSize: 400 },
+    ]);
+    expect(book.spread).toBeNull();
+    expect(book.imbalance()).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, expect, it } from 'vitest';
+import { OrderBuilder, validateGroupOrder, validateOrder } from '../orderBuilder';
+import { Orders } from '../orders';
+import { Enums } from '../enums';
+import { ValidationError } from '../errors';
+import { requestsOf, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+/**
+ * @returns {OrderBuilder} - A builder for a DAY order to buy 10 MSFT, without an order type.
+ */
+function buyMsft() {
+  return new OrderBuilder().account('123456782').symbol('MSFT').quantity(10).buy();
+}
+
+/**
+ * @param {Array<{field: string}>} problems - Problems of a validation.
+ * @returns {Array<string>} - Their fields.
+ */
+function fieldsOf(problems) {
+  return problems.map(({ field }) => field);
+}
+
+describe('OrderBuilder', () => {
+  it('builds an order request with string quantities and prices', () => {
+    expect(buyMsft().stopLimit(101, 101.5).duration(Enums.OrderDuration.GOODTILLCANCEL).build()).toEqual({
+      AccountID: '123456782',
+      Symbol: 'MSFT',
+      Quantity: '10',
+      TradeAction: 'BUY',
+      OrderType: 'StopLimit',
+      StopPrice: '101',
+      LimitPrice: '101.5',
+      TimeInForce: { Duration: 'GTC' },
+      Route: 'Intelligent',
+    });
+  });
+
+  it('drops the prices the new order type does not use', () => {
+    const order = buyMsft().stopLimit(101, 101.5).limit(100).build();
+
+    expect(order).toMatchObject({ OrderType: 'Limit', LimitPrice: '100' });
+    expect(order.StopPrice).toBeUndefined();
+    expect(buyMsft().limit(100).market().build().LimitPrice).toBeUndefined();
+  });
+
+  it('builds multi-leg orders, activation rules and OSOs', () => {
+    const target = buyMsft().sell().limit(110);
+    const stop = buyMsft().sell().stopMarket(95);
+    const order = new OrderBuilder()
+      .account('123456782')
+      .leg('MSFT 240119C400', 1, 'buytoopen')
+      .leg('MSFT 240119C410', 1, 'selltoopen')
+      .limit(2.5)
+      .activationRule({ triggerKey: 'STT', predicate: 'Gt', price: 402, symbol: 'MSFT' })
+      .oso(Enums.OSOType.BRK, target, stop)
+      .build();
+
+    expect(order.Legs.map(leg => leg.TradeAction)).toEqual(['BUYTOOPEN', 'SELLTOOPEN']);
+    expect(order.AdvancedOptions.MarketActivationRules).toEqual([
+      { RuleType: 'Price', Symbol: 'MSFT', Predicate: 'Gt', TriggerKey: 'STT', Price: '402' },
+    ]);
+    expect(order.OSOs).toEqual([{ Type: 'BRK', Orders: [target.toJSON(), stop.toJSON()] }]);
+  });
+
+  it('accepts a trailing StopMarket order without StopPrice', () => {
+    const order = buyMsft().sell().stopMarket().advanced({ TrailingStop: { Percent: '2' } });
+
+    expect(order.validate()).toEqual([]);
+  });
+
+  it('build throws a ValidationError listing every problem', () => {
+    const error = (() => {
+      try {
+        return new OrderBuilder().symbol('MSFT').quantity(0).action('hold').limit('').build();
+      } catch (failure) {
+        return failure;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(fieldsOf(error.fields)).toEqual(['AccountID', 'Quantity', 'TradeAction', 'LimitPrice']);
+    expect(error.message).toContain("Quantity: Quantity must be a positive number, got '0'");
+  });
+
+  it('place validates the order before sending it', async () => {
+    const orders = new Orders(client());
+
+    await expect(buyMsft().limit(-1).place(orders)).rejects.toBeInstanceOf(ValidationError);
+    expect(requestsOf(server, 'PlaceOrder')).toHaveLength(0);
+
+    await buyMsft().market().place(orders);
+    expect(requestsOf(server, 'PlaceOrder')[0].body).toEqual(buyMsft().market().toJSON());
+  });
+
+  it('builds OCO and bracket group orders', () => {
+    const oco = OrderBuilder.oco(buyMsft().limit(98), buyMsft().stopMarket(104));
+
+    expect(oco.Type).toBe('OCO');
+    expect(oco.Orders.map(order => order.OrderType)).toEqual(['Limit', 'StopMarket']);
+    expect(() => OrderBuilder.oco(buyMsft().limit(98))).toThrow(ValidationError);
+    expect(() => OrderBuilder.bracket(buyMsft().sell().limit(110), buyMsft().symbol('AAPL').sell().stopMarket(95)))
+      .toThrow('All orders of a bracket must be for the same symbol');
+  });
+});
+
+describe('validateOrder', () => {
+  it('requires the prices of the order type and rejects the others', () => {
+    const problems = validateOrder(buyMsft().toJSON());
+    expect(fieldsOf(problems)).toEqual(['OrderType']);
+
+    expect(validateOrder({ ...buyMsft().market().toJSON(), LimitPrice: '100' })).toEqual([
+      { field: 'LimitPrice', message: 'LimitPrice is not allowed for Market orders' },
+    ]);
+    expect(validateOrder({ ...buyMsft().toJSON(), OrderType: 'StopLimit', StopPrice: '101' })).toEqual([
+      { field: 'LimitPrice', message: 'LimitPrice is required for StopLimit orders' },
+    ]);
+  });
+
+  it('requires an expiration for GTD and GDP orders only', () => {
+    expect(fieldsOf(validateOrder(buyMsft().market().duration('GTD').toJSON()))).toEqual(['TimeInForce.Expiration']);
+    expect(validateOrder(buyMsft().market().duration('GDP', new Date('2024-01-19T00:00:00Z')).toJSON())).toEqual([]);
+    expect(validateOrder(buyMsft().market().duration('DAY', '2024-01-19').toJSON())).toEqual([
+      { field: 'TimeInForce.Expiration', message: 'Expiration only applies to GTD and GDP orders' },
+    ]);
+    expect(fieldsOf(validateOrder(buyMsft().market().duration('FOREVER').toJSON()))).toEqual(['TimeInForce.Duration']);
+  });
+
+  it('requires exactly one positive trailing stop offset, with a message for each mistake', () => {
+    const trailing = options => validateOrder(buyMsft().sell().stopMarket().advanced({ TrailingStop: options }).toJSON());
+
+    expect(trailing({})).toEqual([
+      { field: 'AdvancedOptions.TrailingStop', message: 'TrailingStop requires Amount or Percent' },
+    ]);
+    expect(trailing({ Amount: '1', Percent: '2' })).toEqual([
+      { field: 'AdvancedOptions.TrailingStop', message: 'TrailingStop requires either Amount or Percent, not both' },
+    ]);
+    expect(trailing({ Amount: '-1' })).toEqual([
+      { field: 'AdvancedOptions.TrailingStop.Amount', message: "Amount must be a positive number, got '-1'" },
+    ]);
+    expect(trailing({ Amount: '0.5' })).toEqual([]);
+  });
+
+  it('checks every leg and activation rule', () => {
+    const order = new OrderBuilder()
+      .account('123456782')
+      .leg('MSFT 240119C400', 1, 'BUYTOOPEN')
+      .leg('', 'two', 'BUYTOOPEN')
+      .market()
+      .activationRule({ triggerKey: 'STT', predicate: 'Gt', price: 402 })
+      .activationRule({ triggerKey: 'XYZ', predicate: 'Gt', price: 402 })
+      .toJSON();
+
+    expect(fieldsOf(validateOrder(order))).toEqual([
+      'Legs[1].Symbol',
+      'Legs[1].Quantity',
+      'AdvancedOptions.MarketActivationRules[1].TriggerKey',
+      'AdvancedOptions.MarketActivationRules[1].LogicOperator',
+    ]);
+  });
+
+  it('reports the problems of OSOs with their path', () => {
+    const order = buyMsft().market().oso('BRK', buyMsft().sell().limit(110), buyMsft().sell()).toJSON();
+
+    expect(fieldsOf(validateOrder(order))).toEqual(['OSOs[0].Orders[1].OrderType']);
+  });
+});
+
+describe('validateGroupOrder', () => {
+  it('checks the type, the number of orders and each order', () => {
+    expect(fieldsOf(validateGroupOrder({ Type: 'ALL', Orders: [] }))).toEqual(['Type', 'Orders']);
+    expect(validateGroupOrder({ Type: 'BRK', Orders: [buyMsft().limit(98).toJSON()] })).toEqual([
+      { field: 'Orders', message: 'BRK orders require at least two orders' },
+    ]);
+    expect(fieldsOf(validateGroupOrder({ Type: 'NORMAL', Orders: [buyMsft().toJSON()] }))).toEqual(['Orders[0].OrderType']);
+  });
+});
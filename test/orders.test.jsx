@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import { CANCELABLE_STATUSES, Orders } from '../orders';
+import { OrderRejectedError } from '../errors';
+import { requestsOf, serveTwoPages, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+/**
+ * @param {Object} [fields] - Fields replacing those of the default order.
+ * @returns {Object} - A market order request.
+ */
+function marketOrder(fields) {
+  return {
+    AccountID: '123456782',
+    Symbol: 'MSFT',
+    Quantity: '10',
+    OrderType: 'Market',
+    TradeAction: 'BUY',
+    TimeInForce: { Duration: 'DAY' },
+    Route: 'Intelligent',
+    ...fields,
+  };
+}
+
+describe('Orders', () => {
+  it('confirmOrder posts the order and resolves to the confirmations', async () => {
+    const confirmations = await new Orders(client()).confirmOrder(marketOrder());
+
+    expect(confirmations).toEqual(server.fixtures.ConfirmOrder.Confirmations);
+    const [request] = requestsOf(server, 'ConfirmOrder');
+    expect(request.path).toBe('/v3/orderexecution/orderconfirm');
+    expect(request.body).toEqual(marketOrder());
+  });
+
+  it('confirmGroupOrder resolves to the Confirmations of the group', async () => {
+    const groupOrder = { Type: 'OCO', Orders: [marketOrder({ OrderType: 'Limit', LimitPrice: '290' }), marketOrder({ OrderType: 'StopMarket', StopPrice: '310' })] };
+    const confirmations = await new Orders(client()).confirmGroupOrder(groupOrder);
+
+    expect(confirmations).toEqual(server.fixtures.ConfirmGroupOrder.Confirmations);
+    expect(requestsOf(server, 'ConfirmGroupOrder')[0].body).toEqual(groupOrder);
+  });
+
+  it('placeGroupOrder posts the group and resolves to the order responses', async () => {
+    const groupOrder = { Type: 'NORMAL', Orders: [marketOrder(), marketOrder({ Symbol: 'AAPL' })] };
+    const responses = await new Orders(client()).placeGroupOrder(groupOrder);
+
+    expect(responses).toEqual(server.fixtures.PlaceGroupOrder.Orders);
+    expect(requestsOf(server, 'PlaceGroupOrder')[0].path).toBe('/v3/orderexecution/ordergroups');
+  });
+
+  it('placeOrder posts the order and resolves to the order responses', async () => {
+    const responses = await new Orders(client()).placeOrder(marketOrder());
+
+    expect(responses).toEqual(server.fixtures.PlaceOrder.Orders);
+    expect(requestsOf(server, 'PlaceOrder')[0].body).toEqual(marketOrder());
+  });
+
+  it('placeOrder rejects with an OrderRejectedError when every order is rejected', async () => {
+    const errors = [{ OrderID: '0', Error: 'FAILED', Message: 'Insufficient buying power' }];
+    server.setFixture('PlaceOrder', { Orders: [], Errors: errors });
+
+    const error = await new Orders(client()).placeOrder(marketOrder()).catch(failure => failure);
+    expect(error).toBeInstanceOf(OrderRejectedError);
+    expect(error.message).toBe('Insufficient buying power');
+    expect(error.errors).toEqual(errors);
+  });
+
+  it('placeOrder rejects with an OrderRejectedError when the API answers 400', async () => {
+    server.fail('PlaceOrder', 400, { body: { Error: 'BadRequest', Message: 'Invalid symbol' } });
+
+    await expect(new Orders(client()).placeOrder(marketOrder())).rejects.toBeInstanceOf(OrderRejectedError);
+  });
+
+  it('replaceOrder puts the replacement and resolves to the order response', async () => {
+    const response = await new Orders(client()).replaceOrder('123456789', { Quantity: '5' });
+
+    expect(response).toEqual(server.fixtures.ReplaceOrder);
+    const [request] = requestsOf(server, 'ReplaceOrder');
+    expect(request.method).toBe('PUT');
+    expect(request.path).toBe('/v3/orderexecution/orders/123456789');
+    expect(request.body).toEqual({ Quantity: '5' });
+  });
+
+  it('cancelOrder deletes the order and resolves to the order response', async () => {
+    const response = await new Orders(client()).cancelOrder('123456789');
+
+    expect(response).toEqual(server.fixtures.CancelOrder);
+    const [request] = requestsOf(server, 'CancelOrder');
+    expect(request.method).toBe('DELETE');
+    expect(request.path).toBe('/v3/orderexecution/orders/123456789');
+  });
+
+  it('cancelAllOrders cancels the open orders of every page and reports each failure', async () => {
+    serveTwoPages(server, 'GetOrders');
+    server.fail('CancelOrder', 500, { times: 1 });
+    const openOrders = server.fixtures.GetOrders.Orders.filter(order => CANCELABLE_STATUSES.includes(order.Status));
+
+    const results = await new Orders(client()).cancelAllOrders('123456782');
+
+    expect(results.map(result => result.OrderID)).toEqual(openOrders.map(order => order.OrderID));
+    expect(results.filter(result => !result.success)).toHaveLength(1);
+    expect(requestsOf(server, 'GetOrders')).toHaveLength(2);
+  });
+
+  it('cancelAllOrders only cancels the orders with a leg in the symbol', async () => {
+    serveTwoPages(server, 'GetOrders');
+
+    expect(await new Orders(client()).cancelAllOrders('123456782', { symbol: 'AAPL' })).toEqual([]);
+    expect(requestsOf(server, 'CancelOrder')).toHaveLength(0);
+  });
+
+  it('flatten cancels the open orders, then closes each position with a DAY market order', async () => {
+    serveTwoPages(server, 'GetOrders');
+    const [position] = server.fixtures.GetPositions.Positions;
+    server.setFixture('GetPositions', { Positions: [position, { ...position, Symbol: 'BTCUSD', AssetType: 'CRYPTO', Quantity: '0.5' }], Errors: [] });
+
+    // The spec does not list CRYPTO among position asset types, so responses are not validated here.
+    const { cancellations, closings } = await new Orders(client({ validation: null })).flatten('123456782');
+
+    expect(cancellations.every(result => result.success)).toBe(true);
+    expect(closings.map(({ Symbol, success }) => ({ Symbol, success }))).toEqual([
+      { Symbol: 'MSFT', success: true },
+      { Symbol: 'BTCUSD', success: true },
+    ]);
+    expect(requestsOf(server, 'PlaceOrder').map(request => request.body)).toEqual([
+      marketOrder({ TradeAction: 'SELL' }),
+      marketOrder({ Symbol: 'BTCUSD', Quantity: '0.5', TradeAction: 'SELL' }),
+    ]);
+  });
+
+  it('getActivationTriggers resolves to the activation triggers', async () => {
+    expect(await new Orders(client()).getActivationTriggers()).toEqual(server.fixtures.GetActivationTriggers.ActivationTriggers);
+  });
+
+  it('getRoutes resolves to the routes', async () => {
+    expect(await new Orders(client()).getRoutes()).toEqual(server.fixtures.Routes.Routes);
+  });
+});
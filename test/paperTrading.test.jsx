@@ -0,0 +1,220 @@
+import { describe, expect, it } from 'vitest';
+import { PaperBroker } from '../paperTrading';
+import { OrderRejectedError } from '../errors';
+
+/**
+ * @param {string} date - The date of the bar, `YYYY-MM-DD`.
+ * @param {Array<number>} prices - Its open, high, low and close.
+ * @returns {Object} - A daily bar with the prices as strings, the way the API sends them.
+ */
+function dailyBar(date, [open, high, low, close]) {
+  return { TimeStamp: `${date}T21:00:00Z`, Open: String(open), High: String(high), Low: String(low), Close: String(close) };
+}
+
+/**
+ * @param {Object} [fields] - Fields replacing those of the default order.
+ * @returns {Object} - A DAY market order request to buy 10 MSFT.
+ */
+function order(fields) {
+  return {
+    AccountID: 'SIM0000001',
+    Symbol: 'MSFT',
+    Quantity: '10',
+    OrderType: 'Market',
+    TradeAction: 'BUY',
+    TimeInForce: { Duration: 'DAY' },
+    Route: 'Intelligent',
+    ...fields,
+  };
+}
+
+/**
+ * @param {PaperBroker} broker - The broker.
+ * @param {Object} request - The order request.
+ * @returns {Promise<string>} - Promise resolving to the OrderID.
+ */
+async function place(broker, request) {
+  const [response] = await broker.orders.placeOrder(request);
+  return response.OrderID;
+}
+
+/**
+ * @param {PaperBroker} broker - The broker.
+ * @param {string} orderID - An OrderID.
+ * @returns {Object} - The order in the shape returned by `getOrders`.
+ */
+function orderOf(broker, orderID) {
+  return broker.toOrder(broker.recordOf(orderID));
+}
+
+/**
+ * @returns {PaperBroker} - A broker whose last MSFT prices are the daily bar of 2024-01-02.
+ */
+function brokerAfterFirstBar() {
+  return new PaperBroker().replayBar('MSFT', dailyBar('2024-01-02', [100, 102, 99, 101]));
+}
+
+describe('PaperBroker', () => {
+  describe('against bars', () => {
+    it('fills a DAY market order placed between daily bars at the open of the next bar', async () => {
+      const broker = brokerAfterFirstBar();
+      const id = await place(broker, order());
+
+      expect(orderOf(broker, id).Status).toBe('ACK');
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [103, 105, 102, 104]));
+
+      expect(orderOf(broker, id)).toMatchObject({ Status: 'FLL', FilledPrice: '103' });
+      expect((await broker.accounts.getPositions('SIM0000001'))[0]).toMatchObject({ Symbol: 'MSFT', Quantity: '10' });
+    });
+
+    it('fills limit orders at their price, or at the open when the bar gaps through it', async () => {
+      const broker = brokerAfterFirstBar();
+      const inside = await place(broker, order({ OrderType: 'Limit', LimitPrice: '98', TimeInForce: { Duration: 'GTC' } }));
+      const gapped = await place(broker, order({ OrderType: 'Limit', LimitPrice: '99', TradeAction: 'SELL', Quantity: '5' }));
+      const missed = await place(broker, order({ OrderType: 'Limit', LimitPrice: '90', TimeInForce: { Duration: 'GTC' } }));
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [100, 101, 97, 99]));
+
+      expect(orderOf(broker, inside)).toMatchObject({ Status: 'FLL', FilledPrice: '98' });
+      expect(orderOf(broker, gapped)).toMatchObject({ Status: 'FLL', FilledPrice: '100' });
+      expect(orderOf(broker, missed).Status).toBe('ACK');
+    });
+
+    it('triggers stop orders at their stop, or at the open when the bar gaps through it', async () => {
+      const broker = brokerAfterFirstBar();
+      const stop = await place(broker, order({ OrderType: 'StopMarket', StopPrice: '104' }));
+      const gapped = await place(broker, order({ OrderType: 'StopMarket', StopPrice: '102', Quantity: '5' }));
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [103, 106, 102, 105]));
+
+      expect(orderOf(broker, stop)).toMatchObject({ Status: 'FLL', FilledPrice: '104' });
+      expect(orderOf(broker, gapped)).toMatchObject({ Status: 'FLL', FilledPrice: '103' });
+    });
+
+    it('works a stop limit order as a limit order once its stop is hit', async () => {
+      const broker = brokerAfterFirstBar();
+      const id = await place(broker, order({
+        OrderType: 'StopLimit', StopPrice: '104', LimitPrice: '104.5', TimeInForce: { Duration: 'GTC' },
+      }));
+
+      // Opens above the limit, so the stop is hit but the order cannot fill.
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [106, 107, 105, 106]));
+      expect(orderOf(broker, id).Status).toBe('STP');
+
+      broker.replayBar('MSFT', dailyBar('2024-01-04', [106, 106, 104, 105]));
+      expect(orderOf(broker, id)).toMatchObject({ Status: 'FLL', FilledPrice: '104.5' });
+    });
+
+    it('cancels the other orders of an OCO group once one fills', async () => {
+      const broker = brokerAfterFirstBar();
+      const [buy, sell] = await broker.orders.placeGroupOrder({
+        Type: 'OCO',
+        Orders: [
+          order({ OrderType: 'Limit', LimitPrice: '98' }),
+          order({ OrderType: 'Limit', LimitPrice: '110', TradeAction: 'SELLSHORT' }),
+        ],
+      });
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [100, 101, 97, 99]));
+
+      expect(orderOf(broker, buy.OrderID).Status).toBe('FLL');
+      expect(orderOf(broker, sell.OrderID).Status).toBe('CAN');
+    });
+
+    it('activates a bracket after its entry fills and exits at the stop when both exits are inside one bar', async () => {
+      const broker = brokerAfterFirstBar();
+      const entry = await place(broker, order({
+        OSOs: [{
+          Type: 'BRK',
+          Orders: [
+            order({ OrderType: 'Limit', LimitPrice: '110', TradeAction: 'SELL', TimeInForce: { Duration: 'GTC' } }),
+            order({ OrderType: 'StopMarket', StopPrice: '95', TradeAction: 'SELL', TimeInForce: { Duration: 'GTC' } }),
+          ],
+        }],
+      }));
+      const [target, stop] = broker.recordOf(entry).children;
+      expect(orderOf(broker, target).Status).toBe('OSO');
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [100, 104, 99, 103]));
+      expect(orderOf(broker, entry)).toMatchObject({ Status: 'FLL', FilledPrice: '100' });
+      expect(orderOf(broker, target).Status).toBe('ACK');
+      expect(orderOf(broker, stop).Status).toBe('ACK');
+
+      broker.replayBar('MSFT', dailyBar('2024-01-04', [100, 111, 94, 105]));
+      expect(orderOf(broker, stop)).toMatchObject({ Status: 'FLL', FilledPrice: '95' });
+      expect(orderOf(broker, target).Status).toBe('BRC');
+      expect(await broker.accounts.getPositions('SIM0000001')).toEqual([]);
+    });
+
+    it('expires DAY orders after the day of the first bar they were matched against, and keeps GTC orders', async () => {
+      const broker = brokerAfterFirstBar();
+      const day = await place(broker, order({ OrderType: 'Limit', LimitPrice: '90' }));
+      const gtc = await place(broker, order({ OrderType: 'Limit', LimitPrice: '90', TimeInForce: { Duration: 'GTC' } }));
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [100, 101, 97, 99]));
+      expect(orderOf(broker, day).Status).toBe('ACK');
+
+      broker.replayBar('MSFT', dailyBar('2024-01-04', [89, 91, 88, 90]));
+      expect(orderOf(broker, day).Status).toBe('EXP');
+      expect(orderOf(broker, gtc)).toMatchObject({ Status: 'FLL', FilledPrice: '89' });
+    });
+
+    it('expires GTD orders after their expiration date', async () => {
+      const broker = brokerAfterFirstBar();
+      const id = await place(broker, order({ OrderType: 'Limit', LimitPrice: '90', TimeInForce: { Duration: 'GTD', Expiration: '2024-01-03' } }));
+
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [100, 101, 97, 99]));
+      expect(orderOf(broker, id).Status).toBe('ACK');
+
+      broker.replayBar('MSFT', dailyBar('2024-01-04', [89, 91, 88, 90]));
+      expect(orderOf(broker, id).Status).toBe('EXP');
+    });
+  });
+
+  describe('against quotes', () => {
+    it('fills buys at the ask and sells at the bid, and limit orders once the quote reaches them', async () => {
+      const broker = new PaperBroker().updateQuote({ Symbol: 'MSFT', Bid: '99.9', Ask: '100.1', Last: '100', TradeTime: '2024-01-02T15:00:00Z' });
+      const buy = await place(broker, order());
+      const limit = await place(broker, order({ OrderType: 'Limit', LimitPrice: '101', TradeAction: 'SELL' }));
+
+      expect(orderOf(broker, buy)).toMatchObject({ Status: 'FLL', FilledPrice: '100.1' });
+      expect(orderOf(broker, limit).Status).toBe('ACK');
+
+      broker.updateQuote({ Symbol: 'MSFT', Bid: '101.2', Ask: '101.4', Last: '101.3' });
+      expect(orderOf(broker, limit)).toMatchObject({ Status: 'FLL', FilledPrice: '101.2' });
+    });
+
+    it('expires DAY orders placed on live quotes on the next date', async () => {
+      const broker = new PaperBroker().updateQuote({ Symbol: 'MSFT', Bid: '99.9', Ask: '100.1', TradeTime: '2024-01-02T15:00:00Z' });
+      const id = await place(broker, order({ OrderType: 'Limit', LimitPrice: '95' }));
+
+      broker.updateQuote({ Symbol: 'MSFT', Bid: '94', Ask: '94.2', TradeTime: '2024-01-03T14:30:00Z' });
+
+      expect(orderOf(broker, id).Status).toBe('EXP');
+    });
+
+    it('rejects orders that exceed the buying power', async () => {
+      const broker = new PaperBroker({ cash: 500 }).updateQuote({ Symbol: 'MSFT', Bid: '99.9', Ask: '100.1' });
+
+      const id = await place(broker, order());
+
+      expect(orderOf(broker, id)).toMatchObject({ Status: 'REJ', RejectReason: expect.stringContaining('Insufficient buying power') });
+      await expect(broker.orders.placeOrder(order({ AccountID: 'OTHER' }))).rejects.toThrow(OrderRejectedError);
+    });
+  });
+
+  describe('accounts', () => {
+    it('getAllHistoricalOrders returns simulated orders older than the 90 days the API keeps', async () => {
+      const broker = brokerAfterFirstBar();
+      const filled = await place(broker, order());
+      broker.replayBar('MSFT', dailyBar('2024-01-03', [103, 105, 102, 104]));
+      const open = await place(broker, order({ OrderType: 'Limit', LimitPrice: '90', TimeInForce: { Duration: 'GTC' } }));
+      broker.replayBar('MSFT', dailyBar('2024-01-04', [103, 105, 102, 104]));
+
+      const { Orders: orders } = await broker.accounts.getAllHistoricalOrders('SIM0000001', '2023-01-01');
+
+      expect(orders.map(({ OrderID }) => OrderID)).toEqual([filled]);
+      expect((await broker.accounts.getAllOrders('SIM0000001')).map(({ OrderID }) => OrderID)).toEqual([open]);
+    });
+  });
+});
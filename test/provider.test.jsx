@@ -0,0 +1,116 @@
+// @vitest-environment jsdom
+import { createHash } from 'crypto';
+import React from 'react';
+import { act, cleanup, render, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AuthStatus, TradeStationProvider } from '../provider';
+import { useTradeStation } from '../hooks';
+import { TokenManager } from '../auth';
+import { Accounts } from '../accounts';
+
+const LOGIN_KEY = 'tradestation.login';
+
+/**
+ * Renders a provider and returns the latest value of its context.
+ * @param {Object} [props] - Props of the provider besides `clientId`.
+ * @returns {{current: Object}} - Holder of the context value.
+ */
+function renderProvider(props) {
+  const context = { current: null };
+  function Consumer() {
+    context.current = useTradeStation();
+    return null;
+  }
+  render(<TradeStationProvider clientId="CLIENT_ID" redirectUri="http://localhost:3000/" {...props}><Consumer /></TradeStationProvider>);
+  return context;
+}
+
+/**
+ * Puts the browser on the page the sign-in service redirects back to.
+ * @param {string} search - The query string of the redirect.
+ */
+function redirectTo(search) {
+  window.history.replaceState(null, '', `/${search}`);
+}
+
+describe('TradeStationProvider', () => {
+  beforeEach(() => {
+    vi.spyOn(Accounts.prototype, 'getAccounts').mockResolvedValue([{ AccountID: '123456782' }]);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    window.sessionStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('exchanges the code of a redirect whose state matches, with the stored PKCE verifier', async () => {
+    const exchangeCode = vi.spyOn(TokenManager.prototype, 'exchangeCode').mockResolvedValue({});
+    window.sessionStorage.setItem(LOGIN_KEY, JSON.stringify({ state: 'STATE', codeVerifier: 'VERIFIER' }));
+    redirectTo('?code=CODE&state=STATE&tab=positions');
+
+    const context = renderProvider();
+
+    await waitFor(() => expect(context.current.status).toBe(AuthStatus.SIGNED_IN));
+    expect(exchangeCode).toHaveBeenCalledWith('CODE', 'VERIFIER');
+    expect(window.location.search).toBe('?tab=positions');
+    expect(window.sessionStorage.getItem(LOGIN_KEY)).toBeNull();
+    await waitFor(() => expect(context.current.selectedAccount).toEqual({ AccountID: '123456782' }));
+  });
+
+  it('fails a redirect whose state does not match the stored one, without exchanging the code', async () => {
+    const exchangeCode = vi.spyOn(TokenManager.prototype, 'exchangeCode').mockResolvedValue({});
+    const onError = vi.fn();
+    window.sessionStorage.setItem(LOGIN_KEY, JSON.stringify({ state: 'STATE', codeVerifier: 'VERIFIER' }));
+    redirectTo('?code=CODE&state=FORGED');
+
+    const context = renderProvider({ onError });
+
+    await waitFor(() => expect(context.current.status).toBe(AuthStatus.ERROR));
+    expect(context.current.error.message).toMatch(/state .* does not match/);
+    expect(onError).toHaveBeenCalledWith(context.current.error);
+    expect(exchangeCode).not.toHaveBeenCalled();
+    expect(window.location.search).toBe('');
+    expect(window.sessionStorage.getItem(LOGIN_KEY)).toBeNull();
+  });
+
+  it('fails a redirect without a login in progress, and one the user denied', async () => {
+    redirectTo('?code=CODE&state=STATE');
+    const context = renderProvider();
+    await waitFor(() => expect(context.current.status).toBe(AuthStatus.ERROR));
+    cleanup();
+
+    redirectTo('?error=access_denied&error_description=User%20cancelled');
+    const denied = renderProvider();
+    await waitFor(() => expect(denied.current.status).toBe(AuthStatus.ERROR));
+    expect(denied.current.error.message).toBe('Sign-in failed: User cancelled');
+  });
+
+  it('login stores a random state and PKCE verifier and sends the S256 challenge of the verifier', async () => {
+    const authorize = vi.spyOn(TokenManager.prototype, 'getAuthorizationUrl').mockReturnValue('#signin');
+    const context = renderProvider();
+    await waitFor(() => expect(context.current.status).toBe(AuthStatus.SIGNED_OUT));
+
+    await act(() => context.current.login());
+
+    const { state, codeVerifier } = JSON.parse(window.sessionStorage.getItem(LOGIN_KEY));
+    expect(state).toMatch(/^[\w-]{22}$/);
+    expect(codeVerifier).toMatch(/^[\w-]{43}$/);
+    const [, sentState, challenge] = authorize.mock.calls[0];
+    expect(sentState).toBe(state);
+    expect(challenge).toBe(createHash('sha256').update(codeVerifier).digest('base64url'));
+    expect(window.location.hash).toBe('#signin');
+  });
+
+  it('login sends no PKCE challenge with a client secret', async () => {
+    const authorize = vi.spyOn(TokenManager.prototype, 'getAuthorizationUrl').mockReturnValue('#signin');
+    const context = renderProvider({ clientSecret: 'SECRET' });
+    await waitFor(() => expect(context.current.status).toBe(AuthStatus.SIGNED_OUT));
+
+    await act(() => context.current.login());
+
+    expect(JSON.parse(window.sessionStorage.getItem(LOGIN_KEY)).codeVerifier).toBeNull();
+    expect(authorize.mock.calls[0][2]).toBeUndefined();
+  });
+});
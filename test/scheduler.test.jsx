@@ -0,0 +1,142 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RequestScheduler, resourceFor } from '../scheduler';
+import { NetworkError, RateLimitError, ServerError, ValidationError } from '../errors';
+
+/**
+ * @param {Array<*>} outcomes - Errors to reject with or values to resolve to, one per call; the last one repeats.
+ * @returns {Function} - A mock task.
+ */
+function taskOf(...outcomes) {
+  let calls = 0;
+  return vi.fn(async () => {
+    const outcome = outcomes[Math.min(calls, outcomes.length - 1)];
+    calls += 1;
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  });
+}
+
+describe('resourceFor', () => {
+  it('maps request paths to the quota they count against', () => {
+    expect(resourceFor('/v3/brokerage/accounts')).toBe('accounts');
+    expect(resourceFor('/v3/brokerage/accounts/123/bodbalances')).toBe('balances');
+    expect(resourceFor('/v3/brokerage/accounts/123/historicalorders?since=2024-01-02')).toBe('orders');
+    expect(resourceFor('/v3/brokerage/stream/accounts/123/orders')).toBe('streambrokerage');
+    expect(resourceFor('/v3/marketdata/stream/barcharts/MSFT')).toBe('streambarcharts');
+    expect(resourceFor('/v3/marketdata/symbollists')).toBe('symbols');
+    expect(resourceFor('/v3/orderexecution/routes')).toBe('default');
+  });
+});
+
+describe('RequestScheduler', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('queues requests beyond the quota until the oldest leaves the window', async () => {
+    const scheduler = new RequestScheduler({ quotas: { quotes: { limit: 2, interval: 1000 } } });
+    const task = taskOf('ok');
+
+    const results = Promise.all([1, 2, 3].map(() => scheduler.schedule('quotes', task)));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.pending()).toEqual({ quotes: 1 });
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(await results).toEqual(['ok', 'ok', 'ok']);
+  });
+
+  it('does not limit resources without a quota', async () => {
+    const scheduler = new RequestScheduler();
+    const task = taskOf('ok');
+
+    await Promise.all(Array.from({ length: 50 }, () => scheduler.schedule('default', task)));
+
+    expect(task).toHaveBeenCalledTimes(50);
+  });
+
+  it('pauses every request to a resource for the Retry-After period of a 429', async () => {
+    const scheduler = new RequestScheduler();
+    const limited = taskOf(new RateLimitError('Too Many Requests', { status: 429, retryAfter: 5 }), 'retried');
+    const other = taskOf('other');
+
+    const first = scheduler.schedule('quotes', limited, { retry: true });
+    await vi.advanceTimersByTimeAsync(0);
+    const second = scheduler.schedule('quotes', other);
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(limited).toHaveBeenCalledTimes(1);
+    expect(other).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await first).toBe('retried');
+    expect(await second).toBe('other');
+  });
+
+  it('pauses the resource after a 429 even when the request is not retried', async () => {
+    const scheduler = new RequestScheduler();
+    const failure = new RateLimitError('Too Many Requests', { status: 429, retryAfter: 2 });
+
+    await expect(scheduler.schedule('orders', taskOf(failure))).rejects.toBe(failure);
+    const next = taskOf('placed');
+    const placing = scheduler.schedule('orders', next);
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(next).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await placing).toBe('placed');
+  });
+
+  it('retries retryable failures with exponential backoff, up to maxRetries', async () => {
+    const scheduler = new RequestScheduler({ maxRetries: 2, baseDelay: 100 });
+    const failure = new NetworkError('socket hang up');
+    const task = taskOf(failure);
+
+    const result = expect(scheduler.schedule('quotes', task, { retry: true })).rejects.toBe(failure);
+    await vi.advanceTimersByTimeAsync(99);
+    expect(task).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(200);
+    expect(task).toHaveBeenCalledTimes(3);
+    await result;
+  });
+
+  it('never retries requests scheduled without retry, nor failures that cannot succeed later', async () => {
+    const scheduler = new RequestScheduler();
+    const serverError = taskOf(new ServerError('Service Unavailable', { status: 503 }));
+    const invalid = taskOf(new ValidationError('Invalid Symbol', { status: 400 }));
+
+    await expect(scheduler.schedule('orders', serverError)).rejects.toBeInstanceOf(ServerError);
+    await expect(scheduler.schedule('quotes', invalid, { retry: true })).rejects.toBeInstanceOf(ValidationError);
+
+    expect(serverError).toHaveBeenCalledTimes(1);
+    expect(invalid).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks a retry predicate about each failure', async () => {
+    const scheduler = new RequestScheduler({ baseDelay: 100 });
+    const unavailable = new ServerError('Service Unavailable', { status: 503 });
+    const failed = new ServerError('Internal Server Error', { status: 500 });
+    const task = taskOf(unavailable, failed);
+    const retry = vi.fn(error => error.status === 503);
+
+    const result = expect(scheduler.schedule('orders', task, { retry })).rejects.toBe(failed);
+    await vi.advanceTimersByTimeAsync(100);
+    await result;
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(retry.mock.calls).toEqual([[unavailable], [failed]]);
+  });
+});
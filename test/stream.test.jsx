@@ -0,0 +1,218 @@
+import { PassThrough } from 'stream';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { StreamParser, TradeStationStream } from '../stream';
+import { AuthenticationError, NetworkError, StreamError } from '../errors';
+
+/**
+ * Opens Node readable streams as response bodies, one per connection.
+ * @param {Array<Error>} [failures] - Errors the connections after the first fail with, in order.
+ * @returns {{open: Function, bodies: Array<PassThrough>}} - The `open` function of a stream and the bodies it opened.
+ */
+function connections(failures = []) {
+  const bodies = [];
+  const open = vi.fn(() => {
+    if (bodies.length && failures.length) {
+      return Promise.reject(failures.shift());
+    }
+    const body = new PassThrough();
+    bodies.push(body);
+    return Promise.resolve({ data: body });
+  });
+  return { open, bodies };
+}
+
+/**
+ * @param {TradeStationStream} stream - A stream.
+ * @returns {Array<string>} - The names of the events it emits from now on, in order.
+ */
+function recordEvents(stream) {
+  const events = [];
+  ['connected', 'reconnecting', 'end', 'closed'].forEach(event => stream.on(event, () => events.push(event)));
+  return events;
+}
+
+describe('StreamParser', () => {
+  it('keeps a message split across chunks until it is complete', () => {
+    const parser = new StreamParser();
+
+    expect(parser.push('{"Symbol":"MSFT","Last":"4')).toEqual([]);
+    expect(parser.push('20.5"}\n{"Heartbeat":1,')).toEqual([{ Symbol: 'MSFT', Last: '420.5' }]);
+    expect(parser.push('"Timestamp":"2024-01-02T15:00:00Z"}\n')).toEqual([{ Heartbeat: 1, Timestamp: '2024-01-02T15:00:00Z' }]);
+  });
+
+  it('ignores braces and escaped quotes inside strings', () => {
+    const parser = new StreamParser();
+
+    expect(parser.push('{"Message":"a \\"{quoted}\\" brace }"}{"Symbol":"A"}')).toEqual([
+      { Message: 'a "{quoted}" brace }' },
+      { Symbol: 'A' },
+    ]);
+  });
+
+  it('decodes multi-byte characters split across binary chunks', () => {
+    const parser = new StreamParser();
+    const bytes = new TextEncoder().encode('{"Description":"Société"}');
+
+    expect(parser.push(bytes.slice(0, 20))).toEqual([]);
+    expect(parser.push(bytes.slice(20))).toEqual([{ Description: 'Société' }]);
+  });
+
+  it('skips text between messages, such as the END marker', () => {
+    expect(new StreamParser().push('{"Symbol":"A"}\nEND\n{"Symbol":"B"}')).toEqual([{ Symbol: 'A' }, { Symbol: 'B' }]);
+  });
+
+  it('reports a malformed message and returns the others of the chunk', () => {
+    const onError = vi.fn();
+    const parser = new StreamParser({ onError });
+
+    expect(parser.push('{"Symbol":"A"}{"Symbol":B}{"Symbol":"C"}')).toEqual([{ Symbol: 'A' }, { Symbol: 'C' }]);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(SyntaxError);
+    expect(parser.push('{"Symbol":"D"}')).toEqual([{ Symbol: 'D' }]);
+  });
+});
+
+describe('TradeStationStream', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reconnects when neither data nor a heartbeat arrives within heartbeatTimeout', async () => {
+    const { open, bodies } = connections();
+    const stream = await new TradeStationStream(open, { heartbeatTimeout: 1000, reconnectDelay: 100 }).connect();
+    const reasons = [];
+    stream.on('reconnecting', ({ reason }) => reasons.push(reason));
+
+    await vi.advanceTimersByTimeAsync(900);
+    bodies[0].write('{"Heartbeat":1}');
+    await vi.advanceTimersByTimeAsync(900);
+    expect(reasons).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(reasons).toHaveLength(1);
+    expect(reasons[0]).toBeInstanceOf(NetworkError);
+    expect(bodies[0].destroyed).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(open).toHaveBeenCalledTimes(2);
+    stream.close();
+  });
+
+  it('ends a stalled stream that does not reconnect without throwing when nothing listens for errors', async () => {
+    const { open } = connections();
+    const stream = await new TradeStationStream(open, { heartbeatTimeout: 1000, reconnect: false }).connect();
+    const events = recordEvents(stream);
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(events).toEqual(['end', 'closed']);
+    expect(open).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after maxReconnectAttempts failed attempts in a row and emits the last failure', async () => {
+    const failure = new NetworkError('connect ECONNREFUSED');
+    const { open, bodies } = connections([failure, failure]);
+    const stream = await new TradeStationStream(open, { reconnectDelay: 100, maxReconnectAttempts: 2 }).connect();
+    const events = recordEvents(stream);
+    const errors = [];
+    stream.on('error', error => errors.push(error));
+
+    bodies[0].end();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(open).toHaveBeenCalledTimes(3);
+    expect(events).toEqual(['reconnecting', 'reconnecting', 'closed']);
+    expect(errors).toEqual([failure]);
+  });
+
+  it('gives up without an unhandled rejection when nothing listens for errors', async () => {
+    const unhandled = vi.fn();
+    process.on('unhandledRejection', unhandled);
+    const refused = connections([new NetworkError('connect ECONNREFUSED')]);
+    const unauthorized = connections([new AuthenticationError('Unauthorized')]);
+
+    try {
+      const stream = await new TradeStationStream(refused.open, { reconnectDelay: 100, maxReconnectAttempts: 1 }).connect();
+      refused.bodies[0].end();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(stream.closed).toBe(true);
+
+      // Retrying cannot fix a rejected token, so the stream closes at once.
+      const authStream = await new TradeStationStream(unauthorized.open, { reconnectDelay: 100 }).connect();
+      unauthorized.bodies[0].end();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(authStream.closed).toBe(true);
+
+      await vi.runAllTimersAsync();
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+  });
+
+  it('emits a malformed message as a StreamError and the other messages of the chunk as data', async () => {
+    const { open, bodies } = connections();
+    const stream = await new TradeStationStream(open, { type: 'quote' }).connect();
+    const quotes = [];
+    const errors = [];
+    stream.on('quote', quote => quotes.push(quote));
+    stream.on('error', error => errors.push(error));
+
+    bodies[0].write('{"Symbol":"A"}{"Symbol":B}{"Symbol":"C"}');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(quotes).toEqual([{ Symbol: 'A' }, { Symbol: 'C' }]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(StreamError);
+    expect(errors[0].cause).toBeInstanceOf(SyntaxError);
+    stream.close();
+  });
+
+  it('reconnects when a data listener throws, instead of letting the error escape from the socket', async () => {
+    const { open, bodies } = connections();
+    const stream = await new TradeStationStream(open, { reconnectDelay: 100 }).connect();
+    const reasons = [];
+    stream.on('reconnecting', ({ reason }) => reasons.push(reason));
+    const failure = new Error('listener failed');
+    stream.once('data', () => {
+      throw failure;
+    });
+
+    bodies[0].write('{"Symbol":"MSFT"}');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(reasons).toEqual([failure]);
+    expect(open).toHaveBeenCalledTimes(2);
+    stream.close();
+  });
+
+  it('reconnects when a data listener throws while reading a ReadableStream', async () => {
+    const bodies = [];
+    const open = vi.fn(() => {
+      const body = new ReadableStream({
+        start(controller) {
+          bodies.push(controller);
+        },
+      });
+      return Promise.resolve({ data: body });
+    });
+    const stream = await new TradeStationStream(open, { reconnectDelay: 100 }).connect();
+    const reasons = [];
+    stream.on('reconnecting', ({ reason }) => reasons.push(reason));
+    const failure = new Error('listener failed');
+    stream.once('data', () => {
+      throw failure;
+    });
+
+    bodies[0].enqueue(new TextEncoder().encode('{"Symbol":"MSFT"}'));
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(reasons).toEqual([failure]);
+    expect(open).toHaveBeenCalledTimes(2);
+    stream.close();
+  });
+});
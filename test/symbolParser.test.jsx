@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import {
+  checkSymbols, formatCryptoSymbol, formatFutureSymbol, formatOptionSymbol, parseOptionSymbol, parseSymbol, validateSymbol,
+} from '../symbolParser';
+import { MarketData } from '../marketData';
+import { Orders } from '../orders';
+import { ValidationError } from '../errors';
+import { requestsOf, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+describe('symbolParser', () => {
+  it('parses TradeStation and OCC option symbols into the same option', () => {
+    const option = {
+      type: 'option', symbol: 'MSFT 240119C400', root: 'MSFT', underlying: 'MSFT', expiration: '2024-01-19', right: 'Call', strike: 400,
+    };
+
+    expect(parseOptionSymbol('MSFT 240119C400')).toEqual(option);
+    expect(parseOptionSymbol('MSFT  240119C00400000')).toEqual(option);
+    expect(parseSymbol('spxw 240119p4712.5')).toMatchObject({ root: 'SPXW', underlying: '$SPX.X', right: 'Put', strike: 4712.5 });
+  });
+
+  it('rejects option symbols with an invalid expiration date', () => {
+    expect(() => parseOptionSymbol('MSFT 240230C400')).toThrow(ValidationError);
+  });
+
+  it('formats option symbols, in TradeStation or OCC form', () => {
+    const option = { underlying: 'MSFT', expiration: '2024-01-19', right: 'Put', strike: 382.5 };
+
+    expect(formatOptionSymbol(option)).toBe('MSFT 240119P382.5');
+    expect(formatOptionSymbol(option, { occ: true })).toBe('MSFT  240119P00382500');
+    expect(() => formatOptionSymbol({ ...option, right: 'Straddle' })).toThrow(ValidationError);
+  });
+
+  it('formats the local date of a Date expiration, whatever its UTC date', () => {
+    // Late in the evening west of UTC, and just after midnight east of it, the UTC date differs.
+    const late = new Date(2024, 0, 19, 23, 30);
+    const early = new Date(2024, 0, 19, 0, 30);
+
+    expect(formatOptionSymbol({ underlying: 'MSFT', expiration: late, right: 'C', strike: 400 })).toBe('MSFT 240119C400');
+    expect(formatOptionSymbol({ underlying: 'MSFT', expiration: early, right: 'C', strike: 400 })).toBe('MSFT 240119C400');
+    expect(() => formatOptionSymbol({ underlying: 'MSFT', expiration: new Date(NaN), right: 'C', strike: 400 })).toThrow(ValidationError);
+  });
+
+  it('parses and formats futures, continuous futures and crypto pairs', () => {
+    expect(parseSymbol('ESZ24')).toEqual({ type: 'future', symbol: 'ESZ24', root: 'ES', continuous: false, month: 12, year: 2024, monthCode: 'Z' });
+    expect(parseSymbol('@ES')).toMatchObject({ type: 'future', root: 'ES', continuous: true });
+    expect(formatFutureSymbol({ root: 'cl', month: 3, year: 2025 })).toBe('CLH25');
+    expect(formatFutureSymbol({ root: 'ES', continuous: true })).toBe('@ES');
+    expect(parseSymbol('BTCUSD')).toEqual({ type: 'crypto', symbol: 'BTCUSD', base: 'BTC', quote: 'USD' });
+    expect(formatCryptoSymbol({ base: 'eth' })).toBe('ETHUSD');
+  });
+
+  it('validateSymbol reports malformed symbols and unexpected types', () => {
+    expect(validateSymbol('MSFT')).toEqual([]);
+    expect(parseSymbol('$SPX.X').type).toBe('index');
+    expect(validateSymbol('MSFT 240119X400')).toHaveLength(1);
+    expect(validateSymbol('MSFT', { type: 'option', path: 'Legs[0].Symbol' })).toEqual([
+      { field: 'Legs[0].Symbol', message: "'MSFT' is a stock symbol, expected option" },
+    ]);
+  });
+
+  it('checkSymbols returns the trimmed symbols, or throws every problem', () => {
+    expect(checkSymbols('MSFT, ESZ24')).toEqual(['MSFT', 'ESZ24']);
+
+    const error = (() => {
+      try {
+        return checkSymbols(['MSFT', '1BAD', 'MSFT 241301C400']);
+      } catch (failure) {
+        return failure;
+      }
+    })();
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fields.map(({ field }) => field)).toEqual(['Symbols[1]', 'Symbols[2]']);
+  });
+
+  describe('the checkSymbols client option', () => {
+    it('rejects malformed symbols before requesting symbol details or option quotes', async () => {
+      const marketData = new MarketData(client({ checkSymbols: true }));
+
+      await expect(marketData.getSymbolDetails('MSFT,1BAD')).rejects.toBeInstanceOf(ValidationError);
+      await expect(marketData.streamOptionQuotes('MSFT 240119X400')).rejects.toBeInstanceOf(ValidationError);
+      expect(requestsOf(server, 'GetSymbolDetails')).toHaveLength(0);
+      expect(requestsOf(server, 'GetOptionQuotes')).toHaveLength(0);
+
+      await marketData.getSymbolDetails('MSFT,ESZ24');
+      expect(requestsOf(server, 'GetSymbolDetails')).toHaveLength(1);
+    });
+
+    it('rejects orders with a malformed symbol, including in their OSOs', async () => {
+      const orders = new Orders(client({ checkSymbols: true }));
+      const order = {
+        AccountID: '123456782', Symbol: 'MSFT', Quantity: '10', OrderType: 'Market', TradeAction: 'BUY', TimeInForce: { Duration: 'DAY' }, Route: 'Intelligent',
+      };
+
+      await expect(orders.placeOrder({ ...order, OSOs: [{ Type: 'NORMAL', Orders: [{ ...order, Symbol: 'MSFT 240119C' }] }] }))
+        .rejects.toBeInstanceOf(ValidationError);
+      await expect(orders.placeGroupOrder({ Type: 'OCO', Orders: [order, { ...order, Symbol: '' }] })).rejects.toBeInstanceOf(ValidationError);
+      expect(requestsOf(server, 'PlaceOrder')).toHaveLength(0);
+      expect(requestsOf(server, 'PlaceGroupOrder')).toHaveLength(0);
+    });
+
+    it('is off by default', async () => {
+      await new MarketData(client()).getSymbolDetails('1BAD');
+
+      expect(requestsOf(server, 'GetSymbolDetails')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { Symbols } from '../symbols';
+import { NotFoundError } from '../errors';
+import { requestsOf, useMockServer } from './helpers';
+
+const { server, client } = useMockServer();
+
+describe('Symbols', () => {
+  it('suggestSymbols sends top and filter and resolves to the suggestions', async () => {
+    const response = await new Symbols(client()).suggestSymbols('MSF', 5, "Category eq 'Stock'");
+
+    expect(response.data).toEqual(server.fixtures.suggestsymbols);
+    const [request] = requestsOf(server, 'suggestsymbols');
+    expect(request.path).toBe('/v2/data/symbols/suggest/MSF');
+    expect(request.query).toEqual({ $top: '5', $filter: "Category eq 'Stock'" });
+  });
+
+  it('searchSymbols sends the criteria and resolves to the matches', async () => {
+    const response = await new Symbols(client()).searchSymbols('N=MSFT&C=Stock');
+
+    expect(response.data).toEqual(server.fixtures.searchSymbols);
+    expect(requestsOf(server, 'searchSymbols')[0].path).toBe('/v2/data/symbols/search/N=MSFT&C=Stock');
+  });
+
+  it('searchSymbols rejects with a NotFoundError when the API answers 404', async () => {
+    server.fail('searchSymbols', 404);
+
+    await expect(new Symbols(client()).searchSymbols('N=NOPE')).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview
+ * Type declarations for `validation.jsx`.
+ */
+import type { AxiosRequestConfig } from 'axios';
+import type { FieldProblem } from './errors';
+import type { Logger } from './client';
+
+export declare const ValidationMode: {
+  readonly OFF: 'off';
+  readonly WARN: 'warn';
+  readonly STRICT: 'strict';
+};
+
+export type ValidationMode = typeof ValidationMode[keyof typeof ValidationMode];
+
+export interface SchemaOptions {
+  path?: string;
+  allowUnknown?: boolean;
+}
+
+export declare function validateSchema(value: unknown, schema: object | null, options?: SchemaOptions): FieldProblem[];
+
+export interface Operation {
+  method: string;
+  path: string;
+  operationId: string;
+  stream: boolean;
+  request: object | null;
+  response: object | null;
+}
+
+export declare function findOperation(method: string, url?: string): Operation | undefined;
+
+export interface SchemaValidatorOptions {
+  mode?: ValidationMode;
+  allowUnknown?: boolean;
+  logger?: Logger | null;
+}
+
+export declare class SchemaValidator {
+  constructor(options?: SchemaValidatorOptions);
+  mode: ValidationMode;
+  allowUnknown: boolean;
+  logger: Logger | null;
+  validateRequest(config: AxiosRequestConfig): void;
+  validateResponse(config: AxiosRequestConfig, data: unknown): void;
+  validateMessage(config: AxiosRequestConfig, message: unknown): void;
+}
+
+export declare function resolveValidator(validation: ValidationMode | SchemaValidator | null | undefined, options?: SchemaValidatorOptions): SchemaValidator | null;
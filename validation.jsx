@@ -0,0 +1,376 @@
+/**
+ * @fileoverview
+ * This file contains the implementation of the SchemaValidator class that checks requests,
+ * responses and stream messages against the schemas generated from `openapi.json`.
+ *
+ * @description
+ * # Schema Validation
+ * The validator looks up the operation of a request by method and path and checks the JSON body
+ * before it is sent, the response body once it arrives and every data message of a stream.
+ * Problems are reported per field, e.g. `Orders[0].TimeInForce.Duration`.
+ *
+ * - `off` (default) skips validation.
+ * - `warn` reports problems to the logger and carries on.
+ * - `strict` rejects invalid requests with a `ValidationError` before they are sent, rejects invalid
+ *   responses and emits a `ResponseValidationError` for invalid stream messages, so API drift
+ *   fails loudly in development and tests.
+ *
+ * Run `node scripts/generateSchemas.mjs` after updating `openapi.json`.
+ */
+import { ResponseValidationError, ValidationError } from './errors';
+import { operations, schemas } from './schemas';
+
+/**
+ * Validation modes.
+ * @enum {string}
+ */
+export const ValidationMode = {
+  OFF: 'off',
+  WARN: 'warn',
+  STRICT: 'strict',
+};
+
+/**
+ * @param {*} value - Any JSON value.
+ * @returns {string} - The JSON type of the value.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * @param {string} type - A schema type.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether the value has the type; unknown types always match.
+ */
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  switch (type) {
+    case 'number':
+      return actual === 'number' || actual === 'integer';
+    case 'integer':
+    case 'string':
+    case 'boolean':
+    case 'array':
+    case 'object':
+      return actual === type;
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {string} path - The path of the parent value.
+ * @param {string} property - A property name.
+ * @returns {string}
+ */
+function childPath(path, property) {
+  return path ? `${path}.${property}` : property;
+}
+
+/**
+ * Resolves a `#/components/schemas/<name>` reference.
+ * @param {string} ref - The reference.
+ * @returns {Object} - The referenced schema; an empty schema when it is unknown.
+ */
+function resolveRef(ref) {
+  return schemas[ref.split('/').pop()] || {};
+}
+
+/**
+ * Combines the parts of an `allOf` into one schema, so properties of one part are known to the others.
+ * @param {Array<Object>} parts - The `allOf` schemas.
+ * @returns {Object}
+ */
+function mergeAllOf(parts) {
+  return parts
+    .map(part => (part.$ref ? resolveRef(part.$ref) : part))
+    .map(part => (part.allOf ? mergeAllOf(part.allOf) : part))
+    .reduce((merged, part) => ({
+      ...merged,
+      ...part,
+      properties: part.properties || merged.properties ? { ...merged.properties, ...part.properties } : undefined,
+      required: [...(merged.required || []), ...(part.required || [])],
+    }), {});
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The schema, as generated into `schemas.jsx`.
+ * @param {Object} [options] - Validation options.
+ * @param {string} [options.path=''] - Path of the value, used in the reported field names.
+ * @param {boolean} [options.allowUnknown=true] - Whether properties missing from the schema are accepted.
+ * @returns {Array<{field: string, message: string}>} - The problems found; empty when the value is valid.
+ */
+export function validateSchema(value, schema, { path = '', allowUnknown = true } = {}) {
+  if (!schema) {
+    return [];
+  }
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(schema.$ref), { path, allowUnknown });
+  }
+
+  const field = path || '(root)';
+  const options = { allowUnknown };
+
+  if (schema.allOf) {
+    return validateSchema(value, mergeAllOf(schema.allOf), { path, allowUnknown });
+  }
+  if (schema.anyOf || schema.oneOf) {
+    // Report the closest alternative when none matches.
+    const results = (schema.anyOf || schema.oneOf).map(part => validateSchema(value, part, { path, allowUnknown }));
+    return results.some(problems => !problems.length)
+      ? []
+      : results.reduce((closest, problems) => (problems.length < closest.length ? problems : closest));
+  }
+
+  if (value === null || value === undefined) {
+    return schema.nullable || value === undefined ? [] : [{ field, message: 'must not be null' }];
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [{ field, message: `expected ${schema.type}, got ${typeOf(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `'${value}' is not one of ${schema.enum.join(', ')}` }];
+  }
+
+  const problems = [];
+  const report = message => problems.push({ field, message });
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      report(`'${value}' is not a date-time`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum)) {
+      report(`must be ${schema.exclusiveMinimum === true ? 'greater than' : 'at least'} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum)) {
+      report(`must be ${schema.exclusiveMaximum === true ? 'less than' : 'at most'} ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      report('must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(item, schema.items, { ...options, path: `${path}[${index}]` }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => problems.push({ field: childPath(path, name), message: 'is required' }));
+
+    Object.entries(value).forEach(([name, property]) => {
+      if (properties[name]) {
+        problems.push(...validateSchema(property, properties[name], { ...options, path: childPath(path, name) }));
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(property, schema.additionalProperties, { ...options, path: childPath(path, name) }));
+      } else if (schema.properties && (schema.additionalProperties === false || !allowUnknown)) {
+        problems.push({ field: childPath(path, name), message: 'is not defined in the schema' });
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Operations ordered so that templates with fewer path parameters are tried first.
+ * @type {Array<Object>}
+ */
+const routes = operations
+  .map(operation => ({
+    ...operation,
+    pattern: new RegExp(`^${operation.path.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}/?$`),
+    parameters: (operation.path.match(/\{/g) || []).length,
+  }))
+  .sort((a, b) => a.parameters - b.parameters);
+
+/**
+ * Finds the operation of a request.
+ * @param {string} method - The HTTP method.
+ * @param {string} url - The request path, with or without base URL and query string.
+ * @returns {Object|undefined} - The operation with its `request` and `response` schemas.
+ */
+export function findOperation(method, url = '') {
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+  return routes.find(route => route.method === method.toLowerCase() && route.pattern.test(path));
+}
+
+/**
+ * @param {Object} schema - A response schema.
+ * @returns {Object} - The schema of data messages: the first alternative of a stream message union.
+ */
+function dataMessageSchema(schema) {
+  if (schema && (schema.anyOf || schema.oneOf)) {
+    return (schema.anyOf || schema.oneOf)[0];
+  }
+  return schema;
+}
+
+/**
+ * @param {Array<{field: string, message: string}>} problems - The problems found.
+ * @returns {string}
+ */
+function describe(problems) {
+  return problems.map(problem => `${problem.field} ${problem.message}`).join('; ');
+}
+
+export class SchemaValidator {
+  /**
+   * @param {Object} [options] - Validator options.
+   * @param {string} [options.mode=ValidationMode.STRICT] - One of `ValidationMode`.
+   * @param {boolean} [options.allowUnknown=true] - Whether properties missing from the schema are accepted; set to false to catch new response fields.
+   * @param {{warn: Function}|null} [options.logger=console] - Receives problems in `warn` mode, through `error` when it has no `warn`.
+   */
+  constructor({ mode = ValidationMode.STRICT, allowUnknown = true, logger = console } = {}) {
+    this.mode = mode;
+    this.allowUnknown = allowUnknown;
+    this.logger = logger;
+  }
+
+  /**
+   * Validates the JSON body of an outgoing request.
+   * @param {Object} config - The axios request config.
+   * @throws {ValidationError} - In strict mode, when the body does not match the request schema.
+   */
+  validateRequest(config) {
+    const operation = this.operationFor(config);
+    if (!operation || !operation.request || config.data === undefined) {
+      return;
+    }
+
+    const problems = validateSchema(config.data, operation.request, { allowUnknown: this.allowUnknown });
+    this.handle(problems, () => new ValidationError(`Invalid ${operation.operationId} request: ${describe(problems)}`, {
+      fields: problems,
+      request: this.describeRequest(config),
+    }));
+  }
+
+  /**
+   * Validates the body of a response.
+   * @param {Object} config - The axios request config.
+   * @param {*} data - The response body.
+   * @throws {ResponseValidationError} - In strict mode, when the body does not match the response schema.
+   */
+  validateResponse(config, data) {
+    const operation = this.operationFor(config);
+    if (!operation || !operation.response || operation.stream) {
+      return;
+    }
+
+    const problems = validateSchema(data, operation.response, { allowUnknown: this.allowUnknown });
+    this.handle(problems, () => new ResponseValidationError(`Unexpected ${operation.operationId} response: ${describe(problems)}`, {
+      fields: problems,
+      request: this.describeRequest(config),
+      response: data,
+    }));
+  }
+
+  /**
+   * Validates a data message of a stream.
+   * @param {Object} config - The axios request config of the stream.
+   * @param {Object} message - The data message.
+   * @throws {ResponseValidationError} - In strict mode, when the message does not match the stream schema.
+   */
+  validateMessage(config, message) {
+    const operation = this.operationFor(config);
+    if (!operation || !operation.response) {
+      return;
+    }
+
+    const problems = validateSchema(message, dataMessageSchema(operation.response), { allowUnknown: this.allowUnknown });
+    this.handle(problems, () => new ResponseValidationError(`Unexpected ${operation.operationId} message: ${describe(problems)}`, {
+      fields: problems,
+      request: this.describeRequest(config),
+      response: message,
+    }));
+  }
+
+  /**
+   * @param {Object} config - The axios request config.
+   * @returns {Object|undefined} - The operation, unless validation is off.
+   */
+  operationFor(config) {
+    return this.mode === ValidationMode.OFF ? undefined : findOperation(config.method || 'get', config.url);
+  }
+
+  /**
+   * Reports problems according to the mode.
+   * @param {Array<{field: string, message: string}>} problems - The problems found.
+   * @param {Function} createError - Creates the error thrown in strict mode.
+   */
+  handle(problems, createError) {
+    if (!problems.length) {
+      return;
+    }
+
+    const error = createError();
+    if (this.mode === ValidationMode.STRICT) {
+      throw error;
+    }
+    if (this.logger) {
+      (this.logger.warn || this.logger.error).call(this.logger, error.message);
+    }
+  }
+
+  /**
+   * @param {Object} config - The axios request config.
+   * @returns {Object} - The request as reported on errors.
+   */
+  describeRequest(config) {
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      params: config.params,
+      data: config.data,
+    };
+  }
+}
+
+/**
+ * Returns the given validator, or creates one for a mode.
+ * @param {string|SchemaValidator|null} validation - A `ValidationMode`, a validator or null.
+ * @param {Object} [options] - Options passed to a newly created validator.
+ * @returns {SchemaValidator|null} - Null when validation is off.
+ */
+export function resolveValidator(validation, options) {
+  if (!validation || validation === ValidationMode.OFF) {
+    return null;
+  }
+  return validation instanceof SchemaValidator ? validation : new SchemaValidator({ ...options, mode: validation });
+}